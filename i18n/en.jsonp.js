@@ -15,12 +15,71 @@ document.localeJson = {
       "home-btn-forward": "Forward",
       "home-btn-top": "Top",
       "home-prefix-placeholder": "Search...",
-      "home-prefix-tip": "You can search the contents of your ZIM archive using this search field. It will suggest article titles **starting** with the letters you type.",
+      "home-prefix-tip": "You can search the contents of your ZIM archive using this search field. It will suggest article titles **starting** with the letters you type. To find other kinds of files, use filters such as mime:application/pdf, path:images/, ns:C or redirects:no.",
+      "home-search-more-results": "More full-text results...",
+      "home-search-recent": "Recent searches:",
+      "home-search-source-title": "Title",
+      "home-search-source-fulltext": "Full text",
+      "home-search-loading-more": "Loading more results...",
+      "home-search-word-count": "Words:",
+      "home-search-score": "Score:",
+      "bookmarks-title": "Bookmarks",
+      "bookmarks-close": "Close bookmarks",
+      "bookmarks-current-header": "Current article",
+      "bookmarks-folder-placeholder": "Folder (optional)",
+      "bookmarks-tags-placeholder": "Tags, separated by commas",
+      "bookmarks-filter-placeholder": "Filter by title, folder or tag",
+      "bookmarks-btn-save": "Bookmark this article",
+      "bookmarks-btn-update": "Update bookmark",
+      "bookmarks-btn-remove": "Remove bookmark",
+      "bookmarks-btn-export": "Export bookmarks",
+      "bookmarks-btn-import": "Import bookmarks",
+      "bookmarks-btn-open-archive": "Open archive",
+      "bookmarks-empty": "You have no bookmarks yet.",
+      "bookmarks-no-folder": "Unfiled",
+      "bookmarks-delete": "Delete this bookmark",
+      "bookmarks-archive-not-loaded": "The archive of this bookmark is not loaded",
+      "history-title": "History",
+      "history-close": "Close history",
+      "history-filter-placeholder": "Search the history",
+      "history-empty": "Your reading history is empty.",
+      "history-btn-clear": "Clear history",
+      "history-delete": "Remove from history",
+      "export-article-title": "Export article",
+      "export-article-html": "Save as HTML file",
+      "export-article-print": "Print or save as PDF",
+      "spinner-export-article": "Exporting article...",
+      "dialog-export-article-none": "Please open an article to export.",
+      "dialog-export-article-error": "The article could not be exported:",
+      "epub-btn-export": "EPUB",
+      "epub-export-folder": "Export the articles of this folder as an EPUB book",
+      "home-search-epub": "Export these articles as an EPUB book",
+      "spinner-epub-progress": "Building book:",
+      "dialog-epub-no-articles": "None of these articles is in an open archive, so the book cannot be created.",
+      "dialog-epub-error": "The book could not be created:",
+      "toc-toggle-section": "Collapse or expand this section",
+      "find-in-page-title": "Find in article",
+      "find-in-page-placeholder": "Find in article",
+      "find-in-page-previous": "Previous match",
+      "find-in-page-next": "Next match",
+      "find-in-page-close": "Close",
+      "find-in-page-of": "of",
+      "find-in-page-none": "No matches",
+      "dialog-saved-article-open-archive-title": "Open archive?",
+      "dialog-saved-article-open-archive-message": "This article belongs to an archive that is not loaded. Do you want to open it now?",
+      "dialog-saved-article-archive-missing-title": "Archive not available",
+      "dialog-saved-article-archive-missing-message": "This article belongs to an archive that is not loaded. Please open the following archive and try again:",
+      "dialog-deeplink-archive-missing-message": "The link that you opened refers to an archive that is not available. Please select the following archive (or the folder that contains it), and the article will be displayed:",
+      "dialog-bookmarks-import-title": "Import bookmarks",
+      "dialog-bookmarks-import-success": "Number of bookmarks imported:",
+      "dialog-bookmarks-import-error": "The bookmarks could not be imported:",
+      "dialog-clear-history-title": "Clear history",
+      "dialog-clear-history-message": "Do you want to clear your reading history?",
       "configure": "Configure",
       "configure-title": "Configuration",
       "configure-about-usage-link": "About (Usage)",
       "configure-btn-library": "Browse ZIM Library",
-      "configure-btn-library-tip": "This will display a graphical library of ZIM archives for download if your browser can open it. Otherwise, it opens a text-only version. If you are using the Chromium extension in ServiceWorkerLocal mode, you will only be able to use the latter (switch to ServiceWorker mode for the full graphical version).",
+      "configure-btn-library-tip": "Browse the archives of the Kiwix library, filter them by language, category and size, and download them.",
       "configure-btn-folderselect": "Select Folder",
       "configure-changed-content-note": "(Re-pick folder if there is new content on your device)",
       "configure-btn-rescan": "Rescan",
@@ -32,6 +91,60 @@ document.localeJson = {
       "configure-select-instructions": "Please select or drag and drop a .zim file (or all the .zimaa, .zimab etc in case of a split ZIM file):",
       "configure-select-file-instructions": "Please select the archive you want to use:",
       "configure-select-file-first-option": "Select an archive...",
+      "configure-open-archives": "Open archives (click to switch):",
+      "configure-open-archives-close": "Close this archive",
+      "configure-archive-info-header": "About this archive",
+      "configure-archive-info-articles": "Articles: ",
+      "configure-archive-info-media": "Media: ",
+      "configure-archive-info-image": "(image)",
+      "configure-title-index-header": "Title index",
+      "configure-title-index-instructions": "Building an index of the titles of this archive makes title search faster, especially on large archives opened from slow storage. The index is built in the background and stored in the browser; an interrupted build is resumed.",
+      "configure-title-index-btn-build": "Build index",
+      "configure-title-index-btn-cancel": "Stop",
+      "configure-title-index-btn-delete": "Delete index",
+      "configure-title-index-status-building": "Building the index:",
+      "configure-title-index-status-ready": "The index is ready, and is used by title search.",
+      "configure-title-index-status-busy": "Another archive is being indexed.",
+      "configure-archive-updates": "Newer versions of your archives are available in the Kiwix library:",
+      "configure-archive-update-flag": "update available",
+      "configure-archive-update-download": "Download update",
+      "configure-archive-update-delete-old": "Delete old version",
+      "dialog-archive-update-delete-old": "Do you want to delete this archive from the browser storage?",
+      "configure-downloads-header": "Download archives",
+      "configure-downloads-instructions": "Paste the link of a ZIM archive from the Kiwix library. Interrupted downloads are resumed, and completed downloads are verified against the checksum published by Kiwix.",
+      "configure-downloads-target-folder": "Picked folder",
+      "configure-downloads-target-opfs": "Browser storage",
+      "configure-downloads-btn-add": "Download",
+      "downloads-btn-pause": "Pause",
+      "downloads-btn-resume": "Resume",
+      "downloads-btn-open": "Open",
+      "downloads-btn-remove": "Remove",
+      "downloads-status-queued": "Queued",
+      "downloads-status-downloading": "Downloading",
+      "downloads-status-paused": "Paused",
+      "downloads-status-verifying": "Verifying",
+      "downloads-status-verified": "Complete and verified",
+      "downloads-status-completed": "Complete (no checksum published)",
+      "downloads-status-failed": "Failed",
+      "dialog-download-error": "An error occurred with this download:",
+      "dialog-title-index-error": "The title index could not be built:",
+      "dialog-download-delete-file": "Do you also want to delete the downloaded archive?",
+      "library-title": "Library of archives",
+      "library-search-placeholder": "Search the library...",
+      "library-all-languages": "All languages",
+      "library-all-categories": "All categories",
+      "library-any-size": "Any size",
+      "library-size-100mb": "Up to 100 MB",
+      "library-size-1gb": "Up to 1 GB",
+      "library-size-10gb": "Up to 10 GB",
+      "library-btn-previous": "Previous",
+      "library-btn-next": "Next",
+      "library-online-link": "Open the online library",
+      "library-loading": "Loading the catalog...",
+      "library-results": "Archives found:",
+      "library-no-results": "No archive matches your search.",
+      "library-error": "The catalog could not be read:",
+      "library-downloaded": "Downloaded",
       "configure-selectordisplay": "Drag and drop a new ZIM file, or",
       "configure-selectordisplay-link": "display file selectors",
       "configure-static-content": "Only ZIMs with static content (e.g. Wiki-style) are supported in Safe mode.<br />",
@@ -52,6 +165,8 @@ document.localeJson = {
       "configure-display-openexternallinks-tip": "Opens the external links outside kiwix-js (avoids some side-effects affecting kiwix-js UI).",
       "configure-display-reopenlastarchive": "<strong>Automatically re-open last selected archive</strong> (only works if you grant permanent permission when prompted)",
       "configure-display-reopenlastarchive-tip": "If your browser supports the permanent permissions feature of the File System Access API, you can automatically re-open archives when you restart the app. To enable this functionality, you need to give permission to access files 'on every visit' when prompted by your browser.",
+      "configure-display-restorelastarticle": "<strong>Also restore the last article read</strong> and its scroll position",
+      "configure-display-restorelastarticle-tip": "When the last selected archive is re-opened automatically, display the article that you were last reading in it, at the same scroll position, instead of the main page.",
       "configure-display-selectapptheme": "<b>Select app theme</b> (content inversion is experimental):",
       "configure-display-selectapptheme-tip": "Allows selection of themes either for the app only, or for the app and the loaded content.",
       "configure-display-themeoption-light": "Light",
@@ -79,6 +194,12 @@ document.localeJson = {
       "configure-performance-searchrange-label": "Select max number of search results:",
       "configure-performance-searchrange-valuetext": "Value",
       "configure-performance-searchrange-help": "default 25, higher values increase search time",
+      "configure-performance-ignoreaccents": "Ignore accents in title search",
+      "configure-performance-ignoreaccents-tip": "Title search also finds titles spelt with or without accents and other diacritics, e.g. typing 'Sao Paulo' finds 'São Paulo'. This adds a few lookups to each search.",
+      "configure-performance-searchmode": "Title search finds:",
+      "configure-performance-searchmode-tip": "Searching anywhere in titles finds e.g. 'Battle of Hastings' when you type 'Hastings', but every title of the archive must be read, so it is much slower on large archives.",
+      "configure-performance-searchmode-prefix": "Titles starting with the search (fast)",
+      "configure-performance-searchmode-contains": "Titles containing the search anywhere (slower)",
       "configure-compatibility-settings-title": "Compatibility settings",
       "configure-compatibility-panel-header": "Content injection mode",
       "configure-compatibility-see": "See",
@@ -172,6 +293,14 @@ document.localeJson = {
       "dialog-metadata-creator": "Creator: ",
       "dialog-metadata-publisher": "Publisher: ",
       "dialog-metadata-scraper": "Scraper: ",
+      "dialog-metadata-integrity": "Integrity: ",
+      "dialog-metadata-integrity-unchecked": "Not verified",
+      "dialog-metadata-integrity-verify": "Verify archive",
+      "dialog-metadata-integrity-progress": "Verifying...",
+      "dialog-metadata-integrity-none": "This archive has no checksum",
+      "dialog-metadata-integrity-pass": "Passed",
+      "dialog-metadata-integrity-fail": "Failed: the archive is corrupt",
+      "dialog-metadata-integrity-error": "Unable to verify the archive",
       "dialog-old-android": "You seem to be using an Android device with DeviceStorage API. That must be a quite old Firefox version because this API has been removed in 2016. Be aware that there was a bug on Firefox, that prevents finding Wikipedia archives in a SD-card (at least on some devices). Please put the archive in the internal storage if the application can't find it.",
       "dialog-other-language-message": "We are working hard to bring you more languages! If you are interested in helping to translate the interface to your language, please create an issue on our GitHub. Thank you!",
       "dialog-open-externalurl-message": "<p>Do you want to open this external link?",
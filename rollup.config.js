@@ -37,12 +37,14 @@ const config = {
             'document.baseURI': "document.location.href.replace(/[^/]*$/, '')",
             // Redirect the libzim Worker loader to the new location
             'js/lib/libzim': 'js/libzim',
+            'js/lib/checksumWorker.js': 'js/checksumWorker.js',
+            'js/lib/titleScanWorker.js': 'js/titleScanWorker.js',
             'js/lib/darkreader.min.js': 'js/darkreader.min.js',
             preventAssignment: true
         }),
         copy({
             targets: [{
-                src: ['www/js/lib/*dec-wasm.wasm', 'www/js/lib/libzim-asm.js', 'www/js/lib/libzim-wasm.*', 'www/js/lib/webpHeroBundle*',
+                src: ['www/js/lib/*dec-wasm.wasm', 'www/js/lib/libzim-asm.js', 'www/js/lib/libzim-wasm.*', 'www/js/lib/webpHeroBundle*', 'www/js/lib/checksumWorker.js', 'www/js/lib/titleScanWorker.js',
                     'node_modules/bootstrap/dist/js/bootstrap.bundle.min.*', 'node_modules/jquery/dist/jquery.slim.min.*', '!www/js/lib/libzim-wasm.dev*'],
                 dest: 'dist/www/js'
             },
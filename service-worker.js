@@ -94,15 +94,23 @@ const regexpExcludedURLSchema = /^(?:file|chrome-extension|example-extension):/i
 const regexpZIMUrlWithNamespace = /(?:^|\/)([^/]+\/)([-ABCHIJMUVWX])\/(.+)/;
 
 /**
- * Pattern to parse the first offset of a "range" request header
- * NB: this only reads the first offset of the first byte range, where the spec allows several ranges, and several units.
+ * Pattern to parse the first and (optional) last offsets of a "range" request header
+ * NB: this only reads the first byte range, where the spec allows several ranges, and several units.
  * See https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Range
  * But, in our case, we send a header to tell the browser we only accept the bytes unit.
  * I did not see multiple ranges asked by a browser.
  *
  * @type {RegExp}
  */
-const regexpByteRangeHeader = /^\s*bytes=(\d+)-/;
+const regexpByteRangeHeader = /^\s*bytes=(\d+)-(\d*)/;
+
+/**
+ * The maximum number of bytes to send in answer to an open-ended range request (e.g. "bytes=0-"). Media elements request
+ * further ranges as they play or seek, so there is no need to read a whole (possibly very large) video into memory at once.
+ *
+ * @type {Integer}
+ */
+const MAX_RANGE_RESPONSE_SIZE = 4 * 1024 * 1024;
 
 /**
  * The list of files that the app needs in order to run entirely from offline code
@@ -118,6 +126,7 @@ const precacheFiles = [
     'www/css/app.css',
     'www/css/kiwixJS_invert.css',
     'www/css/kiwixJS_mwInvert.css',
+    'www/css/kiwixJS_print.css',
     'www/css/transition.css',
     'www/img/icons/kiwix-256.png',
     'www/img/icons/kiwix-32.png',
@@ -126,27 +135,44 @@ const precacheFiles = [
     'www/img/Icon_External_Link.png',
     'www/index.html',
     'www/article.html',
-    'www/library.html',
     'www/main.html',
     'www/topFrame.html',
     'www/js/app.js',
     'www/js/init.js',
     'www/js/lib/abstractFilesystemAccess.js',
+    'www/js/lib/archiveRegistry.js',
+    'www/js/lib/articleExport.js',
     'www/js/lib/arrayFromPolyfill.js',
+    'www/js/lib/bookmarks.js',
+    'www/js/lib/clustercache.js',
+    'www/js/lib/collapsedSections.js',
+    'www/js/lib/deepLinks.js',
+    'www/js/lib/downloadManager.js',
+    'www/js/lib/epubBuilder.js',
     'www/js/lib/filecache.js',
     'www/js/lib/cache.js',
+    'www/js/lib/opdsCatalog.js',
     'www/js/lib/promisePolyfill.js',
+    'www/js/lib/readingHistory.js',
+    'www/js/lib/searchCoordinator.js',
+    'www/js/lib/searchQuery.js',
     'www/js/lib/settingsStore.js',
+    'www/js/lib/titleIndex.js',
     'www/js/lib/translateUI.js',
     'www/js/lib/uiUtil.js',
     'www/js/lib/utf8.js',
     'www/js/lib/util.js',
+    'www/js/lib/xapianReader.js',
     'www/js/lib/xzdec_wrapper.js',
     'www/js/lib/zstddec_wrapper.js',
     'www/js/lib/zimArchive.js',
     'www/js/lib/zimArchiveLoader.js',
     'www/js/lib/zimDirEntry.js',
     'www/js/lib/zimfile.js',
+    'www/js/lib/zipWriter.js',
+    // Worker scripts are not included in the bundle
+    'www/js/lib/checksumWorker.js',
+    'www/js/lib/titleScanWorker.js',
     'node_modules/bootstrap/dist/js/bootstrap.bundle.min.js',
     'node_modules/bootstrap/dist/js/bootstrap.bundle.min.js.map',
     'node_modules/bootstrap/dist/css/bootstrap.min.css',
@@ -521,13 +547,36 @@ function contsructResponse (content, contentType) {
 // Caches and returns the event and response pair for an asset. Do not use this for non-asset requests!
 function cacheAndReturnResponseForAsset (event, response) {
     // Add css or js assets to ASSETS_CACHE (or update their cache entries) unless the URL schema is not supported
-    if (regexpCachedContentTypes.test(response.headers.get('Content-Type')) &&
+    // Partial content (or an unsatisfiable range) must not be cached in place of the whole asset
+    if (response.status === 200 && regexpCachedContentTypes.test(response.headers.get('Content-Type')) &&
         !regexpExcludedURLSchema.test(event.request.url)) {
         event.waitUntil(updateCache(ASSETS_CACHE, event.request.url, response.clone()));
     }
     return response;
 }
 
+/**
+ * Sets the Content-Range and Content-Length headers of the response to a range request, and works out its status. A range
+ * that starts at or after the end of the resource (which includes any range of an empty resource) cannot be satisfied, in
+ * which case the response must have no content and a Content-Range header giving the size of the resource (RFC 9110, 15.5.17).
+ *
+ * @param {Headers} headers The headers of the response
+ * @param {Integer} begin The offset of the first byte served (no greater than end)
+ * @param {Integer} end The offset after the last byte served (no greater than size)
+ * @param {Integer} size The size of the whole resource
+ * @returns {Integer} The HTTP status of the response: 206 (Partial Content) or 416 (Range Not Satisfiable)
+ */
+function setRangeHeaders (headers, begin, end, size) {
+    if (begin >= end) {
+        headers.set('Content-Range', 'bytes */' + size);
+        headers.set('Content-Length', 0);
+        return 416;
+    }
+    headers.set('Content-Range', 'bytes ' + begin + '-' + (end - 1) + '/' + size);
+    headers.set('Content-Length', end - begin);
+    return 206;
+}
+
 /**
  * Handles URLs that need to be extracted from the ZIM archive. They can be strings or URL objects, and should be URI encoded.
  *
@@ -555,6 +604,16 @@ function fetchUrlFromZIM (urlObjectOrString, range, expectedHeaders) {
         }
         var titleWithNameSpace = nameSpace + '/' + title;
         var zimName = prefix.replace(/\/$/, '');
+        // Ask app.js for just the requested range of bytes (app.js ignores this for Zimit archives); the end offset is exclusive
+        var requestedRange = null;
+        var partsOfRangeHeader = range ? regexpByteRangeHeader.exec(range) : null;
+        if (partsOfRangeHeader) {
+            var rangeBegin = Number(partsOfRangeHeader[1]);
+            requestedRange = {
+                begin: rangeBegin,
+                end: partsOfRangeHeader[2] ? Number(partsOfRangeHeader[2]) + 1 : rangeBegin + MAX_RANGE_RESPONSE_SIZE
+            };
+        }
 
         // console.debug('[SW] Asking app.js for ' + titleWithNameSpace + ' from ' + zimName + '...');
 
@@ -580,30 +639,30 @@ function fetchUrlFromZIM (urlObjectOrString, range, expectedHeaders) {
                 }
 
                 var slicedData = msgPortEvent.data.content;
+                var servedRange = msgPortEvent.data.range;
+                var status = range ? 206 : 200;
+                var statusText = 'OK';
 
                 if (range && zimType === 'zimit') {
                     headers.set('Content-Range', range + '/*');
-                } else if (range && slicedData !== null) {
-                    // The browser asks for a range of bytes (usually for a video or audio stream)
-                    // In this case, we partially honor the request: if it asks for offsets x to y,
-                    // we send partial contents starting at x offset, till the end of the data (ignoring y offset)
-                    // Our backend can currently only read the whole content from the ZIM file.
-                    // So it's probably better to send all we have: hopefully it will avoid some subsequent requests of
-                    // the browser to get the following chunks (which would trigger some other complete reads in the ZIM file)
-                    // This might be improved in the future with the libzim wasm backend, that should be able to handle ranges.
-                    const partsOfRangeHeader = regexpByteRangeHeader.exec(range);
-                    const begin = partsOfRangeHeader[1];
-                    const end = contentLength - 1;
-                    slicedData = slicedData.slice(begin);
-
-                    headers.set('Content-Range', 'bytes ' + begin + '-' + end + '/' + contentLength);
-                    headers.set('Content-Length', end - begin + 1);
+                } else if (servedRange && slicedData !== null) {
+                    // app.js has read only the requested range of bytes from the archive
+                    status = setRangeHeaders(headers, servedRange.begin, servedRange.end, servedRange.size);
+                    if (status === 416) slicedData = '';
+                } else if (partsOfRangeHeader && slicedData !== null) {
+                    // The browser asks for a range of bytes (usually for a video or audio stream), but app.js sent the whole content
+                    // (e.g. with the libzim backend). In this case, we partially honor the request: if it asks for offsets x to y,
+                    // we send partial contents starting at x offset, till the end of the data (ignoring y offset), as we have it all anyway.
+                    const begin = Math.min(Number(partsOfRangeHeader[1]), contentLength);
+                    status = setRangeHeaders(headers, begin, contentLength, contentLength);
+                    slicedData = status === 416 ? '' : slicedData.slice(begin);
                 }
+                if (status === 416) statusText = 'Range Not Satisfiable';
 
                 var responseInit = {
                     // HTTP status is usually 200, but has to be 206 when partial content (range) is sent
-                    status: range ? 206 : 200,
-                    statusText: 'OK',
+                    status: status,
+                    statusText: statusText,
                     headers: headers
                 };
                 // Deal with a not-found dirEntry
@@ -642,7 +701,8 @@ function fetchUrlFromZIM (urlObjectOrString, range, expectedHeaders) {
                     title: titleWithNameSpace,
                     search: uriComponent,
                     anchorTarget: anchorTarget,
-                    zimFileName: zimName
+                    zimFileName: zimName,
+                    range: requestedRange
                 }, [messageChannel.port2]);
             });
         });
@@ -276,6 +276,81 @@ function runTests (driver, modes) {
                 assert.equal('Instrumentation by the Ray Charles Orchestra', elementText);
             });
 
+            it('Answer byte range requests for an image in the archive', async function () {
+                if (!serviceWorkerAPI || mode !== 'serviceworker') {
+                    console.log('\x1b[33m%s\x1b[0m', '    - Following test skipped:');
+                    return;
+                }
+                await driver.switchTo().defaultContent();
+                // Fetch ranges of the image (4951 bytes) from the article's iframe, so that the requests go through the ServiceWorker
+                const responses = await driver.executeAsyncScript(
+                    'var callback = arguments[arguments.length - 1];' +
+                    'var articleWindow = document.getElementById("articleContent").contentWindow;' +
+                    'var imageUrl = "../I/m/RayCharles_AManAndHisSoul.jpg";' +
+                    'Promise.all(["bytes=4900-", "bytes=4951-", "bytes=10000-20000"].map(function (range) {' +
+                    '    return articleWindow.fetch(imageUrl, { headers: { Range: range } }).then(function (response) {' +
+                    '        return response.arrayBuffer().then(function (data) {' +
+                    '            return [response.status, response.headers.get("Content-Range"), data.byteLength];' +
+                    '        });' +
+                    '    });' +
+                    '})).then(callback, function (err) { callback(String(err)); });'
+                );
+                assert.deepEqual(responses[0], [206, 'bytes 4900-4950/4951', 51]);
+                // A range that starts at or after the end of the image cannot be satisfied
+                assert.deepEqual(responses[1], [416, 'bytes */4951', 0]);
+                assert.deepEqual(responses[2], [416, 'bytes */4951', 0]);
+            });
+
+            it('Navigate the search suggestions with the keyboard and open the first hit with Enter', async function () {
+                if (!serviceWorkerAPI) {
+                    console.log('\x1b[33m%s\x1b[0m', '    - Following test skipped:');
+                    return;
+                }
+                await driver.switchTo().defaultContent();
+                const prefix = await driver.findElement(By.id('prefix'));
+                await prefix.clear();
+                await prefix.sendKeys('Ray Charl');
+                // Wait for the hits of the search
+                await driver.wait(async function () {
+                    return await driver.executeScript('var hits = document.querySelectorAll("#articleList a[dirEntryId]"); return hits.length > 1 && document.getElementById("prefix").value === "Ray Charl";');
+                }, 5000);
+                const getActiveOption = function () {
+                    return driver.executeScript('var prefix = document.getElementById("prefix"); var hover = document.querySelector("#articleList .hover"); ' +
+                        'return [hover ? hover.id : null, hover ? hover.getAttribute("aria-selected") : null, prefix.getAttribute("aria-activedescendant")];');
+                };
+                // The arrow keys move the highlight through the hits, and mark the active option for assistive technologies
+                await prefix.sendKeys(Key.ARROW_DOWN);
+                assert.deepEqual(await getActiveOption(), ['articleListItem0', 'true', 'articleListItem0']);
+                await prefix.sendKeys(Key.ARROW_DOWN);
+                assert.deepEqual(await getActiveOption(), ['articleListItem1', 'true', 'articleListItem1']);
+                await prefix.sendKeys(Key.ARROW_UP);
+                assert.deepEqual(await getActiveOption(), ['articleListItem0', 'true', 'articleListItem0']);
+                // Escape hides the hits
+                await prefix.sendKeys(Key.ESCAPE);
+                const hidden = await driver.executeScript('return [document.getElementById("articleListWithHeader").style.display, document.getElementById("prefix").getAttribute("aria-expanded")];');
+                assert.deepEqual(hidden, ['none', 'false']);
+                // Enter opens the first hit of the search, even when no hit is highlighted
+                await prefix.click();
+                const firstHit = await driver.executeScript('var hit = document.querySelector("#articleList .hover"); if (hit) hit.classList.remove("hover"); ' +
+                    'return document.querySelector("#articleList a[dirEntryId]").textContent.trim();');
+                await prefix.sendKeys(Key.ENTER);
+                await driver.switchTo().frame('articleContent');
+                await driver.wait(async function () {
+                    return await driver.executeScript('var heading = document.getElementById("titleHeading"); return heading && heading.innerText;') === firstHit;
+                }, 5000);
+                await driver.switchTo().defaultContent();
+                // The search from which an article was opened is shown first among the recent searches when the field is empty
+                await driver.executeScript('var prefix = document.getElementById("prefix"); prefix.value = ""; prefix.blur();');
+                await prefix.click();
+                const recent = await driver.wait(async function () {
+                    return await driver.executeScript('var recent = document.querySelector("#articleList .recent-search"); return recent && recent.textContent;');
+                }, 3000);
+                assert.equal('Ray Charl', recent);
+                // Tab completes the empty field with the top suggestion
+                await prefix.sendKeys(Key.TAB);
+                assert.equal('Ray Charl', await prefix.getAttribute('value'));
+            });
+
             it('Search for Ray Charles in title index and go to article', async function () {
                 if (!serviceWorkerAPI) {
                     console.log('\x1b[33m%s\x1b[0m', '    - Following test skipped:');
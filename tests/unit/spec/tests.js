@@ -20,7 +20,7 @@
  * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
  */
 
-/* global QUnit, Promise */
+/* global QUnit, Promise, params */
 
 // import '../www/js/lib/promisePolyfill.js';
 // import '../www/js/lib/arrayFromPolyfill.js';
@@ -28,9 +28,27 @@ import '../js/init.js';
 // import '../www/js/app.js';
 import zimArchive from '../../../www/js/lib/zimArchive.js';
 import zimDirEntry from '../../../www/js/lib/zimDirEntry.js';
+import zimfile from '../../../www/js/lib/zimfile.js';
 import util from '../../../www/js/lib/util.js';
 import uiUtil from '../../../www/js/lib/uiUtil.js';
 import utf8 from '../../../www/js/lib/utf8.js';
+import archiveRegistry from '../../../www/js/lib/archiveRegistry.js';
+import articleExport from '../../../www/js/lib/articleExport.js';
+import searchCoordinator from '../../../www/js/lib/searchCoordinator.js';
+import searchQuery from '../../../www/js/lib/searchQuery.js';
+import xapianReader from '../../../www/js/lib/xapianReader.js';
+import clusterCache from '../../../www/js/lib/clustercache.js';
+import bookmarks from '../../../www/js/lib/bookmarks.js';
+import cache from '../../../www/js/lib/cache.js';
+import collapsedSections from '../../../www/js/lib/collapsedSections.js';
+import deepLinks from '../../../www/js/lib/deepLinks.js';
+import readingHistory from '../../../www/js/lib/readingHistory.js';
+import settingsStore from '../../../www/js/lib/settingsStore.js';
+import downloadManager from '../../../www/js/lib/downloadManager.js';
+import zipWriter from '../../../www/js/lib/zipWriter.js';
+import epubBuilder from '../../../www/js/lib/epubBuilder.js';
+import opdsCatalog from '../../../www/js/lib/opdsCatalog.js';
+import titleIndex from '../../../www/js/lib/titleIndex.js';
 
 var localZimArchive;
 
@@ -72,6 +90,82 @@ function makeBlobRequest (url, name) {
     });
 }
 
+/**
+ * Builds a small Xapian glass database for testing the reader of full-text indexes (the indexes in the test ZIMs contain
+ * no documents). Its postlist table has a branch block above two leaf blocks, and the posting list of 'blues' is split
+ * into two chunks, one in each leaf. The docdata table gives the path of each of the seven documents.
+ *
+ * @returns {Uint8Array} The database
+ */
+function buildGlassDatabase () {
+    var BLOCK_SIZE = 2048;
+    // Xapian's pack_uint
+    var uint = function (value) {
+        var bytes = [];
+        while (value >= 128) {
+            bytes.push((value & 0x7f) | 0x80);
+            value = Math.floor(value / 128);
+        }
+        bytes.push(value);
+        return bytes;
+    };
+    // A chunk of a posting list, from an array of [did, wdf] pairs
+    var chunk = function (isLast, postings) {
+        var bytes = [isLast ? 0x31 : 0x30].concat(uint(postings[postings.length - 1][0] - postings[0][0]), uint(postings[0][1]));
+        for (var i = 1; i < postings.length; i++) {
+            bytes = bytes.concat(uint(postings[i][0] - postings[i - 1][0] - 1), uint(postings[i][1]));
+        }
+        return bytes;
+    };
+    // The first chunk of a posting list starts with the term frequency, the collection frequency and the first did
+    var firstChunk = function (termFreq, isLast, postings) {
+        return uint(termFreq).concat(uint(0), uint(postings[0][0] - 1), chunk(isLast, postings));
+    };
+    var block = function (level, items) {
+        var data = new Uint8Array(BLOCK_SIZE);
+        var end = BLOCK_SIZE;
+        items.forEach(function (item, index) {
+            var bytes = level
+                ? [0, 0, 0, item.child, item.key.length].concat(item.key, [0, 1])
+                : [0x60, item.key.length + item.tag.length, item.key.length].concat(item.key, item.tag);
+            end -= bytes.length;
+            data.set(bytes, end);
+            data[11 + index * 2] = end >> 8;
+            data[12 + index * 2] = end & 0xff;
+        });
+        data[3] = 1;
+        data[4] = level;
+        data[10] = 11 + items.length * 2;
+        return data;
+    };
+    var rootInfo = function (root, numEntries) {
+        return uint(root).concat(uint(numEntries ? 0 : 1), uint(numEntries), uint(BLOCK_SIZE / 2048), uint(0), uint(0));
+    };
+    var blues = utf8.toByteArray('blues');
+    var paths = ['A/Blues.html', 'A/Soul_music.html', 'A/Ray_Charles.html', 'A/Jazz.html', 'A/Rhythm_and_blues.html',
+        'A/Gospel_music.html', 'A/The_Raelettes.html'];
+    var version = [0x0f, 0x0d].concat(utf8.toByteArray('Xapian Glass'), [0x04, 0x6e], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+        uint(1), rootInfo(1, 5), rootInfo(4, paths.length), rootInfo(0, 0), rootInfo(0, 0), rootInfo(0, 0), rootInfo(0, 0),
+        uint(paths.length));
+    var database = new Uint8Array(BLOCK_SIZE * 5);
+    database.set(version, 0);
+    database.set(block(1, [{ child: 2, key: [] }, { child: 3, key: blues.concat([0, 0, 5]) }]), BLOCK_SIZE);
+    database.set(block(0, [
+        { key: [], tag: [] },
+        { key: [0, 0xc0].concat(utf8.toByteArray('data')), tag: utf8.toByteArray('fullPath') },
+        { key: blues, tag: firstChunk(4, false, [[1, 1], [3, 2]]) }
+    ]), BLOCK_SIZE * 2);
+    database.set(block(0, [
+        { key: blues.concat([0, 0, 5]), tag: chunk(true, [[5, 5], [7, 1]]) },
+        { key: utf8.toByteArray('ray'), tag: firstChunk(3, true, [[3, 1], [5, 2], [7, 1]]) },
+        { key: utf8.toByteArray('soul'), tag: firstChunk(2, true, [[2, 1], [3, 3]]) }
+    ]), BLOCK_SIZE * 3);
+    database.set(block(0, paths.map(function (path, index) {
+        return { key: [0, index + 1], tag: utf8.toByteArray(path) };
+    })), BLOCK_SIZE * 4);
+    return database;
+}
+
 // Let's try to download the ZIM files
 var zimArchiveFiles = [];
 
@@ -125,6 +219,13 @@ var runTests = function () {
         assert.equal(util.allCaseFirstLetters(testString5).indexOf('$￥€“«Xριστός» †¡ἀνέστη!”') >= 0, true, 'First non-punctuation/non-currency Unicode letter should be uppercase, second (with breath mark) lowercase');
         assert.equal(util.allCaseFirstLetters(testString6, 'full').indexOf('ΚΑΛΆ ΝΕΡΆ ΜΑΓΝΗΣΊΑ ŽIŽEK') >= 0, true, 'All Unicode letters should be uppercase');
     });
+    QUnit.test('check folding of diacritics', function (assert) {
+        assert.equal(util.removeDiacritics('São Paulo'), 'Sao Paulo', 'The tilde should be removed');
+        assert.equal(util.removeDiacritics('Bézier'), 'Bezier', 'The acute accent should be removed');
+        assert.ok(util.getDiacriticVariants('e').indexOf('é') >= 0, 'é should be a variant of e');
+        assert.ok(util.getDiacriticVariants('C').indexOf('Ç') >= 0, 'Ç should be a variant of C');
+        assert.deepEqual(util.getDiacriticVariants('7'), [], 'A digit should have no variants');
+    });
     QUnit.test('check removal of parameters in URL', function (assert) {
         var baseUrl = "A/Che cosa è l'amore?.html";
         var testUrls = [
@@ -144,6 +245,1229 @@ var runTests = function () {
         assert.ok(localZimArchive.isReady() === true, 'ZIM archive should be set as ready');
     });
 
+    QUnit.module('libzim');
+    QUnit.test('a split archive is posted to the libzim Worker as a single file', function (assert) {
+        var done = assert.async();
+        assert.timeout(60000);
+        var worker = new Worker('www/js/lib/libzim-wasm.js');
+        var callWorker = function (parameters) {
+            return new Promise(function (resolve) {
+                var channel = new MessageChannel();
+                channel.port1.onmessage = function (event) {
+                    resolve(event.data);
+                };
+                worker.postMessage(parameters, [channel.port2]);
+            });
+        };
+        var finish = function () {
+            worker.terminate();
+            done();
+        };
+        worker.onerror = function (event) {
+            assert.ok(false, 'The libzim Worker failed: ' + event.message);
+            finish();
+        };
+        var files = localZimArchive.getLibzimFiles();
+        assert.strictEqual(files.length, 1, 'The parts of the archive should be joined into a single file');
+        assert.strictEqual(files[0].name, 'wikipedia_en_ray_charles_2015-06.zim', 'The file should be named after the archive');
+        callWorker({ action: 'init', files: files }).then(function () {
+            return callWorker({ action: 'getEntryByPath', path: 'A/Ray_Charles.html', follow: true });
+        }).then(function (result) {
+            assert.strictEqual(result.mimetype, 'text/html', 'The MIME type of the article should be read');
+            assert.strictEqual(result.content.length, 157530, 'The whole article should be read, across the parts of the archive');
+            return callWorker({ action: 'getArticleCount' });
+        }).then(function (articleCount) {
+            assert.strictEqual(articleCount, 85, 'The articles of the whole archive should be counted');
+        }).then(finish);
+    });
+
+    QUnit.module('checksum worker');
+    QUnit.test('a split archive is verified against its embedded MD5 checksum', function (assert) {
+        var done = assert.async();
+        assert.timeout(60000);
+        var worker = new Worker('www/js/lib/checksumWorker.js');
+        var verify = function (files, checksumPos) {
+            return new Promise(function (resolve) {
+                var progress = 0;
+                var channel = new MessageChannel();
+                channel.port1.onmessage = function (event) {
+                    if (!event.data.done) {
+                        progress = event.data.progress;
+                        return;
+                    }
+                    event.data.progress = progress;
+                    resolve(event.data);
+                };
+                worker.postMessage({ files: files, checksumPos: checksumPos }, [channel.port2]);
+            });
+        };
+        var finish = function () {
+            worker.terminate();
+            done();
+        };
+        worker.onerror = function (event) {
+            assert.ok(false, 'The checksum Worker failed: ' + event.message);
+            finish();
+        };
+        var checksumPos = localZimArchive.file.checksumPos;
+        // The same archive with its first byte altered
+        var corruptedFiles = [new Blob([new Uint8Array([0]), zimArchiveFiles[0].slice(1)])].concat(zimArchiveFiles.slice(1));
+        verify(zimArchiveFiles, checksumPos).then(function (result) {
+            assert.ok(result.hasChecksum, 'The archive should have a checksum');
+            assert.strictEqual(result.expected, '2fd295b21af387ac10d1b2c4dc16875b', 'The checksum stored in the archive should be read');
+            assert.strictEqual(result.checksum, result.expected, 'The checksum of all the parts of the archive should be calculated');
+            assert.ok(result.valid, 'The archive should be valid');
+            assert.strictEqual(result.progress, 1, 'The progress should be reported up to the whole archive');
+            return verify(corruptedFiles, checksumPos);
+        }).then(function (result) {
+            assert.strictEqual(result.expected, '2fd295b21af387ac10d1b2c4dc16875b', 'The stored checksum of a corrupted archive should be read');
+            assert.notOk(result.valid, 'A corrupted archive should be invalid');
+            return verify(zimArchiveFiles, 0);
+        }).then(function (result) {
+            assert.notOk(result.hasChecksum, 'An archive without a checksum position should be reported as having no checksum');
+        }).then(finish);
+    });
+
+    QUnit.test('files are hashed with SHA-256 or MD5', function (assert) {
+        var done = assert.async();
+        var worker = new Worker('www/js/lib/checksumWorker.js');
+        var hash = function (files, algorithm) {
+            return new Promise(function (resolve) {
+                var channel = new MessageChannel();
+                channel.port1.onmessage = function (event) {
+                    if (event.data.done) resolve(event.data);
+                };
+                worker.postMessage({ files: files, algorithm: algorithm }, [channel.port2]);
+            });
+        };
+        var finish = function () {
+            worker.terminate();
+            done();
+        };
+        worker.onerror = function (event) {
+            assert.ok(false, 'The checksum Worker failed: ' + event.message);
+            finish();
+        };
+        // A million 'a' split into two files whose boundary falls within a block of the hash functions
+        var millionA = [new Blob([new Uint8Array(333333).fill(97)]), new Blob([new Uint8Array(666667).fill(97)])];
+        hash([new Blob(['abc'])], 'sha256').then(function (result) {
+            assert.strictEqual(result.checksum, 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', 'The SHA-256 checksum of "abc" should be calculated');
+            return hash([new Blob(['abc'])], 'md5');
+        }).then(function (result) {
+            assert.strictEqual(result.checksum, '900150983cd24fb0d6963f7d28e17f72', 'The MD5 checksum of "abc" should be calculated');
+            return hash([new Blob([''])], 'sha256');
+        }).then(function (result) {
+            assert.strictEqual(result.checksum, 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855', 'The SHA-256 checksum of an empty file should be calculated');
+            return hash(millionA, 'sha256');
+        }).then(function (result) {
+            assert.strictEqual(result.checksum, 'cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0', 'The SHA-256 checksum of several files should be calculated across their boundaries');
+            return hash(millionA, 'md5');
+        }).then(function (result) {
+            assert.strictEqual(result.checksum, '7707d6ae4e027c70eea2a935c2296f21', 'The MD5 checksum of several files should be calculated across their boundaries');
+        }).then(finish);
+    });
+
+    QUnit.module('title scan worker');
+    QUnit.test('the titles that contain a string are found in the listing', function (assert) {
+        var done = assert.async();
+        assert.timeout(60000);
+        var worker = new Worker('www/js/lib/titleScanWorker.js');
+        var scan = function (job) {
+            return new Promise(function (resolve, reject) {
+                var matches = [];
+                var channel = new MessageChannel();
+                channel.port1.onmessage = function (event) {
+                    if (event.data.error) return reject(new Error(event.data.error));
+                    matches = matches.concat(event.data.matches);
+                    if (event.data.done) resolve(matches);
+                };
+                worker.postMessage(job, [channel.port2]);
+            });
+        };
+        var file = localZimArchive.file;
+        var cns = localZimArchive.getContentNamespace();
+        var count = file.articleCount || file.entryCount;
+        var getTitles = function (dirEntries) {
+            return dirEntries.map(function (dirEntry) {
+                return dirEntry.getTitleOrUrl();
+            });
+        };
+        // Read the whole title-ordered listing, for comparison
+        var readListing = function () {
+            var indices = [];
+            for (var i = 0; i < count; i++) indices.push(i);
+            return Promise.all(indices.map(function (i) {
+                return file.dirEntryByTitleIndex(i);
+            }));
+        };
+        var expected;
+        readListing().then(function (dirEntries) {
+            expected = getTitles(dirEntries.filter(function (dirEntry) {
+                return dirEntry.namespace === cns && dirEntry.getTitleOrUrl().toLocaleLowerCase().indexOf('charles') >= 0;
+            }));
+            return scan({
+                files: file._files,
+                titlePtrPos: file.articlePtrPos || file.titlePtrPos,
+                count: count,
+                urlPtrPos: file.urlPtrPos,
+                namespace: cns,
+                query: 'charles',
+                ignoreAccents: false
+            });
+        }).then(function (matches) {
+            return Promise.all(matches.map(function (urlIndex) {
+                return file.dirEntryByUrlIndex(urlIndex);
+            }));
+        }).then(function (dirEntries) {
+            assert.ok(expected.length > 10, 'Some titles should contain "charles"');
+            assert.deepEqual(getTitles(dirEntries), expected, 'The titles that contain "charles" should be found in the order of the listing');
+            return new Promise(function (resolve) {
+                localZimArchive.findDirEntriesWithPrefixCaseSensitive('Ray Charles', { size: 1000, found: 0, scanCount: 0, status: 'init' }, function (result, finished, interim) {
+                    if (!interim) resolve(result.dirEntries);
+                });
+            });
+        }).then(function (dirEntries) {
+            var prefixTitles = getTitles(dirEntries);
+            assert.ok(prefixTitles.length && prefixTitles.every(function (title) {
+                return expected.indexOf(title) >= 0;
+            }), 'The titles found by the binary search of "Ray Charles" should be found by the scan');
+            // A listing of a content entry and a linktarget entry, whose header is shorter
+            var entries = new Uint8Array(24);
+            new DataView(entries.buffer).setUint32(4, 1, true);
+            new DataView(entries.buffer).setUint32(8, 24, true);
+            var article = [0, 0, 0, 65, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0].concat(Array.from(new TextEncoder().encode('Ray\0Ray Charles\0')));
+            new DataView(entries.buffer).setUint32(16, 24 + article.length, true);
+            var linktarget = [0xfe, 0xff, 0, 65, 0, 0, 0, 0].concat(Array.from(new TextEncoder().encode('Ray_link\0Ray link\0')));
+            return scan({
+                files: [new Blob([entries, new Uint8Array(article), new Uint8Array(linktarget)])],
+                titlePtrPos: 0,
+                count: 2,
+                urlPtrPos: 8,
+                namespace: 'A',
+                query: 'ray',
+                ignoreAccents: false
+            });
+        }).then(function (matches) {
+            assert.deepEqual(matches, [0], 'A linktarget entry should be skipped');
+        }).catch(function (err) {
+            assert.ok(false, 'The titles could not be scanned: ' + err.message);
+        }).then(function () {
+            worker.terminate();
+            done();
+        });
+    });
+
+    QUnit.module('multiple archives');
+    QUnit.test('an open archive can be found again by its files', function (assert) {
+        archiveRegistry.register(localZimArchive);
+        var name = 'wikipedia_en_ray_charles_2015-06.zim';
+        assert.equal(archiveRegistry.getKey(localZimArchive), name, 'The split archive should be registered under its name without the split suffix');
+        assert.strictEqual(archiveRegistry.get(name), localZimArchive, 'The registered archive should be returned by name (as requested by the Service Worker)');
+        assert.strictEqual(archiveRegistry.get(zimArchiveFiles[0].name), localZimArchive, 'The split archive should also be returned by the name of its first file');
+        assert.strictEqual(archiveRegistry.findByFiles(zimArchiveFiles), localZimArchive, 'Picking the same files should return the open archive');
+        assert.strictEqual(archiveRegistry.findByFiles(zimArchiveFiles.slice(0, 1)), null, 'A different set of files should not match the open archive');
+        assert.strictEqual(archiveRegistry.select(name), localZimArchive, 'The archive should be selectable');
+        assert.equal(archiveRegistry.getSelectedName(), name, 'The selected archive name should be reported');
+    });
+
+    QUnit.test('the illustration URL of an archive is revoked when the archive is replaced or closed', function (assert) {
+        var revoked = [];
+        var revokeObjectURL = URL.revokeObjectURL;
+        URL.revokeObjectURL = function (url) {
+            revoked.push(url);
+        };
+        var openArchive = function (illustrationUrl) {
+            var archive = Object.create(zimArchive.ZIMArchive.prototype);
+            archive.file = { name: 'illustrated.zim' };
+            archive.illustrationUrl = illustrationUrl;
+            return archive;
+        };
+        var first = openArchive('blob:first');
+        archiveRegistry.register(first);
+        var second = openArchive('blob:second');
+        archiveRegistry.register(second);
+        assert.deepEqual(revoked, ['blob:first'], 'The URL of an archive replaced by a new instance should be revoked');
+        assert.strictEqual(first.illustrationUrl, null, 'A closed archive should not keep its URL');
+        archiveRegistry.remove('illustrated.zim');
+        assert.deepEqual(revoked, ['blob:first', 'blob:second'], 'The URL of a removed archive should be revoked');
+        URL.revokeObjectURL = revokeObjectURL;
+    });
+    QUnit.test('results of several archives are merged by rank', function (assert) {
+        var entry = function (title) {
+            return new zimDirEntry.DirEntry(localZimArchive.file, { namespace: 'A', url: title.replace(/ /g, '_') + '.html', title: title });
+        };
+        var merged = searchCoordinator.mergeResults([
+            [entry('Ray Charles discography'), entry('Blues')],
+            [entry('Ray charles'), entry('Ray Charles Robinson')]
+        ], 'Ray Charles', 3);
+        assert.equal(merged.length, 3, 'The merged results should be capped at the requested size');
+        assert.equal(merged[0].getTitleOrUrl(), 'Ray charles', 'An exact match (ignoring case) should be ranked first');
+        assert.equal(merged[1].getTitleOrUrl(), 'Ray Charles discography', 'Prefix matches should be interleaved by position, then by archive');
+        assert.equal(merged[2].getTitleOrUrl(), 'Ray Charles Robinson', 'Prefix matches should come before titles that do not match (e.g. full-text results)');
+    });
+    QUnit.test('a search without any ready archive is completed with no results', function (assert) {
+        var done = assert.async();
+        var search = { prefix: 'Ray', status: 'init', size: 5 };
+        searchCoordinator.findDirEntriesWithPrefix([], search, function (dirEntries, reportingSearch) {
+            assert.deepEqual(dirEntries, [], 'There should be no results');
+            assert.strictEqual(reportingSearch.status, 'complete', 'The search should be complete');
+            done();
+        });
+    });
+    QUnit.test('full-text results of several archives are merged by score', function (assert) {
+        var entry = function (title, score) {
+            var dirEntry = new zimDirEntry.DirEntry(localZimArchive.file, { namespace: 'A', url: title.replace(/ /g, '_') + '.html', title: title });
+            dirEntry.isFullTextResult = true;
+            dirEntry.score = score;
+            return dirEntry;
+        };
+        var merged = searchCoordinator.mergeResults([
+            [entry('Blues', 60), entry('Soul music', 40)],
+            [entry('Georgia on My Mind', 90)]
+        ], 'Ray Charles', 10);
+        assert.deepEqual(merged.map(function (dirEntry) {
+            return dirEntry.getTitleOrUrl();
+        }), ['Georgia on My Mind', 'Blues', 'Soul music'], 'Full-text results should be ordered by descending score across archives');
+    });
+
+    QUnit.module('Xapian full-text index');
+    QUnit.test('a full-text query is split into terms and phrases', function (assert) {
+        var query = xapianReader.parseQuery('Ray "Georgia  on my mind" café, ray');
+        assert.deepEqual(query.terms, ['ray', 'georgia', 'on', 'my', 'mind', 'cafe'], 'Terms should be lowercase, without diacritics or duplicates');
+        assert.deepEqual(query.phrases, [['georgia', 'on', 'my', 'mind']], 'The quoted phrase should be kept as a sequence of terms');
+    });
+    QUnit.test('posting lists are read across chunks and leaf blocks, and matches are ranked', function (assert) {
+        var done = assert.async();
+        var database = buildGlassDatabase();
+        var file = {
+            _readSlice: function (offset, size) {
+                return Promise.resolve(database.subarray(offset, offset + size));
+            }
+        };
+        var getPaths = function (results) {
+            return results.entries.map(function (entry) {
+                return entry.path;
+            });
+        };
+        xapianReader.fromZIMFile(file, 0, database.length).then(function (index) {
+            assert.strictEqual(index.docCount, 7, 'The number of documents should be read from the version block');
+            return Promise.all([
+                index.getDocumentPath(4),
+                index.search('blues', 10, 0),
+                index.search('Blues ray', 10, 0),
+                index.search('ray soul', 10, 0),
+                index.search('jazz', 10, 0)
+            ]).then(function (results) {
+                assert.strictEqual(results[0], 'A/Jazz.html', 'The path of a document should be read from the docdata table');
+                assert.deepEqual(getPaths(results[1]), ['A/Rhythm_and_blues.html', 'A/Ray_Charles.html', 'A/Blues.html', 'A/The_Raelettes.html'],
+                    'Both chunks of a posting list should be read, and the documents ranked by term frequency');
+                assert.strictEqual(results[1].entries[0].score, 100, 'The best match should have a score of 100');
+                assert.ok(results[1].entries[1].score < 100 && results[1].entries[1].score > results[1].entries[2].score, 'Lower matches should have lower scores');
+                assert.deepEqual(getPaths(results[2]), ['A/Rhythm_and_blues.html', 'A/Ray_Charles.html', 'A/The_Raelettes.html'],
+                    'Documents should match all the terms of the query, skipping to the next chunk of a posting list');
+                assert.deepEqual(getPaths(results[3]), ['A/Ray_Charles.html'], 'Only the document that contains both terms should match');
+                assert.deepEqual(getPaths(results[4]), [], 'A term that is not in the index should match nothing');
+                return Promise.all([index.search('blues', 2, 0), index.search('blues', 2, 2)]);
+            }).then(function (pages) {
+                assert.deepEqual(getPaths(pages[0]), ['A/Rhythm_and_blues.html', 'A/Ray_Charles.html'], 'The first page should have the best matches');
+                assert.ok(pages[0].hasMore, 'The first page should report that there are more results');
+                assert.deepEqual(getPaths(pages[1]), ['A/Blues.html', 'A/The_Raelettes.html'], 'The second page should have the next matches');
+                assert.notOk(pages[1].hasMore, 'The last page should report that there are no more results');
+            });
+        }).catch(function (err) {
+            assert.ok(false, 'The index could not be read: ' + err.message);
+        }).then(done);
+    });
+    QUnit.test('the full-text index of a test ZIM is read', function (assert) {
+        var done = assert.async();
+        var archive;
+        makeBlobRequest('tests/zims/foo-zstd/foo-zstd.zim', 'foo-zstd.zim').then(function (blob) {
+            return new Promise(function (resolve, reject) {
+                archive = new zimArchive.ZIMArchive([blob], null, resolve, reject);
+            });
+        }).then(function () {
+            assert.strictEqual(typeof archive.file.fullTextIndex, 'number', 'The offset of the uncompressed index should be found');
+            // setListings gives the size as a number of 4-byte pointers
+            return xapianReader.fromZIMFile(archive.file, archive.file.fullTextIndex, archive.file.fullTextIndexSize * 4).then(function (index) {
+                assert.strictEqual(index.tables.postlist.root, 1, 'The root block of the postlist table should be read from the version block');
+                assert.strictEqual(index.tables.postlist.blockSize, 8192, 'The block size should be read from the version block');
+                return Promise.all([
+                    index.getMetadata('kind'),
+                    index.getMetadata('language'),
+                    index.getMetadata('valuesmap'),
+                    index.getMetadata('nonexistent'),
+                    index.search('article', 10, 0)
+                ]);
+            }).then(function (results) {
+                assert.strictEqual(results[0], 'fulltext', 'The kind of index should be found in the postlist table');
+                assert.strictEqual(results[1], 'eng', 'The language of the index should be found in the postlist table');
+                assert.strictEqual(results[2], 'title:0;wordcount:1;geo.position:2', 'The last metadata in the leaf block should be found');
+                assert.strictEqual(results[3], null, 'A missing metadata key should not be found');
+                // The text/plain entries of this archive are not indexed, so the index has no documents
+                assert.deepEqual(results[4].entries, [], 'A search of an index without documents should find nothing');
+            });
+        }).catch(function (err) {
+            assert.ok(false, 'The index could not be read: ' + err.message);
+        }).then(function () {
+            if (archive) archive.close();
+            done();
+        });
+    });
+
+    QUnit.module('cluster cache');
+    QUnit.test('decompressed clusters are shared and evicted by size', function (assert) {
+        var done = assert.async();
+        var cache = new clusterCache.ClusterCache(1);
+        var decompressions = 0;
+        var decompress = function () {
+            decompressions++;
+            return Promise.resolve(new Uint8Array(200 * 1024));
+        };
+        Promise.all([cache.fetch('1:0', decompress), cache.fetch('1:0', decompress)]).then(function () {
+            assert.strictEqual(decompressions, 1, 'Concurrent requests for a cluster should share one decompression');
+            return Promise.all([cache.fetch('1:1', decompress), cache.fetch('1:2', decompress), cache.fetch('1:3', decompress),
+                cache.fetch('1:4', decompress), cache.fetch('1:5', decompress)]);
+        }).then(function () {
+            assert.strictEqual(cache.get('1:0'), undefined, 'The least recently used cluster should have been evicted');
+            assert.ok(cache.size <= cache.capacity, 'The cache should not exceed its capacity');
+            done();
+        });
+    });
+    QUnit.test('the last large cluster is kept without flushing the cache', function (assert) {
+        var done = assert.async();
+        var cache = new clusterCache.ClusterCache(1);
+        var decompressions = 0;
+        var decompress = function (size) {
+            return function () {
+                decompressions++;
+                return Promise.resolve(new Uint8Array(size));
+            };
+        };
+        cache.fetch('1:0', decompress(200 * 1024)).then(function () {
+            return cache.fetch('1:1', decompress(600 * 1024));
+        }).then(function () {
+            return cache.fetch('1:1', decompress(600 * 1024));
+        }).then(function () {
+            assert.strictEqual(decompressions, 2, 'A large cluster should only be decompressed once for successive reads');
+            assert.ok(cache.get('1:0'), 'A large cluster should not evict the smaller clusters');
+            assert.strictEqual(cache.size, 200 * 1024, 'A large cluster should not count towards the size of the cache');
+            return cache.fetch('1:2', decompress(700 * 1024));
+        }).then(function () {
+            assert.strictEqual(cache.get('1:1'), undefined, 'A large cluster should replace the previous large cluster');
+            assert.ok(cache.get('1:2'), 'The last large cluster should be kept');
+            assert.notOk(cache.fits(2 * 1024 * 1024), 'A cluster larger than the whole cache should not be cached');
+            done();
+        });
+    });
+
+    QUnit.module('extended clusters');
+    QUnit.test('blobs are read from extended clusters with 64-bit offsets', function (assert) {
+        var done = assert.async();
+        var encoder = new TextEncoder();
+        // Writes a little-endian integer into the data
+        var writeInt = function (data, offset, value, size) {
+            for (var i = 0; i < size; i++) {
+                data[offset + i] = Math.floor(value / Math.pow(2, 8 * i)) & 0xff;
+            }
+        };
+        // Builds an uncompressed cluster: the info byte, the blob offsets (of the given size) and the blobs
+        var buildCluster = function (info, offsetSize, blobs) {
+            var listSize = (blobs.length + 1) * offsetSize;
+            var blobData = blobs.map(function (blob) {
+                return encoder.encode(blob);
+            });
+            var size = blobData.reduce(function (total, blob) {
+                return total + blob.length;
+            }, listSize);
+            var cluster = new Uint8Array(1 + size);
+            cluster[0] = info;
+            var offset = listSize;
+            blobData.forEach(function (blob, i) {
+                writeInt(cluster, 1 + i * offsetSize, offset, offsetSize);
+                cluster.set(blob, 1 + offset);
+                offset += blob.length;
+            });
+            writeInt(cluster, 1 + blobData.length * offsetSize, offset, offsetSize);
+            return cluster;
+        };
+        // An extended cluster (bit 4 of the info byte set) and an ordinary cluster, both uncompressed (type 1)
+        var clusters = [buildCluster(0x11, 8, ['Ray', 'Charles', '']), buildCluster(0x01, 4, ['Georgia', 'on my mind'])];
+        // A minimal archive: the header, a MIME type list, the cluster pointer list (with the end of the last cluster), and the clusters
+        var mimeList = encoder.encode('text/plain\0\0');
+        var clusterPtrPos = 80 + mimeList.length;
+        var archiveData = new Uint8Array(clusterPtrPos + 24 + clusters[0].length + clusters[1].length);
+        writeInt(archiveData, 0, 72173914, 4);
+        writeInt(archiveData, 4, 5, 2);
+        writeInt(archiveData, 28, 2, 4);
+        writeInt(archiveData, 32, clusterPtrPos, 8);
+        writeInt(archiveData, 40, clusterPtrPos, 8);
+        writeInt(archiveData, 48, clusterPtrPos, 8);
+        writeInt(archiveData, 56, 80, 8);
+        archiveData.set(mimeList, 80);
+        var clusterPos = clusterPtrPos + 24;
+        clusters.forEach(function (cluster, i) {
+            writeInt(archiveData, clusterPtrPos + i * 8, clusterPos, 8);
+            archiveData.set(cluster, clusterPos);
+            clusterPos += cluster.length;
+        });
+        writeInt(archiveData, clusterPtrPos + 16, clusterPos, 8);
+        var archiveFile = new Blob([archiveData]);
+        archiveFile.name = 'extended_clusters.zim';
+        var decoder = new TextDecoder();
+        zimfile.fromFileArray([archiveFile]).then(function (file) {
+            return Promise.all([file.blob(0, 0), file.blob(0, 1), file.blob(0, 2), file.blob(1, 1), file.blob(0, 1, true)]);
+        }).then(function (results) {
+            assert.strictEqual(decoder.decode(results[0]), 'Ray', 'The first blob of an extended cluster should be read');
+            assert.strictEqual(decoder.decode(results[1]), 'Charles', 'A blob after the first one should be read from its 64-bit offset');
+            assert.strictEqual(decoder.decode(results[2]), '', 'An empty blob at the end of an extended cluster should be read');
+            assert.strictEqual(decoder.decode(results[3]), 'on my mind', 'A blob of an ordinary cluster should still be read from its 32-bit offset');
+            assert.deepEqual(results[4], { ptr: clusterPtrPos + 24 + 1 + 32 + 3, size: 7 }, 'The position and size of a blob in an extended cluster should be found');
+            done();
+        });
+    });
+
+    QUnit.module('bookmarks');
+    QUnit.test('imported bookmarks are normalized', function (assert) {
+        var bookmark = bookmarks.normalize({ archiveName: 'wikipedia_en_ray_charles', path: 'A/Ray_Charles', folder: ' Music ', tags: [' soul', '', 'jazz '] });
+        assert.strictEqual(bookmark.id, bookmarks.getId('wikipedia_en_ray_charles', 'A/Ray_Charles'), 'The bookmark should be keyed by archive name and path');
+        assert.strictEqual(bookmark.title, 'A/Ray_Charles', 'A bookmark without a title should be titled by its path');
+        assert.strictEqual(bookmark.folder, 'Music', 'The folder should be trimmed');
+        assert.deepEqual(bookmark.tags, ['soul', 'jazz'], 'Tags should be trimmed and empty tags removed');
+        assert.strictEqual(bookmarks.normalize({ path: 'A/Ray_Charles' }), null, 'A bookmark without an archive name should be rejected');
+    });
+    QUnit.test('bookmarks are stored, listed, filtered, exported and imported', function (assert) {
+        var done = assert.async();
+        var archiveName = 'test_bookmarks';
+        // Only the bookmarks of this test, in case the browser has others
+        var listOwn = function () {
+            return bookmarks.list().then(function (list) {
+                return list.filter(function (bookmark) {
+                    return bookmark.archiveName === archiveName;
+                });
+            });
+        };
+        var getTitles = function (list) {
+            return list.map(function (bookmark) {
+                return bookmark.title;
+            });
+        };
+        var exported;
+        Promise.all([
+            bookmarks.save({ archiveName: archiveName, path: 'A/Ray_Charles', title: 'Ray Charles', folder: 'Music', tags: ['soul'] }),
+            bookmarks.save({ archiveName: archiveName, path: 'A/Blues', title: 'Blues', tags: ['jazz'] }),
+            bookmarks.save({ archiveName: archiveName, path: 'A/Georgia', title: 'Georgia on My Mind', folder: 'Music' })
+        ]).then(function () {
+            return bookmarks.save({ path: 'A/Ray_Charles' }).then(function () {
+                assert.ok(false, 'A bookmark without an archive name should not be saved');
+            }, function () {
+                assert.ok(true, 'A bookmark without an archive name should not be saved');
+            });
+        }).then(function () {
+            return bookmarks.get(archiveName, 'A/Ray_Charles');
+        }).then(function (bookmark) {
+            assert.deepEqual([bookmark.title, bookmark.folder, bookmark.tags], ['Ray Charles', 'Music', ['soul']], 'A saved bookmark should be read back');
+            return listOwn();
+        }).then(function (list) {
+            assert.deepEqual(getTitles(list), ['Blues', 'Georgia on My Mind', 'Ray Charles'], 'The bookmarks should be listed by folder, then by title');
+            assert.deepEqual(getTitles(list.filter(function (bookmark) {
+                return bookmarks.matches(bookmark, 'music');
+            })), ['Georgia on My Mind', 'Ray Charles'], 'The bookmarks of a folder should match its name');
+            assert.deepEqual(getTitles(list.filter(function (bookmark) {
+                return bookmarks.matches(bookmark, ' SOUL ');
+            })), ['Ray Charles'], 'A bookmark should match its tags, ignoring case');
+            assert.strictEqual(list.filter(function (bookmark) {
+                return bookmarks.matches(bookmark, '');
+            }).length, 3, 'An empty filter should match every bookmark');
+            return bookmarks.exportJSON();
+        }).then(function (json) {
+            exported = JSON.parse(json);
+            assert.deepEqual(getTitles(exported.bookmarks.filter(function (bookmark) {
+                return bookmark.archiveName === archiveName;
+            })), ['Blues', 'Georgia on My Mind', 'Ray Charles'], 'The bookmarks should be exported');
+            return bookmarks.remove(bookmarks.getId(archiveName, 'A/Blues'));
+        }).then(function () {
+            return bookmarks.get(archiveName, 'A/Blues');
+        }).then(function (bookmark) {
+            assert.strictEqual(bookmark, undefined, 'A removed bookmark should be deleted');
+            // Rename a bookmark, and add an invalid entry, to test that the import merges and skips
+            exported.bookmarks.forEach(function (bookmark) {
+                if (bookmark.path === 'A/Georgia') bookmark.title = 'Georgia';
+            });
+            exported.bookmarks.push({ title: 'No archive' });
+            return bookmarks.importJSON(JSON.stringify(exported));
+        }).then(function (count) {
+            assert.strictEqual(count, exported.bookmarks.length - 1, 'The invalid entry should be skipped');
+            return listOwn();
+        }).then(function (list) {
+            assert.deepEqual(getTitles(list), ['Blues', 'Georgia', 'Ray Charles'], 'The import should restore the removed bookmark and replace the existing ones');
+            return Promise.all(['not JSON', '{"version": 1}'].map(function (json) {
+                return bookmarks.importJSON(json).then(function () {
+                    return false;
+                }, function () {
+                    return true;
+                });
+            }));
+        }).then(function (rejected) {
+            assert.deepEqual(rejected, [true, true], 'Invalid JSON, or JSON without bookmarks, should be rejected');
+        }).catch(function (err) {
+            assert.ok(false, 'The bookmarks could not be stored: ' + err.message);
+        }).then(function () {
+            return Promise.all(['A/Ray_Charles', 'A/Blues', 'A/Georgia'].map(function (path) {
+                return bookmarks.remove(bookmarks.getId(archiveName, path));
+            }));
+        }).then(done);
+    });
+
+    QUnit.module('deep links');
+    QUnit.test('deep links identify the archive and the article', function (assert) {
+        var query = deepLinks.getQuery('wikipedia_en_ray_charles', 'A/Ray_Charles & the Raelettes?.html');
+        assert.strictEqual(query, '?zim=wikipedia_en_ray_charles&path=A/Ray_Charles%20%26%20the%20Raelettes%3F.html',
+            'The path should be encoded, except for its slashes');
+        assert.deepEqual(deepLinks.parse(query, '#Early_life'), {
+            archiveName: 'wikipedia_en_ray_charles',
+            archiveFile: '',
+            path: 'A/Ray_Charles & the Raelettes?.html',
+            anchor: 'Early_life'
+        }, 'A deep link should be read back with its anchor');
+        assert.strictEqual(deepLinks.parse('?contentInjectionMode=jquery&path=A/Paris&zim=wikipedia_fr_all', '').archiveName, 'wikipedia_fr_all',
+            'The parameters of a deep link should be read in any order, among other parameters');
+        assert.strictEqual(deepLinks.parse('?zim=gutenberg_ro_all_2023-08.zim&path=A/Paris', '').archiveFile, 'gutenberg_ro_all_2023-08.zim',
+            'The filename of an archive without a Name should be read as its filename');
+        assert.strictEqual(deepLinks.parse('?zim=wikipedia_fr_all', ''), null, 'A link without a path should not be a deep link');
+        assert.strictEqual(deepLinks.parse('?path=A/Paris', ''), null, 'A link without an archive should not be a deep link');
+    });
+    QUnit.test('the archive of a deep link is found among the picked archives', function (assert) {
+        var filenames = ['wikipedia_en_ray_charles_2015-06.zimaa', 'wikipedia_en_ray_charles_2016-01.zim', 'wikipedia_en_ray_charles_maxi_2024-01.zim',
+            'wikipedia_en_ray_charles_nopic_2023-01.zim', 'wikipedia_en_ray_charles_2016-01.txt', 'gutenberg_ro_all_2023-08.zim'];
+        assert.strictEqual(deepLinks.matchArchiveFilename({ archiveName: 'x', archiveFile: 'gutenberg_ro_all_2023-08.zim' }, filenames),
+            'gutenberg_ro_all_2023-08.zim', 'An archive with the same filename should be found');
+        assert.strictEqual(deepLinks.matchArchiveFilename(deepLinks.parse('?zim=wikipedia_en_ray_charles&path=A/Ray_Charles', ''), filenames),
+            'wikipedia_en_ray_charles_maxi_2024-01.zim', 'The most recent archive with the Name of a link should be found, with its flavour');
+        assert.strictEqual(deepLinks.matchArchiveFilename({ archiveName: 'wikipedia_en_ray_charles' }, filenames.slice(0, 2)),
+            'wikipedia_en_ray_charles_2016-01.zim', 'An archive without a flavour should be found');
+        assert.strictEqual(deepLinks.matchArchiveFilename({ archiveName: 'wikipedia_en_ray_charles' }, filenames.slice(0, 1)),
+            'wikipedia_en_ray_charles_2015-06.zimaa', 'A split archive should be found by its first part');
+        assert.strictEqual(deepLinks.matchArchiveFilename({ archiveName: 'wikipedia_en' }, filenames), null,
+            'An archive whose Name only begins with the Name of the link should not be found');
+    });
+
+    QUnit.module('reading history');
+    QUnit.test('articles are recorded in the history, most recent first', function (assert) {
+        var done = assert.async();
+        var article = function (path, archiveFile) {
+            return { archiveName: 'wikipedia_en_ray_charles', archiveFile: archiveFile || 'wikipedia_en_ray_charles_2015-06.zim', path: path, title: path.replace(/^A\//, '') };
+        };
+        var paths = function (entries) {
+            return entries.map(function (entry) {
+                return entry.path;
+            });
+        };
+        var soulEntry;
+        settingsStore.reset('history').then(function () {
+            return readingHistory.add(article('A/Ray_Charles'));
+        }).then(function () {
+            return readingHistory.add(article('A/Soul_music', 'wikipedia_en_ray_charles_2016-01.zim'));
+        }).then(function (entry) {
+            soulEntry = entry;
+            // Reading the same article again (e.g. on a reload) should not duplicate it
+            return readingHistory.add(article('A/Soul_music', 'wikipedia_en_ray_charles_2016-01.zim'));
+        }).then(function (entry) {
+            assert.ok(entry.id > soulEntry.id, 'Each entry should have a new, increasing key');
+            soulEntry = entry;
+            return readingHistory.list();
+        }).then(function (entries) {
+            assert.deepEqual(paths(entries), ['A/Soul_music', 'A/Ray_Charles'], 'The history should list the most recent article first, without duplicates');
+            assert.strictEqual(entries[1].title, 'Ray_Charles', 'The title of the article should be recorded');
+            return readingHistory.updateScroll(soulEntry.id, 1234.4);
+        }).then(function () {
+            return readingHistory.getLast('wikipedia_en_ray_charles_2016-01.zim');
+        }).then(function (entry) {
+            assert.strictEqual(entry.path, 'A/Soul_music', 'The last article read in an archive should be found');
+            assert.strictEqual(entry.scroll, 1234, 'The scroll position of the article should be recorded');
+            return readingHistory.getLast('wikipedia_en_ray_charles_2015-06.zim');
+        }).then(function (entry) {
+            assert.strictEqual(entry.path, 'A/Ray_Charles', 'The last article of each archive should be found separately');
+            return readingHistory.list(function (entry) {
+                return /ray/i.test(entry.title);
+            });
+        }).then(function (entries) {
+            assert.deepEqual(paths(entries), ['A/Ray_Charles'], 'The history should be filtered');
+            return readingHistory.remove(soulEntry.id);
+        }).then(function () {
+            return readingHistory.list();
+        }).then(function (entries) {
+            assert.deepEqual(paths(entries), ['A/Ray_Charles'], 'An entry should be removed from the history');
+            return settingsStore.reset('history');
+        }).then(function () {
+            return readingHistory.list();
+        }).then(function (entries) {
+            assert.strictEqual(entries.length, 0, 'The history should be cleared');
+        }).catch(function (err) {
+            assert.ok(false, 'The history could not be used: ' + err.message);
+        }).then(done);
+    });
+
+    QUnit.module('collapsed sections');
+    QUnit.test('the collapsed sections of the 100 most recently changed articles are remembered', function (assert) {
+        var done = assert.async();
+        var keys = [];
+        for (var i = 0; i <= 100; i++) keys.push(collapsedSections.getKey('test_collapsed_sections', 'A/Article_' + i));
+        // Stores the given ids for each key in turn, because each change is dated
+        var saveAll = function (ids) {
+            return keys.reduce(function (promise, key) {
+                return promise.then(function () {
+                    return collapsedSections.save(key, ids);
+                });
+            }, Promise.resolve());
+        };
+        assert.strictEqual(keys[0], 'test_collapsed_sections/A/Article_0', 'The key should combine the archive Name and the path');
+        collapsedSections.save(keys[0], ['Early_life', 'Career']).then(function () {
+            return collapsedSections.get(keys[0]);
+        }).then(function (ids) {
+            assert.deepEqual(ids, ['Early_life', 'Career'], 'The collapsed sections of an article should be remembered');
+            return collapsedSections.save(keys[0], []);
+        }).then(function () {
+            return collapsedSections.get(keys[0]);
+        }).then(function (ids) {
+            assert.deepEqual(ids, [], 'An article without collapsed sections should be forgotten');
+            return saveAll(['Career']);
+        }).then(function () {
+            return Promise.all([collapsedSections.get(keys[0]), collapsedSections.get(keys[1]), collapsedSections.get(keys[100])]);
+        }).then(function (results) {
+            assert.deepEqual(results[0], [], 'The least recently changed article should be forgotten beyond 100 articles');
+            assert.deepEqual(results[1], ['Career'], 'The next article should be remembered');
+            assert.deepEqual(results[2], ['Career'], 'The most recently changed article should be remembered');
+            return saveAll([]);
+        }).catch(function (err) {
+            assert.ok(false, 'The collapsed sections could not be stored: ' + err.message);
+        }).then(done);
+    });
+
+    QUnit.module('download manager');
+    QUnit.test('downloads are named after the archive in their URL', function (assert) {
+        assert.strictEqual(downloadManager.getFilename('https://download.kiwix.org/zim/wikipedia/wikipedia_en_ray-charles_maxi_2024-01.zim'),
+            'wikipedia_en_ray-charles_maxi_2024-01.zim', 'The filename should be the last part of the path');
+        assert.strictEqual(downloadManager.getFilename('https://mirror.example.org/zim/my%20archive.zim?download=1#top'),
+            'my archive.zim', 'The query string and hash should be removed and the filename decoded');
+    });
+
+    QUnit.test('an interrupted download is resumed from the end of its file', function (assert) {
+        var done = assert.async();
+        var archive = new Uint8Array(300).map(function (value, i) {
+            return i & 0xff;
+        });
+        // An Origin Private File System in memory, where written data only reach a file when its writer is closed
+        var files = {};
+        var getFileHandle = function (name) {
+            return {
+                getFile: function () {
+                    return Promise.resolve(new Blob([files[name]]));
+                },
+                createWritable: function (options) {
+                    var data = options && options.keepExistingData ? files[name].slice() : new Uint8Array(0);
+                    var position = 0;
+                    return Promise.resolve({
+                        truncate: function (size) {
+                            var truncated = new Uint8Array(size);
+                            truncated.set(data.subarray(0, size));
+                            data = truncated;
+                            return Promise.resolve();
+                        },
+                        seek: function (newPosition) {
+                            position = newPosition;
+                            return Promise.resolve();
+                        },
+                        write: function (chunk) {
+                            if (position + chunk.length > data.length) {
+                                var extended = new Uint8Array(position + chunk.length);
+                                extended.set(data);
+                                data = extended;
+                            }
+                            data.set(chunk, position);
+                            position += chunk.length;
+                            return Promise.resolve();
+                        },
+                        close: function () {
+                            files[name] = data;
+                            return Promise.resolve();
+                        }
+                    });
+                }
+            };
+        };
+        var folder = {
+            getFileHandle: function (name, options) {
+                if (!files[name]) {
+                    if (!options || !options.create) return Promise.reject(new Error('File not found: ' + name));
+                    files[name] = new Uint8Array(0);
+                }
+                return Promise.resolve(getFileHandle(name));
+            },
+            removeEntry: function (name) {
+                delete files[name];
+                return Promise.resolve();
+            }
+        };
+        // A download server that honours Range requests, ignores them, or resumes from the wrong position
+        var ranges = {};
+        var responses = {
+            'resumed.zim': function (begin) {
+                return new Response(archive.slice(begin), { status: 206, headers: { 'Content-Range': 'bytes ' + begin + '-299/300' } });
+            },
+            'restarted.zim': function () {
+                return new Response(archive, { status: 200, headers: { 'Content-Length': '300' } });
+            },
+            'misplaced.zim': function () {
+                return new Response(archive.slice(50), { status: 206, headers: { 'Content-Range': 'bytes 50-299/300' } });
+            }
+        };
+        var originalFetch = window.fetch;
+        var originalGetDirectory = navigator.storage.getDirectory;
+        window.fetch = function (url, options) {
+            var filename = url.replace(/^.*\//, '');
+            // No checksum is published for these archives
+            if (!responses[filename]) return Promise.resolve(new Response('', { status: 404 }));
+            var range = (options.headers.Range || '').match(/^bytes=(\d+)-$/);
+            ranges[filename] = options.headers.Range;
+            return Promise.resolve(responses[filename](range ? Number(range[1]) : 0));
+        };
+        navigator.storage.getDirectory = function () {
+            return Promise.resolve(folder);
+        };
+        var filenames = Object.keys(responses);
+        // Each archive was interrupted after 100 bytes (those of the archive that failed to restart are garbage)
+        filenames.forEach(function (filename) {
+            files[filename] = filename === 'restarted.zim' ? new Uint8Array(100).fill(0xff) : archive.slice(0, 100);
+        });
+        var download = function (filename) {
+            return downloadManager.add('https://download.kiwix.org/zim/test/' + filename, 'opfs').then(function (download) {
+                return downloadManager.whenComplete(download.id);
+            });
+        };
+        var content = function (filename) {
+            return Array.prototype.slice.call(files[filename]);
+        };
+        downloadManager.init().then(function () {
+            return Promise.all(filenames.map(function (filename) {
+                return download(filename).catch(function (err) {
+                    return err;
+                });
+            }));
+        }).then(function (results) {
+            assert.strictEqual(ranges['resumed.zim'], 'bytes=100-', 'The download should be resumed from the end of the file');
+            assert.strictEqual(results[0].status, 'completed', 'The resumed download should be completed');
+            assert.deepEqual(content('resumed.zim'), Array.prototype.slice.call(archive), 'The resumed file should be the whole archive');
+            assert.strictEqual(results[1].size, 300, 'The size of the archive should be read from Content-Length when the server ignores the range');
+            assert.deepEqual(content('restarted.zim'), Array.prototype.slice.call(archive), 'The file should be downloaded again from the start when the server ignores the range');
+            assert.ok(results[2] instanceof Error && /expected position/.test(results[2].message), 'A download resumed from the wrong position should fail');
+            assert.deepEqual(content('misplaced.zim'), Array.prototype.slice.call(archive.slice(0, 100)), 'The data already received should be kept when the download fails');
+        }).catch(function (err) {
+            assert.ok(false, 'The downloads could not be run: ' + err.message);
+        }).then(function () {
+            return Promise.all(filenames.map(function (filename) {
+                return downloadManager.remove(filename, true);
+            }));
+        }).then(function () {
+            window.fetch = originalFetch;
+            navigator.storage.getDirectory = originalGetDirectory;
+            done();
+        });
+    });
+
+    QUnit.module('title index');
+    QUnit.test('blocks of titles are front-coded losslessly', function (assert) {
+        var titles = ['Ray Charles', 'Ray Charles discography', 'Ray Charles Robinson Jr.', 'Raymond', 'São Paulo', ''];
+        var block = titleIndex.encodeBlock(titles);
+        assert.strictEqual(block[1], String.fromCharCode(11) + ' discography', 'A title should only store what differs from the previous title');
+        assert.deepEqual(titleIndex.decodeBlock(block), titles, 'Decoding should restore the titles');
+    });
+    QUnit.test('an index of several blocks finds the titles across blocks', function (assert) {
+        var done = assert.async();
+        // A listing of 10 entries in a namespace before the content, 600 titles, and 5 entries after them
+        var titles = [];
+        for (var i = 0; i < 600; i++) titles.push('Title ' + ('00' + i).slice(-3));
+        var archive = {
+            name: 'synthetic',
+            date: '2024-01',
+            file: {
+                articleCount: 615,
+                dirEntryByTitleIndex: function (index) {
+                    var namespace = index < 10 ? '-' : index < 610 ? 'C' : 'M';
+                    return Promise.resolve({
+                        namespace: namespace,
+                        getTitleOrUrl: function () {
+                            return namespace === 'C' ? titles[index - 10] : 'x';
+                        }
+                    });
+                }
+            },
+            getContentNamespace: function () {
+                return 'C';
+            }
+        };
+        titleIndex.remove(archive).then(function () {
+            return titleIndex.build(archive, function () {}, {});
+        }).then(function () {
+            // Load the index again, to test the stored first titles
+            return titleIndex.load(archive);
+        }).then(function (index) {
+            assert.deepEqual(index.firstTitles, ['Title 000', 'Title 256', 'Title 512'], 'The first title of each block should be stored');
+            return Promise.all([
+                index.findIndicesWithPrefix('Title 2', 1000),
+                index.findIndicesWithPrefix('Title 25', 10),
+                index.findIndicesWithPrefix('Title 5', 1000),
+                index.findIndicesWithPrefix('Title 6', 1000),
+                index.findFirstTitleFrom('Title 2555'),
+                index.findFirstTitleFrom('Z')
+            ]);
+        }).then(function (results) {
+            assert.strictEqual(results[0].indices.length, 100, 'The titles of a prefix should be found across blocks');
+            assert.strictEqual(results[0].indices[0], 210, 'The first title should be at its position in the listing');
+            assert.strictEqual(results[0].nextStart, 310, 'The search should continue at the first title that does not match');
+            assert.deepEqual(results[1].indices, [260, 261, 262, 263, 264, 265, 266, 267, 268, 269], 'The number of titles should be limited');
+            assert.strictEqual(results[1].nextStart, 270, 'The search should continue after the last title found');
+            assert.strictEqual(results[2].nextStart, 610, 'The search should continue at the end of the titles');
+            assert.deepEqual(results[3], { indices: [], nextStart: 610 }, 'A prefix that begins no title should find none');
+            assert.strictEqual(results[4], 'Title 256', 'The first title after a block should be the first title of the next block');
+            assert.strictEqual(results[5], null, 'No title should be found after the last title');
+        }).catch(function (err) {
+            assert.ok(false, 'The index could not be built: ' + err.message);
+        }).then(function () {
+            return titleIndex.remove(archive);
+        }).then(done);
+    });
+    QUnit.test('the index of the test archive finds the same titles as the binary search', function (assert) {
+        var done = assert.async();
+        var prefixes = ['R', 'Ray', 'Ray Charles', 'A', 'The', 'David', 'Zz', 'r', '~'];
+        var findTitles = function (prefix) {
+            return new Promise(function (resolve) {
+                localZimArchive.findDirEntriesWithPrefixCaseSensitive(prefix, { size: 1000, found: 0, scanCount: 0, status: 'init' }, function (result, finished, interim) {
+                    if (!interim) resolve(result);
+                });
+            }).then(function (result) {
+                return result.dirEntries.map(function (dirEntry) {
+                    return dirEntry.getTitleOrUrl();
+                });
+            });
+        };
+        var findAll = function () {
+            return Promise.all(prefixes.map(function (prefix) {
+                return Promise.all([findTitles(prefix), localZimArchive.findFirstTitleFrom(prefix, { status: 'init' })]);
+            }));
+        };
+        var expected;
+        localZimArchive.titleIndex = null;
+        findAll().then(function (results) {
+            expected = results;
+            return titleIndex.build(localZimArchive, function () {}, {});
+        }).then(function (index) {
+            localZimArchive.titleIndex = index;
+            return findAll();
+        }).then(function (results) {
+            assert.ok(expected[0][0].length > 10, 'The prefix R should begin some titles');
+            prefixes.forEach(function (prefix, i) {
+                assert.deepEqual(results[i][0], expected[i][0], 'The titles that begin with "' + prefix + '" should be the same');
+                assert.strictEqual(results[i][1], expected[i][1], 'The first title from "' + prefix + '" should be the same');
+            });
+            return localZimArchive.titleIndex.findIndicesWithPrefix('R', 3);
+        }).then(function (found) {
+            assert.strictEqual(found.nextStart, found.indices[2] + 1, 'The search should continue after the last title found');
+        }).catch(function (err) {
+            assert.ok(false, 'The index could not be compared: ' + err.message);
+        }).then(function () {
+            localZimArchive.titleIndex = null;
+            return titleIndex.remove(localZimArchive);
+        }).then(done);
+    });
+
+    QUnit.module('zip writer');
+    QUnit.test('files are stored in order with their checksums', function (assert) {
+        assert.strictEqual(zipWriter.crc32(new Uint8Array([49, 50, 51, 52, 53, 54, 55, 56, 57])), 0xcbf43926, 'The CRC-32 of "123456789" should be cbf43926');
+        var zip = new zipWriter.ZipWriter();
+        zip.add('mimetype', 'application/epub+zip');
+        zip.add('OEBPS/image.png', new Uint8Array([1, 2, 3]));
+        var data = zip.generate();
+        var view = new DataView(data.buffer);
+        assert.strictEqual(view.getUint32(0, true), 0x04034b50, 'The file should start with a local file header');
+        assert.strictEqual(String.fromCharCode.apply(null, data.subarray(30, 38)), 'mimetype', 'The first file should be the mimetype');
+        assert.strictEqual(String.fromCharCode.apply(null, data.subarray(38, 58)), 'application/epub+zip', 'The mimetype should be stored uncompressed');
+        var end = data.length - 22;
+        assert.strictEqual(view.getUint32(end, true), 0x06054b50, 'The file should end with the end of central directory record');
+        assert.strictEqual(view.getUint16(end + 10, true), 2, 'The central directory should list both files');
+    });
+
+    QUnit.module('EPUB builder');
+    QUnit.test('a book is built from the articles of the archive, with their images and a table of contents', function (assert) {
+        var done = assert.async();
+        assert.timeout(60000);
+        // Reads the files of a zip file, which the book stores uncompressed
+        var readZip = function (data) {
+            var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            var files = {};
+            var names = [];
+            for (var pos = 0; view.getUint32(pos, true) === 0x04034b50;) {
+                var size = view.getUint32(pos + 18, true);
+                var start = pos + 30 + view.getUint16(pos + 26, true) + view.getUint16(pos + 28, true);
+                var name = new TextDecoder().decode(data.subarray(pos + 30, pos + 30 + view.getUint16(pos + 26, true)));
+                names.push(name);
+                files[name] = data.subarray(start, start + size);
+                pos = start + size;
+            }
+            return { names: names, files: files };
+        };
+        var readText = function (zip, name) {
+            return zip.files[name] ? new TextDecoder().decode(zip.files[name]) : '';
+        };
+        // The assets cache of the app is not set up in the tests, so the images are read directly from the archive
+        var assetsCacheSetting = params.assetsCache;
+        params.assetsCache = false;
+        epubBuilder.build([
+            { archive: localZimArchive, path: 'A/Ray_Charles.html', title: 'Ray Charles' },
+            // An image is not an article, so it should be left out of the book
+            { archive: localZimArchive, path: 'I/m/RayCharles_AManAndHisSoul.jpg', title: 'A Man and His Soul' }
+        ], 'Soul').then(function (data) {
+            var zip = readZip(data);
+            assert.strictEqual(zip.names[0], 'mimetype', 'The mimetype should be the first file of the book');
+            assert.ok(/full-path="OEBPS\/content\.opf"/.test(readText(zip, 'META-INF/container.xml')), 'The container should point to the package');
+            var opf = readText(zip, 'OEBPS/content.opf');
+            assert.ok(/<dc:title>Soul<\/dc:title>/.test(opf), 'The package should have the title of the book');
+            assert.ok(/<item id="chapter1" href="chapter1\.xhtml"/.test(opf) && !/chapter2/.test(opf), 'The article, and only the article, should be a chapter');
+            var image = /<item id="image1" href="(images\/image1\.\w+)" media-type="image\//.exec(opf);
+            assert.ok(image && zip.files['OEBPS/' + image[1]], 'The images of the article should be bundled, and listed in the manifest');
+            var chapter = readText(zip, 'OEBPS/chapter1.xhtml');
+            assert.ok(chapter.indexOf('src="' + (image ? image[1] : '-') + '"') > 0, 'The chapter should refer to the bundled image');
+            assert.ok(!/<script/i.test(chapter), 'The chapter should have no scripts');
+            var nav = readText(zip, 'OEBPS/nav.xhtml');
+            assert.ok(/<nav epub:type="toc"/.test(nav) && /<a href="chapter1\.xhtml">Ray Charles<\/a><ol><li><a href="chapter1\.xhtml#/.test(nav),
+                'The table of contents should list the chapter and its sections');
+        }).catch(function (err) {
+            assert.ok(false, 'The book could not be built: ' + err.message);
+        }).then(function () {
+            params.assetsCache = assetsCacheSetting;
+            done();
+        });
+    });
+
+    QUnit.module('OPDS catalog');
+    QUnit.test('a static mirror of the catalog is filtered and paginated', function (assert) {
+        var done = assert.async();
+        var catalogUrl = 'tests/opds/catalog/v2/';
+        Promise.all([
+            opdsCatalog.fetchEntries({}, 1, 1, catalogUrl),
+            opdsCatalog.fetchEntries({ lang: 'eng', maxSize: 1024 * 1024 * 1024 }, 0, 20, catalogUrl),
+            opdsCatalog.fetchEntries({ q: 'science', category: 'ted' }, 0, 20, catalogUrl),
+            opdsCatalog.fetchLanguages(catalogUrl)
+        ]).then(function (results) {
+            assert.strictEqual(results[0].total, 3, 'All the archives of the catalog should be counted');
+            assert.strictEqual(results[0].entries.length, 1, 'Only one page of archives should be returned');
+            var entry = results[0].entries[0];
+            assert.strictEqual(entry.name, 'wikipedia_fr_all', 'The second page should start with the second archive');
+            assert.strictEqual(entry.url, 'https://download.kiwix.org/zim/wikipedia/wikipedia_fr_all_nopic_2024-04.zim', 'The archive should be downloaded directly, not through its Metalink file');
+            assert.strictEqual(entry.size, 15032385536, 'The size of the archive should be read from its download link');
+            assert.ok(/\/catalog\/v2\/illustration\//.test(entry.illustration), 'The illustration should be an absolute URL');
+            assert.deepEqual(results[1].entries.map(function (e) { return e.name; }), ['wikipedia_en_ray-charles', 'ted_mul_science'], 'Archives should be filtered by language and size');
+            assert.strictEqual(results[2].total, 1, 'Archives should be filtered by category and text');
+            assert.deepEqual(results[3].map(function (l) { return l.code; }), ['eng', 'fra'], 'Languages should be sorted by name');
+        }).catch(function (err) {
+            assert.ok(false, 'The catalog could not be read: ' + err.message);
+        }).then(done);
+    });
+
+    QUnit.test('a catalog server filters and paginates the archives itself', function (assert) {
+        var done = assert.async();
+        var requestedUrl;
+        var originalFetch = window.fetch;
+        // A page of a search of a server whose catalog has 41 matching archives
+        window.fetch = function (url) {
+            requestedUrl = url;
+            return Promise.resolve(new Response('<feed xmlns="http://www.w3.org/2005/Atom"><totalResults>41</totalResults>' +
+                '<startIndex>20</startIndex><entry><name>wikipedia_en_ray-charles</name><title>Ray Charles</title>' +
+                '<language>eng</language><link rel="http://opds-spec.org/acquisition/open-access" type="application/x-zim" ' +
+                'href="https://download.kiwix.org/zim/wikipedia/wikipedia_en_ray-charles_maxi_2024-05.zim.meta4" length="4000000"/>' +
+                '</entry></feed>', { status: 200 }));
+        };
+        opdsCatalog.fetchEntries({ lang: 'eng', maxSize: 1024 * 1024 * 1024 }, 20, 20, 'https://library.kiwix.org/catalog/v2/').then(function (result) {
+            var query = new URL(requestedUrl).searchParams;
+            assert.strictEqual(query.get('maxsize'), String(1024 * 1024 * 1024), 'The maximum size should be sent to the server');
+            assert.strictEqual(query.get('lang'), 'eng', 'The language should be sent to the server');
+            assert.strictEqual(query.get('start') + '/' + query.get('count'), '20/20', 'The page should be requested from the server');
+            assert.strictEqual(result.total, 41, 'The total should be the one reported by the server');
+            assert.strictEqual(result.entries.length, 1, 'The archives of the page should be returned as they are');
+        }).catch(function (err) {
+            assert.ok(false, 'The catalog could not be read: ' + err.message);
+        }).then(function () {
+            window.fetch = originalFetch;
+            done();
+        });
+    });
+
+    QUnit.test('the whole catalog is fetched page by page, cached, and cleared with the assets cache', function (assert) {
+        var done = assert.async();
+        var catalogUrl = 'https://library.example.org/catalog/v2/';
+        var names = ['wikipedia_en_ray-charles', 'wikipedia_fr_all', 'ted_mul_science'];
+        var requests = [];
+        var originalFetch = window.fetch;
+        // A server that sends no more than two archives at a time, whatever count is requested
+        window.fetch = function (url) {
+            var query = new URL(url).searchParams;
+            var start = Number(query.get('start'));
+            requests.push(start + '/' + query.get('count'));
+            return Promise.resolve(new Response('<feed xmlns="http://www.w3.org/2005/Atom"><totalResults>3</totalResults>' +
+                '<startIndex>' + start + '</startIndex>' + names.slice(start, start + 2).map(function (name) {
+                return '<entry><name>' + name + '</name><title>' + name + '</title></entry>';
+            }).join('') + '</feed>', { status: 200 }));
+        };
+        var getNames = function (entries) {
+            return entries.map(function (entry) {
+                return entry.name;
+            });
+        };
+        // Waits until the catalog has been requested the given number of times
+        var waitForRequests = function (number) {
+            return new Promise(function (resolve) {
+                var check = function () {
+                    if (requests.length >= number) setTimeout(resolve, 50);
+                    else setTimeout(check, 20);
+                };
+                check();
+            });
+        };
+        var clearCache = function () {
+            return new Promise(function (resolve) {
+                cache.idxDB('clear', resolve);
+            });
+        };
+        clearCache().then(function () {
+            return opdsCatalog.getCatalog(catalogUrl);
+        }).then(function (entries) {
+            assert.deepEqual(requests, ['0/500', '2/500'], 'The catalog should be fetched page by page until all the archives are received');
+            assert.deepEqual(getNames(entries), names, 'All the archives of the catalog should be returned');
+            return opdsCatalog.getCatalog(catalogUrl);
+        }).then(function (entries) {
+            assert.strictEqual(requests.length, 2, 'A recently fetched catalog should be read from the cache');
+            assert.deepEqual(getNames(entries), names, 'The cached catalog should have all the archives');
+            // Make the cached catalog stale
+            return cache.runIdxDBTransaction('kiwix-catalog', 'readwrite', function (store) {
+                store.put({ fetched: 0, entries: entries.slice(0, 1) }, catalogUrl);
+            });
+        }).then(function () {
+            return opdsCatalog.getCatalog(catalogUrl);
+        }).then(function (entries) {
+            assert.deepEqual(getNames(entries), names.slice(0, 1), 'A stale catalog should be used while it is refreshed');
+            return waitForRequests(4);
+        }).then(function () {
+            return opdsCatalog.getCatalog(catalogUrl);
+        }).then(function (entries) {
+            assert.strictEqual(requests.length, 4, 'A stale catalog should be refreshed once in the background');
+            assert.deepEqual(getNames(entries), names, 'The refreshed catalog should be cached');
+            return clearCache();
+        }).then(function () {
+            return opdsCatalog.getCatalog(catalogUrl);
+        }).then(function () {
+            assert.strictEqual(requests.length, 6, 'The catalog should be fetched again once the cache has been cleared');
+            return clearCache();
+        }).catch(function (err) {
+            assert.ok(false, 'The catalog could not be cached: ' + err.message);
+        }).then(function () {
+            window.fetch = originalFetch;
+            done();
+        });
+    });
+
+    QUnit.test('newer versions of archives are found in the catalog', function (assert) {
+        var entries = [
+            { name: 'wikipedia_en_ray-charles', url: 'https://download.kiwix.org/zim/wikipedia/wikipedia_en_ray-charles_maxi_2024-05.zim', updated: '2024-05-01T00:00:00Z' },
+            { name: 'wikipedia_en_ray-charles', url: 'https://download.kiwix.org/zim/wikipedia/wikipedia_en_ray-charles_nopic_2024-06.zim', updated: '2024-06-01T00:00:00Z' }
+        ];
+        var update = opdsCatalog.findUpdate({ filename: 'wikipedia_en_ray-charles_maxi_2024-01.zimaa', name: '', date: '' }, entries);
+        assert.strictEqual(update && update.updated, '2024-05-01T00:00:00Z', 'The newer version with the same flavour should be found from the filename');
+        assert.strictEqual(opdsCatalog.findUpdate({ filename: 'wikipedia_en_ray-charles_maxi_2024-05.zim', name: '', date: '' }, entries), null, 'An up-to-date archive should not be flagged');
+        update = opdsCatalog.findUpdate({ filename: 'ray_charles.zim', name: 'wikipedia_en_ray-charles', date: '2024-05-15' }, entries);
+        assert.strictEqual(update && update.updated, '2024-06-01T00:00:00Z', 'A renamed archive should be matched by its Name and Date metadata');
+    });
+
+    QUnit.module('article export');
+    QUnit.test('an exported article has no scripts and its images are inlined from the archive', function (assert) {
+        var done = assert.async();
+        var doc = document.implementation.createHTMLDocument('Ray Charles');
+        doc.head.innerHTML = '<script src="../-/j/head.js"></script>';
+        // In jQuery mode, the ZIM URL of an image is kept in data-kiwixurl
+        doc.body.innerHTML = '<h1>Ray Charles</h1><script>alert("Ray Charles")</script>' +
+            '<img id="cover" src="" data-kiwixurl="I/m/RayCharles_AManAndHisSoul.jpg" srcset="../I/m/RayCharles_AManAndHisSoul.jpg 2x">';
+        // The assets cache of the app is not set up in the tests, so the assets are read directly from the archive
+        var assetsCacheSetting = params.assetsCache;
+        params.assetsCache = false;
+        articleExport.exportArticle(doc, localZimArchive, 'A/Ray_Charles.html', function () {
+            return null;
+        }).then(function (html) {
+            var exported = new DOMParser().parseFromString(html, 'text/html');
+            assert.ok(/^<!DOCTYPE html>/.test(html), 'The export should be a complete HTML document');
+            assert.strictEqual(exported.getElementsByTagName('script').length, 0, 'The scripts should be removed');
+            var img = exported.getElementById('cover');
+            assert.ok(/^data:image\/jpeg;base64,\/9j\//.test(img.getAttribute('src')), 'The image should be inlined as a JPEG data: URI');
+            assert.ok(!img.hasAttribute('data-kiwixurl') && !img.hasAttribute('srcset'), 'The references to the archive should be removed');
+            assert.ok(exported.querySelector('meta[charset]'), 'The encoding should be declared');
+            assert.strictEqual(doc.getElementsByTagName('script').length, 2, 'The displayed article should not be changed');
+        }).catch(function (err) {
+            assert.ok(false, 'The article could not be exported: ' + err.message);
+        }).then(function () {
+            params.assetsCache = assetsCacheSetting;
+            done();
+        });
+    });
+
+    QUnit.module('table of contents');
+    QUnit.test('headings are nested by level and their sections can be collapsed', function (assert) {
+        var doc = document.implementation.createHTMLDocument('test');
+        doc.body.innerHTML = '<h1 id="a">A</h1><p>Intro</p><h2 id="b">B</h2><p id="pb">Text of B</p><h3 id="c">C</h3>' +
+            '<p>Text of C</p><h2 id="d">D</h2><details><summary><h2 id="e">E</h2></summary><p>Text of E</p></details>';
+        var toc = new uiUtil.TOC(doc);
+        var tree = toc.getHeadingTree();
+        assert.deepEqual(tree.map(function (heading) { return heading.id; }), ['a'], 'There should be one top-level heading');
+        assert.deepEqual(tree[0].children.map(function (heading) { return heading.id; }), ['b', 'd', 'e'], 'The h2 headings should be nested under the h1 heading');
+        assert.strictEqual(tree[0].children[0].children[0].id, 'c', 'The h3 heading should be nested under its h2 heading');
+        toc.setSectionCollapsed(1, true);
+        assert.strictEqual(doc.getElementById('pb').style.display, 'none', 'The text of a collapsed section should be hidden');
+        assert.strictEqual(doc.getElementById('c').style.display, 'none', 'The subsections of a collapsed section should be hidden');
+        assert.notStrictEqual(doc.getElementById('d').style.display, 'none', 'The next section should not be hidden');
+        toc.setSectionCollapsed(1, false);
+        assert.strictEqual(doc.getElementById('pb').style.display, '', 'Expanding the section should show its text again');
+        doc.querySelector('details').open = true;
+        toc.setSectionCollapsed(4, true);
+        assert.notOk(doc.querySelector('details').open, 'A section in a details element should be closed');
+    });
+
+    QUnit.module('find in page');
+    QUnit.test('matches are highlighted, stepped through and cleared', function (assert) {
+        var doc = document.implementation.createHTMLDocument('test');
+        doc.body.innerHTML = '<p>Ray Charles was born in Albany.</p><p>Charles <b>played</b> piano; RAY sang.</p><script>var ray;</script>';
+        var originalHtml = doc.body.innerHTML;
+        var finder = new uiUtil.FindInPage(doc);
+        assert.strictEqual(finder.search('ray'), 2, 'The search should be case-insensitive and ignore scripts');
+        assert.strictEqual(doc.querySelectorAll('mark.kiwix-find-match').length, 2, 'Every match should be highlighted');
+        assert.strictEqual(finder.current, 0, 'The first match should be selected');
+        assert.strictEqual(finder.step(1), 1, 'Stepping forward should select the next match');
+        assert.strictEqual(finder.step(1), 0, 'Stepping past the last match should wrap around to the first');
+        assert.strictEqual(finder.step(-1), 1, 'Stepping back from the first match should wrap around to the last');
+        finder.clear();
+        assert.strictEqual(doc.body.innerHTML, originalHtml, 'Clearing the search should restore the original article');
+    });
+    QUnit.test('matches are highlighted next to characters whose lower case is longer', function (assert) {
+        var doc = document.implementation.createHTMLDocument('test');
+        // 'İ'.toLowerCase() has two code units
+        doc.body.innerHTML = '<p>İstanbul and İzmir, not Istanbul</p>';
+        var originalHtml = doc.body.innerHTML;
+        var finder = new uiUtil.FindInPage(doc);
+        assert.strictEqual(finder.search('stanbul'), 2, 'The matches should be found after the character');
+        assert.deepEqual(Array.prototype.map.call(doc.querySelectorAll('mark'), function (mark) {
+            return mark.textContent;
+        }), ['stanbul', 'stanbul'], 'The matches should be highlighted, and not the text next to them');
+        assert.strictEqual(finder.search('İzmir'), 1, 'A query with the character should be found');
+        assert.strictEqual(doc.querySelector('mark').textContent, 'İzmir', 'The whole character should be highlighted');
+        finder.clear();
+        assert.strictEqual(doc.body.innerHTML, originalHtml, 'Clearing the search should restore the original article');
+    });
+
     QUnit.module('ZIM metadata');
     QUnit.test('read ZIM language', function (assert) {
         var done = assert.async();
@@ -163,6 +1487,19 @@ var runTests = function () {
         };
         localZimArchive.getMetadata('zzz', callbackFunction);
     });
+    QUnit.test('list all the metadata keys', function (assert) {
+        var done = assert.async();
+        localZimArchive.listMetadataKeys().then(function (keys) {
+            assert.deepEqual(keys, ['Counter', 'Creator', 'Date', 'Description', 'Language', 'Publisher', 'Title'], 'All the entries in the M/ namespace should be listed');
+            done();
+        });
+    });
+    QUnit.test('count articles and media from the Counter metadata', function (assert) {
+        var counts = localZimArchive.getCounts('text/html=120;text/html;raw=true=3;image/png=40;image/jpeg=2;text/css=1');
+        assert.strictEqual(counts.articles, 123, 'HTML entries (with or without parameters) should be counted as articles');
+        assert.strictEqual(counts.media, 42, 'Images should be counted as media');
+        assert.strictEqual(counts.mimetypes['text/html;raw=true'], 3, 'A mimetype with parameters should be parsed whole');
+    });
 
     QUnit.module('zim_direntry_search_and_read');
     QUnit.test("check DirEntry.fromStringId 'A Fool for You'", function (assert) {
@@ -179,6 +1516,45 @@ var runTests = function () {
         };
         localZimArchive.readUtf8File(aFoolForYouDirEntry, callbackFunction);
     });
+    QUnit.test('spellings with or without diacritics of a prefix are found in the archive', function (assert) {
+        var done = assert.async();
+        var search = { status: 'init' };
+        var lookups = 0;
+        var findFirstTitleFrom = localZimArchive.findFirstTitleFrom;
+        // Count the binary searches of the title listing
+        localZimArchive.findFirstTitleFrom = function () {
+            lookups++;
+            return findFirstTitleFrom.apply(this, arguments);
+        };
+        var ignoreAccentsInSearch = params.ignoreAccentsInSearch;
+        Promise.all([
+            localZimArchive.findDiacriticVariantsOfPrefix('Rây Ch', search),
+            localZimArchive.findDiacriticVariantsOfPrefix('Ray Ch', search),
+            localZimArchive.findDiacriticVariantsOfPrefix('Xyzzy', search)
+        ]).then(function (results) {
+            assert.deepEqual(results[0], ['Ray Ch'], 'The spelling without diacritics should be found');
+            assert.deepEqual(results[1], ['Ray Ch'], 'The prefix itself should be found');
+            assert.deepEqual(results[2], [], 'A prefix that begins no title should have no spellings');
+            lookups = 0;
+            return localZimArchive.findDiacriticVariantsOfPrefix('Aeiouaeiouaeiouaeiouaeiou', search);
+        }).then(function () {
+            assert.ok(lookups <= 20, 'The number of lookups should be capped (' + lookups + ' lookups)');
+            params.ignoreAccentsInSearch = true;
+            return new Promise(function (resolve) {
+                localZimArchive.findDirEntriesWithPrefix({ prefix: 'Rây Charles', size: 5, status: 'init' }, resolve, true);
+            });
+        }).then(function (dirEntries) {
+            assert.ok(dirEntries.some(function (dirEntry) {
+                return dirEntry.getTitleOrUrl() === 'Ray Charles';
+            }), 'A title search with diacritics should find the title without them');
+        }).catch(function (err) {
+            assert.ok(false, 'The spellings could not be searched: ' + err.message);
+        }).then(function () {
+            localZimArchive.findFirstTitleFrom = findFirstTitleFrom;
+            params.ignoreAccentsInSearch = ignoreAccentsInSearch;
+            done();
+        });
+    });
     QUnit.test("check findDirEntriesWithPrefix 'A'", function (assert) {
         var done = assert.async();
         assert.expect(2);
@@ -212,6 +1588,71 @@ var runTests = function () {
         };
         localZimArchive.findDirEntriesWithPrefix({ prefix: 'blues brothers', size: 5 }, callbackFunction, true);
     });
+    QUnit.test('check parsing of search filters', function (assert) {
+        assert.strictEqual(searchQuery.parse('Ray Charles'), null, 'A query without filters should be an ordinary title search');
+        var filters = searchQuery.parse('flag ns:I path:m/ MIME:image/PNG redirects:no');
+        assert.deepEqual(filters, { text: 'flag', mime: 'image/png', path: 'm/', ns: 'I', redirects: false }, 'All the filters should be parsed');
+        assert.strictEqual(searchQuery.parse('ns:i').ns, 'I', 'The namespace should be upper case');
+    });
+    QUnit.test('a path filter without a namespace only reads the range of the path in each namespace', function (assert) {
+        var done = assert.async();
+        var file = localZimArchive.file;
+        var findWithFilters = function (query) {
+            var search = { size: 1000, scanCount: 0, status: 'init' };
+            return new Promise(function (resolve) {
+                localZimArchive.findDirEntriesWithFilters(searchQuery.parse(query), search, function (dirEntries) {
+                    var urls = dirEntries.map(function (dirEntry) {
+                        return dirEntry.namespace + '/' + dirEntry.url;
+                    });
+                    resolve({ urls: urls, search: search });
+                }, true);
+            });
+        };
+        // Read the whole URL-ordered index, for comparison
+        var indices = [];
+        for (var i = 0; i < file.entryCount; i++) indices.push(i);
+        var allDirEntries;
+        Promise.all(indices.map(function (i) {
+            return file.dirEntryByUrlIndex(i);
+        })).then(function (dirEntries) {
+            allDirEntries = dirEntries;
+            return Promise.all([findWithFilters('path:R'), findWithFilters('path:m/Flag_of_A mime:image/png'), findWithFilters('ns:i path:m/Flag_of_A')]);
+        }).then(function (results) {
+            var expected = allDirEntries.filter(function (dirEntry) {
+                return dirEntry.url.indexOf('R') === 0;
+            }).map(function (dirEntry) {
+                return dirEntry.namespace + '/' + dirEntry.url;
+            });
+            assert.ok(expected.length > 1, 'Some paths should begin with R');
+            assert.deepEqual(results[0].urls, expected, 'The entries whose path begins with R should be found in every namespace');
+            assert.strictEqual(results[0].search.scanCount, expected.length, 'Only the entries whose path begins with R should be read');
+            assert.strictEqual(results[0].search.progress, 1, 'The progress should reach the end of the ranges');
+            assert.deepEqual(results[1].urls, ['I/m/Flag_of_Argentina.svg.png', 'I/m/Flag_of_Australia.svg.png', 'I/m/Flag_of_Austria.svg.png'], 'The three PNG flags should be found');
+            assert.ok(results[1].search.scanCount < file.entryCount / 10, 'The index should not be read in full (' + results[1].search.scanCount + ' entries read)');
+            assert.deepEqual(results[2].urls, results[1].urls, 'A namespace in lower case should be found');
+        }).catch(function (err) {
+            assert.ok(false, 'The filters could not be searched: ' + err.message);
+        }).then(done);
+    });
+    QUnit.test("check findDirEntriesWithPrefix with filters 'ns:I path:m/Flag_of_A mime:image/png'", function (assert) {
+        var done = assert.async();
+        var callbackFunction = function (dirEntryList) {
+            assert.deepEqual(dirEntryList.map(function (dirEntry) {
+                return dirEntry.url;
+            }), ['m/Flag_of_Argentina.svg.png', 'm/Flag_of_Australia.svg.png', 'm/Flag_of_Austria.svg.png'], 'The three PNG flags should be found');
+            assert.ok(dirEntryList[0].isFilterResult, 'Results should be marked as results of a search with filters');
+            done();
+        };
+        localZimArchive.findDirEntriesWithPrefix({ prefix: 'ns:I path:m/Flag_of_A mime:image/png', size: 5 }, callbackFunction, true);
+    });
+    QUnit.test("check findDirEntriesWithPrefix with filter 'mime:application/ogg'", function (assert) {
+        var done = assert.async();
+        var callbackFunction = function (dirEntryList) {
+            assert.ok(dirEntryList.length === 1 && dirEntryList[0].url === 'm/Beatles_eleanor_rigby.ogg', 'The only audio file should be found');
+            done();
+        };
+        localZimArchive.findDirEntriesWithPrefix({ prefix: 'mime:application/ogg', size: 5 }, callbackFunction, true);
+    });
     QUnit.test("article '(The Night Time Is) The Right Time' correctly redirects to 'Night Time Is the Right Time'", function (assert) {
         var done = assert.async();
         assert.expect(6);
@@ -308,6 +1749,24 @@ var runTests = function () {
             }
         });
     });
+    QUnit.test("A range of bytes of image 'm/RayCharles_AManAndHisSoul.jpg' can be read", function (assert) {
+        var done = assert.async();
+        assert.expect(6);
+        localZimArchive.getDirEntryByPath('I/m/RayCharles_AManAndHisSoul.jpg').then(function (dirEntry) {
+            return Promise.all([dirEntry.readData(), dirEntry.readDataRange(2, 10), dirEntry.readDataRange(4900, 6000),
+                dirEntry.readDataRange(6000, 7000)]);
+        }).then(function (results) {
+            var data = results[0];
+            assert.equal(results[1].size, 4951, 'The size of the whole image is reported');
+            assert.equal(results[1].data.toString(), data.slice(2, 10).toString(), 'The requested range is read');
+            assert.equal(results[2].end, 4951, 'A range beyond the end of the image is truncated');
+            assert.equal(results[2].data.length, 51, 'Only the bytes up to the end of the image are read');
+            // The ServiceWorker answers such a range with 416 (Range Not Satisfiable)
+            assert.deepEqual([results[3].begin, results[3].end, results[3].size], [4951, 4951, 4951], 'A range that starts after the end of the image is empty');
+            assert.equal(results[3].data.length, 0, 'No bytes are read for a range that starts after the end of the image');
+            done();
+        });
+    });
     QUnit.test("Stylesheet '-/s/style.css' can be loaded", function (assert) {
         var done = assert.async();
 
@@ -369,6 +1828,19 @@ var runTests = function () {
             }
         });
     });
+    QUnit.test("A snippet of full-text search result 'A/Ray_Charles.html' can be read", function (assert) {
+        var done = assert.async();
+        localZimArchive.getDirEntryByPath('A/Ray_Charles.html').then(function (dirEntry) {
+            return localZimArchive.getSearchResultSnippet(dirEntry, 'genius');
+        }).then(function (details) {
+            assert.ok(/<b>genius<\/b>/i.test(details.snippet), 'The search term should be highlighted in the snippet');
+            assert.ok(details.snippet.length < 300, 'The snippet should be short');
+            assert.notOk(/<(?!\/?b>)/.test(details.snippet), 'The snippet should not contain any other HTML tags');
+            assert.ok(details.wordCount > 1000, 'The words of the article should be counted');
+        }).catch(function (err) {
+            assert.ok(false, 'The snippet could not be read: ' + err.message);
+        }).then(done);
+    });
 
     QUnit.module('zim_random_and_main_article');
     QUnit.test('check that a random article is found', function (assert) {
@@ -30,6 +30,18 @@
 // import bootstrap from '../css/bootstrap.min.css' assert { type: "css" };
 import '../../node_modules/@fortawesome/fontawesome-free/js/all.js';
 import zimArchiveLoader from './lib/zimArchiveLoader.js';
+import archiveRegistry from './lib/archiveRegistry.js';
+import articleExport from './lib/articleExport.js';
+import bookmarks from './lib/bookmarks.js';
+import cache from './lib/cache.js';
+import collapsedSections from './lib/collapsedSections.js';
+import deepLinks from './lib/deepLinks.js';
+import downloadManager from './lib/downloadManager.js';
+import epubBuilder from './lib/epubBuilder.js';
+import opdsCatalog from './lib/opdsCatalog.js';
+import readingHistory from './lib/readingHistory.js';
+import searchCoordinator from './lib/searchCoordinator.js';
+import titleIndex from './lib/titleIndex.js';
 import uiUtil from './lib/uiUtil.js';
 import settingsStore from './lib/settingsStore.js';
 import abstractFilesystemAccess from './lib/abstractFilesystemAccess.js';
@@ -129,21 +141,12 @@ darkPreference.onchange = function () {
  */
 function resizeIFrame () {
     const headerStyles = getComputedStyle(document.getElementById('top'));
-    const library = document.getElementById('library');
-    const libraryContent = document.getElementById('libraryContent');
     const liHomeNav = document.getElementById('liHomeNav');
-    const nestedFrame = libraryContent.contentWindow.document.getElementById('libraryIframe');
     // There is a race condition with the slide animations, so we have to wait more than 300ms
     setTimeout(function () {
         uiUtil.showSlidingUIElements();
-        if (library.style.display !== 'none') {
-            // We are in Library, so we set the height of the library iframes to the window height minus the header height
-            const headerHeight = parseFloat(headerStyles.height) + parseFloat(headerStyles.marginBottom);
-            libraryContent.style.height = window.innerHeight + 'px';
-            nestedFrame.style.height = window.innerHeight - headerHeight + 'px';
-            region.style.overflowY = 'hidden';
-        } else if (!liHomeNav.classList.contains('active')) {
-            // We are not in Home, so we reset the region height
+        if (!liHomeNav.classList.contains('active')) {
+            // We are not in Home (e.g. in Library, Configure or About), so we reset the region height
             region.style.height = 'auto';
             region.style.overflowY = 'auto';
         } else {
@@ -182,6 +185,7 @@ document.addEventListener('DOMContentLoaded', function () {
     getDefaultLanguageAndTranslateApp();
     resizeIFrame();
     abstractFilesystemAccess.loadPreviousZimFile();
+    initDownloads();
 });
 window.addEventListener('resize', resizeIFrame);
 
@@ -280,29 +284,48 @@ prefixElement.addEventListener('keydown', function (e) {
         e.preventDefault();
         e.stopPropagation();
         document.getElementById('articleListWithHeader').style.display = 'none';
+        prefixElement.setAttribute('aria-expanded', 'false');
         document.getElementById('articleContent').focus();
         keyPressHandled = true;
     }
+    // Tab completes the search string with the highlighted (or top) suggestion, unless it is already complete
+    if (e.key === 'Tab' && !e.shiftKey) {
+        var suggestion = getSearchSuggestion();
+        if (suggestion && suggestion !== prefixElement.value) {
+            e.preventDefault();
+            keyPressHandled = true;
+            prefixElement.value = suggestion;
+            document.getElementById('searchArticles').click();
+        }
+        return;
+    }
+    // If user presses Enter, open the highlighted suggestion, or else the first hit of the search
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        e.stopPropagation();
+        keyPressHandled = true;
+        var highlighted = document.querySelector('#articleList .hover');
+        if (!highlighted) {
+            openFirstSearchHit();
+        } else if (highlighted.hasAttribute('dirEntryId')) {
+            launchArticleFromListItem(highlighted);
+        } else {
+            // Recent searches, and the actions at the end of the list, respond to mousedown (see populateListOfArticles)
+            highlighted.dispatchEvent(new MouseEvent('mousedown', { cancelable: true }));
+        }
+        return;
+    }
     // Arrow-key selection code adapted from https://stackoverflow.com/a/14747926/9727685
     // IE11 produces "Down" instead of "ArrowDown" and "Up" instead of "ArrowUp"
-    if (/^((Arrow)?Down|(Arrow)?Up|Enter)$/.test(e.key)) {
-        // User pressed Down arrow or Up arrow or Enter
+    if (/^((Arrow)?Down|(Arrow)?Up)$/.test(e.key)) {
+        // User pressed Down arrow or Up arrow
         e.preventDefault();
         e.stopPropagation();
         // This is needed to prevent processing in the keyup event : https://stackoverflow.com/questions/9951274
         keyPressHandled = true;
         var activeElement = document.querySelector('#articleList .hover') || document.querySelector('#articleList a');
         if (!activeElement) return;
-        // If user presses Enter, read the dirEntry
-        if (/Enter/.test(e.key)) {
-            if (activeElement.classList.contains('hover')) {
-                var dirEntryId = activeElement.getAttribute('dirEntryId');
-                findDirEntryFromDirEntryIdAndLaunchArticleRead(decodeURIComponent(dirEntryId));
-                return;
-            }
-        }
         // If user presses ArrowDown...
-        // (NB selection is limited to five possibilities by regex above)
         if (/Down/.test(e.key)) {
             if (activeElement.classList.contains('hover')) {
                 activeElement.classList.remove('hover');
@@ -320,6 +343,7 @@ prefixElement.addEventListener('keydown', function (e) {
             if (previousElement === activeElement) document.getElementById('top').scrollIntoView();
         }
         activeElement.classList.add('hover');
+        setActiveSearchOption(activeElement);
     }
 });
 // Search for titles as user types characters
@@ -329,13 +353,18 @@ prefixElement.addEventListener('keyup', function (e) {
         if (keyPressHandled) { keyPressHandled = false; } else { onKeyUpPrefix(e); }
     }
 });
-// Restore the search results if user goes back into prefix field
+// Restore the search results if user goes back into prefix field, or show the recent searches if the field is empty
 prefixElement.addEventListener('focus', function () {
-    if (document.getElementById('prefix').value !== '') {
-        region.style.overflowY = 'auto';
-        const footerHeight = document.getElementById('footer').getBoundingClientRect().height;
-        region.style.height = window.innerHeight - footerHeight + 'px';
+    var empty = document.getElementById('prefix').value === '';
+    if (empty && !getRecentSearches().length) return;
+    region.style.overflowY = 'auto';
+    const footerHeight = document.getElementById('footer').getBoundingClientRect().height;
+    region.style.height = window.innerHeight - footerHeight + 'px';
+    if (empty) {
+        showRecentSearches();
+    } else {
         document.getElementById('articleListWithHeader').style.display = '';
+        prefixElement.setAttribute('aria-expanded', 'true');
     }
 });
 // Hide the search results if user moves out of prefix field
@@ -346,6 +375,7 @@ prefixElement.addEventListener('blur', function () {
         region.style.height = 'auto';
         uiUtil.spinnerDisplay(false);
         document.getElementById('articleListWithHeader').style.display = 'none';
+        prefixElement.setAttribute('aria-expanded', 'false');
     }
 });
 document.getElementById('btnRandomArticle').addEventListener('click', function (event) {
@@ -407,7 +437,14 @@ document.getElementById('btnHome').addEventListener('click', function (event) {
     while (articleContentDoc.firstChild) articleContentDoc.removeChild(articleContentDoc.firstChild);
     if (selectedArchive !== null && selectedArchive.isReady()) {
         document.getElementById('welcomeText').style.display = 'none';
-        goToMainArticle();
+        // If an article was requested before the archive was (re)opened (e.g. from a bookmark or a deep link), show it instead
+        // of the main page (its scroll position or anchor is restored by recordArticleInHistory once it has loaded)
+        if (appstate.pendingArticle && isArchiveOfArticle(selectedArchive, appstate.pendingArticle)) {
+            goToArticle(appstate.pendingArticle.path);
+        } else {
+            appstate.pendingArticle = null;
+            goToMainArticle();
+        }
     }
     // Use a timeout of 400ms because uiUtil.applyAnimationToSection uses a timeout of 300ms
     setTimeout(resizeIFrame, 400);
@@ -425,6 +462,7 @@ document.getElementById('btnConfigure').addEventListener('click', function (even
     refreshAPIStatus();
     refreshCacheStatus();
     uiUtil.checkUpdateStatus(appstate);
+    checkForArchiveUpdates();
     // Use a timeout of 400ms because uiUtil.applyAnimationToSection uses a timeout of 300ms
     setTimeout(resizeIFrame, 400);
 });
@@ -573,6 +611,10 @@ document.getElementById('reopenLastArchiveCheck').addEventListener('change', fun
     params.reopenLastArchive = e.target.checked;
     settingsStore.setItem('reopenLastArchive', params.reopenLastArchive, Infinity);
 });
+document.getElementById('restoreLastArticleCheck').addEventListener('change', function (e) {
+    params.restoreLastArticle = e.target.checked;
+    settingsStore.setItem('restoreLastArticle', params.restoreLastArticle, Infinity);
+});
 document.getElementById('appThemeSelect').addEventListener('change', function (e) {
     params.appTheme = e.target.value;
     settingsStore.setItem('appTheme', params.appTheme, Infinity);
@@ -605,6 +647,14 @@ document.getElementById('titleSearchRange').addEventListener('change', function
 document.getElementById('titleSearchRange').addEventListener('input', function (e) {
     titleSearchRangeVal.textContent = e.target.value;
 });
+document.getElementById('ignoreAccentsInSearchCheck').addEventListener('change', function (e) {
+    params.ignoreAccentsInSearch = e.target.checked;
+    settingsStore.setItem('ignoreAccentsInSearch', params.ignoreAccentsInSearch, Infinity);
+});
+document.getElementById('titleSearchModeSelect').addEventListener('change', function (e) {
+    params.titleSearchMode = e.target.value;
+    settingsStore.setItem('titleSearchMode', params.titleSearchMode, Infinity);
+});
 // Add event listeners to the About links in Configuration, so that they jump to the linked sections
 document.querySelectorAll('.aboutLinks').forEach(function (link) {
     link.addEventListener('click', function () {
@@ -651,7 +701,8 @@ async function verifyLoadedArchive (archive) {
         name: translateUI.t('dialog-metadata-name') || 'Name: ',
         creator: translateUI.t('dialog-metadata-creator') || 'Creator: ',
         publisher: translateUI.t('dialog-metadata-publisher') || 'Publisher: ',
-        scraper: translateUI.t('dialog-metadata-scraper') || 'Scraper: '
+        scraper: translateUI.t('dialog-metadata-scraper') || 'Scraper: ',
+        integrity: translateUI.t('dialog-metadata-integrity') || 'Integrity: '
     }
 
     const verificationBody = document.createElement('div');
@@ -683,11 +734,28 @@ async function verifyLoadedArchive (archive) {
     verifyScraper.classList.add('archive-metadata');
     verifyScraper.innerText = metadataLabels.scraper + (archive.scraper || '-');
 
+    // The verification itself is started by a delegated click listener (see verifyArchiveIntegrity), because the dialog
+    // is rendered from the HTML of these elements
+    const verifyIntegrity = document.createElement('p');
+    verifyIntegrity.id = 'confirm-archive-integrity';
+    verifyIntegrity.classList.add('archive-metadata');
+    verifyIntegrity.innerText = metadataLabels.integrity;
+    const verifyIntegrityStatus = document.createElement('span');
+    verifyIntegrityStatus.id = 'confirm-archive-integrity-status';
+    verifyIntegrityStatus.innerText = translateUI.t('dialog-metadata-integrity-unchecked') || 'Not verified';
+    const verifyIntegrityButton = document.createElement('button');
+    verifyIntegrityButton.id = 'verifyArchiveButton';
+    verifyIntegrityButton.type = 'button';
+    verifyIntegrityButton.className = 'btn btn-outline-secondary btn-sm';
+    verifyIntegrityButton.dataset.archive = archiveRegistry.getKey(archive);
+    verifyIntegrityButton.innerText = translateUI.t('dialog-metadata-integrity-verify') || 'Verify archive';
+    verifyIntegrity.append(verifyIntegrityStatus, verifyIntegrityButton);
+
     const verifyWarning = document.createElement('p');
     verifyWarning.id = 'modal-archive-metadata-warning';
     verifyWarning.innerHTML = translateUI.t('dialog-metadata-warning') || 'Warning: above data can be spoofed!';
 
-    metadataBox.append(verifyName, verifyCreator, verifyPublisher, verifyScraper);
+    metadataBox.append(verifyName, verifyCreator, verifyPublisher, verifyScraper, verifyIntegrity);
     verificationBody.append(verificationText, metadataBox, verifyWarning);
 
     const response = await uiUtil.systemAlert(
@@ -715,6 +783,47 @@ async function verifyLoadedArchive (archive) {
         document.getElementById('jqueryModeRadio').checked = true;
     }
 }
+
+/**
+ * Verifies the integrity of an archive against its embedded MD5 checksum, reporting progress and the result in the
+ * verifyLoadedArchive dialog. The verification is abandoned if the dialog is closed.
+ * @param {ZIMArchive} archive The archive to verify
+ */
+function verifyArchiveIntegrity (archive) {
+    const alertModal = document.getElementById('alertModal');
+    const setStatus = function (text, className) {
+        const status = document.getElementById('confirm-archive-integrity-status');
+        if (!status) return false;
+        status.innerText = text;
+        status.className = className || '';
+        return alertModal.style.display !== 'none';
+    };
+    document.getElementById('verifyArchiveButton').disabled = true;
+    archive.verifyChecksum(function (progress) {
+        return setStatus((translateUI.t('dialog-metadata-integrity-progress') || 'Verifying...') + ' ' + Math.floor(progress * 100) + '%');
+    }).then(function (result) {
+        if (result.cancelled) return;
+        if (!result.hasChecksum) {
+            setStatus(translateUI.t('dialog-metadata-integrity-none') || 'This archive has no checksum');
+        } else if (result.valid) {
+            setStatus(translateUI.t('dialog-metadata-integrity-pass') || 'Passed', 'integrity-pass');
+        } else {
+            console.warn('Archive checksum mismatch: expected ' + result.expected + ' but calculated ' + result.checksum);
+            setStatus(translateUI.t('dialog-metadata-integrity-fail') || 'Failed: the archive is corrupt', 'integrity-fail');
+        }
+    }).catch(function (err) {
+        console.error('Unable to verify the archive', err);
+        setStatus(translateUI.t('dialog-metadata-integrity-error') || 'Unable to verify the archive', 'integrity-fail');
+    });
+}
+
+// The "Verify archive" button is rendered in the alert dialog by verifyLoadedArchive
+document.getElementById('modalText').addEventListener('click', function (event) {
+    if (event.target.id !== 'verifyArchiveButton') return;
+    const archive = archiveRegistry.get(event.target.dataset.archive);
+    if (archive) verifyArchiveIntegrity(archive);
+});
+
 // switch on/off the feature to use Home Key to focus search bar
 function switchHomeKeyToFocusSearchBar () {
     var iframeContentWindow = document.getElementById('articleContent').contentWindow;
@@ -955,9 +1064,11 @@ function initServiceWorkerMessaging () {
             }
             // See below for explanation of this exception
             const videoException = selectedArchive.zimType === 'zimit' && /\/\/youtubei.*player/.test(event.data.title);
-            // Check that the zimFileId in the messageChannel event data is the same as the one in the currently open archive
+            // Look up the archive named in the messageChannel event data among the archives open in this instance. This also
+            // resolves cross-archive links (e.g. /otherzim.zim/A/...) against the right archive.
             // Because the SW broadcasts its request to all open tabs or windows, we need to check that the request is for this instance
-            if (event.data.zimFileName !== selectedArchive.file.name && !videoException) {
+            const requestedArchive = videoException ? selectedArchive : archiveRegistry.get(event.data.zimFileName);
+            if (!requestedArchive) {
                 // Do nothing if the request is not for this instance
                 // console.debug('SW request does not match this instance', '[zimFileName:' + event.data.zimFileName + ' !== ' + selectedArchive.file.name + ']');
             } else {
@@ -967,8 +1078,8 @@ function initServiceWorkerMessaging () {
                     // Until we find a way to tell where it is coming from, we allow the request through on all controlled clients and try to load the content
                     console.warn('>>> Allowing passthrough of SW request to process Zimit video <<<');
                 }
-                if (params.useLibzim) handleMessageChannelByLibzim(event);
-                else handleMessageChannelMessage(event);
+                if (params.useLibzim) handleMessageChannelByLibzim(event, requestedArchive);
+                else handleMessageChannelMessage(event, requestedArchive);
             }
         } else if (event.data.msg_type) {
             // Messages received from the ReplayWorker
@@ -1018,14 +1129,15 @@ function initServiceWorkerMessaging () {
  * This function will deal with the messages if useLibzim is set to true
  *
  * @param {Event} event The event object of the message channel
+ * @param {ZIMArchive} archive The archive from which the content is requested
  */
-async function handleMessageChannelByLibzim (event) {
+async function handleMessageChannelByLibzim (event, archive) {
     // We received a message from the ServiceWorker
     // The ServiceWorker asks for some content
     const title = event.data.title;
     const messagePort = event.ports[0];
     try {
-        const ret = await selectedArchive.callLibzimWorker({ action: 'getEntryByPath', path: title })
+        const ret = await archive.callLibzimWorker({ action: 'getEntryByPath', path: title })
         if (ret === null) {
             console.error('Title ' + title + ' not found in archive.');
             messagePort.postMessage({ action: 'giveContent', title: title, content: '' });
@@ -1037,10 +1149,10 @@ async function handleMessageChannelByLibzim (event) {
             // this is still a bit flawed, as we do not check if it's a redirect or the file doesn't exist
             // We have no way to know if the file exists or not, so we have to assume it does and its just a redirect
 
-            const dirEntry = await new Promise((resolve, _reject) => selectedArchive.getMainPageDirEntry((value) => resolve(value)));
+            const dirEntry = await new Promise((resolve, _reject) => archive.getMainPageDirEntry((value) => resolve(value)));
             if (dirEntry.redirect) {
-                const redirect = await new Promise((resolve, _reject) => selectedArchive.resolveRedirect(dirEntry, (v) => resolve(v)));
-                const ret = await selectedArchive.callLibzimWorker({ action: 'getEntryByPath', path: redirect.namespace + '/' + redirect.url })
+                const redirect = await new Promise((resolve, _reject) => archive.resolveRedirect(dirEntry, (v) => resolve(v)));
+                const ret = await archive.callLibzimWorker({ action: 'getEntryByPath', path: redirect.namespace + '/' + redirect.url })
                 const message = { action: 'giveContent', title: title, content: ret.content, mimetype: ret.mimetype };
                 messagePort.postMessage(message);
                 return;
@@ -1387,6 +1499,8 @@ if (navigator.getDeviceStorages && typeof navigator.getDeviceStorages === 'funct
 
 // @AUTOLOAD of archives starts here for frameworks or APIs that allow it
 var willJumpToRemoteExtension = params.contentInjectionMode === 'serviceworker' && navigator.serviceWorker && /^(moz|chrome)-extension/.test(window.location.protocol) && localStorage.getItem(params.keyPrefix + 'PWA_launch') === 'success';
+// A deep link to an archive and article, if the app was opened with one
+var deepLink = deepLinks.parse(window.location.search, window.location.hash);
 
 // If DeviceStorage is available (Firefox OS), we look for archives in it
 if (storages !== null && storages.length > 0) {
@@ -1395,11 +1509,22 @@ if (storages !== null && storages.length > 0) {
     // After that, we can start looking for archives
     storages[0].get('fake-file-to-read').then(searchForArchivesInPreferencesOrStorage,
         searchForArchivesInPreferencesOrStorage);
+// If the app was opened with a deep link, we open the archive and article of the link
+} else if (deepLink && !willJumpToRemoteExtension) {
+    displayFileSelect();
+    openDeepLink(deepLink);
 // If the File System Access API is available, we may be able to autoload the last selected archive in Chromium > 122
 // which has persistent permissions
 } else if (params.reopenLastArchive && window.showOpenFilePicker && params.previousZimFileName) {
     displayFileSelect();
-    abstractFilesystemAccess.getSelectedZimFromCache(params.previousZimFileName).then(function (files) {
+    // If requested, we find the article that the user was last reading in this archive, so that it is displayed instead of the main page
+    var lastArticle = params.restoreLastArticle ? readingHistory.getLast(params.previousZimFileName).catch(function (err) {
+        console.warn('Unable to read the history', err);
+    }) : Promise.resolve();
+    lastArticle.then(function (entry) {
+        if (entry) appstate.pendingArticle = entry;
+        return abstractFilesystemAccess.getSelectedZimFromCache(params.previousZimFileName);
+    }).then(function (files) {
         setLocalArchiveFromFileList(files);
     }).catch(function (err) {
         console.warn(err);
@@ -1777,18 +1902,17 @@ async function handleFileDrop (packet) {
 const btnLibrary = document.getElementById('btnLibrary');
 btnLibrary.addEventListener('click', function (e) {
     e.preventDefault();
-
-    const libraryContent = document.getElementById('libraryContent');
-    const iframe = libraryContent.contentWindow.document.getElementById('libraryIframe');
     try {
+        // Browsers without optional catch binding (ES2019) are too old for the Library, so they get the online library
         // eslint-disable-next-line no-new-func
         Function('try{}catch{}')();
-        iframe.setAttribute('src', params.libraryUrl);
-        uiUtil.tabTransitionToSection('library', params.showUIAnimations);
-        resizeIFrame();
     } catch (error) {
-        window.open(params.altLibraryUrl, '_blank')
+        window.open(params.altLibraryUrl, '_blank');
+        return;
     }
+    uiUtil.tabTransitionToSection('library', params.showUIAnimations);
+    resizeIFrame();
+    if (!libraryState.languagesLoaded) initLibrary();
 });
 
 // Add keyboard activation for library button
@@ -1799,6 +1923,184 @@ btnLibrary.addEventListener('keydown', function (e) {
     }
 });
 
+/**
+ * The number of archives in a page of the Library
+ * @type {Number}
+ */
+const LIBRARY_PAGE_SIZE = 20;
+
+/**
+ * The state of the Library: the page displayed, and whether the language and category filters have been populated
+ * @type {Object}
+ */
+const libraryState = { start: 0, languagesLoaded: false, request: 0 };
+
+/**
+ * Populates the language and category filters of the Library from the catalog, and displays the first page of archives
+ */
+function initLibrary () {
+    libraryState.languagesLoaded = true;
+    document.getElementById('libraryQuery').placeholder = translateUI.t('library-search-placeholder') || 'Search the library...';
+    document.getElementById('libraryOnlineLink').href = params.libraryUrl;
+    var languageSelect = document.getElementById('libraryLanguage');
+    var categorySelect = document.getElementById('libraryCategory');
+    opdsCatalog.fetchLanguages().then(function (languages) {
+        languages.forEach(function (language) {
+            languageSelect.appendChild(new Option(language.title, language.code));
+        });
+    }).catch(function (err) {
+        console.warn('Unable to read the languages of the catalog', err);
+    }).then(function () {
+        populateLibrary(0);
+    });
+    opdsCatalog.fetchCategories().then(function (categories) {
+        categories.forEach(function (category) {
+            categorySelect.appendChild(new Option(category, category));
+        });
+    }).catch(function (err) {
+        console.warn('Unable to read the categories of the catalog', err);
+    });
+}
+
+/**
+ * Displays a page of the archives of the catalog that match the filters of the Library
+ *
+ * @param {Number} start The index of the first archive of the page
+ */
+function populateLibrary (start) {
+    var filters = {
+        q: document.getElementById('libraryQuery').value.trim(),
+        lang: document.getElementById('libraryLanguage').value,
+        category: document.getElementById('libraryCategory').value,
+        maxSize: Number(document.getElementById('librarySize').value) || 0
+    };
+    var libraryStatus = document.getElementById('libraryStatus');
+    var libraryEntries = document.getElementById('libraryEntries');
+    // Ignore the responses to previous requests, which may arrive after this one
+    var request = ++libraryState.request;
+    libraryState.start = start;
+    libraryStatus.textContent = translateUI.t('library-loading') || 'Loading the catalog...';
+    opdsCatalog.fetchEntries(filters, start, LIBRARY_PAGE_SIZE).then(function (result) {
+        if (request !== libraryState.request) return;
+        libraryEntries.innerHTML = '';
+        result.entries.forEach(function (entry) {
+            libraryEntries.appendChild(createLibraryItem(entry));
+        });
+        libraryStatus.textContent = result.total
+            ? (translateUI.t('library-results') || 'Archives found:') + ' ' + result.total.toLocaleString()
+            : translateUI.t('library-no-results') || 'No archive matches your search.';
+        var pages = Math.ceil(result.total / LIBRARY_PAGE_SIZE);
+        document.getElementById('libraryPagination').style.display = pages > 1 ? '' : 'none';
+        document.getElementById('libraryPage').textContent = (Math.floor(start / LIBRARY_PAGE_SIZE) + 1) + ' / ' + pages;
+        document.getElementById('btnLibraryPrevious').disabled = start === 0;
+        document.getElementById('btnLibraryNext').disabled = start + LIBRARY_PAGE_SIZE >= result.total;
+    }).catch(function (err) {
+        if (request !== libraryState.request) return;
+        console.error('Unable to read the catalog', err);
+        libraryEntries.innerHTML = '';
+        document.getElementById('libraryPagination').style.display = 'none';
+        libraryStatus.textContent = (translateUI.t('library-error') || 'The catalog could not be read:') + ' ' + err.message;
+    });
+}
+
+/**
+ * Creates the list item of an archive in the Library, with its illustration, description and download button
+ *
+ * @param {Object} entry The archive (see opdsCatalog)
+ * @returns {HTMLLIElement} The list item
+ */
+function createLibraryItem (entry) {
+    var item = document.createElement('li');
+    item.className = 'list-group-item d-flex align-items-start';
+    if (entry.illustration) {
+        var icon = document.createElement('img');
+        icon.className = 'archive-illustration';
+        icon.alt = '';
+        icon.loading = 'lazy';
+        icon.src = entry.illustration;
+        item.appendChild(icon);
+    }
+    var description = document.createElement('div');
+    description.className = 'library-entry';
+    var title = document.createElement('h5');
+    title.textContent = entry.title;
+    var summary = document.createElement('p');
+    summary.textContent = entry.summary;
+    var details = document.createElement('small');
+    details.className = 'text-muted';
+    details.textContent = [
+        entry.languages.join(', '),
+        entry.category,
+        entry.flavour,
+        entry.updated.slice(0, 10),
+        entry.size ? formatDownloadSize(entry.size) : '',
+        entry.articleCount ? (translateUI.t('configure-archive-info-articles') || 'Articles: ') + entry.articleCount.toLocaleString() : ''
+    ].filter(Boolean).join(' | ');
+    description.appendChild(title);
+    description.appendChild(summary);
+    description.appendChild(details);
+    item.appendChild(description);
+    if (entry.url) {
+        var download = document.createElement('button');
+        download.type = 'button';
+        download.className = 'btn btn-sm btn-primary library-download';
+        download.textContent = translateUI.t('configure-downloads-btn-add') || 'Download';
+        download.addEventListener('click', function () {
+            downloadLibraryEntry(entry, download);
+        });
+        item.appendChild(download);
+    }
+    return item;
+}
+
+/**
+ * Downloads an archive of the Library into the target chosen in Configuration (see cache.downloadArchiveToPickedFolder),
+ * or with the browser if the browser cannot write files
+ *
+ * @param {Object} entry The archive (see opdsCatalog)
+ * @param {HTMLButtonElement} button An optional button that shows the progress of the download
+ */
+function downloadLibraryEntry (entry, button) {
+    if (!downloadManager.isSupported()) {
+        window.open(entry.url, '_blank');
+        return;
+    }
+    var label = button ? button.textContent : '';
+    if (button) button.disabled = true;
+    cache.downloadArchiveToPickedFolder(downloadManager.getFilename(entry.url), entry.url, function (received) {
+        if (button && typeof received === 'number') button.textContent = formatDownloadSize(received);
+    }, document.getElementById('downloadTarget').value).then(function () {
+        if (button) button.textContent = translateUI.t('library-downloaded') || 'Downloaded';
+    }).catch(function (err) {
+        console.error('Unable to download ' + entry.url, err);
+        if (button) {
+            button.disabled = false;
+            button.textContent = label;
+        }
+        uiUtil.systemAlert((translateUI.t('dialog-download-error') || 'An error occurred with this download:') + ' ' + err.message);
+    });
+}
+
+var libraryQueryTimer = null;
+document.getElementById('libraryQuery').addEventListener('input', function () {
+    // Wait until the user stops typing before searching the catalog
+    clearTimeout(libraryQueryTimer);
+    libraryQueryTimer = setTimeout(function () {
+        populateLibrary(0);
+    }, 500);
+});
+['libraryLanguage', 'libraryCategory', 'librarySize'].forEach(function (id) {
+    document.getElementById(id).addEventListener('change', function () {
+        populateLibrary(0);
+    });
+});
+document.getElementById('btnLibraryPrevious').addEventListener('click', function () {
+    populateLibrary(Math.max(0, libraryState.start - LIBRARY_PAGE_SIZE));
+});
+document.getElementById('btnLibraryNext').addEventListener('click', function () {
+    populateLibrary(libraryState.start + LIBRARY_PAGE_SIZE);
+});
+
 // Add event listener to link which allows user to show file selectors
 document.getElementById('selectorsDisplayLink').addEventListener('click', function (e) {
     e.preventDefault();
@@ -1818,6 +2120,13 @@ function setLocalArchiveFromFileList (files) {
             return;
         }
     }
+    // If the user picked an archive that is already open, switch to it instead of parsing it again
+    var openArchive = archiveRegistry.findByFiles(files);
+    if (openArchive) {
+        console.debug('Archive ' + files[0].name + ' is already open: switching to it');
+        archiveReadyCallback(openArchive);
+        return;
+    }
     zimArchiveLoader.loadArchiveFromFiles(files, archiveReadyCallback, function (message, label) {
         // callbackError which is called in case of an error
         uiUtil.systemAlert(message, label);
@@ -1830,9 +2139,7 @@ function setLocalArchiveFromFileList (files) {
  * @param {ZIMArchive} archive The ZIM archive
  */
 async function archiveReadyCallback (archive) {
-    selectedArchive = archive;
-    // A css cache significantly speeds up the loading of CSS files (used by default in jQuery mode)
-    selectedArchive.cssCache = new Map();
+    setSelectedArchive(archive);
     if (selectedArchive.zimType !== 'zimit') {
         if (params.originalContentInjectionMode) {
             params.contentInjectionMode = params.originalContentInjectionMode;
@@ -1873,6 +2180,508 @@ async function archiveReadyCallback (archive) {
     document.getElementById('downloadInstruction').style.display = 'none';
 }
 
+/**
+ * Registers the given archive in the archive registry and makes it the selected archive, restoring the global parameters
+ * that depend on the archive (these are only set by the ZIMArchive constructor when the archive is first opened)
+ *
+ * @param {ZIMArchive} archive The ready-to-use archive to select
+ */
+function setSelectedArchive (archive) {
+    archiveRegistry.register(archive);
+    selectedArchive = archiveRegistry.select(archiveRegistry.getKey(archive));
+    // A css cache significantly speeds up the loading of CSS files (used by default in jQuery mode)
+    if (!selectedArchive.cssCache) selectedArchive.cssCache = new Map();
+    params.zimType = selectedArchive.zimType;
+    if (selectedArchive.searchProvider) {
+        params.searchProvider = selectedArchive.searchProvider;
+        uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider);
+    }
+    populateListOfOpenArchives();
+    populateArchiveInfo();
+    if (!selectedArchive.titleIndex) loadTitleIndex(selectedArchive);
+}
+
+/**
+ * Gets a URL for the illustration (icon) of an archive. The URL is created only once per archive, and stored in
+ * archive.illustrationUrl until the archive is closed, which revokes it (see ZIMArchive.close).
+ *
+ * @param {ZIMArchive} archive The archive
+ * @returns {Promise<String>} A Promise for a blob URL of the illustration, or for null if the archive has no illustration
+ */
+function getArchiveIllustrationUrl (archive) {
+    if (archive.illustrationUrl !== undefined) return Promise.resolve(archive.illustrationUrl);
+    return archive.getIllustration().then(function (illustration) {
+        // Another call may have created the URL in the meantime, or the archive may have been closed
+        if (archive.illustrationUrl !== undefined) return archive.illustrationUrl;
+        archive.illustrationUrl = illustration ? URL.createObjectURL(new Blob([illustration.data], { type: illustration.mimetype })) : null;
+        return archive.illustrationUrl;
+    });
+}
+
+/**
+ * Populates the "About this archive" panel in Configuration with the illustration, tags, counts and all the metadata
+ * of the selected archive
+ */
+function populateArchiveInfo () {
+    var archive = selectedArchive;
+    var archiveInfoDiv = document.getElementById('archiveInfoDiv');
+    if (!archive || !archive.isReady()) {
+        archiveInfoDiv.style.display = 'none';
+        return;
+    }
+    archiveInfoDiv.style.display = '';
+    var illustration = document.getElementById('archiveInfoIllustration');
+    illustration.style.display = 'none';
+    getArchiveIllustrationUrl(archive).then(function (url) {
+        if (!url || archive !== selectedArchive) return;
+        illustration.src = url;
+        illustration.style.display = '';
+    });
+    archive.getAllMetadata().then(function (metadata) {
+        if (archive !== selectedArchive) return;
+        var values = {};
+        var metadataTable = document.querySelector('#archiveInfoMetadata tbody');
+        metadataTable.innerHTML = '';
+        // Metadata are set by the creator of the archive, so we must insert them as text, never as HTML
+        metadata.forEach(function (item) {
+            values[item.key] = item.value;
+            var row = metadataTable.insertRow();
+            var keyCell = document.createElement('th');
+            keyCell.scope = 'row';
+            keyCell.textContent = item.key;
+            row.appendChild(keyCell);
+            row.insertCell().textContent = item.value === null ? (translateUI.t('configure-archive-info-image') || '(image)') : item.value;
+        });
+        document.getElementById('archiveInfoTitle').textContent = values.Title || archive.name || archiveRegistry.getKey(archive);
+        document.getElementById('archiveInfoDescription').textContent = values.LongDescription || values.Description || '';
+        var tagsDiv = document.getElementById('archiveInfoTags');
+        tagsDiv.innerHTML = '';
+        (values.Tags || '').split(';').forEach(function (tag) {
+            tag = tag.trim();
+            if (!tag) return;
+            var chip = document.createElement('span');
+            chip.className = 'badge badge-pill badge-secondary archive-tag';
+            chip.textContent = tag;
+            tagsDiv.appendChild(chip);
+        });
+        var counts = archive.getCounts(values.Counter);
+        document.getElementById('archiveInfoCounts').textContent = counts
+            ? (translateUI.t('configure-archive-info-articles') || 'Articles: ') + counts.articles.toLocaleString() + ' | ' +
+                (translateUI.t('configure-archive-info-media') || 'Media: ') + counts.media.toLocaleString()
+            : '';
+    }).catch(function (err) {
+        console.error('Unable to read the metadata of the archive', err);
+    });
+    populateTitleIndex();
+}
+
+/**
+ * The build of a title index that is in progress (only one index is built at a time), as an object with the archive, the
+ * fraction of the titles indexed so far, and a cancelled flag (see titleIndex.build), or null
+ * @type {Object}
+ */
+var titleIndexJob = null;
+
+/**
+ * Loads the prebuilt title index of an archive, if there is one, so that title search uses it
+ *
+ * @param {ZIMArchive} archive The archive
+ * @returns {Promise} A Promise that resolves when the index has been loaded (or not found)
+ */
+function loadTitleIndex (archive) {
+    if (!titleIndexIsSupported(archive)) return Promise.resolve();
+    // The index is keyed by the date of the archive, which is otherwise only read in the background
+    var dated = archive.date === undefined ? archive.addMetadataToZIMFile('Date') : Promise.resolve();
+    return dated.then(function () {
+        return titleIndex.load(archive);
+    }).then(function (index) {
+        archive.titleIndex = index;
+        if (archive === selectedArchive) populateTitleIndex();
+    });
+}
+
+/**
+ * Tests whether a title index can be built for an archive (it needs IndexedDB, and an archive read by our own ZIM reader)
+ *
+ * @param {ZIMArchive} archive The archive
+ * @returns {Boolean} True if an index can be built
+ */
+function titleIndexIsSupported (archive) {
+    return typeof indexedDB !== 'undefined' && !!archive.file && typeof archive.file.dirEntryByTitleIndex === 'function';
+}
+
+/**
+ * Shows the state of the title index of the selected archive in the "About this archive" panel
+ */
+function populateTitleIndex () {
+    var archive = selectedArchive;
+    var building = titleIndexJob && titleIndexJob.archive === archive;
+    document.getElementById('titleIndexDiv').style.display = archive && titleIndexIsSupported(archive) ? '' : 'none';
+    if (!archive) return;
+    var btnBuild = document.getElementById('btnBuildTitleIndex');
+    btnBuild.style.display = building || archive.titleIndex ? 'none' : '';
+    // Only one index is built at a time
+    btnBuild.disabled = !!titleIndexJob;
+    document.getElementById('btnCancelTitleIndex').style.display = building ? '' : 'none';
+    document.getElementById('btnDeleteTitleIndex').style.display = archive.titleIndex && !building ? '' : 'none';
+    var progress = document.getElementById('titleIndexProgress');
+    progress.style.display = building ? '' : 'none';
+    var status = document.getElementById('titleIndexStatus');
+    if (building) {
+        progress.value = titleIndexJob.progress;
+        status.textContent = (translateUI.t('configure-title-index-status-building') || 'Building the index:') + ' ' + Math.round(titleIndexJob.progress * 100) + '%';
+    } else if (archive.titleIndex) {
+        status.textContent = translateUI.t('configure-title-index-status-ready') || 'The index is ready, and is used by title search.';
+    } else {
+        status.textContent = titleIndexJob ? translateUI.t('configure-title-index-status-busy') || 'Another archive is being indexed.' : '';
+    }
+}
+
+/**
+ * Builds (or resumes building) the title index of the selected archive in the background
+ */
+function buildTitleIndex () {
+    if (titleIndexJob) return;
+    var archive = selectedArchive;
+    var job = { archive: archive, progress: 0, cancelled: false };
+    titleIndexJob = job;
+    populateTitleIndex();
+    var dated = archive.date === undefined ? archive.addMetadataToZIMFile('Date') : Promise.resolve();
+    dated.then(function () {
+        return titleIndex.build(archive, function (fraction) {
+            job.progress = fraction;
+            if (archive === selectedArchive) populateTitleIndex();
+        }, job);
+    }).then(function (index) {
+        // The index is null if the build was stopped
+        if (index) archive.titleIndex = index;
+    }).catch(function (err) {
+        console.error('Unable to build the title index', err);
+        uiUtil.systemAlert((translateUI.t('dialog-title-index-error') || 'The title index could not be built:') + ' ' + err.message);
+    }).then(function () {
+        titleIndexJob = null;
+        populateTitleIndex();
+    });
+}
+
+document.getElementById('btnBuildTitleIndex').addEventListener('click', buildTitleIndex);
+document.getElementById('btnCancelTitleIndex').addEventListener('click', function () {
+    if (titleIndexJob) titleIndexJob.cancelled = true;
+});
+document.getElementById('btnDeleteTitleIndex').addEventListener('click', function () {
+    var archive = selectedArchive;
+    titleIndex.remove(archive).then(function () {
+        archive.titleIndex = null;
+        populateTitleIndex();
+    }).catch(function (err) {
+        console.error('Unable to delete the title index', err);
+    });
+});
+
+/**
+ * Populates the list of open archives in Configuration, so that the user can switch between them or close them
+ */
+function populateListOfOpenArchives () {
+    var openArchivesList = document.getElementById('openArchivesList');
+    var archives = archiveRegistry.list();
+    document.getElementById('openArchivesDiv').style.display = archives.length > 1 ? '' : 'none';
+    openArchivesList.innerHTML = '';
+    archives.forEach(function (archive) {
+        var name = archiveRegistry.getKey(archive);
+        var item = document.createElement('li');
+        item.className = 'list-group-item d-flex justify-content-between align-items-center' + (archive === selectedArchive ? ' active' : '');
+        var link = document.createElement('a');
+        link.href = '#';
+        link.textContent = archive.title || archive.name || name;
+        link.title = name;
+        link.addEventListener('click', function (e) {
+            e.preventDefault();
+            if (archive !== selectedArchive) archiveReadyCallback(archive);
+        });
+        var icon = document.createElement('img');
+        icon.className = 'archive-icon';
+        icon.alt = '';
+        icon.style.display = 'none';
+        getArchiveIllustrationUrl(archive).then(function (url) {
+            if (!url) return;
+            icon.src = url;
+            icon.style.display = '';
+        });
+        var label = document.createElement('span');
+        label.append(icon, link);
+        item.appendChild(label);
+        if (archive !== selectedArchive) {
+            var closeButton = document.createElement('button');
+            closeButton.type = 'button';
+            closeButton.className = 'close';
+            closeButton.title = translateUI.t('configure-open-archives-close') || 'Close this archive';
+            closeButton.innerHTML = '&times;';
+            closeButton.addEventListener('click', function () {
+                archiveRegistry.remove(name);
+                populateListOfOpenArchives();
+            });
+            item.appendChild(closeButton);
+        }
+        openArchivesList.appendChild(item);
+    });
+}
+
+/**
+ * Compares the archives that the user has (those listed in archiveList, those that are open, and those downloaded with
+ * the download manager) with the cached catalog of the Kiwix library, and flags those of which there is a newer version
+ */
+function checkForArchiveUpdates () {
+    var archives = {};
+    var addArchive = function (filename, name, date) {
+        if (!filename || !/\.zim(aa)?$/i.test(filename)) return;
+        // Open archives have Name and Date metadata, which are more reliable than their filename
+        if (!archives[filename] || name) archives[filename] = { filename: filename, name: name || '', date: date || '' };
+    };
+    Array.prototype.forEach.call(document.getElementById('archiveList').options, function (option) {
+        addArchive(option.value);
+    });
+    archiveRegistry.list().forEach(function (archive) {
+        addArchive(archiveRegistry.getKey(archive), archive.name, archive.date);
+    });
+    if (downloadManager.isSupported()) {
+        downloadManager.list().forEach(function (download) {
+            if (/^(?:verified|completed)$/.test(download.status)) addArchive(download.filename);
+        });
+    }
+    if (!Object.keys(archives).length) return;
+    opdsCatalog.getCatalog().then(function (entries) {
+        var updates = Object.keys(archives).map(function (filename) {
+            var update = opdsCatalog.findUpdate(archives[filename], entries);
+            return update ? { filename: filename, entry: update } : null;
+        }).filter(Boolean).filter(function (update) {
+            // The newer version may already have been downloaded
+            return !archives[downloadManager.getFilename(update.entry.url)];
+        });
+        flagOutdatedArchives(updates);
+    }).catch(function (err) {
+        console.warn('Unable to check for newer versions of the archives', err);
+    });
+}
+
+/**
+ * Flags the outdated archives in archiveList, and lists them with a button to download their newer version
+ *
+ * @param {Array<Object>} updates The filename of each outdated archive, and the catalog entry of its newer version
+ */
+function flagOutdatedArchives (updates) {
+    var archiveList = document.getElementById('archiveList');
+    var updateLabel = translateUI.t('configure-archive-update-flag') || 'update available';
+    Array.prototype.forEach.call(archiveList.options, function (option) {
+        var update = updates.find(function (update) {
+            return update.filename === option.value;
+        });
+        option.textContent = option.value + (update ? ' (' + updateLabel + ': ' + update.entry.updated.slice(0, 10) + ')' : '');
+    });
+    var updatesList = document.getElementById('archiveUpdatesList');
+    updatesList.innerHTML = '';
+    document.getElementById('archiveUpdatesDiv').style.display = updates.length ? '' : 'none';
+    updates.forEach(function (update) {
+        updatesList.appendChild(createArchiveUpdateItem(update));
+    });
+}
+
+/**
+ * Creates the list item of an outdated archive, with a button to download its newer version, and a button to delete
+ * the outdated archive if it is in the OPFS (archives in a picked folder are left to the user to delete)
+ *
+ * @param {Object} update The filename of the outdated archive, and the catalog entry of its newer version
+ * @returns {HTMLLIElement} The list item
+ */
+function createArchiveUpdateItem (update) {
+    var item = document.createElement('li');
+    item.className = 'list-group-item d-flex justify-content-between align-items-center';
+    var label = document.createElement('span');
+    label.className = 'download-name';
+    label.textContent = update.filename + ' → ' + downloadManager.getFilename(update.entry.url) +
+        (update.entry.size ? ' (' + formatDownloadSize(update.entry.size) + ')' : '');
+    item.appendChild(label);
+    var buttons = document.createElement('span');
+    var download = document.createElement('button');
+    download.type = 'button';
+    download.className = 'btn btn-sm btn-primary download-action';
+    download.textContent = translateUI.t('configure-archive-update-download') || 'Download update';
+    download.addEventListener('click', function () {
+        downloadLibraryEntry(update.entry, download);
+    });
+    buttons.appendChild(download);
+    item.appendChild(buttons);
+    downloadManager.isInOPFS(update.filename).then(function (isInOPFS) {
+        // The archive that is being read cannot be deleted
+        if (!isInOPFS || (selectedArchive && archiveRegistry.getKey(selectedArchive) === update.filename)) return;
+        var cleanup = document.createElement('button');
+        cleanup.type = 'button';
+        cleanup.className = 'btn btn-sm btn-outline-danger download-action';
+        cleanup.textContent = translateUI.t('configure-archive-update-delete-old') || 'Delete old version';
+        cleanup.addEventListener('click', function () {
+            uiUtil.systemAlert((translateUI.t('dialog-archive-update-delete-old') || 'Do you want to delete this archive from the browser storage?') +
+                ' ' + update.filename, '', true).then(function (confirmed) {
+                if (!confirmed) return;
+                // An open archive must be closed before its file is deleted
+                if (archiveRegistry.get(update.filename)) archiveRegistry.remove(update.filename);
+                return downloadManager.deleteFromOPFS(update.filename).then(function () {
+                    populateListOfOpenArchives();
+                    if (item.parentNode) item.parentNode.removeChild(item);
+                });
+            }).catch(function (err) {
+                console.error('Unable to delete ' + update.filename, err);
+                uiUtil.systemAlert((translateUI.t('dialog-download-error') || 'An error occurred with this download:') + ' ' + err.message);
+            });
+        });
+        buttons.appendChild(cleanup);
+    });
+    return item;
+}
+
+/**
+ * Shows the Downloads panel in Configuration if the browser can write files, and resumes the downloads that were
+ * interrupted when the app was last closed
+ */
+function initDownloads () {
+    if (!downloadManager.isSupported()) return;
+    document.getElementById('downloadsDiv').style.display = '';
+    if (!navigator.storage || typeof navigator.storage.getDirectory !== 'function') {
+        document.querySelector('#downloadTarget option[value="opfs"]').disabled = true;
+    }
+    downloadManager.init(showDownload).then(function (downloads) {
+        downloads.forEach(showDownload);
+    }).catch(function (err) {
+        console.error('Unable to load the list of downloads', err);
+    });
+}
+
+/**
+ * Formats a number of bytes in MB or GB for display
+ *
+ * @param {Number} bytes The number of bytes
+ * @returns {String} The formatted size
+ */
+function formatDownloadSize (bytes) {
+    return bytes >= 1024 * 1024 * 1024 ? (bytes / 1024 / 1024 / 1024).toFixed(2) + ' GB' : (bytes / 1024 / 1024).toFixed(1) + ' MB';
+}
+
+/**
+ * Adds a download to the list of downloads in Configuration, or updates its list item
+ *
+ * @param {Object} download The download (see downloadManager)
+ */
+function showDownload (download) {
+    var downloadsList = document.getElementById('downloadsList');
+    var item = Array.prototype.slice.call(downloadsList.children).find(function (li) {
+        return li.dataset.id === download.id;
+    });
+    if (!item) {
+        item = document.createElement('li');
+        item.className = 'list-group-item';
+        item.dataset.id = download.id;
+        downloadsList.appendChild(item);
+    }
+    item.innerHTML = '';
+    var header = document.createElement('div');
+    header.className = 'd-flex justify-content-between align-items-center';
+    var name = document.createElement('span');
+    name.className = 'download-name';
+    name.textContent = download.filename;
+    name.title = download.url;
+    header.appendChild(name);
+    var buttons = document.createElement('span');
+    var addButton = function (key, text, onClick) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-secondary download-action';
+        button.textContent = translateUI.t(key) || text;
+        button.addEventListener('click', onClick);
+        buttons.appendChild(button);
+    };
+    var reportError = function (err) {
+        console.error('Error handling the download of ' + download.filename, err);
+        uiUtil.systemAlert((translateUI.t('dialog-download-error') || 'An error occurred with this download:') + ' ' + err.message);
+    };
+    if (/^(?:queued|downloading)$/.test(download.status)) {
+        addButton('downloads-btn-pause', 'Pause', function () {
+            downloadManager.pause(download.id);
+        });
+    }
+    if (/^(?:paused|failed)$/.test(download.status)) {
+        addButton('downloads-btn-resume', 'Resume', function () {
+            downloadManager.resume(download.id).catch(reportError);
+        });
+    }
+    if (/^(?:verified|completed)$/.test(download.status)) {
+        addButton('downloads-btn-open', 'Open', function () {
+            downloadManager.getFile(download.id).then(function (file) {
+                setLocalArchiveFromFileList([file]);
+            }).catch(reportError);
+        });
+    }
+    if (download.status !== 'verifying') {
+        addButton('downloads-btn-remove', 'Remove', function () {
+            // Incomplete files are of no use, but complete archives are kept unless the user chooses to delete them
+            var isComplete = /^(?:verified|completed)$/.test(download.status);
+            var deleteFile = isComplete ? uiUtil.systemAlert(translateUI.t('dialog-download-delete-file') ||
+                'Do you also want to delete the downloaded archive?', download.filename, true) : Promise.resolve(true);
+            deleteFile.then(function (confirmed) {
+                return downloadManager.remove(download.id, confirmed);
+            }).then(function () {
+                if (item.parentNode) item.parentNode.removeChild(item);
+            }).catch(reportError);
+        });
+    }
+    header.appendChild(buttons);
+    item.appendChild(header);
+    var fraction = download.status === 'verifying' ? download.verified || 0 : download.size ? download.received / download.size : 0;
+    if (/^(?:downloading|paused|verifying)$/.test(download.status)) {
+        var progress = document.createElement('progress');
+        progress.className = 'download-progress';
+        progress.max = 1;
+        progress.value = fraction;
+        item.appendChild(progress);
+    }
+    var status = document.createElement('small');
+    status.className = 'download-status' + (download.status === 'failed' ? ' text-danger' : '');
+    var text = translateUI.t('downloads-status-' + download.status) || download.status;
+    if (download.status === 'downloading' || download.status === 'paused') {
+        text += ' ' + formatDownloadSize(download.received) + (download.size ? ' / ' + formatDownloadSize(download.size) : '');
+    } else if (download.status === 'verifying') {
+        text += ' ' + Math.round(fraction * 100) + '%';
+    } else if (download.checksum && download.status === 'verified') {
+        text += ' (' + download.checksum.algorithm.toUpperCase() + ')';
+    }
+    if (download.error) text += ': ' + download.error;
+    status.textContent = text;
+    item.appendChild(status);
+}
+
+document.getElementById('btnDownload').addEventListener('click', function () {
+    var urlInput = document.getElementById('downloadUrl');
+    var url = urlInput.value.trim();
+    if (!url) return;
+    downloadManager.add(url, document.getElementById('downloadTarget').value).then(function () {
+        urlInput.value = '';
+    }).catch(function (err) {
+        console.error('Unable to add the download of ' + url, err);
+        uiUtil.systemAlert((translateUI.t('dialog-download-error') || 'An error occurred with this download:') + ' ' + err.message);
+    });
+});
+
+/**
+ * Gets the archive that was open in this instance from a URL that contains the archive's filename,
+ * e.g. https://example.org/kiwix/otherzim.zim/A/Article.html
+ *
+ * @param {String} url The URL (or pathname) to test
+ * @returns {Object|null} An object containing the open archive and the ZIM URL of the entry, or null if no open archive matches
+ */
+function getOpenArchiveFromUrl (url) {
+    var zimAndPath = decodeURIComponent(url).match(/(?:^|\/)([^/]+\.zim\w{0,2})\/([-ABCIJMUVWX]\/[^#?]+)/i);
+    if (!zimAndPath) return null;
+    var archive = archiveRegistry.get(zimAndPath[1]);
+    return archive ? { archive: archive, path: zimAndPath[2] } : null;
+}
+
 /**
  * Sets the localArchive from the File selects populated by user
  */
@@ -1939,34 +2748,171 @@ function onKeyUpPrefix () {
         var prefix = document.getElementById('prefix').value;
         if (prefix && prefix.length > 0 && prefix !== appstate.search.prefix) {
             document.getElementById('searchArticles').click();
+        } else if (!prefix) {
+            appstate.search.status = 'cancelled';
+            showRecentSearches();
         }
     }, 500);
 }
 
 /**
- * Search the index for DirEntries with title that start with the given prefix (implemented
- * with a binary search inside the index file)
- * @param {String} prefix The string that must appear at the start of any title searched for
+ * The maximum number of recent searches that are remembered
+ * @type {Number}
  */
-function searchDirEntriesFromPrefix (prefix) {
-    if (selectedArchive !== null && selectedArchive.isReady()) {
-        // Cancel the old search (zimArchive search object will receive this change)
-        appstate.search.status = 'cancelled';
-        // Initiate a new search object and point appstate.search to it (the zimArchive search object will continue to point to the old object)
-        // DEV: Technical explanation: the appstate.search is a pointer to an underlying object assigned in memory, and we are here defining a new object
-        // in memory {prefix: prefix, status: 'init', .....}, and pointing appstate.search to it; the old search object that was passed to selectedArchive
-        // (zimArchive.js) continues to exist in the scope of the functions initiated by the previous search until all Promises have returned
-        appstate.search = { prefix: prefix, status: 'init', type: '', size: params.maxSearchResultsSize };
-        var activeContent = document.getElementById('activeContent');
-        if (activeContent) activeContent.style.display = 'none';
-        selectedArchive.findDirEntriesWithPrefix(appstate.search, populateListOfArticles);
-    } else {
-        uiUtil.spinnerDisplay(false);
-        // We have to remove the focus from the search field,
-        // so that the keyboard does not stay above the message
-        document.getElementById('searchArticles').focus();
-        uiUtil.systemAlert(translateUI.t('dialog-archive-notset-message') || 'Archive not set: please select an archive',
-            translateUI.t('dialog-archive-notset-title') || 'No archive selected').then(function () {
+const MAX_RECENT_SEARCHES = 10;
+
+/**
+ * The search string whose first hit should be opened as soon as it is found (see openFirstSearchHit), or null
+ * @type {String}
+ */
+var openFirstHitOf = null;
+
+/**
+ * Gets the recent searches (those from which the user opened a result), most recent first
+ *
+ * @returns {Array<String>} The search strings
+ */
+function getRecentSearches () {
+    try {
+        return JSON.parse(settingsStore.getItem('recentSearches')) || [];
+    } catch (err) {
+        console.warn('Unable to read the recent searches', err);
+        return [];
+    }
+}
+
+/**
+ * Remembers a search string as the most recent search, forgetting the oldest searches beyond MAX_RECENT_SEARCHES
+ *
+ * @param {String} prefix The search string
+ */
+function addRecentSearch (prefix) {
+    prefix = prefix.trim();
+    if (!prefix) return;
+    var recent = getRecentSearches().filter(function (query) {
+        return query !== prefix;
+    });
+    recent.unshift(prefix);
+    settingsStore.setItem('recentSearches', JSON.stringify(recent.slice(0, MAX_RECENT_SEARCHES)), Infinity);
+}
+
+/**
+ * Shows the recent searches as suggestions under the empty search field
+ */
+function showRecentSearches () {
+    var recent = getRecentSearches();
+    var articleListWithHeader = document.getElementById('articleListWithHeader');
+    if (!recent.length || document.activeElement !== prefixElement) {
+        articleListWithHeader.style.display = 'none';
+        prefixElement.setAttribute('aria-expanded', 'false');
+        return;
+    }
+    document.getElementById('articleListHeaderMessage').textContent = translateUI.t('home-search-recent') || 'Recent searches:';
+    var articleList = document.getElementById('articleList');
+    articleList.innerHTML = '';
+    recent.forEach(function (query, i) {
+        var link = document.createElement('a');
+        link.href = '#';
+        link.id = 'articleListItem' + i;
+        link.className = 'list-group-item recent-search';
+        link.setAttribute('role', 'option');
+        link.setAttribute('data-suggestion', encodeURIComponent(query));
+        var icon = document.createElement('i');
+        icon.className = 'fas fa-history search-recent-icon';
+        link.appendChild(icon);
+        // The search string was typed by the user, so we must insert it as text, never as HTML
+        link.appendChild(document.createTextNode(query));
+        link.addEventListener('mousedown', function (e) {
+            // Prevent the prefix from losing focus, which would hide the list
+            e.preventDefault();
+            prefixElement.value = query;
+            document.getElementById('searchArticles').click();
+        });
+        articleList.appendChild(link);
+    });
+    setActiveSearchOption(null);
+    articleListWithHeader.style.display = '';
+}
+
+/**
+ * Marks an option of the list of suggestions as the active option of the search field (for assistive technologies)
+ *
+ * @param {Element} option The option, or null if no option is active
+ */
+function setActiveSearchOption (option) {
+    document.querySelectorAll('#articleList [aria-selected="true"]').forEach(function (selected) {
+        selected.setAttribute('aria-selected', 'false');
+    });
+    if (option) {
+        option.setAttribute('aria-selected', 'true');
+        prefixElement.setAttribute('aria-activedescendant', option.id);
+    } else {
+        prefixElement.removeAttribute('aria-activedescendant');
+    }
+    prefixElement.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Gets the string with which Tab completes the search field: the highlighted suggestion, or else the top suggestion
+ *
+ * @returns {String} The suggestion, or null if no suggestion is displayed
+ */
+function getSearchSuggestion () {
+    if (document.getElementById('articleListWithHeader').style.display === 'none') return null;
+    var option = document.querySelector('#articleList .hover[data-suggestion]') || document.querySelector('#articleList [data-suggestion]');
+    return option ? decodeURIComponent(option.getAttribute('data-suggestion')) : null;
+}
+
+/**
+ * Opens the first hit of the search string in the search field. If the hits displayed are not those of this string
+ * (e.g. if the user pressed Enter before the search was launched), the search is launched, and its first hit is opened
+ * as soon as it is found (see populateListOfArticles).
+ */
+function openFirstSearchHit () {
+    var prefix = prefixElement.value;
+    if (!prefix) return;
+    var firstHit = document.querySelector('#articleList a[dirEntryId]');
+    if (firstHit && appstate.search.prefix === prefix && document.getElementById('articleListWithHeader').style.display !== 'none') {
+        appstate.search.status = 'cancelled';
+        launchArticleFromListItem(firstHit);
+        return;
+    }
+    openFirstHitOf = prefix;
+    // The click does nothing if the search of this string is already in progress
+    document.getElementById('searchArticles').click();
+}
+
+/**
+ * Search the index for DirEntries with title that start with the given prefix (implemented
+ * with a binary search inside the index file)
+ * @param {String} prefix The string that must appear at the start of any title searched for
+ */
+function searchDirEntriesFromPrefix (prefix) {
+    if (selectedArchive !== null && selectedArchive.isReady()) {
+        // Forget a pending request to open the first hit of another search
+        if (openFirstHitOf !== prefix) openFirstHitOf = null;
+        // Cancel the old search (zimArchive search object will receive this change)
+        appstate.search.status = 'cancelled';
+        // Initiate a new search object and point appstate.search to it (the zimArchive search object will continue to point to the old object)
+        // DEV: Technical explanation: the appstate.search is a pointer to an underlying object assigned in memory, and we are here defining a new object
+        // in memory {prefix: prefix, status: 'init', .....}, and pointing appstate.search to it; the old search object that was passed to selectedArchive
+        // (zimArchive.js) continues to exist in the scope of the functions initiated by the previous search until all Promises have returned
+        appstate.search = { prefix: prefix, status: 'init', type: '', size: params.maxSearchResultsSize };
+        var activeContent = document.getElementById('activeContent');
+        if (activeContent) activeContent.style.display = 'none';
+        // Search all the open archives, starting with the selected one (results are labelled by archive if there is more than one)
+        var archives = archiveRegistry.list().filter(function (archive) {
+            return archive !== selectedArchive;
+        });
+        archives.unshift(selectedArchive);
+        searchCoordinator.findDirEntriesWithPrefix(archives, appstate.search, populateListOfArticles);
+    } else {
+        uiUtil.spinnerDisplay(false);
+        // We have to remove the focus from the search field,
+        // so that the keyboard does not stay above the message
+        document.getElementById('searchArticles').focus();
+        uiUtil.systemAlert(translateUI.t('dialog-archive-notset-message') || 'Archive not set: please select an archive',
+            translateUI.t('dialog-archive-notset-title') || 'No archive selected').then(function () {
             document.getElementById('btnConfigure').click();
         });
     }
@@ -1983,12 +2929,20 @@ function populateListOfArticles (dirEntryArray, reportingSearch) {
     var stillSearching = reportingSearch.status === 'interim';
     var articleListHeaderMessageDiv = document.getElementById('articleListHeaderMessage');
     var nbDirEntry = dirEntryArray ? dirEntryArray.length : 0;
+    // The size of the search grows by one page each time the user asks for more full-text results
+    var maxResults = reportingSearch.size || params.maxSearchResultsSize;
+    var hasMoreResults = !stillSearching && reportingSearch.fullTextHasMore;
 
     var message;
     if (stillSearching) {
-        message = 'Searching [' + reportingSearch.type + ']... found: ' + nbDirEntry;
-    } else if (nbDirEntry >= params.maxSearchResultsSize) {
-        message = 'First ' + params.maxSearchResultsSize + ' articles found (refine your search).';
+        message = 'Searching [' + reportingSearch.type + ']' +
+            // Searches that read the whole archive ("contains" mode and searches with filters) report their progress
+            (typeof reportingSearch.progress === 'number' ? ' ' + Math.round(reportingSearch.progress * 100) + '%' : '') +
+            '... found: ' + nbDirEntry;
+    } else if (hasMoreResults) {
+        message = 'First ' + nbDirEntry + ' articles found.';
+    } else if (nbDirEntry >= maxResults) {
+        message = 'First ' + maxResults + ' articles found (refine your search).';
     } else {
         message = 'Finished. ' + (nbDirEntry || 'No') + ' articles found' + (
             reportingSearch.type === 'basic' ? ': try fewer words for full search.' : '.'
@@ -1999,7 +2953,11 @@ function populateListOfArticles (dirEntryArray, reportingSearch) {
 
     var articleListDiv = document.getElementById('articleList');
     var articleListDivHtml = '';
-    var listLength = dirEntryArray.length < params.maxSearchResultsSize ? dirEntryArray.length : params.maxSearchResultsSize;
+    var listLength = dirEntryArray.length < maxResults ? dirEntryArray.length : maxResults;
+    // If the search includes a full-text search, each hit shows whether it was found by title or by full-text search
+    var showSources = reportingSearch.type === 'fulltext' || dirEntryArray.some(function (dirEntry) {
+        return dirEntry.isFullTextResult;
+    });
     for (var i = 0; i < listLength; i++) {
         var dirEntry = dirEntryArray[i];
         // NB We use encodeURIComponent rather than encodeURI here because we know that any question marks in the title are not querystrings,
@@ -2007,15 +2965,59 @@ function populateListOfArticles (dirEntryArray, reportingSearch) {
         // inside double quotes (in the final HTML string), given that dirEntryStringId may contain bare apostrophes
         // Info: encodeURIComponent encodes all characters except  A-Z a-z 0-9 - _ . ! ~ * ' ( )
         var dirEntryStringId = encodeURIComponent(dirEntry.toStringId());
-        articleListDivHtml += '<a href="#" dirEntryId="' + dirEntryStringId +
-            '" class="list-group-item">' + dirEntry.getTitleOrUrl() + '</a>';
+        // Results of a search across several archives are labelled with the name of the archive they come from
+        var archiveAttribute = '';
+        var archiveLabel = '';
+        if (dirEntry.archiveName) {
+            archiveAttribute = '" archiveName="' + encodeURIComponent(dirEntry.archiveName);
+            archiveLabel = ' <span class="badge badge-secondary archive-label">' +
+                dirEntry.archiveLabel.replace(/&/g, '&amp;').replace(/</g, '&lt;') + '</span>';
+        }
+        // Full-text results show a snippet of the article, which is read once the list is displayed (see showSearchResultSnippets)
+        var details = '';
+        if (dirEntry.isFullTextResult) {
+            details += '<span class="search-details">' + getFullTextDetailsHtml(dirEntry) + '</span>';
+        }
+        // The results of a search with filters may be any kind of entry, so they show an icon for their MIME type and their path,
+        // and they are opened by path (so that files that cannot be displayed are offered for download)
+        var icon = '';
+        if (dirEntry.isFilterResult) {
+            var path = dirEntry.namespace + '/' + dirEntry.url;
+            // Redirects are resolved from their dirEntryId as usual
+            if (!dirEntry.isRedirect()) archiveAttribute += '" zimPath="' + encodeURIComponent(path);
+            icon = '<i class="' + getMimetypeIcon(dirEntry) + ' search-mime-icon"></i> ';
+            details += '<br /><small class="text-muted search-path">' + path.replace(/&/g, '&amp;').replace(/</g, '&lt;') +
+                (dirEntry.isRedirect() ? '' : ' · ' + (dirEntry.getMimetype() || '')) + '</small>';
+        }
+        var source = '';
+        if (showSources && !dirEntry.isFilterResult) {
+            source = dirEntry.isFullTextResult
+                ? ' <span class="badge badge-info search-source">' + (translateUI.t('home-search-source-fulltext') || 'Full text') + '</span>'
+                : ' <span class="badge badge-light search-source">' + (translateUI.t('home-search-source-title') || 'Title') + '</span>';
+        }
+        // Tab completes the search string with the title of a hit (but not with the path of an entry found with filters)
+        var suggestion = dirEntry.isFilterResult ? '' : '" data-suggestion="' + encodeURIComponent(dirEntry.getTitleOrUrl());
+        articleListDivHtml += '<a href="#" dirEntryId="' + dirEntryStringId + archiveAttribute + suggestion +
+            '" id="articleListItem' + i + '" role="option" class="list-group-item">' + icon + dirEntry.getTitleOrUrl() + source + archiveLabel + details + '</a>';
+    }
+    // Only HTML articles can be chapters of a book (not the images or PDFs that a search with filters may find)
+    var epubArticles = dirEntryArray.slice(0, listLength).filter(function (dirEntry) {
+        return dirEntry.isRedirect() ? !dirEntry.isFilterResult : /\bx?html\b/i.test(dirEntry.getMimetype());
+    });
+    if (epubArticles.length && !stillSearching) {
+        articleListDivHtml += '<a href="#" id="epubSearchResults" role="option" class="list-group-item list-group-item-action text-center">' +
+            (translateUI.t('home-search-epub') || 'Export these articles as an EPUB book') + '</a>';
+    }
+    if (hasMoreResults) {
+        articleListDivHtml += '<a href="#" id="moreSearchResults" role="option" class="list-group-item list-group-item-action text-center">' +
+            (translateUI.t('home-search-more-results') || 'More full-text results...') + '</a>';
     }
 
     // innerHTML required for this line
     articleListDiv.innerHTML = articleListDivHtml;
     // We have to use mousedown below instead of click as otherwise the prefix blur event fires first
     // and prevents this event from firing; note that touch also triggers mousedown
-    document.querySelectorAll('#articleList a').forEach(function (link) {
+    document.querySelectorAll('#articleList a[dirEntryId]').forEach(function (link) {
         link.addEventListener('mousedown', function (e) {
             // Cancel search immediately
             appstate.search.status = 'cancelled';
@@ -2023,8 +3025,121 @@ function populateListOfArticles (dirEntryArray, reportingSearch) {
             return false;
         });
     });
-    if (!stillSearching) uiUtil.spinnerDisplay(false);
+    var epubSearchResults = document.getElementById('epubSearchResults');
+    if (epubSearchResults) {
+        epubSearchResults.addEventListener('mousedown', function (e) {
+            e.preventDefault();
+            var articles = epubArticles.map(function (dirEntry) {
+                var archive = dirEntry.archiveName ? archiveRegistry.get(dirEntry.archiveName) : selectedArchive;
+                return archive ? { archive: archive, path: dirEntry.namespace + '/' + dirEntry.url, title: dirEntry.getTitleOrUrl() } : null;
+            }).filter(Boolean);
+            exportArticlesAsEpub(articles, reportingSearch.prefix || 'Kiwix');
+        });
+    }
+    var moreSearchResults = document.getElementById('moreSearchResults');
+    if (moreSearchResults) {
+        moreSearchResults.addEventListener('mousedown', function (e) {
+            // Prevent the prefix from losing focus, which would hide the list of results
+            e.preventDefault();
+            moreSearchResults.textContent = translateUI.t('home-search-loading-more') || 'Loading more results...';
+            uiUtil.spinnerDisplay(true);
+            searchCoordinator.findMoreFullTextResults(reportingSearch, populateListOfArticles);
+        });
+    }
+    if (!stillSearching) {
+        uiUtil.spinnerDisplay(false);
+        showSearchResultSnippets(dirEntryArray.slice(0, listLength), reportingSearch);
+    }
     document.getElementById('articleListWithHeader').style.display = '';
+    setActiveSearchOption(null);
+    // The user pressed Enter before the hits arrived (see openFirstSearchHit)
+    if (openFirstHitOf !== null && openFirstHitOf === reportingSearch.prefix) {
+        var firstHit = articleListDiv.querySelector('a[dirEntryId]');
+        if (firstHit) {
+            openFirstHitOf = null;
+            appstate.search.status = 'cancelled';
+            launchArticleFromListItem(firstHit);
+        } else if (!stillSearching) {
+            openFirstHitOf = null;
+        }
+    }
+}
+
+/**
+ * Gets the HTML of the details of a full-text search result: its snippet (which may contain <b> tags around the matched terms),
+ * and its word count and score, if they are known
+ * @param {DirEntry} dirEntry The search result
+ * @returns {String} The HTML of the details
+ */
+function getFullTextDetailsHtml (dirEntry) {
+    var html = '';
+    if (dirEntry.snippet) {
+        html += '<br /><small class="search-snippet">' + dirEntry.snippet.replace(/<(?!\/?b>)[^>]*>/gi, '') + '</small>';
+    }
+    var stats = [];
+    if (dirEntry.wordCount) stats.push((translateUI.t('home-search-word-count') || 'Words:') + ' ' + dirEntry.wordCount);
+    // Only the JavaScript reader of the Xapian index supplies a relevance score: libzim does not, so we show no score for its results
+    if (typeof dirEntry.score === 'number') stats.push((translateUI.t('home-search-score') || 'Score:') + ' ' + dirEntry.score + '%');
+    if (stats.length) html += '<br /><small class="text-muted search-stats">' + stats.join(' · ') + '</small>';
+    return html;
+}
+
+/**
+ * Reads the snippets of the full-text results that are displayed in the list of results, one result at a time, and shows
+ * each snippet as soon as it has been read. Reading a snippet means decoding the whole article, so we only do this for the
+ * displayed results, once the search is complete, and we stop if the search is cancelled (e.g. by a new search).
+ * @param {Array<DirEntry>} dirEntries The displayed results, in the order of the list
+ * @param {Object} reportingSearch The search that found the results
+ */
+function showSearchResultSnippets (dirEntries, reportingSearch) {
+    // If the list is displayed again (e.g. with more results), the new list takes over from this one
+    var list = reportingSearch.snippetList = {};
+    var isCurrent = function () {
+        return reportingSearch.status !== 'cancelled' && reportingSearch.snippetList === list;
+    };
+    var showSnippet = function (i) {
+        if (i >= dirEntries.length || !isCurrent()) return;
+        var dirEntry = dirEntries[i];
+        var archive = dirEntry.archiveName ? archiveRegistry.get(dirEntry.archiveName) : selectedArchive;
+        if (!dirEntry.isFullTextResult || !archive) return showSnippet(i + 1);
+        // The snippet may already have been read for a previous display of the list
+        var readSnippet = dirEntry.snippet !== undefined ? Promise.resolve() : archive.getSearchResultSnippet(dirEntry, reportingSearch.prefix).then(function (details) {
+            dirEntry.snippet = details.snippet;
+            dirEntry.wordCount = details.wordCount;
+        }).catch(function (err) {
+            console.warn('Could not read the snippet of search result ' + dirEntry.namespace + '/' + dirEntry.url, err);
+            dirEntry.snippet = '';
+        });
+        readSnippet.then(function () {
+            // The list may have been displayed again in the meantime, so we check that the item still shows this result
+            var item = document.getElementById('articleListItem' + i);
+            var detailsSpan = item && item.querySelector('.search-details');
+            if (detailsSpan && item.getAttribute('dirEntryId') === encodeURIComponent(dirEntry.toStringId())) {
+                detailsSpan.innerHTML = getFullTextDetailsHtml(dirEntry);
+            }
+            showSnippet(i + 1);
+        });
+    };
+    showSnippet(0);
+}
+
+/**
+ * Gets the Font Awesome icon that represents the MIME type of a directory entry
+ * @param {DirEntry} dirEntry The directory entry
+ * @returns {String} The classes of the icon
+ */
+function getMimetypeIcon (dirEntry) {
+    if (dirEntry.isRedirect()) return 'fas fa-share';
+    var mimetype = dirEntry.getMimetype() || '';
+    if (/^text\/html\b/.test(mimetype)) return 'fas fa-file-alt';
+    if (/^image\//.test(mimetype)) return 'fas fa-file-image';
+    if (/^video\//.test(mimetype)) return 'fas fa-file-video';
+    if (/^audio\//.test(mimetype)) return 'fas fa-file-audio';
+    if (/\/pdf\b/.test(mimetype)) return 'fas fa-file-pdf';
+    if (/\/(?:zip|epub|x-tar|gzip)\b/.test(mimetype)) return 'fas fa-file-archive';
+    if (/javascript|css|json|xml/.test(mimetype)) return 'fas fa-file-code';
+    if (/^text\//.test(mimetype)) return 'fas fa-file-alt';
+    return 'fas fa-file';
 }
 
 /**
@@ -2033,11 +3148,33 @@ function populateListOfArticles (dirEntryArray, reportingSearch) {
  * @returns {Boolean} Always returns false for JQuery event handling
  */
 function handleTitleClick (event) {
-    var dirEntryId = decodeURIComponent(event.target.getAttribute('dirEntryId'));
-    findDirEntryFromDirEntryIdAndLaunchArticleRead(dirEntryId);
+    launchArticleFromListItem(event.target.closest('a'));
     return false;
 }
 
+/**
+ * Reads the article represented by an item in the list of search results, switching to the archive that the item
+ * comes from if it is the result of a search across several archives
+ * @param {Element} link The anchor element of the search result
+ */
+function launchArticleFromListItem (link) {
+    var dirEntryId = decodeURIComponent(link.getAttribute('dirEntryId'));
+    var archiveName = link.getAttribute('archiveName');
+    var zimPath = link.getAttribute('zimPath');
+    addRecentSearch(prefixElement.value);
+    if (archiveName) {
+        var archive = archiveRegistry.get(decodeURIComponent(archiveName));
+        if (archive && archive !== selectedArchive) setSelectedArchive(archive);
+    }
+    // Results of a search with filters are opened by path, so that files that cannot be displayed are offered for download
+    if (zimPath) {
+        document.getElementById('articleContent').contentWindow.focus();
+        goToArticle(decodeURIComponent(zimPath));
+    } else {
+        findDirEntryFromDirEntryIdAndLaunchArticleRead(dirEntryId);
+    }
+}
+
 /**
  * Creates an instance of DirEntry from given dirEntryId (including resolving redirects),
  * and call the function to read the corresponding article
@@ -2264,6 +3401,12 @@ function articleLoadedSW (iframeArticleContent) {
     // Display the iframe content
     iframeArticleContent.style.display = '';
     articleContainer.style.display = '';
+    // If the user followed a link into another open archive, that archive becomes the selected one
+    var crossArchive = iframeArticleContent.contentWindow ? getOpenArchiveFromUrl(iframeArticleContent.contentWindow.location.pathname) : null;
+    if (crossArchive && crossArchive.archive !== selectedArchive && !/zimit/.test(selectedArchive.zimType)) {
+        console.debug('Followed a link into archive ' + crossArchive.archive.file.name);
+        setSelectedArchive(crossArchive.archive);
+    }
     // Deflect drag-and-drop of ZIM file on the iframe to Config
     if (!params.disableDragAndDrop) {
         var doc = iframeArticleContent.contentDocument ? iframeArticleContent.contentDocument.documentElement : null;
@@ -2279,6 +3422,11 @@ function articleLoadedSW (iframeArticleContent) {
     if (iframeArticleContent.contentWindow) {
         // Configure home key press to focus #prefix only if the feature is in active state
         if (params.useHomeKeyToFocusSearchBar) { iframeArticleContent.contentWindow.onkeydown = focusPrefixOnHomeKey; }
+        setupFindInPageForArticle(iframeArticleContent.contentWindow);
+        setupTableOfContentsForArticle(iframeArticleContent.contentWindow);
+        articleExport.attachPrintStylesheet(getArticleDocument());
+        recordArticleInHistory(iframeArticleContent.contentWindow);
+        showDeepLinkInAddressBar();
         if (params.openExternalLinksInNewTabs) {
             // Add event listener to iframe window to check for links to external resources
             iframeArticleContent.contentWindow.onclick = filterClickEvent;
@@ -2451,15 +3599,16 @@ function handleUnsupportedReplayWorker (unhandledDirEntry) {
  * It tries to read the content in the backend, and sends it back to the ServiceWorker
  *
  * @param {Event} event The event object of the message channel
+ * @param {ZIMArchive} archive The archive from which the content is requested
  */
-function handleMessageChannelMessage (event) {
+function handleMessageChannelMessage (event, archive) {
     // We received a message from the ServiceWorker
     // The ServiceWorker asks for some content
     var title = event.data.title;
     if (appstate.isReplayWorkerAvailable) {
         // Zimit ZIMs store assets with the querystring, so we need to add it. ReplayWorker handles encoding.
         title = title + event.data.search;
-    } else if (params.zimType === 'zimit') {
+    } else if (archive.zimType === 'zimit') {
         // Zimit classic ZIMs store assets encoded with the querystring, so we need to add it
         title = encodeURI(title) + event.data.search;
     }
@@ -2468,9 +3617,9 @@ function handleMessageChannelMessage (event) {
         if (dirEntry === null) {
             console.warn('Title ' + title.replace(/^(.{1,160}).*/, '$1...') + ' not found in archive.');
             // DEV: We send null for the content, so that the ServiceWorker knows that the article was not found (as opposed to being merely empty)
-            messagePort.postMessage({ action: 'giveContent', title: title, content: null, zimType: selectedArchive.zimType });
+            messagePort.postMessage({ action: 'giveContent', title: title, content: null, zimType: archive.zimType });
         } else if (dirEntry.isRedirect()) {
-            selectedArchive.resolveRedirect(dirEntry, function (resolvedDirEntry) {
+            archive.resolveRedirect(dirEntry, function (resolvedDirEntry) {
                 var redirectURL = resolvedDirEntry.namespace + '/' + resolvedDirEntry.url;
                 // Ask the ServiceWorker to send an HTTP redirect to the browser.
                 // We could send the final content directly, but it is necessary to let the browser know in which directory it ends up.
@@ -2478,9 +3627,27 @@ function handleMessageChannelMessage (event) {
                 // the relative links in the HTML content would fail. See #312
                 messagePort.postMessage({ action: 'sendRedirect', title: title, redirectUrl: redirectURL });
             });
+        } else if (event.data.range && !/zimit/.test(archive.zimType)) {
+            // The browser asked for a range of bytes (usually of a video or audio stream), so we read only that range from the ZIM file
+            dirEntry.readDataRange(event.data.range.begin, event.data.range.end).then(function (result) {
+                var data = result.data;
+                // We must not send the whole underlying buffer if the data are a view on part of it
+                var buffer = data.byteOffset === 0 && data.byteLength === data.buffer.byteLength ? data.buffer : data.slice().buffer;
+                messagePort.postMessage({
+                    action: 'giveContent',
+                    title: title,
+                    content: buffer,
+                    mimetype: dirEntry.getMimetype(),
+                    zimType: archive.zimType,
+                    range: { begin: result.begin, end: result.end, size: result.size }
+                });
+            }).catch(function (err) {
+                console.error('Unable to read a range of ' + title, err);
+                messagePort.postMessage({ action: 'giveContent', title: title, content: new Uint8Array(), zimType: archive.zimType });
+            });
         } else {
             // Let's read the content in the ZIM file
-            selectedArchive.readBinaryFile(dirEntry, function (fileDirEntry, content) {
+            archive.readBinaryFile(dirEntry, function (fileDirEntry, content) {
                 var mimetype = fileDirEntry.getMimetype();
                 // Show the spinner
                 var shortTitle = dirEntry.getTitleOrUrl().replace(/^.*?([^/]{3,18})[^/]*\/?$/, '$1 ...');
@@ -2495,13 +3662,13 @@ function handleMessageChannelMessage (event) {
                 }
                 // Let's send the content to the ServiceWorker
                 var buffer = content.buffer ? content.buffer : content;
-                var message = { action: 'giveContent', title: title, content: buffer, mimetype: mimetype, zimType: selectedArchive.zimType };
+                var message = { action: 'giveContent', title: title, content: buffer, mimetype: mimetype, zimType: archive.zimType };
                 messagePort.postMessage(message);
             });
         }
     };
-    selectedArchive.getDirEntryByPath(title).then(readFile).catch(function () {
-        messagePort.postMessage({ action: 'giveContent', title: title, content: new Uint8Array(), zimType: selectedArchive.zimType });
+    archive.getDirEntryByPath(title).then(readFile).catch(function () {
+        messagePort.postMessage({ action: 'giveContent', title: title, content: new Uint8Array(), zimType: archive.zimType });
     });
 }
 
@@ -2699,6 +3866,7 @@ function displayArticleContentInIframe (dirEntry, htmlArticle) {
         uiUtil.applyAppTheme(params.appTheme);
         // Allow back/forward in browser history
         pushBrowserHistoryState(dirEntry.namespace + '/' + dirEntry.url);
+        recordArticleInHistory(iframeArticleContent.contentWindow);
 
         parseAnchorsJQuery();
         loadImagesJQuery();
@@ -2718,6 +3886,9 @@ function displayArticleContentInIframe (dirEntry, htmlArticle) {
         if (iframeArticleContent.contentWindow) {
             // Configure home key press to focus #prefix only if the feature is in active state
             if (params.useHomeKeyToFocusSearchBar) { iframeArticleContent.contentWindow.addEventListener('keydown', focusPrefixOnHomeKey); }
+            setupFindInPageForArticle(iframeArticleContent.contentWindow);
+            setupTableOfContentsForArticle(iframeArticleContent.contentWindow);
+            articleExport.attachPrintStylesheet(getArticleDocument());
             // when unloaded remove eventListener to avoid memory leaks
             iframeArticleContent.contentWindow.onunload = function () {
                 iframeArticleContent.contentWindow.removeEventListener('keydown', focusPrefixOnHomeKey);
@@ -2826,8 +3997,15 @@ function displayArticleContentInIframe (dirEntry, htmlArticle) {
                         //     href.replace(uriComponent, '').replace('#' + anchorParameter, ''));
                     }
                 } else {
-                    // It's a relative URL, so we need to calculate the full ZIM URL
-                    zimUrl = uiUtil.deriveZimUrlFromRelativeUrl(uriComponent, baseUrl);
+                    var crossArchive = getOpenArchiveFromUrl(uriComponent);
+                    if (crossArchive && crossArchive.archive !== selectedArchive) {
+                        // It's a link into another open archive, so we switch to that archive before reading the article
+                        setSelectedArchive(crossArchive.archive);
+                        zimUrl = crossArchive.path;
+                    } else {
+                        // It's a relative URL, so we need to calculate the full ZIM URL
+                        zimUrl = uiUtil.deriveZimUrlFromRelativeUrl(uriComponent, baseUrl);
+                    }
                 }
                 goToArticle(zimUrl, downloadAttrValue, contentType);
             });
@@ -3049,7 +4227,7 @@ function pushBrowserHistoryState (title, titleSearch) {
         // Prevents creating a double history for the same page
         if (history.state && history.state.title === title) return;
         stateObj.title = title;
-        urlParameters = '?title=' + title;
+        urlParameters = deepLinks.getQuery(getStoredArchiveName(selectedArchive), title);
         stateLabel = 'Wikipedia Article : ' + title;
     } else if (titleSearch && !(titleSearch === '')) {
         stateObj.titleSearch = titleSearch;
@@ -3061,6 +4239,780 @@ function pushBrowserHistoryState (title, titleSearch) {
     window.history.pushState(stateObj, stateLabel, urlParameters);
 }
 
+/**
+ * Opens the archive and article of a deep link at startup. An open archive with the Name of the link is preferred, and
+ * else the archive is looked up among the archives that the user has already picked (the files listed in archiveList,
+ * from a picked file or folder), and the user is prompted if it cannot be opened. The article is displayed as soon as its archive is loaded (see the btnHome click handler), even if
+ * the user has to pick the archive first.
+ *
+ * @param {Object} link The deep link (see deepLinks.parse)
+ */
+function openDeepLink (link) {
+    appstate.pendingArticle = link;
+    var archive = findOpenArchiveForArticle(link);
+    if (archive) {
+        // The article will be displayed when the archive is selected (see the btnHome click handler)
+        archiveReadyCallback(archive);
+        return;
+    }
+    var filenames = (settingsStore.getItem('zimFilenames') || '').split('|');
+    var filename = deepLinks.matchArchiveFilename(link, filenames);
+    // Ensure that the archive is selected if the user has to pick its folder again
+    if (filename) settingsStore.setItem('previousZimFileName', filename, Infinity);
+    if (!filename || !params.isFileSystemApiSupported) return promptForDeepLinkArchive(link, filename);
+    loadArchiveFromPickedHandle(filename).catch(function (err) {
+        // Browsers usually require a user gesture to grant access to a previously picked file or folder
+        console.warn('Unable to open the archive ' + filename + ' automatically', err);
+        var archiveFile = document.createElement('span');
+        archiveFile.textContent = filename;
+        return uiUtil.systemAlert((translateUI.t('dialog-saved-article-open-archive-message') ||
+            'This article belongs to an archive that is not loaded. Do you want to open it now?') + ' <b>' + archiveFile.innerHTML + '</b>',
+        translateUI.t('dialog-saved-article-open-archive-title') || 'Open archive?', true).then(function (confirmed) {
+            if (!confirmed) return document.getElementById('btnConfigure').click();
+            return loadArchiveFromPickedHandle(filename);
+        });
+    }).catch(function (err) {
+        console.error('Unable to open the archive ' + filename, err);
+        promptForDeepLinkArchive(link, filename);
+    });
+}
+
+/**
+ * Loads an archive from the file or folder handle that the user picked previously (File System Access API)
+ *
+ * @param {String} filename The filename of the archive
+ * @returns {Promise} A Promise that resolves when the archive has started loading, or rejects if it is not available
+ */
+function loadArchiveFromPickedHandle (filename) {
+    return abstractFilesystemAccess.getSelectedZimFromCache(filename).then(function (files) {
+        if (!files.length) throw new Error('The archive ' + filename + ' is not in the picked folder');
+        setLocalArchiveFromFileList(files);
+    });
+}
+
+/**
+ * Tells the user that the archive of a deep link is not available, and displays Configuration so that they can pick it
+ *
+ * @param {Object} link The deep link
+ * @param {String} filename The filename of the archive, if known
+ */
+function promptForDeepLinkArchive (link, filename) {
+    // We use textContent to escape the name, because systemAlert uses innerHTML
+    var archiveName = document.createElement('span');
+    archiveName.textContent = filename || link.archiveName;
+    uiUtil.systemAlert((translateUI.t('dialog-deeplink-archive-missing-message') ||
+        'The link that you opened refers to an archive that is not available. Please select the following archive (or the folder that contains it), and the article will be displayed:') +
+        ' <b>' + archiveName.innerHTML + '</b>',
+    translateUI.t('dialog-saved-article-archive-missing-title') || 'Archive not available').then(function () {
+        document.getElementById('btnConfigure').click();
+    });
+}
+
+/**
+ * Shows a deep link to the article that is displayed in the address bar, so that it can be shared or reloaded (in
+ * jQuery mode, this is done by pushBrowserHistoryState instead)
+ */
+function showDeepLinkInAddressBar () {
+    var article = getCurrentArticle();
+    if (!article) return;
+    var query = deepLinks.getQuery(article.archiveName, article.path);
+    if (window.location.search !== query) window.history.replaceState(window.history.state, '', query);
+}
+
+// Bookmarks panel, displayed in place of the article when the bookmark button is clicked
+const bookmarksPanel = document.getElementById('bookmarksPanel');
+document.getElementById('btnBookmarks').addEventListener('click', function (event) {
+    event.preventDefault();
+    if (bookmarksPanel.style.display === 'none') {
+        showArticlePanel(bookmarksPanel);
+        populateBookmarksPanel();
+    } else {
+        showArticlePanel(null);
+    }
+});
+document.getElementById('btnCloseBookmarks').addEventListener('click', function () {
+    showArticlePanel(null);
+});
+document.getElementById('bookmarksFilter').addEventListener('input', populateBookmarksList);
+document.getElementById('btnSaveBookmark').addEventListener('click', function () {
+    var current = getCurrentArticle();
+    if (!current) return;
+    current.folder = document.getElementById('bookmarkFolder').value;
+    current.tags = document.getElementById('bookmarkTags').value.split(',');
+    bookmarks.get(current.archiveName, current.path).then(function (existing) {
+        // Keep the creation date of a bookmark that is being updated
+        if (existing) current.created = existing.created;
+        return bookmarks.save(current);
+    }).then(populateBookmarksPanel).catch(function (err) {
+        console.error('Error saving bookmark', err);
+    });
+});
+document.getElementById('btnRemoveBookmark').addEventListener('click', function () {
+    var current = getCurrentArticle();
+    if (!current) return;
+    bookmarks.remove(bookmarks.getId(current.archiveName, current.path)).then(populateBookmarksPanel).catch(function (err) {
+        console.error('Error removing bookmark', err);
+    });
+});
+document.getElementById('btnExportBookmarks').addEventListener('click', function () {
+    bookmarks.exportJSON().then(function (json) {
+        uiUtil.displayFileDownloadAlert('kiwix-bookmarks.json', 'kiwix-bookmarks.json', 'application/json', json);
+    }).catch(function (err) {
+        console.error('Error exporting bookmarks', err);
+    });
+});
+document.getElementById('importBookmarks').addEventListener('change', function (event) {
+    var file = event.target.files[0];
+    // Reset the input so that the same file can be imported again
+    event.target.value = '';
+    if (!file) return;
+    var reader = new FileReader();
+    reader.onload = function () {
+        bookmarks.importJSON(reader.result).then(function (count) {
+            populateBookmarksPanel();
+            return uiUtil.systemAlert((translateUI.t('dialog-bookmarks-import-success') || 'Number of bookmarks imported:') + ' ' + count,
+                translateUI.t('dialog-bookmarks-import-title') || 'Import bookmarks');
+        }).catch(function (err) {
+            console.error('Error importing bookmarks', err);
+            uiUtil.systemAlert((translateUI.t('dialog-bookmarks-import-error') || 'The bookmarks could not be imported:') + ' ' + err.message,
+                translateUI.t('dialog-bookmarks-import-title') || 'Import bookmarks');
+        });
+    };
+    reader.readAsText(file);
+});
+
+/**
+ * Shows one of the panels that are displayed in place of the article (bookmarks or history), or hides them all.
+ * The article is hidden while a panel is displayed.
+ *
+ * @param {HTMLElement|null} panel The panel to show, or null to hide the panels and show the article again
+ */
+function showArticlePanel (panel) {
+    document.querySelectorAll('.article-panel').forEach(function (element) {
+        element.style.display = element === panel ? '' : 'none';
+    });
+    articleContainer.style.display = panel ? 'none' : '';
+    if (panel) {
+        document.getElementById('welcomeText').style.display = 'none';
+        document.getElementById('articleListWithHeader').style.display = 'none';
+    }
+}
+
+/**
+ * Gets the path of the article that is currently displayed
+ *
+ * @returns {String} The path of the article (namespace + url), or '' if no article is displayed
+ */
+function getCurrentArticlePath () {
+    if (params.contentInjectionMode !== 'jquery' && articleWindow.location) {
+        var current = getOpenArchiveFromUrl(articleWindow.location.pathname);
+        if (current && current.archive === selectedArchive) return current.path;
+    }
+    return expectedArticleURLToBeDisplayed;
+}
+
+/**
+ * Gets the name under which bookmarks and history entries of an archive are stored: its Name metadata, so that they
+ * remain valid in newer versions of the archive, or its filename if the archive has no Name
+ *
+ * @param {ZIMArchive} archive The archive
+ * @returns {String} The name of the archive for bookmarks and history
+ */
+function getStoredArchiveName (archive) {
+    return archive.name || archiveRegistry.getKey(archive);
+}
+
+/**
+ * Describes the article that is currently displayed, as it is stored in bookmarks and in the history
+ *
+ * @returns {Object|null} The archiveName, archiveFile, path and title of the article, or null if no article is displayed
+ */
+function getCurrentArticle () {
+    var path = selectedArchive && selectedArchive.isReady() ? getCurrentArticlePath() : '';
+    if (!path) return null;
+    var doc = articleContainer.contentDocument;
+    return {
+        archiveName: getStoredArchiveName(selectedArchive),
+        archiveFile: archiveRegistry.getKey(selectedArchive),
+        path: path,
+        title: doc && doc.title ? doc.title : path.replace(/^.*\//, '')
+    };
+}
+
+/**
+ * Populates the bookmarks panel: the form for the current article and the list of bookmarks
+ */
+function populateBookmarksPanel () {
+    var folderInput = document.getElementById('bookmarkFolder');
+    var tagsInput = document.getElementById('bookmarkTags');
+    folderInput.placeholder = translateUI.t('bookmarks-folder-placeholder') || 'Folder (optional)';
+    tagsInput.placeholder = translateUI.t('bookmarks-tags-placeholder') || 'Tags, separated by commas';
+    document.getElementById('bookmarksFilter').placeholder = translateUI.t('bookmarks-filter-placeholder') || 'Filter by title, folder or tag';
+    var current = getCurrentArticle();
+    document.getElementById('bookmarkCurrentArticle').style.display = current ? '' : 'none';
+    var listed = populateBookmarksList();
+    if (!current) return listed;
+    document.getElementById('bookmarkCurrentTitle').textContent = current.title;
+    return Promise.all([bookmarks.get(current.archiveName, current.path), listed]).then(function (results) {
+        var existing = results[0];
+        folderInput.value = existing ? existing.folder : '';
+        tagsInput.value = existing ? existing.tags.join(', ') : '';
+        document.getElementById('btnSaveBookmark').textContent = existing
+            ? translateUI.t('bookmarks-btn-update') || 'Update bookmark'
+            : translateUI.t('bookmarks-btn-save') || 'Bookmark this article';
+        document.getElementById('btnRemoveBookmark').style.display = existing ? '' : 'none';
+    }).catch(function (err) {
+        console.error('Error reading bookmark', err);
+    });
+}
+
+/**
+ * Populates the list of bookmarks, grouped by folder and filtered by the text in the filter field
+ *
+ * @returns {Promise} A Promise that resolves when the list has been populated
+ */
+function populateBookmarksList () {
+    var filter = document.getElementById('bookmarksFilter').value;
+    return bookmarks.list().then(function (list) {
+        var bookmarksList = document.getElementById('bookmarksList');
+        var folders = document.getElementById('bookmarkFolders');
+        bookmarksList.innerHTML = '';
+        folders.innerHTML = '';
+        document.getElementById('bookmarksEmpty').style.display = list.length ? 'none' : '';
+        var folder = null;
+        var group;
+        list.forEach(function (bookmark) {
+            if (bookmark.folder !== folder) {
+                folder = bookmark.folder;
+                if (folder) folders.appendChild(new Option(folder));
+            }
+            if (!bookmarks.matches(bookmark, filter)) return;
+            if (!group || group.dataset.folder !== folder) {
+                var header = document.createElement('h5');
+                header.className = 'bookmarks-folder';
+                header.textContent = folder || translateUI.t('bookmarks-no-folder') || 'Unfiled';
+                group = document.createElement('ul');
+                group.className = 'list-group';
+                group.dataset.folder = folder;
+                header.appendChild(createBookmarksEpubButton(group.bookmarks = [], header.textContent));
+                bookmarksList.appendChild(header);
+                bookmarksList.appendChild(group);
+            }
+            group.bookmarks.push(bookmark);
+            group.appendChild(createBookmarkItem(bookmark));
+        });
+    }).catch(function (err) {
+        console.error('Error listing bookmarks', err);
+    });
+}
+
+/**
+ * Creates the button that exports the bookmarks of a folder as an EPUB book
+ *
+ * @param {Array<Object>} folderBookmarks The bookmarks of the folder (which are listed after the button is created)
+ * @param {String} title The title of the book
+ * @returns {HTMLButtonElement} The button
+ */
+function createBookmarksEpubButton (folderBookmarks, title) {
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-sm btn-outline-secondary bookmarks-epub';
+    button.textContent = translateUI.t('epub-btn-export') || 'EPUB';
+    button.title = translateUI.t('epub-export-folder') || 'Export the articles of this folder as an EPUB book';
+    button.addEventListener('click', function () {
+        // Only the articles of archives that are open can be read
+        var articles = folderBookmarks.map(function (bookmark) {
+            var archive = findOpenArchiveForArticle(bookmark);
+            return archive ? { archive: archive, path: bookmark.path, title: bookmark.title } : null;
+        }).filter(Boolean);
+        if (articles.length < folderBookmarks.length) {
+            console.warn((folderBookmarks.length - articles.length) + ' bookmarks were left out of the book because their archive is not open');
+        }
+        exportArticlesAsEpub(articles, title);
+    });
+    return button;
+}
+
+/**
+ * Builds an EPUB book from a selection of articles, and offers it for download
+ *
+ * @param {Array<Object>} articles The articles (archive, path and title) to include in the book
+ * @param {String} title The title of the book
+ */
+function exportArticlesAsEpub (articles, title) {
+    if (!articles.length) {
+        uiUtil.systemAlert(translateUI.t('dialog-epub-no-articles') || 'None of these articles is in an open archive, so the book cannot be created.');
+        return;
+    }
+    var progressMessage = translateUI.t('spinner-epub-progress') || 'Building book:';
+    uiUtil.spinnerDisplay(true, progressMessage + ' 0 / ' + articles.length);
+    epubBuilder.build(articles, title, function (count) {
+        uiUtil.spinnerDisplay(true, progressMessage + ' ' + count + ' / ' + articles.length);
+    }).then(function (epub) {
+        uiUtil.displayFileDownloadAlert(title, title + '.epub', 'application/epub+zip', epub);
+    }).catch(function (err) {
+        uiUtil.spinnerDisplay(false);
+        console.error('Error building the EPUB book', err);
+        uiUtil.systemAlert((translateUI.t('dialog-epub-error') || 'The book could not be created:') + ' ' + err.message);
+    });
+}
+
+/**
+ * Creates the list item of a bookmark, with its tags and a button to delete it
+ *
+ * @param {Object} bookmark The bookmark
+ * @returns {HTMLLIElement} The list item
+ */
+function createBookmarkItem (bookmark) {
+    var item = document.createElement('li');
+    item.className = 'list-group-item d-flex justify-content-between align-items-center';
+    var label = document.createElement('span');
+    var link = document.createElement('a');
+    link.href = '#';
+    link.textContent = bookmark.title;
+    link.title = bookmark.archiveName + ': ' + bookmark.path;
+    link.addEventListener('click', function (e) {
+        e.preventDefault();
+        openSavedArticle(bookmark);
+    });
+    label.appendChild(link);
+    if (!findOpenArchiveForArticle(bookmark)) {
+        item.classList.add('bookmark-unloaded');
+        link.title = translateUI.t('bookmarks-archive-not-loaded') || 'The archive of this bookmark is not loaded';
+        if (findArchiveListOption(bookmark)) {
+            var openButton = document.createElement('button');
+            openButton.type = 'button';
+            openButton.className = 'btn btn-sm btn-outline-primary bookmark-open-archive';
+            openButton.textContent = translateUI.t('bookmarks-btn-open-archive') || 'Open archive';
+            openButton.addEventListener('click', function () {
+                openSavedArticle(bookmark);
+            });
+            label.appendChild(openButton);
+        }
+    }
+    bookmark.tags.forEach(function (tag) {
+        var chip = document.createElement('span');
+        chip.className = 'badge badge-pill badge-secondary archive-tag';
+        chip.textContent = tag;
+        label.appendChild(chip);
+    });
+    item.appendChild(label);
+    var deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'close';
+    deleteButton.title = translateUI.t('bookmarks-delete') || 'Delete this bookmark';
+    deleteButton.innerHTML = '&times;';
+    deleteButton.addEventListener('click', function () {
+        bookmarks.remove(bookmark.id).then(populateBookmarksPanel).catch(function (err) {
+            console.error('Error removing bookmark', err);
+        });
+    });
+    item.appendChild(deleteButton);
+    return item;
+}
+
+/**
+ * Finds an open archive to which a stored article (bookmark or history entry) belongs: the archive with the same filename,
+ * or else one with the same Name
+ *
+ * @param {Object} article The stored article
+ * @returns {ZIMArchive|null} The open archive, or null if the archive of the article is not open
+ */
+function findOpenArchiveForArticle (article) {
+    var archives = archiveRegistry.list();
+    return archiveRegistry.get(article.archiveFile) || archives.find(function (archive) {
+        return isArchiveOfArticle(archive, article);
+    }) || null;
+}
+
+/**
+ * Tests whether a stored article (bookmark, history entry or deep link) belongs to an archive, by filename or by Name
+ *
+ * @param {ZIMArchive} archive The archive
+ * @param {Object} article The stored article
+ * @returns {Boolean} True if the article belongs to the archive
+ */
+function isArchiveOfArticle (archive, article) {
+    return archiveRegistry.getKey(archive) === article.archiveFile || getStoredArchiveName(archive) === article.archiveName;
+}
+
+/**
+ * Finds the option of archiveList from which the archive of a stored article can be opened (see deepLinks.matchArchiveFilename)
+ *
+ * @param {Object} article The stored article
+ * @returns {HTMLOptionElement|null} The option, or null if the archive is not in the list
+ */
+function findArchiveListOption (article) {
+    var archiveList = document.getElementById('archiveList');
+    var filenames = Array.prototype.map.call(archiveList.options, function (option) {
+        return option.value;
+    });
+    var filename = deepLinks.matchArchiveFilename(article, filenames);
+    return filename ? archiveList.options[filenames.indexOf(filename)] : null;
+}
+
+/**
+ * Displays a stored article (bookmark or history entry), restoring its scroll position if it has one. If its archive is
+ * not open but is available in archiveList, offers to open it.
+ *
+ * @param {Object} article The stored article
+ */
+function openSavedArticle (article) {
+    var archive = findOpenArchiveForArticle(article);
+    if (archive) {
+        showArticlePanel(null);
+        appstate.pendingArticle = article;
+        if (archive === selectedArchive) {
+            goToArticle(article.path);
+        } else {
+            // The article will be displayed when the archive is selected (see the btnHome click handler)
+            archiveReadyCallback(archive);
+        }
+        return;
+    }
+    // We use textContent to escape the filename, because systemAlert uses innerHTML
+    var archiveFile = document.createElement('span');
+    var option = findArchiveListOption(article);
+    if (!option) {
+        archiveFile.textContent = article.archiveFile || article.archiveName;
+        uiUtil.systemAlert((translateUI.t('dialog-saved-article-archive-missing-message') ||
+            'This article belongs to an archive that is not loaded. Please open the following archive and try again:') + ' <b>' + archiveFile.innerHTML + '</b>',
+        translateUI.t('dialog-saved-article-archive-missing-title') || 'Archive not available');
+        return;
+    }
+    archiveFile.textContent = option.value;
+    uiUtil.systemAlert((translateUI.t('dialog-saved-article-open-archive-message') ||
+        'This article belongs to an archive that is not loaded. Do you want to open it now?') + ' <b>' + archiveFile.innerHTML + '</b>',
+    translateUI.t('dialog-saved-article-open-archive-title') || 'Open archive?', true).then(function (confirmed) {
+        if (!confirmed) return;
+        showArticlePanel(null);
+        appstate.pendingArticle = article;
+        var archiveList = document.getElementById('archiveList');
+        archiveList.value = option.value;
+        archiveList.dispatchEvent(new Event('change'));
+    });
+}
+
+// History panel, displayed in place of the article when the history button is clicked
+const historyPanel = document.getElementById('historyPanel');
+document.getElementById('btnHistory').addEventListener('click', function (event) {
+    event.preventDefault();
+    if (historyPanel.style.display === 'none') {
+        showArticlePanel(historyPanel);
+        document.getElementById('historyFilter').placeholder = translateUI.t('history-filter-placeholder') || 'Search the history';
+        populateHistoryList();
+    } else {
+        showArticlePanel(null);
+    }
+});
+document.getElementById('btnCloseHistory').addEventListener('click', function () {
+    showArticlePanel(null);
+});
+document.getElementById('historyFilter').addEventListener('input', populateHistoryList);
+document.getElementById('btnClearHistory').addEventListener('click', function () {
+    uiUtil.systemAlert(translateUI.t('dialog-clear-history-message') || 'Do you want to clear your reading history?',
+        translateUI.t('dialog-clear-history-title') || 'Clear history', true).then(function (confirmed) {
+        if (!confirmed) return;
+        // The recent searches are part of the history
+        settingsStore.removeItem('recentSearches');
+        return settingsStore.reset('history').then(populateHistoryList);
+    }).catch(function (err) {
+        console.error('Error clearing the history', err);
+    });
+});
+
+/**
+ * Populates the timeline of the history, grouped by day and filtered by the text in the filter field
+ *
+ * @returns {Promise} A Promise that resolves when the list has been populated
+ */
+function populateHistoryList () {
+    var filter = document.getElementById('historyFilter').value.trim().toLowerCase();
+    return readingHistory.list(filter ? function (entry) {
+        return (entry.title + '\n' + entry.archiveName + '\n' + entry.path).toLowerCase().indexOf(filter) >= 0;
+    } : null).then(function (entries) {
+        var historyList = document.getElementById('historyList');
+        historyList.innerHTML = '';
+        document.getElementById('historyEmpty').style.display = entries.length ? 'none' : '';
+        var day = null;
+        var group;
+        entries.forEach(function (entry) {
+            var date = new Date(entry.id);
+            if (date.toDateString() !== day) {
+                day = date.toDateString();
+                var header = document.createElement('h5');
+                header.className = 'history-day';
+                header.textContent = date.toLocaleDateString();
+                historyList.appendChild(header);
+                group = document.createElement('ul');
+                group.className = 'list-group';
+                historyList.appendChild(group);
+            }
+            group.appendChild(createHistoryItem(entry, date));
+        });
+    }).catch(function (err) {
+        console.error('Error listing the history', err);
+    });
+}
+
+/**
+ * Creates the list item of a history entry, with the time at which the article was read and a button to remove it
+ *
+ * @param {Object} entry The history entry
+ * @param {Date} date The date at which the article was read
+ * @returns {HTMLLIElement} The list item
+ */
+function createHistoryItem (entry, date) {
+    var item = document.createElement('li');
+    item.className = 'list-group-item d-flex justify-content-between align-items-center';
+    var label = document.createElement('span');
+    var time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    var link = document.createElement('a');
+    link.href = '#';
+    link.textContent = entry.title;
+    link.title = entry.archiveName + ': ' + entry.path;
+    link.addEventListener('click', function (e) {
+        e.preventDefault();
+        openSavedArticle(entry);
+    });
+    var archiveName = document.createElement('small');
+    archiveName.className = 'history-archive';
+    archiveName.textContent = entry.archiveName;
+    label.append(time, link, archiveName);
+    item.appendChild(label);
+    var deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'close';
+    deleteButton.title = translateUI.t('history-delete') || 'Remove from history';
+    deleteButton.innerHTML = '&times;';
+    deleteButton.addEventListener('click', function () {
+        readingHistory.remove(entry.id).then(populateHistoryList).catch(function (err) {
+            console.error('Error removing history entry', err);
+        });
+    });
+    item.appendChild(deleteButton);
+    return item;
+}
+
+/**
+ * Adds the article that has just been loaded to the reading history, restores its scroll position (or jumps to its
+ * anchor) if it was reopened from the history, a bookmark or a deep link, and then records its scroll position as the
+ * user scrolls
+ *
+ * @param {Window} contentWindow The window of the article
+ */
+function recordArticleInHistory (contentWindow) {
+    var article = getCurrentArticle();
+    var pendingArticle = appstate.pendingArticle;
+    appstate.pendingArticle = null;
+    if (!article || !contentWindow) return;
+    readingHistory.add(article).then(function (entry) {
+        var timer;
+        // We assign the handler rather than adding a listener, because the window is reused for each article in jQuery mode
+        contentWindow.onscroll = function () {
+            clearTimeout(timer);
+            timer = setTimeout(function () {
+                readingHistory.updateScroll(entry.id, contentWindow.scrollY).catch(function (err) {
+                    console.warn('Unable to record the scroll position in the history', err);
+                });
+            }, 1000);
+        };
+        if (!pendingArticle || pendingArticle.path !== article.path) return;
+        var target = pendingArticle.anchor ? contentWindow.document.getElementById(pendingArticle.anchor) : null;
+        if (target) {
+            target.scrollIntoView();
+        } else if (pendingArticle.scroll) {
+            contentWindow.scrollTo(0, pendingArticle.scroll);
+        }
+    }).catch(function (err) {
+        console.warn('Unable to record the article in the history', err);
+    });
+}
+
+// Find-in-page bar, displayed above the navigation buttons
+const findInPageBar = document.getElementById('findInPageBar');
+const findInPageInput = document.getElementById('findInPageInput');
+var findInPage = null;
+var findInPageTimer;
+
+/**
+ * Gets the document of the article that is currently displayed (in a Zimit archive, the article is displayed in a
+ * nested replay iframe)
+ *
+ * @returns {Document|null} The document of the article, or null if it is not accessible
+ */
+function getArticleDocument () {
+    try {
+        var doc = articleContainer.contentDocument;
+        var replayIframe = doc ? doc.getElementById('replay_iframe') : null;
+        return replayIframe ? replayIframe.contentDocument : doc;
+    } catch (err) {
+        console.warn('The article document is not accessible', err);
+        return null;
+    }
+}
+
+/**
+ * Shows or hides the find-in-page bar. Hiding the bar removes the highlights of the matches from the article.
+ *
+ * @param {Boolean} show True to show the bar, false to hide it
+ */
+function showFindInPage (show) {
+    if (show) {
+        showArticlePanel(null);
+        findInPageInput.placeholder = translateUI.t('find-in-page-placeholder') || 'Find in article';
+        findInPageBar.style.display = '';
+        findInPageInput.focus();
+        findInPageInput.select();
+        if (findInPageInput.value) updateFindInPage();
+    } else {
+        findInPageBar.style.display = 'none';
+        if (findInPage) findInPage.clear();
+        findInPage = null;
+    }
+    resizeIFrame();
+}
+
+/**
+ * Searches the current article for the text in the find-in-page bar, highlighting the matches
+ */
+function updateFindInPage () {
+    var doc = getArticleDocument();
+    if (findInPage && findInPage.doc !== doc) findInPage = null;
+    if (!findInPage && doc) findInPage = new uiUtil.FindInPage(doc);
+    if (findInPage) findInPage.search(findInPageInput.value);
+    showFindInPageCount();
+}
+
+/**
+ * Steps to the next or previous match in the article
+ *
+ * @param {Number} direction 1 for the next match, -1 for the previous match
+ */
+function stepFindInPage (direction) {
+    // The article may have changed since the last search
+    if (!findInPage || findInPage.doc !== getArticleDocument()) {
+        updateFindInPage();
+    } else {
+        findInPage.step(direction);
+        showFindInPageCount();
+    }
+}
+
+/**
+ * Displays the position of the current match and the number of matches, e.g. "3 of 17"
+ */
+function showFindInPageCount () {
+    var count = findInPage ? findInPage.matches.length : 0;
+    var label = '';
+    if (count) {
+        label = (findInPage.current + 1) + ' ' + (translateUI.t('find-in-page-of') || 'of') + ' ' + count;
+    } else if (findInPageInput.value) {
+        label = translateUI.t('find-in-page-none') || 'No matches';
+    }
+    document.getElementById('findInPageCount').textContent = label;
+}
+
+/**
+ * Handles the keyboard shortcuts of the find-in-page bar in the app and in the article: Ctrl+F (or Cmd+F) and F3 open
+ * the bar, F3 and Shift+F3 step through the matches, and Esc closes the bar
+ *
+ * @param {KeyboardEvent} event The keydown event
+ */
+function handleFindInPageKey (event) {
+    var isOpen = findInPageBar.style.display !== 'none';
+    if (((event.ctrlKey || event.metaKey) && !event.altKey && /^f$/i.test(event.key)) || (event.key === 'F3' && !isOpen)) {
+        event.preventDefault();
+        showFindInPage(true);
+    } else if (event.key === 'F3') {
+        event.preventDefault();
+        stepFindInPage(event.shiftKey ? -1 : 1);
+    } else if ((event.key === 'Escape' || event.key === 'Esc') && isOpen) {
+        showFindInPage(false);
+    }
+}
+
+/**
+ * Attaches the keyboard shortcuts of the find-in-page bar to a newly loaded article, and re-runs any search that is in
+ * progress, so that the matches of the new article are highlighted
+ *
+ * @param {Window} contentWindow The window of the article
+ */
+function setupFindInPageForArticle (contentWindow) {
+    // Remove any listener from the previous article, because the window is reused for each article in jQuery mode
+    contentWindow.removeEventListener('keydown', handleFindInPageKey);
+    contentWindow.addEventListener('keydown', handleFindInPageKey);
+    findInPage = null;
+    if (findInPageBar.style.display !== 'none' && findInPageInput.value) updateFindInPage();
+}
+
+window.addEventListener('keydown', handleFindInPageKey);
+document.getElementById('btnFindInPage').addEventListener('click', function (event) {
+    event.preventDefault();
+    showFindInPage(findInPageBar.style.display === 'none');
+});
+document.getElementById('btnFindInPageClose').addEventListener('click', function () {
+    showFindInPage(false);
+});
+document.getElementById('btnFindInPageNext').addEventListener('click', function () {
+    stepFindInPage(1);
+});
+document.getElementById('btnFindInPagePrevious').addEventListener('click', function () {
+    stepFindInPage(-1);
+});
+findInPageInput.addEventListener('input', function () {
+    // Searching a long article on each keystroke would make typing sluggish
+    clearTimeout(findInPageTimer);
+    findInPageTimer = setTimeout(updateFindInPage, 300);
+});
+findInPageInput.addEventListener('keydown', function (event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        clearTimeout(findInPageTimer);
+        if (!findInPage || !findInPage.matches.length) {
+            updateFindInPage();
+        } else {
+            stepFindInPage(event.shiftKey ? -1 : 1);
+        }
+    }
+});
+
+// Export of the current article as a standalone HTML file, or with the browser's print dialog
+document.getElementById('btnExportArticleHTML').addEventListener('click', function (event) {
+    event.preventDefault();
+    var article = getCurrentArticle();
+    var doc = getArticleDocument();
+    if (!article || !doc) {
+        uiUtil.systemAlert(translateUI.t('dialog-export-article-none') || 'Please open an article to export.');
+        return;
+    }
+    uiUtil.spinnerDisplay(true, translateUI.t('spinner-export-article') || 'Exporting article...');
+    articleExport.exportArticle(doc, selectedArchive, article.path, function (url) {
+        var current = getOpenArchiveFromUrl(url);
+        return current && current.archive === selectedArchive ? current.path : null;
+    }).then(function (html) {
+        uiUtil.displayFileDownloadAlert(article.title, article.title + '.html', 'text/html', html);
+    }).catch(function (err) {
+        uiUtil.spinnerDisplay(false);
+        console.error('Error exporting the article', err);
+        uiUtil.systemAlert((translateUI.t('dialog-export-article-error') || 'The article could not be exported:') + ' ' + err.message);
+    });
+});
+document.getElementById('btnPrintArticle').addEventListener('click', function (event) {
+    event.preventDefault();
+    var doc = getArticleDocument();
+    if (!getCurrentArticle() || !doc) {
+        uiUtil.systemAlert(translateUI.t('dialog-export-article-none') || 'Please open an article to export.');
+        return;
+    }
+    // Only the article is printed, not the app around it
+    articleExport.attachPrintStylesheet(doc);
+    doc.defaultView.focus();
+    doc.defaultView.print();
+});
+
 // Setup table of contents and display the list when the dropup button is clicked
 var dropup = document.getElementById('dropup');
 dropup.setAttribute('tabindex', '0');
@@ -3075,51 +5027,172 @@ dropup.addEventListener('click', function () {
     }
 });
 
-dropup.addEventListener('blur', function () {
+// Hide the list when the focus leaves the dropup, unless it moves into the list (e.g. to a button that collapses a section)
+function hideToCListOnBlur (event) {
+    if (event.relatedTarget && (event.relatedTarget === dropup || ToCList.contains(event.relatedTarget))) return;
     setTimeout(() => {
         if (ToCList.style.display === 'block') ToCList.style.display = 'none';
     }, 200);
-});
+}
+dropup.addEventListener('blur', hideToCListOnBlur);
+ToCList.addEventListener('focusout', hideToCListOnBlur);
 
-// Inject table of contents list into dropup element and scroll selection into view
-function setupTableOfContents () {
-    var iframe = document.getElementById('articleContent');
-    var innerDoc = iframe.contentDocument;
-    var tableOfContents = new uiUtil.TOC(innerDoc);
-    var headings = tableOfContents.getHeadingObjects();
+/**
+ * The table of contents of the article that is currently displayed
+ * @type {TableOfContents}
+ */
+var tableOfContents = null;
+var tocScrollSpyTimer;
 
-    var dropupHtml = '';
-    params.relativeFontSize = 100;
-    headings.forEach(function (heading) {
-        if (/^h1$/i.test(heading.tagName)) {
-            dropupHtml += '<li style="font-size:' + params.relativeFontSize + '%;"><a style="color: black;" href="#" data-heading-id="' + heading.id + '">' + heading.textContent + '</a></li>';
-        } else if (/^h2$/i.test(heading.tagName)) {
-            dropupHtml += '<li style="font-size:' + ~~(params.relativeFontSize * 0.9) + '%;"><a style="color: black;" href="#" data-heading-id="' + heading.id + '">' + heading.textContent + '</a></li>';
-        } else if (/^h3$/i.test(heading.tagName)) {
-            dropupHtml += '<li style="font-size:' + ~~(params.relativeFontSize * 0.8) + '%;"><a style="color: black;" href="#" data-heading-id="' + heading.id + '">' + heading.textContent + '</a></li>';
-        } else if (/^h4$/i.test(heading.tagName)) {
-            dropupHtml += '<li style="font-size:' + ~~(params.relativeFontSize * 0.7) + '%;"><a style="color: black;" href="#" data-heading-id="' + heading.id + '">' + heading.textContent + '</a></li>';
-        }
-        // Skip smaller headings (if there are any) to avoid making list too long
+/**
+ * The ids of the headings of the collapsed sections of the article that is currently displayed
+ * @type {Array<String>}
+ */
+var collapsedSectionIds = [];
+
+/**
+ * Gets the key under which the collapsed sections of the current article are remembered
+ *
+ * @returns {String} The key, or '' if no article is displayed
+ */
+function getCollapsedSectionsKey () {
+    var article = getCurrentArticle();
+    return article ? collapsedSections.getKey(article.archiveName, article.path) : '';
+}
+
+/**
+ * Collapses the sections of a newly loaded article that the user collapsed when last reading it, and attaches the
+ * scroll-spy that highlights the current section in the table of contents
+ *
+ * @param {Window} contentWindow The window of the article
+ */
+function setupTableOfContentsForArticle (contentWindow) {
+    var doc = getArticleDocument();
+    tableOfContents = doc ? new uiUtil.TOC(doc) : null;
+    // Remove any listener from the previous article, because the window is reused for each article in jQuery mode
+    contentWindow.removeEventListener('scroll', tocScrollSpy);
+    collapsedSectionIds = [];
+    if (!tableOfContents) return;
+    (doc.defaultView || contentWindow).addEventListener('scroll', tocScrollSpy);
+    var key = getCollapsedSectionsKey();
+    if (!key) return;
+    var toc = tableOfContents;
+    collapsedSections.get(key).then(function (ids) {
+        // Another article may have been loaded in the meantime
+        if (tableOfContents !== toc) return;
+        collapsedSectionIds = ids;
+        toc.getHeadingObjects().forEach(function (heading) {
+            if (heading.id && ~ids.indexOf(heading.id)) toc.setSectionCollapsed(heading.index, true);
+        });
+    }).catch(function (err) {
+        console.warn('Unable to read the collapsed sections', err);
     });
+}
+
+/**
+ * Highlights the section that the user is reading in the table of contents, if the list is displayed
+ */
+function tocScrollSpy () {
+    clearTimeout(tocScrollSpyTimer);
+    tocScrollSpyTimer = setTimeout(function () {
+        if (ToCList.style.display !== 'block' || !tableOfContents) return;
+        var current = tableOfContents.getCurrentHeadingIndex();
+        var activeItem = null;
+        Array.prototype.slice.call(ToCList.querySelectorAll('li')).forEach(function (item) {
+            var isActive = Number(item.dataset.headingIndex) === current;
+            // NB IE11 does not support the second argument of classList.toggle
+            item.classList[isActive ? 'add' : 'remove']('toc-active');
+            if (isActive) activeItem = item;
+        });
+        if (activeItem) activeItem.scrollIntoView({ block: 'nearest' });
+    }, 100);
+}
+
+// Inject table of contents list into dropup element and scroll selection into view
+function setupTableOfContents () {
+    var innerDoc = getArticleDocument();
+    if (!innerDoc) return;
+    if (!tableOfContents || tableOfContents.doc !== innerDoc) tableOfContents = new uiUtil.TOC(innerDoc);
+    // Skip smaller headings (if there are any) to avoid making list too long
+    var headings = tableOfContents.getHeadingTree(4);
     var ToCList = document.getElementById('ToCList');
     ToCList.style.maxHeight = ~~(window.innerHeight * 0.75) + 'px';
     ToCList.style.marginLeft = '-5% !important';
-    ToCList.innerHTML = dropupHtml;
-    Array.prototype.slice.call(ToCList.getElementsByTagName('a')).forEach(function (listElement) {
-        listElement.addEventListener('click', function () {
-            var sectionEle = innerDoc.getElementById(this.dataset.headingId);
-            // Scroll to element
-            sectionEle.scrollIntoView();
-            // Scrolling up then down ensures that the toolbars show according to user settings
-            iframe.contentWindow.scrollBy(0, -5);
-            setTimeout(function () {
-                iframe.contentWindow.scrollBy(0, 5);
-                iframe.contentWindow.focus();
-            }, 150);
-            ToCList.style.display = 'none';
+    ToCList.innerHTML = '';
+    headings.forEach(function (heading) {
+        ToCList.appendChild(createToCItem(heading, innerDoc, collapsedSectionIds));
+    });
+    tocScrollSpy();
+}
+
+/**
+ * Creates the item of the table of contents for a heading, with a nested list of the headings of its section
+ *
+ * @param {Object} heading The heading object, as returned by TableOfContents.getHeadingTree
+ * @param {Document} innerDoc The document of the article
+ * @param {Array<String>} collapsedIds The ids of the headings whose sections are collapsed
+ * @returns {HTMLElement} The list item
+ */
+function createToCItem (heading, innerDoc, collapsedIds) {
+    var item = document.createElement('li');
+    item.dataset.headingIndex = heading.index;
+    item.style.fontSize = ~~(100 * (1.1 - heading.level / 10)) + '%';
+    var collapsed = !!heading.id && collapsedIds.indexOf(heading.id) !== -1;
+    if (collapsed) item.classList.add('toc-collapsed');
+    // Only sections whose heading has an id can be remembered as collapsed
+    if (heading.id) {
+        var toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'toc-toggle btn btn-link btn-sm';
+        toggle.title = translateUI.t('toc-toggle-section') || 'Collapse or expand this section';
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+        toggle.innerHTML = '<i class="fas fa-caret-down"></i>';
+        toggle.addEventListener('click', function (event) {
+            event.stopPropagation();
+            var isCollapsed = item.classList.toggle('toc-collapsed');
+            toggle.setAttribute('aria-expanded', String(!isCollapsed));
+            tableOfContents.setSectionCollapsed(heading.index, isCollapsed);
+            collapsedSectionIds = collapsedSectionIds.filter(function (id) {
+                return id !== heading.id;
+            });
+            if (isCollapsed) collapsedSectionIds.push(heading.id);
+            var key = getCollapsedSectionsKey();
+            if (key) {
+                collapsedSections.save(key, collapsedSectionIds.slice()).catch(function (err) {
+                    console.warn('Unable to store the collapsed sections', err);
+                });
+            }
         });
+        item.appendChild(toggle);
+    }
+    var link = document.createElement('a');
+    link.href = '#';
+    link.textContent = heading.textContent;
+    link.addEventListener('click', function (event) {
+        event.preventDefault();
+        var sectionEle = tableOfContents.headings[heading.index];
+        var contentWindow = innerDoc.defaultView;
+        // Expand the section if it was collapsed, so that the user can read it
+        if (item.classList.contains('toc-collapsed')) item.querySelector('.toc-toggle').click();
+        // Scroll to element
+        sectionEle.scrollIntoView();
+        // Scrolling up then down ensures that the toolbars show according to user settings
+        contentWindow.scrollBy(0, -5);
+        setTimeout(function () {
+            contentWindow.scrollBy(0, 5);
+            contentWindow.focus();
+        }, 150);
+        ToCList.style.display = 'none';
     });
+    item.appendChild(link);
+    if (heading.children.length) {
+        var subList = document.createElement('ul');
+        heading.children.forEach(function (child) {
+            subList.appendChild(createToCItem(child, innerDoc, collapsedIds));
+        });
+        item.appendChild(subList);
+    }
+    return item;
 }
 
 /**
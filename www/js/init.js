@@ -39,6 +39,9 @@
  * @property {boolean} slideAway - A boolean indicating whether to slide away the header and footer when scrolling.
  * @property {boolean} showUIAnimations - A boolean indicating whether to show UI animations.
  * @property {number} maxSearchResultsSize - The maximum number of article titles to return.
+ * @property {boolean} ignoreAccentsInSearch - A boolean indicating whether title search ignores accents and other diacritics.
+ * @property {string} titleSearchMode - Whether title search finds titles that start with the search string ('prefix') or that contain it anywhere ('contains').
+ * @property {boolean} useXapianReader - A boolean indicating whether to read the full-text index in JavaScript when libzim cannot be used.
  * @property {boolean} assetsCache - A boolean indicating whether to cache assets.
  * @property {boolean} appCache - A boolean indicating whether to cache the PWA's code.
  * @property {string} appTheme - A parameter to set the app theme and, if necessary, the CSS theme for article content.
@@ -52,6 +55,7 @@
  * @property {boolean} useCanvasElementsForWebpTranscoding - A parameter to circumvent anti-fingerprinting technology in browsers that do not support WebP natively by substituting images directly with the canvas elements produced by the WebP polyfill.
  * @property {string} libraryUrl - The URL of the Kiwix library.
  * @property {string} altLibraryUrl - The alternative URL of the Kiwix library in non-supported browsers.
+ * @property {string} opdsCatalogUrl - The URL of the OPDS catalog of the Kiwix library, which can be set to a local mirror of the catalog.
  * @property {string} cacheAPI - Name of the prefix used to identify the cache in Cache API
  * @property {string} cacheIDB - Name of the Indexed DB database
  * @property {boolean} isFileSystemApiSupported - A boolean indicating whether the FileSystem API is supported.
@@ -96,6 +100,9 @@ params['slideAway'] = getSetting('slideAway') === false ? false : typeof navigat
 params['showUIAnimations'] = getSetting('showUIAnimations') === true;
 // Maximum number of article titles to return (range is 5 - 50, default 25)
 params['maxSearchResultsSize'] = getSetting('maxSearchResultsSize') || 25;
+params['ignoreAccentsInSearch'] = getSetting('ignoreAccentsInSearch') === true; // Title search also finds spellings with or without diacritics (e.g. 'Bezier' finds 'Bézier'): off by default, because it adds lookups to each search
+params['titleSearchMode'] = getSetting('titleSearchMode') || 'prefix'; // 'contains' scans every title in a Worker, which is slower but finds words anywhere in titles
+params['useXapianReader'] = getSetting('useXapianReader') !== false; // Full-text search falls back to reading the Xapian index in JavaScript if libzim cannot be used (turn off with ?useXapianReader=false)
 // Turns caching of assets on or off and deletes the cache (it defaults to true unless explicitly turned off in UI)
 params['assetsCache'] = getSetting('assetsCache') !== false;
 // Turns caching of the PWA's code on or off and deletes the cache (it defaults to true unless the bypass option is set in Expert Settings)
@@ -123,6 +130,7 @@ params['contentInjectionMode'] = getSetting('contentInjectionMode') ||
 params['useCanvasElementsForWebpTranscoding'] = null; // Value is determined in uiUtil.determineCanvasElementsWorkaround(), called when setting the content injection mode
 params['libraryUrl'] = 'https://library.kiwix.org/'; // Url for iframe that will be loaded to download new zim files
 params['altLibraryUrl'] = 'https://download.kiwix.org/zim/'; // Alternative Url for iframe (for use with unsupported browsers) that will be loaded to download new zim files
+params['opdsCatalogUrl'] = getSetting('opdsCatalogUrl') || 'https://library.kiwix.org/catalog/v2/'; // Url of the OPDS catalog browsed in the Library (can be set to a local mirror of the catalog)
 params['cacheAPI'] = 'kiwix-js'; // Sets name of the prefix used to identify the cache in Cache API
 params['cacheIDB'] = 'kiwix-zim'; // Sets name of the Indexed DB database
 params['isFileSystemApiSupported'] = typeof window.showOpenFilePicker === 'function'; // Sets a boolean indicating whether the FileSystem API is supported
@@ -132,6 +140,7 @@ params['libzimMode'] = getSetting('libzimMode') || 'wasm'; // Sets a value indic
 params['useLibzim'] = !!getSetting('useLibzim'); // Sets a value indicating which libzim mode is selected
 params['previousZimFileName'] = getSetting('previousZimFileName') || ''; // Sets the name of the last opened zim file
 params['reopenLastArchive'] = getSetting('reopenLastArchive') !== false; // Sets a Boolean defaulting to true indicating whether to reopen the last opened zim file if possible
+params['restoreLastArticle'] = getSetting('restoreLastArticle') !== false; // Sets a Boolean defaulting to true indicating whether to restore the last article read when the last zim file is reopened
 
 /**
  * Apply any override parameters that might be in the querystring.
@@ -146,7 +155,8 @@ params['reopenLastArchive'] = getSetting('reopenLastArchive') !== false; // Sets
         if (matches[1] && matches[2]) {
             var paramKey = decodeURIComponent(matches[1]);
             var paramVal = decodeURIComponent(matches[2]);
-            if (paramKey !== 'title') {
+            // The title and deep link parameters (zim and path) identify an article rather than a setting
+            if (!/^(?:title|zim|path)$/.test(paramKey)) {
                 console.debug('Setting key-pair: ' + paramKey + ':' + paramVal);
                 // Make values Boolean if 'true'/'false'
                 paramVal = paramVal === 'true' || (paramVal === 'false' ? false : paramVal);
@@ -190,6 +200,8 @@ document.getElementById('slideAwayCheck').checked = params.slideAway;
 document.getElementById('showUIAnimationsCheck').checked = params.showUIAnimations;
 document.getElementById('titleSearchRange').value = params.maxSearchResultsSize;
 document.getElementById('titleSearchRangeVal').textContent = params.maxSearchResultsSize;
+document.getElementById('ignoreAccentsInSearchCheck').checked = params.ignoreAccentsInSearch;
+document.getElementById('titleSearchModeSelect').value = params.titleSearchMode;
 document.getElementById('appThemeSelect').value = params.appTheme;
 document.getElementById('useHomeKeyToFocusSearchBarCheck').checked = params.useHomeKeyToFocusSearchBar;
 document.getElementById('openExternalLinksInNewTabsCheck').checked = params.openExternalLinksInNewTabs;
@@ -200,6 +212,7 @@ document.getElementById('useLibzim').checked = params.useLibzim;
 document.getElementById('appVersion').textContent = 'Kiwix ' + params.appVersion;
 document.getElementById('enableSourceVerification').checked = getSetting('sourceVerification') === null ? true : getSetting('sourceVerification');
 document.getElementById('reopenLastArchiveCheck').checked = params.reopenLastArchive;
+document.getElementById('restoreLastArticleCheck').checked = params.restoreLastArticle;
 // If the File System Access API is supported, unhide the reopenLastArchiveDiv
 if (params.isFileSystemApiSupported) document.getElementById('reopenLastArchiveDiv').style.display = '';
 
@@ -0,0 +1,178 @@
+/**
+ * archiveRegistry.js: A registry of the ZIM archives that are currently open in this instance of the app.
+ * Each registered ZIMArchive keeps its own file, libzim Worker and metadata, so that the user can switch
+ * between archives without the headers and listings having to be parsed again.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/**
+ * The maximum number of archives that can be kept open at the same time. When this number is exceeded,
+ * the archive that was least recently selected is closed (and its libzim Worker is terminated)
+ * @type {Number}
+ */
+const MAX_OPEN_ARCHIVES = 6;
+
+/**
+ * A Map of the open archives, keyed by the name of the archive (the filename without any split-file suffix).
+ * The Map preserves insertion order, and archives are re-inserted when selected, so the first entry is always
+ * the least recently selected archive
+ * @type {Map<String, ZIMArchive>}
+ */
+var openArchives = new Map();
+
+/**
+ * The filename of the archive that is currently selected by the user
+ * @type {String}
+ */
+var selectedName = null;
+
+/**
+ * Gets the key under which an archive is registered. This is the name of the archive without any split-file suffix
+ * (as set in zimfile.js), which is also the name that the Service Worker uses in its requests for content
+ *
+ * @param {ZIMArchive} archive The archive
+ * @returns {String} The registry key for the archive
+ */
+function getKey (archive) {
+    return archive.file.name;
+}
+
+/**
+ * Converts a filename to a registry key, by removing the suffix of a split archive (e.g. '.zimaa' becomes '.zim')
+ *
+ * @param {String} name The filename of the archive, or of any file in a split set
+ * @returns {String} The registry key
+ */
+function normaliseName (name) {
+    return name ? name.replace(/^.*?([^/]+\.zim)\w?\w?$/i, '$1') : name;
+}
+
+/**
+ * Adds an archive to the registry (or refreshes its position if it is already registered), and closes the
+ * least recently selected archive if there are more than MAX_OPEN_ARCHIVES open
+ *
+ * @param {ZIMArchive} archive The ready-to-use archive to register
+ * @returns {ZIMArchive} The registered archive
+ */
+function register (archive) {
+    var key = getKey(archive);
+    var existing = openArchives.get(key);
+    if (existing && existing !== archive) {
+        // A different instance of the same file has been loaded, so we discard the old one
+        existing.close();
+    }
+    openArchives.delete(key);
+    openArchives.set(key, archive);
+    while (openArchives.size > MAX_OPEN_ARCHIVES) {
+        var oldestKey = openArchives.keys().next().value;
+        console.debug('Closing least recently used archive ' + oldestKey);
+        remove(oldestKey);
+    }
+    return archive;
+}
+
+/**
+ * Marks the archive with the given filename as the selected one, and moves it to the end of the eviction queue
+ *
+ * @param {String} name The filename of the archive
+ * @returns {ZIMArchive|null} The selected archive, or null if no archive with that name is open
+ */
+function select (name) {
+    name = normaliseName(name);
+    var archive = openArchives.get(name);
+    if (!archive) return null;
+    openArchives.delete(name);
+    openArchives.set(name, archive);
+    selectedName = name;
+    return archive;
+}
+
+/**
+ * Gets the open archive with the given filename
+ *
+ * @param {String} name The filename of the archive (or of any file in a split set)
+ * @returns {ZIMArchive|null} The archive, or null if it is not open
+ */
+function get (name) {
+    return openArchives.get(normaliseName(name)) || null;
+}
+
+/**
+ * Finds an open archive that matches the given file(s), i.e. that has the same name and size. This allows us
+ * to reuse an archive that was already parsed when the user picks the same file again.
+ *
+ * @param {Array<File>|FileList} files The file or files of the archive that the user picked
+ * @returns {ZIMArchive|null} The matching archive, or null if none matches
+ */
+function findByFiles (files) {
+    if (!files || !files.length) return null;
+    var archive = get(files[0].name);
+    if (!archive) return null;
+    var archiveFiles = archive.file._files;
+    if (archiveFiles.length !== files.length || archiveFiles[0].size !== files[0].size) return null;
+    return archive;
+}
+
+/**
+ * Closes the archive with the given filename and removes it from the registry
+ *
+ * @param {String} name The filename of the archive to close
+ * @returns {Boolean} True if an archive was closed
+ */
+function remove (name) {
+    name = normaliseName(name);
+    var archive = openArchives.get(name);
+    if (!archive) return false;
+    archive.close();
+    openArchives.delete(name);
+    if (selectedName === name) selectedName = null;
+    return true;
+}
+
+/**
+ * Lists the open archives, in the order in which they were opened or last selected
+ *
+ * @returns {Array<ZIMArchive>} An array of the open archives
+ */
+function list () {
+    return Array.from(openArchives.values());
+}
+
+/**
+ * Gets the filename of the currently selected archive
+ *
+ * @returns {String|null} The filename, or null if no archive is selected
+ */
+function getSelectedName () {
+    return selectedName;
+}
+
+export default {
+    getKey: getKey,
+    register: register,
+    select: select,
+    get: get,
+    findByFiles: findByFiles,
+    remove: remove,
+    list: list,
+    getSelectedName: getSelectedName
+};
@@ -0,0 +1,250 @@
+/**
+ * articleExport.js: Exports the article that is displayed as a standalone HTML document, which can be read without
+ * Kiwix. Every asset of the article (images, stylesheets and the fonts or images that they reference, media) is read
+ * from the archive and inlined as a data: URI, and the scripts and the hooks that Kiwix injects in the article are
+ * removed. It also attaches the print stylesheet that gives clean output with the browser's print-to-PDF.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import cache from './cache.js';
+import uiUtil from './uiUtil.js';
+
+/**
+ * The path of the print stylesheet, relative to the app's index.html
+ * @type {String}
+ */
+const PRINT_STYLESHEET = 'css/kiwixJS_print.css';
+
+/**
+ * The elements and attributes that reference assets to inline in an exported article
+ * @type {Array<Array<String>>}
+ */
+const ASSET_ATTRIBUTES = [
+    ['img', 'src'],
+    ['link', 'href'],
+    ['source', 'src'],
+    ['audio', 'src'],
+    ['video', 'src'],
+    ['video', 'poster'],
+    ['track', 'src']
+];
+
+/**
+ * Matches the url() references in CSS, capturing the URL
+ * @type {RegExp}
+ */
+const regexpCSSUrl = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+
+/**
+ * Attaches the print stylesheet to the document of an article (it only applies when the article is printed)
+ *
+ * @param {Document} doc The document of the article
+ */
+function attachPrintStylesheet (doc) {
+    if (!doc || !doc.head || doc.getElementById('kiwixJSPrint')) return;
+    // Use an absolute reference, as for the theme stylesheets (see uiUtil.applyAppTheme), because relative links
+    // injected into an article in a ZIM subdirectory would not work in ServiceWorker mode
+    var prefix = (window.location.protocol + '//' + window.location.host + window.location.pathname).replace(/\/[^/]*$/, '');
+    var link = doc.createElement('link');
+    link.id = 'kiwixJSPrint';
+    link.rel = 'stylesheet';
+    link.type = 'text/css';
+    link.media = 'print';
+    link.href = prefix + '/' + PRINT_STYLESHEET;
+    doc.head.appendChild(link);
+}
+
+/**
+ * Reads an asset from the archive (or from the assets cache)
+ *
+ * @param {ZIMArchive} archive The archive of the article
+ * @param {String} path The ZIM path of the asset
+ * @returns {Promise<Object>} A Promise for the content and mimetype of the asset
+ */
+function readAsset (archive, path) {
+    return archive.getDirEntryByPath(path).then(function (dirEntry) {
+        if (!dirEntry) throw new Error('Asset not found in the archive: ' + path);
+        if (!dirEntry.isRedirect()) return dirEntry;
+        return new Promise(function (resolve) {
+            archive.resolveRedirect(dirEntry, resolve);
+        });
+    }).then(function (dirEntry) {
+        return cache.getItemFromCacheOrZIM(archive, archive.file.name + '/' + path, dirEntry).then(function (content) {
+            if (content === null) throw new Error('Asset could not be read: ' + path);
+            return { content: content, mimetype: dirEntry.getMimetype() };
+        });
+    });
+}
+
+/**
+ * Exports the article that is displayed in the given document as a self-contained HTML document
+ *
+ * @param {Document} articleDoc The document of the displayed article
+ * @param {ZIMArchive} archive The archive of the article
+ * @param {String} articlePath The ZIM path of the article (namespace + url)
+ * @param {Function} getZimPath A function that returns the ZIM path of an asset from its absolute URL in ServiceWorker
+ *     mode, or null if the URL does not point to the archive
+ * @returns {Promise<String>} A Promise for the HTML of the exported article
+ */
+function exportArticle (articleDoc, archive, articlePath, getZimPath) {
+    var html = articleDoc.documentElement.cloneNode(true);
+    var dataUris = {};
+    var failed = 0;
+
+    // Gets a data: URI for an asset, reading each asset only once
+    var getDataUri = function (path, isCSS) {
+        // Zimit archives store the query string of assets as part of their ZIM URL
+        if (!/zimit/.test(archive.zimType)) path = uiUtil.removeUrlParameters(path);
+        var key = (isCSS ? 'css:' : '') + path;
+        if (!dataUris[key]) {
+            dataUris[key] = readAsset(archive, path).then(function (asset) {
+                // Assets referenced by stylesheets must themselves be inlined
+                var content = /\bcss\b/i.test(asset.mimetype)
+                    ? inlineCSSUrls(String(asset.content), path.replace(/[^/]*$/, '')) : Promise.resolve(asset.content);
+                return content.then(function (content) {
+                    return isCSS ? content : uiUtil.getDataUriFromUint8Array(content, asset.mimetype);
+                });
+            });
+        }
+        return dataUris[key];
+    };
+
+    // Inlines the assets referenced by url() in CSS, relative to the given base ZIM URL
+    var inlineCSSUrls = function (css, base) {
+        var urls = {};
+        css.replace(regexpCSSUrl, function (match, quote, url) {
+            if (!/^(?:data:|#|[a-z]+:\/\/)/i.test(url)) urls[url] = null;
+            return match;
+        });
+        return Promise.all(Object.keys(urls).map(function (url) {
+            return getDataUri(uiUtil.deriveZimUrlFromRelativeUrl(url, base)).then(function (dataUri) {
+                urls[url] = dataUri;
+            }).catch(function (err) {
+                failed++;
+                console.warn('Unable to inline the asset ' + url + ' of a stylesheet', err);
+            });
+        })).then(function () {
+            return css.replace(regexpCSSUrl, function (match, quote, url) {
+                return urls[url] ? 'url("' + urls[url] + '")' : match;
+            });
+        });
+    };
+
+    // Gets the ZIM path of the asset referenced by an element, or null if it is not in the archive (or already inlined)
+    var getAssetPath = function (element, attribute) {
+        var url = element.getAttribute(attribute);
+        if (url && /^data:/i.test(url)) return null;
+        // In jQuery mode, the ZIM URL of the asset is stored in data-kiwixurl
+        var kiwixUrl = element.getAttribute('data-kiwixurl');
+        if (kiwixUrl) return /^data:/i.test(kiwixUrl) ? null : decodeURIComponent(kiwixUrl);
+        if (!url || /^(?:blob|javascript):/i.test(url)) return null;
+        return getZimPath(new URL(url, articleDoc.baseURI).href);
+    };
+
+    // Remove the scripts (the exported article is static), the Content Security Policy and the base URL of the archive
+    Array.prototype.slice.call(html.querySelectorAll('script, base, meta[http-equiv]')).forEach(function (element) {
+        if (element.tagName !== 'META' || /content-security-policy/i.test(element.getAttribute('http-equiv'))) {
+            element.parentNode.removeChild(element);
+        }
+    });
+    // Remove the stylesheets and highlights that Kiwix adds to articles, and expand the sections collapsed by the user
+    Array.prototype.slice.call(html.querySelectorAll('#kiwixJSTheme, #kiwixJSPrint, #kiwixFindInPageStyle')).forEach(function (element) {
+        element.parentNode.removeChild(element);
+    });
+    Array.prototype.slice.call(html.querySelectorAll('mark.kiwix-find-match')).forEach(function (mark) {
+        while (mark.firstChild) mark.parentNode.insertBefore(mark.firstChild, mark);
+        mark.parentNode.removeChild(mark);
+    });
+    Array.prototype.slice.call(html.querySelectorAll('[data-kiwix-collapsed]')).forEach(function (element) {
+        element.style.display = element.getAttribute('data-kiwix-collapsed');
+        element.removeAttribute('data-kiwix-collapsed');
+    });
+
+    var inlining = [];
+    ASSET_ATTRIBUTES.forEach(function (tagAndAttribute) {
+        Array.prototype.slice.call(html.getElementsByTagName(tagAndAttribute[0])).forEach(function (element) {
+            var attribute = tagAndAttribute[1];
+            // Only stylesheets and icons are inlined among the links (not e.g. links to other articles)
+            if (element.tagName === 'LINK' && !/\b(?:stylesheet|icon)\b/i.test(element.rel)) return;
+            var path = getAssetPath(element, attribute);
+            if (!path) return;
+            var isCSS = element.tagName === 'LINK' && /\bstylesheet\b/i.test(element.rel);
+            inlining.push(getDataUri(path, isCSS).then(function (content) {
+                if (isCSS) {
+                    var style = element.ownerDocument.createElement('style');
+                    if (element.media) style.media = element.media;
+                    style.textContent = content;
+                    element.parentNode.replaceChild(style, element);
+                } else {
+                    element.setAttribute(attribute, content);
+                }
+            }).catch(function (err) {
+                failed++;
+                console.warn('Unable to inline the asset ' + path, err);
+            }));
+        });
+    });
+    // Inline the assets referenced by the stylesheets that are already in the article
+    Array.prototype.slice.call(html.getElementsByTagName('style')).forEach(function (style) {
+        inlining.push(inlineCSSUrls(style.textContent, articlePath.replace(/[^/]*$/, '')).then(function (css) {
+            style.textContent = css;
+        }));
+    });
+
+    return Promise.all(inlining).then(function () {
+        // The srcset alternatives are not inlined, so the inlined src must be used
+        Array.prototype.slice.call(html.querySelectorAll('[data-kiwixurl], [data-kiwixsrcset], [srcset]')).forEach(function (element) {
+            element.removeAttribute('data-kiwixurl');
+            element.removeAttribute('data-kiwixsrcset');
+            element.removeAttribute('srcset');
+        });
+        if (failed) console.warn(failed + ' assets could not be inlined in the exported article');
+        return fetch(PRINT_STYLESHEET).then(function (response) {
+            return response.ok ? response.text() : '';
+        }).catch(function (err) {
+            console.warn('Unable to read the print stylesheet', err);
+            return '';
+        });
+    }).then(function (printCSS) {
+        var head = html.querySelector('head');
+        if (head) {
+            if (!head.querySelector('meta[charset]')) {
+                var charset = html.ownerDocument.createElement('meta');
+                charset.setAttribute('charset', 'utf-8');
+                head.insertBefore(charset, head.firstChild);
+            }
+            if (printCSS) {
+                var printStyle = html.ownerDocument.createElement('style');
+                printStyle.media = 'print';
+                printStyle.textContent = printCSS;
+                head.appendChild(printStyle);
+            }
+        }
+        return '<!DOCTYPE html>\n' + html.outerHTML;
+    });
+}
+
+export default {
+    attachPrintStylesheet: attachPrintStylesheet,
+    readAsset: readAsset,
+    exportArticle: exportArticle
+};
@@ -0,0 +1,217 @@
+/**
+ * bookmarks.js: Stores bookmarks of articles in IndexedDB, next to the assets cache (see cache.openIdxDB).
+ * Bookmarks are keyed by the Name metadata of the archive and the path of the article, so that they remain valid when
+ * the user opens a newer version of the same archive. They can be organized in folders and tagged, and they can be
+ * exported to and imported from a JSON file.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import cache from './cache.js';
+
+/**
+ * The name of the IndexedDB object store that holds the bookmarks (it is created by cache.js)
+ * @type {String}
+ */
+const BOOKMARKS_STORE = 'kiwix-bookmarks';
+
+/**
+ * The version of the format of exported bookmarks files
+ * @type {Number}
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * A bookmark of an article
+ * @typedef {Object} Bookmark
+ * @property {String} id The key of the bookmark (see getId)
+ * @property {String} archiveName The Name metadata of the archive (or its filename if it has no Name)
+ * @property {String} archiveFile The filename of the archive (or of the first file of a split archive), used to reopen it
+ * @property {String} path The path of the article in the archive (namespace + url)
+ * @property {String} title The title of the article
+ * @property {String} folder The folder of the bookmark, or '' if it is not in a folder
+ * @property {Array<String>} tags The tags of the bookmark
+ * @property {Number} created The time at which the bookmark was created (ms since the epoch)
+ */
+
+/**
+ * Gets the key of the bookmark of an article
+ *
+ * @param {String} archiveName The Name metadata of the archive
+ * @param {String} path The path of the article (namespace + url)
+ * @returns {String} The key of the bookmark
+ */
+function getId (archiveName, path) {
+    return archiveName + '/' + path;
+}
+
+/**
+ * Normalizes a bookmark (e.g. one read from an imported file), so that it has all the expected properties
+ *
+ * @param {Object} bookmark The bookmark to normalize
+ * @returns {Bookmark|null} The normalized bookmark, or null if it lacks an archive name or a path
+ */
+function normalize (bookmark) {
+    if (!bookmark || typeof bookmark.archiveName !== 'string' || typeof bookmark.path !== 'string' ||
+        !bookmark.archiveName || !bookmark.path) return null;
+    return {
+        id: getId(bookmark.archiveName, bookmark.path),
+        archiveName: bookmark.archiveName,
+        archiveFile: String(bookmark.archiveFile || ''),
+        path: bookmark.path,
+        title: String(bookmark.title || bookmark.path),
+        folder: String(bookmark.folder || '').trim(),
+        tags: Array.isArray(bookmark.tags) ? bookmark.tags.map(String).map(function (tag) {
+            return tag.trim();
+        }).filter(Boolean) : [],
+        created: Number(bookmark.created) || Date.now()
+    };
+}
+
+/**
+ * Adds a bookmark, or updates it if the article is already bookmarked
+ *
+ * @param {Object} bookmark The bookmark to save (at least archiveName and path are required)
+ * @returns {Promise<Bookmark>} A Promise for the saved bookmark
+ */
+function save (bookmark) {
+    var normalized = normalize(bookmark);
+    if (!normalized) return Promise.reject(new Error('A bookmark needs an archive name and a path'));
+    return cache.runIdxDBTransaction(BOOKMARKS_STORE, 'readwrite', function (store) {
+        store.put(normalized, normalized.id);
+    }).then(function () {
+        return normalized;
+    });
+}
+
+/**
+ * Gets the bookmark of an article
+ *
+ * @param {String} archiveName The Name metadata of the archive
+ * @param {String} path The path of the article (namespace + url)
+ * @returns {Promise<Bookmark|undefined>} A Promise for the bookmark, or for undefined if the article is not bookmarked
+ */
+function get (archiveName, path) {
+    return cache.runIdxDBTransaction(BOOKMARKS_STORE, 'readonly', function (store) {
+        return store.get(getId(archiveName, path));
+    });
+}
+
+/**
+ * Deletes a bookmark
+ *
+ * @param {String} id The key of the bookmark
+ * @returns {Promise} A Promise that resolves when the bookmark has been deleted
+ */
+function remove (id) {
+    return cache.runIdxDBTransaction(BOOKMARKS_STORE, 'readwrite', function (store) {
+        store.delete(id);
+    });
+}
+
+/**
+ * Lists all the bookmarks, sorted by folder and then by title
+ *
+ * @returns {Promise<Array<Bookmark>>} A Promise for the array of bookmarks
+ */
+function list () {
+    var bookmarks = [];
+    return cache.runIdxDBTransaction(BOOKMARKS_STORE, 'readonly', function (store) {
+        // We use a cursor rather than getAll(), which is not supported by IE11
+        var request = store.openCursor();
+        request.onsuccess = function () {
+            var cursor = request.result;
+            if (!cursor) return;
+            bookmarks.push(cursor.value);
+            cursor.continue();
+        };
+    }).then(function () {
+        return bookmarks.sort(function (a, b) {
+            return a.folder.localeCompare(b.folder) || a.title.localeCompare(b.title);
+        });
+    });
+}
+
+/**
+ * Tests whether a bookmark matches the text of a filter, i.e. whether its title, its folder or one of its tags contains
+ * the text (ignoring case)
+ *
+ * @param {Bookmark} bookmark The bookmark
+ * @param {String} filter The text of the filter (an empty filter matches every bookmark)
+ * @returns {Boolean} True if the bookmark matches
+ */
+function matches (bookmark, filter) {
+    filter = filter.trim().toLowerCase();
+    return !filter || [bookmark.title, bookmark.folder].concat(bookmark.tags).join('\n').toLowerCase().indexOf(filter) >= 0;
+}
+
+/**
+ * Exports all the bookmarks as a JSON string
+ *
+ * @returns {Promise<String>} A Promise for the JSON string
+ */
+function exportJSON () {
+    return list().then(function (bookmarks) {
+        return JSON.stringify({
+            version: EXPORT_VERSION,
+            exported: new Date().toISOString(),
+            bookmarks: bookmarks
+        }, null, 2);
+    });
+}
+
+/**
+ * Imports bookmarks from a JSON string (as produced by exportJSON). Imported bookmarks replace any existing bookmarks
+ * of the same articles. Entries that are not valid bookmarks are skipped.
+ *
+ * @param {String} json The JSON string to import
+ * @returns {Promise<Number>} A Promise for the number of bookmarks imported
+ */
+function importJSON (json) {
+    var data;
+    try {
+        data = JSON.parse(json);
+    } catch (err) {
+        return Promise.reject(new Error('The file does not contain valid JSON'));
+    }
+    var entries = Array.isArray(data) ? data : data && data.bookmarks;
+    if (!Array.isArray(entries)) return Promise.reject(new Error('The file does not contain a list of bookmarks'));
+    var bookmarks = entries.map(normalize).filter(Boolean);
+    return cache.runIdxDBTransaction(BOOKMARKS_STORE, 'readwrite', function (store) {
+        bookmarks.forEach(function (bookmark) {
+            store.put(bookmark, bookmark.id);
+        });
+    }).then(function () {
+        return bookmarks.length;
+    });
+}
+
+export default {
+    getId: getId,
+    normalize: normalize,
+    save: save,
+    get: get,
+    remove: remove,
+    list: list,
+    matches: matches,
+    exportJSON: exportJSON,
+    importJSON: importJSON
+};
@@ -23,12 +23,28 @@
 /* globals params, appstate, caches, assetsCache */
 
 'use strict';
+import downloadManager from './downloadManager.js';
 import settingsStore from './settingsStore.js';
 import uiUtil from './uiUtil.js';
 
 const CACHEAPI = params.cacheAPI; // Set the database or cache name here, and synchronize with Service Worker
 const CACHEIDB = params.cacheIDB; // Slightly different name to disambiguate
 var objStore = 'kiwix-assets'; // Name of the object store
+const CACHEIDB_VERSION = 7; // Increment this whenever an object store is added to dataStores or cacheStores below
+
+/**
+ * The object stores of user data (e.g. bookmarks) that are kept in the same IndexedDB database as the assets cache.
+ * Unlike the assets store, they are not emptied when the cache is cleared.
+ * @type {Array<String>}
+ */
+var dataStores = ['kiwix-bookmarks', 'kiwix-history', 'kiwix-downloads', 'kiwix-title-index', 'kiwix-collapsed-sections'];
+
+/**
+ * The object stores of disposable data (e.g. the catalog of the Kiwix library) that are kept in the same IndexedDB
+ * database as the assets cache. They are emptied with the assets store when the cache is cleared.
+ * @type {Array<String>}
+ */
+var cacheStores = ['kiwix-catalog'];
 const APPCACHE = 'kiwix-appCache-' + params.appVersion; // Ensure this is the same as in Service Worker
 
 // DEV: Regex below defines the permitted MIME types for the cache; add further types as needed
@@ -151,8 +167,8 @@ function count (callback) {
  * Opens an IndexedDB database and adds or retrieves a key-value pair to it, or performs utility commands
  * on the database
  *
- * @param {String} keyOrCommand The key of the value to be written or read, or commands 'clear' (clears objStore),
- *     'count' (counts number of objects in objStore), 'delete' (deletes a record with key passed in valueOrCallback),
+ * @param {String} keyOrCommand The key of the value to be written or read, or commands 'clear' (clears objStore and the
+ *     cacheStores), 'count' (counts number of objects in objStore), 'delete' (deletes a record with key passed in valueOrCallback),
  *      'deleteNonCurrent' (deletes all databases that do not match CACHEIDB - but only works in Chromium currently)
  * @param {Variable} valueOrCallback The value to write, or a callback function for read and command transactions
  * @param {Function} callback Callback for write transactions only - mandatory for delete and write transactions
@@ -186,7 +202,7 @@ function idxDB (keyOrCommand, valueOrCallback, callback) {
     }
 
     // Open (or create) the database
-    var open = indexedDB.open(CACHEIDB, 1);
+    var open = indexedDB.open(CACHEIDB, CACHEIDB_VERSION);
 
     open.onerror = function (e) {
         // Suppress error reporting if testing (older versions of Firefox support indexedDB but cannot use it with
@@ -199,9 +215,7 @@ function idxDB (keyOrCommand, valueOrCallback, callback) {
 
     // Create the schema
     open.onupgradeneeded = function () {
-        var db = open.result;
-        // eslint-disable-next-line no-unused-vars
-        var store = db.createObjectStore(objStore);
+        createObjectStores(open.result);
     };
 
     open.onsuccess = function () {
@@ -209,13 +223,17 @@ function idxDB (keyOrCommand, valueOrCallback, callback) {
         var db = open.result;
 
         // Set the store to readwrite or read only according to presence or not of value variable
-        var tx = value !== null || /clear|delete/.test(keyOrCommand) ? db.transaction(objStore, 'readwrite') : db.transaction(objStore);
+        var stores = keyOrCommand === 'clear' ? [objStore].concat(cacheStores) : objStore;
+        var tx = value !== null || /clear|delete/.test(keyOrCommand) ? db.transaction(stores, 'readwrite') : db.transaction(stores);
         var store = tx.objectStore(objStore);
 
         var processData;
         // Process commands
         if (keyOrCommand === 'clear') {
-            // Delete all keys and values in the store
+            // Delete all keys and values in the store, and the disposable data kept next to it
+            cacheStores.forEach(function (storeName) {
+                tx.objectStore(storeName).clear();
+            });
             processData = store.clear();
         } else if (keyOrCommand === 'count') {
             // Count the objects in the store
@@ -247,6 +265,68 @@ function idxDB (keyOrCommand, valueOrCallback, callback) {
     };
 }
 
+/**
+ * Creates any object stores that are missing from the IndexedDB database (used when the database is created or upgraded)
+ *
+ * @param {IDBDatabase} db The database being upgraded
+ */
+function createObjectStores (db) {
+    [objStore].concat(dataStores, cacheStores).forEach(function (storeName) {
+        if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName);
+    });
+}
+
+/**
+ * Opens the app's IndexedDB database, creating or upgrading it if necessary. This is used by modules that keep data
+ * in one of the dataStores or cacheStores. The caller must close the database when it has finished with it.
+ *
+ * @returns {Promise<IDBDatabase>} A Promise for the open database
+ */
+function openIdxDB () {
+    return new Promise(function (resolve, reject) {
+        if (typeof window.indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+        var open = indexedDB.open(CACHEIDB, CACHEIDB_VERSION);
+        open.onupgradeneeded = function () {
+            createObjectStores(open.result);
+        };
+        open.onsuccess = function () {
+            resolve(open.result);
+        };
+        open.onerror = function () {
+            reject(open.error);
+        };
+    });
+}
+
+/**
+ * Runs requests on one of the dataStores or cacheStores in a transaction, and closes the database when the transaction
+ * is complete
+ *
+ * @param {String} storeName The name of the object store
+ * @param {String} mode The transaction mode ('readonly' or 'readwrite')
+ * @param {Function} action A function that is called with the object store, and that may return an IDBRequest
+ * @returns {Promise} A Promise for the result of the request returned by the action, if any
+ */
+function runIdxDBTransaction (storeName, mode, action) {
+    return openIdxDB().then(function (db) {
+        return new Promise(function (resolve, reject) {
+            var tx = db.transaction(storeName, mode);
+            var request = action(tx.objectStore(storeName));
+            tx.oncomplete = function () {
+                db.close();
+                resolve(request ? request.result : undefined);
+            };
+            tx.onerror = tx.onabort = function () {
+                db.close();
+                reject(tx.error);
+            };
+        });
+    });
+}
+
 /**
  * Opens a CacheAPI cache and adds or retrieves a key-value pair to it, or performs utility commands
  * on the cache. This interface also allows the use of callbacks inside the Cache Promise API for ease of
@@ -485,12 +565,12 @@ function getItemFromCacheOrZIM (selectedArchive, key, dirEntry) {
                         !/\.(png|gif|jpe?g|svg|css|js|mpe?g|webp|webm|woff2?|eot|mp[43])(\?|$)/i.test(resolvedDirEntry.url)) {
                         uiUtil.spinnerDisplay(true, 'Loading ' + shortTitle + '...');
                     } else if (/(css|javascript|video|vtt)/i.test(mimetype)) {
-                        uiUtil.spinnerDisplayr(true, 'Getting ' + shortTitle + '...');
+                        uiUtil.spinnerDisplay(true, 'Getting ' + shortTitle + '...');
                     }
                     // Set the read function to use according to filetype
                     var readFile = /\b(?:x?html|css|javascript)\b/i.test(mimetype)
                         ? selectedArchive.readUtf8File : selectedArchive.readBinaryFile;
-                    readFile(resolvedDirEntry, function (fileDirEntry, content) {
+                    readFile.call(selectedArchive, resolvedDirEntry, function (fileDirEntry, content) {
                         if (!fileDirEntry && !content) {
                             console.warn('Could not read asset ' + title);
                             return;
@@ -718,78 +798,34 @@ function verifyPermission (fileHandle, withWrite) {
 }
 
 /**
- * Download an archive directly into the picked folder (primarily for use with the Origin Private File System)
+ * Download an archive directly into the picked folder (primarily for use with the Origin Private File System). The
+ * download is handed to the download manager, so it is listed with the other downloads in Configuration, resumed if it
+ * is interrupted, and verified against its published checksum.
  *
  * @param {String} archiveName The name of the archive to download (will be used as the filename)
  * @param {String} archiveUrl An optional URL to download the archive from (if not supplied, will use params.kiwixDownloadLink)
  * @param {Function} callback Callback function to report the progress of the download
- * @returns {Promise<FileSystemFileHandle>} A Promise for a FileHandle object representing the downloaded file
+ * @param {String} target An optional target: 'folder' for the folder picked by the user, or 'opfs' (by default, the OPFS
+ *     if it is used to store archives)
+ * @returns {Promise<Boolean>} A Promise that resolves to true when the archive has been downloaded
  */
-function downloadArchiveToPickedFolder (archiveName, archiveUrl, callback) {
+function downloadArchiveToPickedFolder (archiveName, archiveUrl, callback, target) {
     archiveUrl = archiveUrl || params.kiwixDownloadLink + archiveName;
-    if (params.pickedFolder && params.pickedFolder.getFileHandle) {
-        return verifyPermission(params.pickedFolder, true).then(function (permission) {
-            if (permission) {
-                return params.pickedFolder.getFileHandle(archiveName, { create: true }).then(function (fileHandle) {
-                    return fileHandle.createWritable().then(function (writer) {
-                        return fetch(archiveUrl).then(function (response) {
-                            if (!response.ok) {
-                                return writer.close().then(function () {
-                                    // Delete the file
-                                    params.pickedFolder.removeEntry(archiveName).then(function () {
-                                        throw new Error('HTTP error, status = ' + response.status);
-                                    });
-                                });
-                            }
-                            var loaded = 0;
-                            var reported = 0;
-                            return new Response(
-                                new ReadableStream({
-                                    start: function (controller) {
-                                        var reader = response.body.getReader();
-                                        var processResult = function (result) {
-                                            if (result.done) {
-                                                return controller.close();
-                                            }
-                                            loaded += result.value.byteLength;
-                                            if (loaded - reported >= 1048576) { // 1024 * 1024
-                                                reported = loaded;
-                                                if (callback) {
-                                                    callback(reported);
-                                                } else console.debug('Downloaded ' + reported + ' bytes so far...');
-                                            }
-                                            controller.enqueue(result.value);
-                                            return reader.read().then(processResult);
-                                        };
-                                        return reader.read().then(processResult);
-                                    }
-                                })
-                            ).body.pipeTo(writer).then(function () {
-                                if (callback) callback('completed');
-                                return true;
-                            }).catch(function (err) {
-                                console.error('Error downloading archive', err);
-                                if (callback) callback('error');
-                                writer.close().then(function () {
-                                    // Delete the file
-                                    params.pickedFolder.removeEntry(archiveName).then(function () {
-                                        throw err;
-                                    });
-                                });
-                            });
-                        });
-                    });
-                });
-            } else {
-                throw (new Error('Write permission not granted!'));
-            }
-        }).catch(function (err) {
-            console.error('Error downloading archive', err);
-            throw err;
+    target = target || (params.useOPFS ? 'opfs' : 'folder');
+    return downloadManager.init().then(function () {
+        return downloadManager.add(archiveUrl, target, archiveName);
+    }).then(function (download) {
+        return downloadManager.whenComplete(download.id, function (download) {
+            if (callback && download.status === 'downloading') callback(download.received);
         });
-    } else {
-        return Promise.reject(new Error('No picked folder available!'));
-    }
+    }).then(function () {
+        if (callback) callback('completed');
+        return true;
+    }).catch(function (err) {
+        console.error('Error downloading archive', err);
+        if (callback) callback('error');
+        throw err;
+    });
 }
 
 /**
@@ -976,6 +1012,8 @@ export default {
     test: test,
     count: count,
     idxDB: idxDB,
+    openIdxDB: openIdxDB,
+    runIdxDBTransaction: runIdxDBTransaction,
     cacheAPI: cacheAPI,
     setArticle: setArticle,
     getArticle: getArticle,
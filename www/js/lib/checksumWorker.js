@@ -0,0 +1,334 @@
+/**
+ * checksumWorker.js: A Web Worker that verifies the integrity of a ZIM archive against its embedded MD5 checksum, or
+ * calculates the MD5 or SHA-256 checksum of a whole file (to compare it with the checksum published next to a
+ * downloaded archive). The archive (including all parts of a split archive) is streamed in chunks through an
+ * incremental hash, so that even very large archives can be verified without loading them into memory.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/* global FileReaderSync */
+
+/**
+ * The size of the chunks in which the archive is read and hashed (bytes)
+ * @constant
+ * @type {Number}
+ */
+var CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * The per-round shift amounts of the MD5 algorithm
+ * @type {Array<Number>}
+ */
+var SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+/**
+ * The per-round constants of the MD5 algorithm (the integer part of abs(sin(i + 1)) * 2^32)
+ * @type {Int32Array}
+ */
+var CONSTANTS = new Int32Array(64);
+for (var k = 0; k < 64; k++) {
+    CONSTANTS[k] = Math.floor(Math.abs(Math.sin(k + 1)) * 4294967296);
+}
+
+/**
+ * An incremental MD5 hash: data can be added in chunks of any size with update(), and the digest is calculated at the end
+ */
+function MD5 () {
+    this._state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+    this._buffer = new Uint8Array(64);
+    this._bufferLength = 0;
+    this._words = new Int32Array(16);
+    this.length = 0;
+}
+
+/**
+ * Processes a 64-byte block of data
+ * @param {Uint8Array} data The data containing the block
+ * @param {Number} offset The offset of the block in the data
+ */
+MD5.prototype._processBlock = function (data, offset) {
+    var words = this._words;
+    var state = this._state;
+    for (var i = 0; i < 16; i++) {
+        var j = offset + i * 4;
+        words[i] = data[j] | data[j + 1] << 8 | data[j + 2] << 16 | data[j + 3] << 24;
+    }
+    var a = state[0];
+    var b = state[1];
+    var c = state[2];
+    var d = state[3];
+    var f, g, temp;
+    for (i = 0; i < 64; i++) {
+        if (i < 16) {
+            f = (b & c) | (~b & d);
+            g = i;
+        } else if (i < 32) {
+            f = (d & b) | (~d & c);
+            g = (5 * i + 1) & 15;
+        } else if (i < 48) {
+            f = b ^ c ^ d;
+            g = (3 * i + 5) & 15;
+        } else {
+            f = c ^ (b | ~d);
+            g = (7 * i) & 15;
+        }
+        temp = d;
+        d = c;
+        c = b;
+        f = (a + f + CONSTANTS[i] + words[g]) | 0;
+        b = (b + (f << SHIFTS[i] | f >>> (32 - SHIFTS[i]))) | 0;
+        a = temp;
+    }
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+};
+
+/**
+ * Adds data to the hash
+ * @param {Uint8Array} data The data to add
+ */
+MD5.prototype.update = function (data) {
+    var pos = 0;
+    this.length += data.length;
+    // Complete any partial block left over from the previous update
+    if (this._bufferLength) {
+        pos = Math.min(64 - this._bufferLength, data.length);
+        this._buffer.set(data.subarray(0, pos), this._bufferLength);
+        this._bufferLength += pos;
+        if (this._bufferLength < 64) return;
+        this._processBlock(this._buffer, 0);
+        this._bufferLength = 0;
+    }
+    for (; pos + 64 <= data.length; pos += 64) {
+        this._processBlock(data, pos);
+    }
+    this._buffer.set(data.subarray(pos), 0);
+    this._bufferLength = data.length - pos;
+};
+
+/**
+ * Pads the data and calculates the digest. The hash cannot be updated afterwards.
+ * @returns {String} The MD5 digest as a lowercase hexadecimal string
+ */
+MD5.prototype.digest = function () {
+    var bitLength = this.length * 8;
+    var padding = new Uint8Array((this._bufferLength < 56 ? 56 : 120) - this._bufferLength + 8);
+    padding[0] = 0x80;
+    // The length in bits is appended as a 64-bit little-endian integer
+    for (var i = 0; i < 8; i++) {
+        padding[padding.length - 8 + i] = Math.floor(bitLength / Math.pow(2, 8 * i)) & 0xff;
+    }
+    this.update(padding);
+    var hex = '';
+    for (i = 0; i < 16; i++) {
+        var byte = (this._state[i >> 2] >>> (8 * (i & 3))) & 0xff;
+        hex += (byte < 16 ? '0' : '') + byte.toString(16);
+    }
+    return hex;
+};
+
+/**
+ * The round constants of the SHA-256 algorithm (the first 32 bits of the fractional parts of the cube roots of the first
+ * 64 primes)
+ * @type {Int32Array}
+ */
+var SHA256_CONSTANTS = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * An incremental SHA-256 hash, with the same interface as MD5
+ */
+function SHA256 () {
+    this._state = new Int32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    this._buffer = new Uint8Array(64);
+    this._bufferLength = 0;
+    this._words = new Int32Array(64);
+    this.length = 0;
+}
+
+/**
+ * Processes a 64-byte block of data
+ * @param {Uint8Array} data The data containing the block
+ * @param {Number} offset The offset of the block in the data
+ */
+SHA256.prototype._processBlock = function (data, offset) {
+    var w = this._words;
+    var state = this._state;
+    var i, s0, s1;
+    // SHA-256 reads the data as big-endian words
+    for (i = 0; i < 16; i++) {
+        var j = offset + i * 4;
+        w[i] = data[j] << 24 | data[j + 1] << 16 | data[j + 2] << 8 | data[j + 3];
+    }
+    for (i = 16; i < 64; i++) {
+        s0 = (w[i - 15] >>> 7 | w[i - 15] << 25) ^ (w[i - 15] >>> 18 | w[i - 15] << 14) ^ (w[i - 15] >>> 3);
+        s1 = (w[i - 2] >>> 17 | w[i - 2] << 15) ^ (w[i - 2] >>> 19 | w[i - 2] << 13) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    var a = state[0];
+    var b = state[1];
+    var c = state[2];
+    var d = state[3];
+    var e = state[4];
+    var f = state[5];
+    var g = state[6];
+    var h = state[7];
+    for (i = 0; i < 64; i++) {
+        s1 = (e >>> 6 | e << 26) ^ (e >>> 11 | e << 21) ^ (e >>> 25 | e << 7);
+        var temp1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_CONSTANTS[i] + w[i]) | 0;
+        s0 = (a >>> 2 | a << 30) ^ (a >>> 13 | a << 19) ^ (a >>> 22 | a << 10);
+        var temp2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g;
+        g = f;
+        f = e;
+        e = (d + temp1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (temp1 + temp2) | 0;
+    }
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+    state[4] = (state[4] + e) | 0;
+    state[5] = (state[5] + f) | 0;
+    state[6] = (state[6] + g) | 0;
+    state[7] = (state[7] + h) | 0;
+};
+
+// The buffering of partial blocks is the same as for MD5
+SHA256.prototype.update = MD5.prototype.update;
+
+/**
+ * Pads the data and calculates the digest. The hash cannot be updated afterwards.
+ * @returns {String} The SHA-256 digest as a lowercase hexadecimal string
+ */
+SHA256.prototype.digest = function () {
+    var bitLength = this.length * 8;
+    var padding = new Uint8Array((this._bufferLength < 56 ? 56 : 120) - this._bufferLength + 8);
+    padding[0] = 0x80;
+    // The length in bits is appended as a 64-bit big-endian integer
+    for (var i = 0; i < 8; i++) {
+        padding[padding.length - 1 - i] = Math.floor(bitLength / Math.pow(2, 8 * i)) & 0xff;
+    }
+    this.update(padding);
+    var hex = '';
+    for (i = 0; i < 8; i++) {
+        hex += ('0000000' + (this._state[i] >>> 0).toString(16)).slice(-8);
+    }
+    return hex;
+};
+
+/**
+ * Reads a range of bytes from a (possibly split) archive, as though its parts were a single file
+ * @param {Array<File>} files The file or files of the archive, in order
+ * @param {Number} begin The offset of the first byte to read
+ * @param {Number} end The offset of the byte after the last byte to read
+ * @returns {Uint8Array} The data that were read
+ */
+function readRange (files, begin, end) {
+    var reader = new FileReaderSync();
+    var result = new Uint8Array(end - begin);
+    var pos = 0;
+    var fileStart = 0;
+    for (var i = 0; i < files.length && begin + pos < end; fileStart += files[i].size, i++) {
+        var fileEnd = fileStart + files[i].size;
+        if (begin + pos >= fileEnd) continue;
+        var readStart = begin + pos - fileStart;
+        var readEnd = Math.min(end, fileEnd) - fileStart;
+        var data = new Uint8Array(reader.readAsArrayBuffer(files[i].slice(readStart, readEnd)));
+        result.set(data, pos);
+        pos += data.length;
+    }
+    return result.subarray(0, pos);
+}
+
+/**
+ * Hashes the archive up to the checksum position, and compares the result with the checksum stored at that position.
+ * Progress is reported to the given port as the hashing proceeds.
+ * @param {Array<File>} files The file or files of the archive, in order
+ * @param {Number} checksumPos The position of the MD5 checksum in the archive (as read from the ZIM header)
+ * @param {MessagePort} port The port to which to post progress and the result
+ */
+function verify (files, checksumPos, port) {
+    var totalSize = 0;
+    for (var i = 0; i < files.length; i++) totalSize += files[i].size;
+    if (!checksumPos || checksumPos + 16 > totalSize) {
+        port.postMessage({ done: true, hasChecksum: false });
+        return;
+    }
+    var md5 = new MD5();
+    for (var offset = 0; offset < checksumPos; offset += CHUNK_SIZE) {
+        md5.update(readRange(files, offset, Math.min(offset + CHUNK_SIZE, checksumPos)));
+        port.postMessage({ progress: Math.min(offset + CHUNK_SIZE, checksumPos) / checksumPos });
+    }
+    var checksum = md5.digest();
+    var expected = '';
+    readRange(files, checksumPos, checksumPos + 16).forEach(function (byte) {
+        expected += (byte < 16 ? '0' : '') + byte.toString(16);
+    });
+    port.postMessage({ done: true, hasChecksum: true, checksum: checksum, expected: expected, valid: checksum === expected });
+}
+
+/**
+ * Calculates the checksum of the whole of a file (or of all the parts of a split archive). Progress is reported to the
+ * given port as the hashing proceeds.
+ * @param {Array<File>} files The file or files, in order
+ * @param {String} algorithm The hash algorithm: 'md5' or 'sha256'
+ * @param {MessagePort} port The port to which to post progress and the result
+ */
+function hashFiles (files, algorithm, port) {
+    var totalSize = 0;
+    for (var i = 0; i < files.length; i++) totalSize += files[i].size;
+    var hash = algorithm === 'sha256' ? new SHA256() : new MD5();
+    for (var offset = 0; offset < totalSize; offset += CHUNK_SIZE) {
+        hash.update(readRange(files, offset, Math.min(offset + CHUNK_SIZE, totalSize)));
+        port.postMessage({ progress: Math.min(offset + CHUNK_SIZE, totalSize) / totalSize });
+    }
+    port.postMessage({ done: true, checksum: hash.digest() });
+}
+
+self.addEventListener('message', function (event) {
+    var port = event.ports[0];
+    try {
+        if (event.data.algorithm) hashFiles(event.data.files, event.data.algorithm, port);
+        else verify(event.data.files, event.data.checksumPos, port);
+    } catch (err) {
+        port.postMessage({ done: true, error: err.message || String(err) });
+    }
+});
@@ -0,0 +1,167 @@
+/**
+ * clustercache.js: Cache for decompressed ZIM clusters.
+ * It discards cached clusters according to a least-recently-used algorithm, within a maximum total size in MB.
+ * It complements the raw-byte block cache in filecache.js: an article that references many images stored in the
+ * same compressed cluster then only needs the cluster to be decompressed once.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix JS (file LICENSE).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/**
+ * The maximum total size of the decompressed clusters held in the cache (MB)
+ * @constant
+ * @type {Number}
+ */
+const MAX_CACHE_SIZE_MB = 32;
+
+/**
+ * A cache of decompressed clusters employing a Least Recently Used caching strategy
+ * @typedef {Object} ClusterCache
+ * @property {Number} capacity The maximum total size of the cached clusters in bytes
+ * @property {Number} size The current total size of the cached clusters in bytes
+ * @property {Map} cache A map to store the cache keys and decompressed cluster data
+ * @property {Map} pending A map of the Promises for clusters that are currently being decompressed
+ * @property {Object} large The most recently stored large cluster, as an object with its key and value (or null)
+ */
+
+/**
+ * Creates a new cache of decompressed clusters
+ * @param {Number} sizeMB The maximum total size of the cached clusters in MB
+ */
+function ClusterCache (sizeMB) {
+    this.capacity = sizeMB * 1024 * 1024;
+    this.size = 0;
+    this.cache = new Map();
+    this.pending = new Map();
+    this.large = null;
+}
+
+/**
+ * Tries to retrieve a cluster by its key. If it is not present in the cache, returns undefined; if it is present,
+ * then the data are returned and the entry is moved to the bottom of the cache
+ * @param {String} key The cluster cache entry key (file.id + ':' + cluster number)
+ * @returns {Uint8Array | Int8Array | undefined} The decompressed cluster data or undefined
+ */
+ClusterCache.prototype.get = function (key) {
+    if (this.large && this.large.key === key) return this.large.value;
+    var entry = this.cache.get(key);
+    if (!entry) return entry;
+    // Move the key to the bottom of the Map (bottom = most recent)
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry;
+};
+
+/**
+ * Tests whether a cluster of the given size may be stored in the cache, i.e. whether it is no larger than the capacity
+ * @param {Number} size The size of the decompressed cluster in bytes
+ * @returns {Boolean} True if the cluster may be cached
+ */
+ClusterCache.prototype.fits = function (size) {
+    return size <= this.capacity;
+};
+
+/**
+ * Stores a decompressed cluster in the cache, and prunes the least recently used clusters until the total size of the
+ * cache is within its capacity. A cluster larger than a quarter of the capacity is kept on its own instead, in place of
+ * the previous large cluster, so that a single large cluster cannot flush the whole cache but the many assets that it
+ * often holds are still read from a single decompression.
+ * @param {String} key The key under which to store the cluster (file.id + ':' + cluster number)
+ * @param {Uint8Array | Int8Array} value The decompressed cluster data
+ */
+ClusterCache.prototype.store = function (key, value) {
+    if (!value || !this.fits(value.length)) return;
+    if (value.length > this.capacity / 4) {
+        this.large = { key: key, value: value };
+        return;
+    }
+    var entry = this.cache.get(key);
+    if (entry) {
+        this.cache.delete(key);
+        this.size -= entry.length;
+    }
+    this.cache.set(key, value);
+    this.size += value.length;
+    while (this.size > this.capacity && this.cache.size) {
+        var firstKey = this.cache.keys().next().value;
+        this.size -= this.cache.get(firstKey).length;
+        this.cache.delete(firstKey);
+    }
+};
+
+/**
+ * Gets a decompressed cluster from the cache or, if it is not cached, decompresses it with the given function and
+ * caches the result. Concurrent requests for the same cluster (e.g. for the many images of an article) share a single
+ * decompression.
+ * @param {String} key The key of the cluster (file.id + ':' + cluster number)
+ * @param {Function} decompress A function that returns a Promise for the decompressed cluster data, or for null if the
+ *     cluster should not be cached (see fits)
+ * @returns {Promise<Uint8Array | Int8Array | null>} A Promise for the decompressed cluster data, or null
+ */
+ClusterCache.prototype.fetch = function (key, decompress) {
+    var that = this;
+    var cached = this.get(key);
+    if (cached) return Promise.resolve(cached);
+    var pending = this.pending.get(key);
+    if (pending) return pending;
+    pending = decompress().then(function (data) {
+        that.pending.delete(key);
+        that.store(key, data);
+        return data;
+    }, function (err) {
+        that.pending.delete(key);
+        throw err;
+    });
+    this.pending.set(key, pending);
+    return pending;
+};
+
+/**
+ * A new cache of decompressed clusters
+ * @type {ClusterCache}
+ */
+var cache = new ClusterCache(MAX_CACHE_SIZE_MB);
+
+/**
+ * Gets a decompressed cluster from the cache, or decompresses and caches it
+ * @param {Object} file The ZIM archive that the cluster belongs to
+ * @param {Integer} cluster The cluster number
+ * @param {Function} decompress A function that returns a Promise for the decompressed cluster data, or for null
+ * @returns {Promise<Uint8Array | Int8Array | null>} A Promise for the decompressed cluster data, or null
+ */
+var fetch = function (file, cluster, decompress) {
+    return cache.fetch(file.id + ':' + cluster, decompress);
+};
+
+/**
+ * Tests whether a decompressed cluster of the given size may be cached
+ * @param {Number} size The size of the decompressed cluster in bytes
+ * @returns {Boolean} True if the cluster may be cached
+ */
+var fits = function (size) {
+    return cache.fits(size);
+};
+
+export default {
+    ClusterCache: ClusterCache,
+    fetch: fetch,
+    fits: fits
+};
@@ -0,0 +1,113 @@
+/**
+ * collapsedSections.js: Remembers the sections of articles that the user has collapsed, so that they are collapsed again
+ * when the article is reopened. They are stored in IndexedDB next to the assets cache (see cache.runIdxDBTransaction),
+ * because the settings store may fall back to cookies, which are too small for them.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import cache from './cache.js';
+
+/**
+ * The name of the IndexedDB object store that holds the collapsed sections (it is created by cache.js)
+ * @type {String}
+ */
+const COLLAPSED_SECTIONS_STORE = 'kiwix-collapsed-sections';
+
+/**
+ * The maximum number of articles whose collapsed sections are remembered: those of the least recently changed articles
+ * are forgotten beyond this number
+ * @constant
+ * @type {Number}
+ */
+const MAX_ARTICLES = 100;
+
+/**
+ * The time of the last change stored in this session
+ * @type {Number}
+ */
+var lastTime = 0;
+
+/**
+ * Gets the key under which the collapsed sections of an article are remembered
+ *
+ * @param {String} archiveName The Name metadata of the archive (or its filename if it has no Name)
+ * @param {String} path The path of the article (namespace + url)
+ * @returns {String} The key
+ */
+function getKey (archiveName, path) {
+    return archiveName + '/' + path;
+}
+
+/**
+ * Gets the collapsed sections of an article
+ *
+ * @param {String} key The key of the article (see getKey)
+ * @returns {Promise<Array<String>>} A Promise for the ids of the headings of the collapsed sections (empty if there are none)
+ */
+function get (key) {
+    return cache.runIdxDBTransaction(COLLAPSED_SECTIONS_STORE, 'readonly', function (store) {
+        return store.get(key);
+    }).then(function (record) {
+        return record ? record.ids : [];
+    });
+}
+
+/**
+ * Remembers the collapsed sections of an article, forgetting those of the least recently changed articles beyond
+ * MAX_ARTICLES
+ *
+ * @param {String} key The key of the article (see getKey)
+ * @param {Array<String>} ids The ids of the headings of the collapsed sections (an empty array forgets the article)
+ * @returns {Promise} A Promise that resolves when the sections have been stored
+ */
+function save (key, ids) {
+    return cache.runIdxDBTransaction(COLLAPSED_SECTIONS_STORE, 'readwrite', function (store) {
+        if (!ids.length) {
+            store.delete(key);
+            return;
+        }
+        // Ensure that the times are increasing, even if two changes are stored in the same millisecond
+        lastTime = Math.max(Date.now(), lastTime + 1);
+        store.put({ ids: ids, time: lastTime }, key);
+        var records = [];
+        var request = store.openCursor();
+        request.onsuccess = function () {
+            var cursor = request.result;
+            if (cursor) {
+                records.push({ key: cursor.key, time: cursor.value.time });
+                cursor.continue();
+                return;
+            }
+            records.sort(function (a, b) {
+                return a.time - b.time;
+            }).slice(0, Math.max(0, records.length - MAX_ARTICLES)).forEach(function (record) {
+                store.delete(record.key);
+            });
+        };
+    });
+}
+
+export default {
+    getKey: getKey,
+    get: get,
+    save: save
+};
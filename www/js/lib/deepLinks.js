@@ -0,0 +1,87 @@
+/**
+ * deepLinks.js: Builds and reads deep links, which identify both an archive and an article in the URL of the app, e.g.
+ * ?zim=wikipedia_en_all_maxi&path=A/Paris#History, and finds the archive of a link (or of a bookmark or history entry)
+ * among the archives that the user has picked.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/**
+ * Builds the query string of a deep link to an article (an anchor may be appended to it as a hash)
+ *
+ * @param {String} archiveName The Name metadata of the archive (or its filename if it has no Name)
+ * @param {String} path The path of the article (namespace + url)
+ * @returns {String} The query string
+ */
+function getQuery (archiveName, path) {
+    return '?zim=' + encodeURIComponent(archiveName) + '&path=' + encodeURIComponent(path).replace(/%2F/g, '/');
+}
+
+/**
+ * Reads a deep link (see getQuery) from the query string and hash of a URL
+ *
+ * @param {String} search The query string of the URL (e.g. window.location.search)
+ * @param {String} hash The hash of the URL (e.g. window.location.hash)
+ * @returns {Object|null} The archiveName, archiveFile (or '' if the link identifies the archive by its Name), path and
+ *     anchor of the link, or null if the URL has no deep link
+ */
+function parse (search, hash) {
+    var zim = /[?&]zim=([^&#]+)/.exec(search);
+    var path = /[?&]path=([^&#]+)/.exec(search);
+    if (!zim || !path) return null;
+    var archiveName = decodeURIComponent(zim[1]);
+    return {
+        archiveName: archiveName,
+        // If the archive has no Name, the link contains its filename instead
+        archiveFile: /\.zim$/i.test(archiveName) ? archiveName : '',
+        path: decodeURIComponent(path[1]),
+        anchor: decodeURIComponent((hash || '').replace(/^#/, ''))
+    };
+}
+
+/**
+ * Finds the filename of the archive of a stored article (deep link, bookmark or history entry) among a list of filenames:
+ * the archive with the same filename, or else the most recent one that is named after the Name of the archive, a flavour
+ * and a date, as Kiwix names its archives (e.g. wikipedia_en_all_maxi_2024-01.zim, whose Name is wikipedia_en_all and
+ * whose flavour, which is optional, is maxi)
+ *
+ * @param {Object} article The stored article
+ * @param {Array<String>} filenames The filenames among which to search
+ * @returns {String|null} The filename, or null if the archive is not in the list
+ */
+function matchArchiveFilename (article, filenames) {
+    if (article.archiveFile && filenames.indexOf(article.archiveFile) >= 0) return article.archiveFile;
+    var prefix = article.archiveName + '_';
+    var dates = {};
+    return filenames.filter(function (filename) {
+        var parts = filename.indexOf(prefix) === 0 && /^(?:[a-z]+_)?(\d{4}-\d{2})\.zim(?:aa)?$/i.exec(filename.slice(prefix.length));
+        if (parts) dates[filename] = parts[1];
+        return !!parts;
+    }).sort(function (a, b) {
+        return dates[a] < dates[b] ? -1 : dates[a] > dates[b] ? 1 : 0;
+    }).pop() || null;
+}
+
+export default {
+    getQuery: getQuery,
+    parse: parse,
+    matchArchiveFilename: matchArchiveFilename
+};
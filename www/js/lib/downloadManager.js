@@ -0,0 +1,640 @@
+/**
+ * downloadManager.js: Downloads ZIM archives into the folder picked by the user or into the Origin Private File System
+ * (OPFS). Downloads are queued, no more than MAX_CONCURRENT_DOWNLOADS run at a time, and their state is stored in
+ * IndexedDB (see cache.runIdxDBTransaction), so that they survive a reload of the app. An interrupted download is
+ * resumed with an HTTP Range request from the last byte written to the file. When a download is complete, the file is
+ * verified against the .sha256 (or .md5) checksum that the Kiwix download server publishes next to each archive.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/* global params, FileSystemFileHandle */
+
+import cache from './cache.js';
+
+/**
+ * The name of the IndexedDB object store that holds the state of the downloads (it is created by cache.js)
+ * @type {String}
+ */
+const DOWNLOADS_STORE = 'kiwix-downloads';
+
+/**
+ * The maximum number of downloads that run at the same time: further downloads wait in the queue
+ * @constant
+ * @type {Number}
+ */
+const MAX_CONCURRENT_DOWNLOADS = 2;
+
+/**
+ * The number of bytes after which the data written to a file are committed, and the state of the download stored.
+ * Data written to a FileSystemWritableFileStream only reach the file when the stream is closed, so this is the most
+ * that is lost (and downloaded again) if the app is closed during a download.
+ * @constant
+ * @type {Number}
+ */
+const CHECKPOINT_SIZE = 128 * 1024 * 1024;
+
+/**
+ * The minimum interval between two progress reports of a download (ms)
+ * @constant
+ * @type {Number}
+ */
+const PROGRESS_INTERVAL = 500;
+
+/**
+ * The state of a download
+ * @typedef {Object} Download
+ * @property {String} id The key of the download, which is the filename
+ * @property {String} url The URL of the archive
+ * @property {String} filename The name of the file in the target folder
+ * @property {String} target 'folder' for the folder picked by the user, or 'opfs' for the Origin Private File System
+ * @property {FileSystemDirectoryHandle} folder The picked folder (if the target is 'folder')
+ * @property {String} status 'queued', 'downloading', 'paused', 'verifying', 'completed' (no checksum was published),
+ *     'verified', or 'failed'
+ * @property {Number} received The number of bytes written to the file
+ * @property {Number} size The size of the archive (bytes), or 0 if it is not yet known
+ * @property {Number} verified The fraction (0 to 1) of the file whose checksum has been calculated, while verifying
+ * @property {String} error The reason for a failure, or ''
+ * @property {Object} checksum The algorithm and expected and actual values of the checksum, once verified
+ * @property {Number} added The time at which the download was added (ms since the epoch)
+ */
+
+/**
+ * The downloads, by id
+ * @type {Map<String, Download>}
+ */
+var downloads = new Map();
+
+/**
+ * The AbortControllers of the downloads that are running, by id
+ * @type {Map<String, AbortController>}
+ */
+var running = new Map();
+
+/**
+ * The function that is called with a download whenever its state changes
+ * @type {Function}
+ */
+var listener = null;
+
+/**
+ * The functions that follow a single download (see whenComplete), by id
+ * @type {Map<String, Array<Function>>}
+ */
+var watchers = new Map();
+
+/**
+ * A Promise that resolves when the stored downloads have been loaded
+ * @type {Promise}
+ */
+var ready = null;
+
+/**
+ * Tests whether the browser can write downloads into a folder or into the OPFS
+ *
+ * @returns {Boolean} True if downloads are supported
+ */
+function isSupported () {
+    return typeof FileSystemFileHandle === 'function' && 'createWritable' in FileSystemFileHandle.prototype &&
+        typeof AbortController === 'function';
+}
+
+/**
+ * Reports a change of the state of a download to the listener and to the functions that follow it
+ *
+ * @param {Download} download The download
+ */
+function notify (download) {
+    if (listener) listener(download);
+    (watchers.get(download.id) || []).slice().forEach(function (watcher) {
+        watcher(download);
+    });
+}
+
+/**
+ * Stores the state of a download, and reports it to the listener
+ *
+ * @param {Download} download The download
+ * @returns {Promise} A Promise that resolves when the state has been stored
+ */
+function save (download) {
+    notify(download);
+    return cache.runIdxDBTransaction(DOWNLOADS_STORE, 'readwrite', function (store) {
+        store.put(download, download.id);
+    }).catch(function (err) {
+        console.warn('Unable to store the state of the download of ' + download.filename, err);
+    });
+}
+
+/**
+ * Sets the status of a download, and stores it
+ *
+ * @param {Download} download The download
+ * @param {String} status The new status
+ * @param {String} error The reason for a failure
+ * @returns {Promise} A Promise that resolves when the state has been stored
+ */
+function setStatus (download, status, error) {
+    download.status = status;
+    download.error = error || '';
+    return save(download);
+}
+
+/**
+ * Loads the stored downloads, and resumes those that were interrupted by the closing of the app
+ *
+ * @param {Function} onChange An optional function that is called with a download whenever its state changes (it
+ *     replaces any function given before)
+ * @returns {Promise<Array<Download>>} A Promise for the list of downloads
+ */
+function init (onChange) {
+    if (onChange) listener = onChange;
+    if (!ready) {
+        ready = cache.runIdxDBTransaction(DOWNLOADS_STORE, 'readonly', function (store) {
+            var request = store.openCursor();
+            request.onsuccess = function () {
+                var cursor = request.result;
+                if (!cursor) return;
+                downloads.set(cursor.key, cursor.value);
+                cursor.continue();
+            };
+        }).then(function () {
+            downloads.forEach(function (download) {
+                if (download.status === 'downloading') download.status = 'queued';
+                // The file may have been verified only in part
+                if (download.status === 'verifying') download.status = 'queued';
+            });
+            pump();
+        });
+    }
+    return ready.then(list);
+}
+
+/**
+ * Lists the downloads, in the order in which they were added
+ *
+ * @returns {Array<Download>} The downloads
+ */
+function list () {
+    return Array.from(downloads.values()).sort(function (a, b) {
+        return a.added - b.added;
+    });
+}
+
+/**
+ * Gets the name of the file of a download from its URL
+ *
+ * @param {String} url The URL of the archive
+ * @returns {String} The filename
+ */
+function getFilename (url) {
+    return decodeURIComponent(url.replace(/[?#].*$/, '').replace(/^.*\//, ''));
+}
+
+/**
+ * Adds a download to the queue
+ *
+ * @param {String} url The URL of the archive to download
+ * @param {String} target 'folder' to download into the folder picked by the user, or 'opfs'
+ * @param {String} filename An optional name for the file (by default, the archive is named after its URL)
+ * @returns {Promise<Download>} A Promise for the new download
+ */
+function add (url, target, filename) {
+    return ready.then(function () {
+        filename = filename || getFilename(url);
+        if (!/\.zim\w{0,2}$/i.test(filename)) throw new Error('The URL does not point to a ZIM archive: ' + url);
+        var existing = downloads.get(filename);
+        if (existing && existing.status !== 'failed') throw new Error('This archive is already in the list of downloads: ' + filename);
+        return getPickedFolder(target).then(function (folder) {
+            var download = {
+                id: filename,
+                url: url,
+                filename: filename,
+                target: target,
+                folder: folder,
+                status: 'queued',
+                received: 0,
+                size: 0,
+                error: '',
+                checksum: null,
+                added: Date.now()
+            };
+            downloads.set(download.id, download);
+            return save(download).then(function () {
+                pump();
+                return download;
+            });
+        });
+    });
+}
+
+/**
+ * Gets the folder that the user picked to open archives, if downloads are to be saved into it. It must be called in
+ * response to a user action, so that the user can be asked for permission to write into the folder.
+ *
+ * @param {String} target 'folder' or 'opfs'
+ * @returns {Promise<FileSystemDirectoryHandle|null>} A Promise for the picked folder, or for null if the target is 'opfs'
+ */
+function getPickedFolder (target) {
+    if (target !== 'folder') return Promise.resolve(null);
+    return new Promise(function (resolve) {
+        cache.idxDB('zimFiles', resolve);
+    }).then(function (handle) {
+        if (!handle || handle.kind !== 'directory') throw new Error('No folder has been picked');
+        return handle.requestPermission({ mode: 'readwrite' }).then(function (permission) {
+            if (permission !== 'granted') throw new Error('Permission to write into the folder was not granted');
+            return handle;
+        });
+    });
+}
+
+/**
+ * Gets the folder into which a download is saved
+ *
+ * @param {Download} download The download
+ * @returns {Promise<FileSystemDirectoryHandle>} A Promise for the folder
+ */
+function getFolder (download) {
+    if (download.target !== 'folder') return navigator.storage.getDirectory();
+    // Without a user action, we can only check the permission: the user is asked again when resuming the download
+    return download.folder.queryPermission({ mode: 'readwrite' }).then(function (permission) {
+        if (permission !== 'granted') throw new Error('Permission to write into the folder is needed to resume the download');
+        return download.folder;
+    });
+}
+
+/**
+ * Starts as many queued downloads as allowed by MAX_CONCURRENT_DOWNLOADS
+ */
+function pump () {
+    list().filter(function (download) {
+        return download.status === 'queued';
+    }).slice(0, Math.max(0, MAX_CONCURRENT_DOWNLOADS - running.size)).forEach(start);
+}
+
+/**
+ * Runs a download, resuming it from the bytes already written to its file
+ *
+ * @param {Download} download The download
+ */
+function start (download) {
+    var controller = new AbortController();
+    var fileHandle;
+    var writer;
+    running.set(download.id, controller);
+    setStatus(download, 'downloading');
+    getFolder(download).then(function (folder) {
+        return folder.getFileHandle(download.filename, { create: true });
+    }).then(function (handle) {
+        fileHandle = handle;
+        return fileHandle.getFile();
+    }).then(function (file) {
+        download.received = file.size;
+        var headers = download.received ? { Range: 'bytes=' + download.received + '-' } : {};
+        return fetch(download.url, { headers: headers, signal: controller.signal });
+    }).then(function (response) {
+        // The file is already complete
+        if (response.status === 416 && download.received && download.received === download.size) return;
+        if (!response.ok) throw new Error('HTTP error, status = ' + response.status);
+        var range = response.status === 206 && (response.headers.get('Content-Range') || '').match(/^bytes (\d+)-\d+\/(\d+)/);
+        if (range && Number(range[1]) !== download.received) throw new Error('The server did not resume the download from the expected position');
+        // A server that does not support Range requests sends the whole archive again
+        if (!range) download.received = 0;
+        download.size = range ? Number(range[2]) : Number(response.headers.get('Content-Length')) || 0;
+        return receive(download, fileHandle, response.body.getReader(), function (newWriter) {
+            writer = newWriter;
+        });
+    }).then(function () {
+        running.delete(download.id);
+        return verify(download, fileHandle);
+    }).catch(function (err) {
+        running.delete(download.id);
+        // Closing the writer commits the data received so far, from which the download can be resumed
+        return (writer ? writer.close().catch(function () {}) : Promise.resolve()).then(function () {
+            if (controller.signal.aborted) {
+                // The download was paused or removed
+                if (downloads.has(download.id)) return setStatus(download, 'paused');
+                return;
+            }
+            console.error('Error downloading ' + download.filename, err);
+            return setStatus(download, 'failed', err.message);
+        });
+    }).then(pump);
+}
+
+/**
+ * Writes the data of a download to its file as they are received, committing them every CHECKPOINT_SIZE bytes
+ *
+ * @param {Download} download The download
+ * @param {FileSystemFileHandle} fileHandle The file
+ * @param {ReadableStreamDefaultReader} reader The reader of the body of the response
+ * @param {Function} onWriter A function that is called with each new writer, so that it can be closed on error
+ * @returns {Promise} A Promise that resolves when the whole archive has been written and committed
+ */
+function receive (download, fileHandle, reader, onWriter) {
+    var writer;
+    var checkpoint = download.received;
+    var lastReport = 0;
+    var openWriter = function () {
+        return fileHandle.createWritable({ keepExistingData: download.received > 0 }).then(function (newWriter) {
+            writer = newWriter;
+            onWriter(writer);
+            // Discard any data beyond the resumed position (e.g. if the server sends the whole archive again)
+            return writer.truncate(download.received);
+        }).then(function () {
+            return writer.seek(download.received);
+        });
+    };
+    var processResult = function (result) {
+        if (result.done) {
+            return writer.close().then(function () {
+                onWriter(null);
+                if (download.size && download.received !== download.size) throw new Error('The download ended before the end of the archive');
+                download.size = download.received;
+            });
+        }
+        return writer.write(result.value).then(function () {
+            download.received += result.value.byteLength;
+            if (Date.now() - lastReport >= PROGRESS_INTERVAL) {
+                lastReport = Date.now();
+                notify(download);
+            }
+            if (download.received - checkpoint < CHECKPOINT_SIZE) return;
+            checkpoint = download.received;
+            return writer.close().then(function () {
+                onWriter(null);
+                return save(download);
+            }).then(openWriter);
+        }).then(function () {
+            return reader.read().then(processResult);
+        });
+    };
+    return openWriter().then(function () {
+        return reader.read().then(processResult);
+    });
+}
+
+/**
+ * Gets the checksum published next to an archive on the download server, preferring SHA-256 to MD5
+ *
+ * @param {String} url The URL of the archive
+ * @returns {Promise<Object|null>} A Promise for the algorithm and the expected checksum, or for null if none is published
+ */
+function getPublishedChecksum (url) {
+    // Archives are often served by mirrors, but the checksums are published on the main download server
+    var match = url.match(/\/zim\/(.+)$/);
+    var base = match ? params.altLibraryUrl + match[1] : url;
+    var tryAlgorithm = function (algorithm, length) {
+        return fetch(base + '.' + algorithm).then(function (response) {
+            if (!response.ok) return null;
+            return response.text().then(function (text) {
+                var checksum = text.trim().match(new RegExp('^[0-9a-f]{' + length + '}', 'i'));
+                return checksum ? { algorithm: algorithm, expected: checksum[0].toLowerCase() } : null;
+            });
+        }).catch(function (err) {
+            console.warn('Unable to get the ' + algorithm + ' checksum of ' + url, err);
+            return null;
+        });
+    };
+    return tryAlgorithm('sha256', 64).then(function (checksum) {
+        return checksum || tryAlgorithm('md5', 32);
+    });
+}
+
+/**
+ * Verifies a completed download against the checksum published next to the archive
+ *
+ * @param {Download} download The download
+ * @param {FileSystemFileHandle} fileHandle The file
+ * @returns {Promise} A Promise that resolves when the download has been verified
+ */
+function verify (download, fileHandle) {
+    return setStatus(download, 'verifying').then(function () {
+        return getPublishedChecksum(download.url);
+    }).then(function (checksum) {
+        if (!checksum) return setStatus(download, 'completed');
+        return fileHandle.getFile().then(function (file) {
+            return hashFile(file, checksum.algorithm, function (progress) {
+                download.verified = progress;
+                notify(download);
+            });
+        }).then(function (actual) {
+            checksum.actual = actual;
+            download.checksum = checksum;
+            if (actual === checksum.expected) return setStatus(download, 'verified');
+            return setStatus(download, 'failed', 'The checksum of the file does not match the published ' + checksum.algorithm + ' checksum');
+        });
+    });
+}
+
+/**
+ * Calculates the checksum of a file in a Web Worker
+ *
+ * @param {File} file The file
+ * @param {String} algorithm 'sha256' or 'md5'
+ * @param {Function} onProgress A function that is called with the fraction (0 to 1) of the file hashed so far
+ * @returns {Promise<String>} A Promise for the checksum, as a lowercase hexadecimal string
+ */
+function hashFile (file, algorithm, onProgress) {
+    var worker = new Worker('js/lib/checksumWorker.js');
+    return new Promise(function (resolve, reject) {
+        var messageChannel = new MessageChannel();
+        messageChannel.port1.onmessage = function (event) {
+            if (!event.data.done) {
+                onProgress(event.data.progress);
+                return;
+            }
+            worker.terminate();
+            if (event.data.error) reject(new Error(event.data.error));
+            else resolve(event.data.checksum);
+        };
+        worker.onerror = function (err) {
+            worker.terminate();
+            reject(err);
+        };
+        worker.postMessage({ files: [file], algorithm: algorithm }, [messageChannel.port2]);
+    });
+}
+
+/**
+ * Follows a download until it is complete
+ *
+ * @param {String} id The key of the download
+ * @param {Function} onChange An optional function that is called with the download whenever its state changes
+ * @returns {Promise<Download>} A Promise for the download once it is completed or verified, which is rejected if the
+ *     download fails or is removed
+ */
+function whenComplete (id, onChange) {
+    if (!downloads.has(id)) return Promise.reject(new Error('Unknown download: ' + id));
+    // The download may already have ended
+    var download = downloads.get(id);
+    if (/^(?:verified|completed)$/.test(download.status)) return Promise.resolve(download);
+    if (download.status === 'failed') return Promise.reject(new Error(download.error));
+    return new Promise(function (resolve, reject) {
+        var watcher = function (download) {
+            var removed = !downloads.has(id);
+            if (!removed && onChange) onChange(download);
+            if (!removed && !/^(?:verified|completed|failed)$/.test(download.status)) return;
+            var list = watchers.get(id);
+            list.splice(list.indexOf(watcher), 1);
+            if (!list.length) watchers.delete(id);
+            if (removed) reject(new Error('The download was removed: ' + download.filename));
+            else if (download.status === 'failed') reject(new Error(download.error));
+            else resolve(download);
+        };
+        if (!watchers.has(id)) watchers.set(id, []);
+        watchers.get(id).push(watcher);
+    });
+}
+
+/**
+ * Pauses a download that is queued or running. The data received so far are kept, so that it can be resumed.
+ *
+ * @param {String} id The key of the download
+ */
+function pause (id) {
+    var download = downloads.get(id);
+    if (!download) return;
+    if (running.has(id)) {
+        running.get(id).abort();
+    } else if (download.status === 'queued') {
+        setStatus(download, 'paused');
+    }
+}
+
+/**
+ * Resumes a paused or failed download (it is queued again). It must be called in response to a user action, so that the
+ * user can be asked again for permission to write into the picked folder.
+ *
+ * @param {String} id The key of the download
+ * @returns {Promise} A Promise that resolves when the download has been queued
+ */
+function resume (id) {
+    var download = downloads.get(id);
+    if (!download || running.has(id)) return Promise.resolve();
+    var permission = download.target === 'folder' ? download.folder.requestPermission({ mode: 'readwrite' }) : Promise.resolve('granted');
+    return permission.then(function (state) {
+        if (state !== 'granted') throw new Error('Permission to write into the folder was not granted');
+        // A download whose checksum did not match is downloaded again from the start
+        if (download.checksum && download.checksum.actual !== download.checksum.expected) {
+            download.checksum = null;
+            return getFolder(download).then(function (folder) {
+                return folder.removeEntry(download.filename);
+            }).catch(function () {});
+        }
+    }).then(function () {
+        return setStatus(download, 'queued');
+    }).then(pump);
+}
+
+/**
+ * Removes a download from the list, stopping it if it is running
+ *
+ * @param {String} id The key of the download
+ * @param {Boolean} deleteFile True to delete the file (complete or not) as well
+ * @returns {Promise} A Promise that resolves when the download has been removed
+ */
+function remove (id, deleteFile) {
+    var download = downloads.get(id);
+    if (!download) return Promise.resolve();
+    downloads.delete(id);
+    if (running.has(id)) running.get(id).abort();
+    // Let the functions that follow the download know that it was removed
+    (watchers.get(id) || []).slice().forEach(function (watcher) {
+        watcher(download);
+    });
+    return cache.runIdxDBTransaction(DOWNLOADS_STORE, 'readwrite', function (store) {
+        store.delete(id);
+    }).then(function () {
+        if (!deleteFile) return;
+        return getFolder(download).then(function (folder) {
+            return folder.removeEntry(download.filename);
+        }).catch(function (err) {
+            console.warn('Unable to delete the file of the download ' + download.filename, err);
+        });
+    });
+}
+
+/**
+ * Gets the file of a completed download, so that it can be opened. It must be called in response to a user action.
+ *
+ * @param {String} id The key of the download
+ * @returns {Promise<File>} A Promise for the file
+ */
+function getFile (id) {
+    var download = downloads.get(id);
+    if (!download) return Promise.reject(new Error('Unknown download: ' + id));
+    var folder = download.target === 'folder' ? download.folder.requestPermission({ mode: 'read' }).then(function (permission) {
+        if (permission !== 'granted') throw new Error('Permission to read the folder was not granted');
+        return download.folder;
+    }) : navigator.storage.getDirectory();
+    return folder.then(function (folder) {
+        return folder.getFileHandle(download.filename);
+    }).then(function (fileHandle) {
+        return fileHandle.getFile();
+    });
+}
+
+/**
+ * Tests whether a file is in the Origin Private File System
+ *
+ * @param {String} filename The name of the file
+ * @returns {Promise<Boolean>} A Promise for true if the file is in the OPFS
+ */
+function isInOPFS (filename) {
+    if (!navigator.storage || typeof navigator.storage.getDirectory !== 'function') return Promise.resolve(false);
+    return navigator.storage.getDirectory().then(function (folder) {
+        return folder.getFileHandle(filename);
+    }).then(function () {
+        return true;
+    }).catch(function () {
+        return false;
+    });
+}
+
+/**
+ * Deletes a file from the Origin Private File System (e.g. an old version of an archive), along with its download
+ *
+ * @param {String} filename The name of the file
+ * @returns {Promise} A Promise that resolves when the file has been deleted
+ */
+function deleteFromOPFS (filename) {
+    var download = downloads.get(filename);
+    if (download && download.target === 'opfs') return remove(filename, true);
+    return navigator.storage.getDirectory().then(function (folder) {
+        return folder.removeEntry(filename);
+    });
+}
+
+export default {
+    isSupported: isSupported,
+    init: init,
+    list: list,
+    getFilename: getFilename,
+    add: add,
+    whenComplete: whenComplete,
+    pause: pause,
+    resume: resume,
+    remove: remove,
+    getFile: getFile,
+    isInOPFS: isInOPFS,
+    deleteFromOPFS: deleteFromOPFS
+};
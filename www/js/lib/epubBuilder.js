@@ -0,0 +1,340 @@
+/**
+ * epubBuilder.js: Builds an EPUB 3 book from a selection of articles (e.g. the bookmarks of a folder, or the results
+ * of a search), entirely in the browser. Each article becomes a chapter, with its images read from the archive and
+ * bundled in the book, and the table of contents is built from the headings of the articles. The metadata of the book
+ * (creator, publisher, language and date) are taken from the archive of the first article.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import articleExport from './articleExport.js';
+import uiUtil from './uiUtil.js';
+import zipWriter from './zipWriter.js';
+
+/**
+ * An article to include in a book
+ * @typedef {Object} BookArticle
+ * @property {ZIMArchive} archive The archive of the article
+ * @property {String} path The path of the article in the archive (namespace + url)
+ * @property {String} title The title of the article
+ */
+
+/**
+ * The elements that are removed from the chapters, because they are interactive, or are not allowed or not useful
+ * in an EPUB book
+ * @type {String}
+ */
+const REMOVED_ELEMENTS = 'script, noscript, style, link, meta, base, iframe, object, embed, video, audio, form, ' +
+    'input, button, select, textarea, template, .mw-editsection, .noprint';
+
+/**
+ * The stylesheet of the book
+ * @type {String}
+ */
+const BOOK_CSS = 'body { font-family: serif; line-height: 1.4; }\n' +
+    'img { max-width: 100%; height: auto; }\n' +
+    'table { border-collapse: collapse; max-width: 100%; }\n' +
+    'td, th { border: 1px solid #aaa; padding: 0.2em 0.4em; }\n' +
+    'figure { margin: 1em 0; }\n' +
+    'figcaption { font-size: 0.9em; }\n';
+
+/**
+ * The file extensions of the image types that can be bundled in a book
+ * @type {Object}
+ */
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg',
+    'image/webp': 'webp'
+};
+
+/**
+ * Escapes a string for use in XML text or attribute values
+ *
+ * @param {String} str The string to escape
+ * @returns {String} The escaped string
+ */
+function escapeXml (str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Reads a metadata entry of an archive
+ *
+ * @param {ZIMArchive} archive The archive
+ * @param {String} key The key of the metadata entry (e.g. 'Creator')
+ * @returns {Promise<String>} A Promise for the value of the entry, or for '' if the archive does not have it
+ */
+function getMetadata (archive, key) {
+    return new Promise(function (resolve) {
+        archive.getMetadata(key, function (value) {
+            resolve(value || '');
+        });
+    });
+}
+
+/**
+ * Reads the HTML of an article, following any redirect
+ *
+ * @param {ZIMArchive} archive The archive of the article
+ * @param {String} path The path of the article
+ * @returns {Promise<String>} A Promise for the HTML, which rejects if the entry is not an HTML article (e.g. an image)
+ */
+function readArticle (archive, path) {
+    return archive.getDirEntryByPath(path).then(function (dirEntry) {
+        if (!dirEntry) throw new Error('Article not found in the archive: ' + path);
+        if (!dirEntry.isRedirect()) return dirEntry;
+        return new Promise(function (resolve) {
+            archive.resolveRedirect(dirEntry, resolve);
+        });
+    }).then(function (dirEntry) {
+        if (!/\bx?html\b/i.test(dirEntry.getMimetype())) throw new Error('Not an HTML article: ' + path);
+        return new Promise(function (resolve) {
+            archive.readUtf8File(dirEntry, function (fileDirEntry, content) {
+                resolve(content);
+            });
+        });
+    });
+}
+
+/**
+ * Gets the ZIM path of an asset or link of an article
+ *
+ * @param {ZIMArchive} archive The archive of the article
+ * @param {String} url The URL of the asset or link, as it appears in the article
+ * @param {String} base The base ZIM URL of the article (e.g. "A/")
+ * @returns {String} The ZIM path
+ */
+function getZimPath (archive, url, base) {
+    var path = uiUtil.deriveZimUrlFromRelativeUrl(url.replace(/#.*$/, ''), base);
+    // Zimit archives store the query string of assets as part of their ZIM URL
+    return /zimit/.test(archive.zimType) ? path : uiUtil.removeUrlParameters(path);
+}
+
+/**
+ * Generates a random identifier for a book
+ *
+ * @returns {String} A UUID URN
+ */
+function generateIdentifier () {
+    if (window.crypto && window.crypto.randomUUID) return 'urn:uuid:' + window.crypto.randomUUID();
+    return 'urn:uuid:' + 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+        var r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Builds the list items of the table of contents for the headings of a chapter
+ *
+ * @param {Array} headings The heading objects, as returned by TableOfContents.getHeadingTree
+ * @param {String} href The filename of the chapter
+ * @returns {String} The XHTML of the list items
+ */
+function getNavItems (headings, href) {
+    return headings.map(function (heading) {
+        var children = heading.children.length ? '<ol>' + getNavItems(heading.children, href) + '</ol>' : '';
+        return '<li><a href="' + href + '#' + escapeXml(heading.id) + '">' + escapeXml(heading.textContent.trim() || heading.id) +
+            '</a>' + children + '</li>';
+    }).join('');
+}
+
+/**
+ * Builds an EPUB 3 book from a selection of articles. Articles that cannot be read or are not HTML are skipped, as are
+ * images that cannot be read or are of a type that EPUB readers do not support.
+ *
+ * @param {Array<BookArticle>} articles The articles to include, in the order of the chapters
+ * @param {String} title The title of the book
+ * @param {Function} onProgress An optional function that is called with the number of articles processed so far
+ * @returns {Promise<Uint8Array>} A Promise for the EPUB file
+ */
+function build (articles, title, onProgress) {
+    if (!articles.length) return Promise.reject(new Error('No articles were selected for the book'));
+    var mainArchive = articles[0].archive;
+    var metadata = {};
+    var chapters = [];
+    var images = {};
+    var imageFiles = [];
+    // The chapter filename of each article, so that links between the articles of the book can be kept
+    var chapterHrefs = {};
+    articles.forEach(function (article, i) {
+        chapterHrefs[article.archive.file.name + '/' + article.path] = 'chapter' + (i + 1) + '.xhtml';
+    });
+
+    var addImage = function (archive, path) {
+        var key = archive.file.name + '/' + path;
+        if (!images[key]) {
+            images[key] = articleExport.readAsset(archive, path).then(function (asset) {
+                var mimetype = asset.mimetype.replace(/;.*$/, '');
+                var extension = IMAGE_EXTENSIONS[mimetype];
+                if (!extension) throw new Error('Unsupported image type ' + mimetype);
+                var href = 'images/image' + (imageFiles.length + 1) + '.' + extension;
+                imageFiles.push({ href: href, mimetype: mimetype, content: asset.content });
+                return href;
+            });
+        }
+        return images[key];
+    };
+
+    var addChapter = function (article, index) {
+        var href = 'chapter' + (index + 1) + '.xhtml';
+        var base = article.path.replace(/[^/]*$/, '');
+        return readArticle(article.archive, article.path).then(function (html) {
+            var doc = new DOMParser().parseFromString(html, 'text/html');
+            Array.prototype.slice.call(doc.body.querySelectorAll(REMOVED_ELEMENTS)).forEach(function (element) {
+                element.parentNode.removeChild(element);
+            });
+            // Event handlers and responsive images are not supported
+            Array.prototype.slice.call(doc.body.querySelectorAll('*')).forEach(function (element) {
+                Array.prototype.slice.call(element.attributes).forEach(function (attribute) {
+                    if (/^(?:on|srcset$|sizes$|loading$)/i.test(attribute.name)) element.removeAttribute(attribute.name);
+                });
+            });
+            // Links to other articles of the book point to their chapters; other links within the archive are removed
+            Array.prototype.slice.call(doc.body.querySelectorAll('a[href]')).forEach(function (link) {
+                var url = link.getAttribute('href');
+                if (/^(?:#|[a-z]+:)/i.test(url)) return;
+                var chapterHref = chapterHrefs[article.archive.file.name + '/' + getZimPath(article.archive, url, base)];
+                if (chapterHref) {
+                    link.setAttribute('href', chapterHref + url.replace(/^[^#]*/, ''));
+                } else {
+                    link.removeAttribute('href');
+                }
+            });
+            var imagesAdded = Array.prototype.slice.call(doc.body.querySelectorAll('img')).map(function (img) {
+                var src = img.getAttribute('src');
+                if (!src || /^data:/i.test(src)) return Promise.resolve();
+                return addImage(article.archive, getZimPath(article.archive, src, base)).then(function (imageHref) {
+                    img.setAttribute('src', imageHref);
+                    if (!img.hasAttribute('alt')) img.setAttribute('alt', '');
+                }).catch(function (err) {
+                    console.warn('Unable to add the image ' + src + ' to the book', err);
+                    img.parentNode.removeChild(img);
+                });
+            });
+            return Promise.all(imagesAdded).then(function () {
+                // The headings need ids to be targets of the table of contents
+                var tableOfContents = new uiUtil.TOC(doc);
+                Array.prototype.forEach.call(tableOfContents.headings, function (heading, i) {
+                    if (!heading.id) heading.id = 'kiwix-heading-' + i;
+                });
+                if (!doc.body.querySelector('h1')) {
+                    var h1 = doc.createElement('h1');
+                    h1.textContent = article.title;
+                    doc.body.insertBefore(h1, doc.body.firstChild);
+                }
+                var headings = tableOfContents.getHeadingTree(3);
+                // An article usually has a single h1 heading (its title), whose sections are the entries of the chapter
+                if (headings.length === 1 && headings[0].level === 1) headings = headings[0].children;
+                var properties = [];
+                if (doc.body.querySelector('svg')) properties.push('svg');
+                if (doc.body.querySelector('math')) properties.push('mathml');
+                var body = new XMLSerializer().serializeToString(doc.body).replace(/^<body[^>]*>|<\/body>$/g, '');
+                chapters.push({
+                    href: href,
+                    title: article.title,
+                    properties: properties.join(' '),
+                    nav: getNavItems(headings, href),
+                    content: '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n' +
+                        '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="' +
+                        escapeXml(metadata.language) + '" xml:lang="' + escapeXml(metadata.language) + '">\n<head>\n' +
+                        '<meta charset="UTF-8" />\n<title>' + escapeXml(article.title) + '</title>\n' +
+                        '<link rel="stylesheet" type="text/css" href="style.css" />\n</head>\n<body>' + body + '</body>\n</html>\n'
+                });
+            });
+        }).catch(function (err) {
+            console.warn('Unable to add the article ' + article.path + ' to the book', err);
+        }).then(function () {
+            if (onProgress) onProgress(index + 1);
+        });
+    };
+
+    return Promise.all(['Creator', 'Publisher', 'Language', 'Date'].map(function (key) {
+        return getMetadata(mainArchive, key).then(function (value) {
+            metadata[key.toLowerCase()] = value;
+        });
+    })).then(function () {
+        // The Language metadata may list several languages, separated by commas
+        metadata.language = metadata.language.split(',')[0].trim() || 'en';
+        // The articles are processed one after the other, to limit the memory used by large articles
+        return articles.reduce(function (previous, article, index) {
+            return previous.then(function () {
+                return addChapter(article, index);
+            });
+        }, Promise.resolve());
+    }).then(function () {
+        if (!chapters.length) throw new Error('None of the selected articles could be read');
+        var zip = new zipWriter.ZipWriter();
+        // The mimetype must be the first file of the book
+        zip.add('mimetype', 'application/epub+zip');
+        zip.add('META-INF/container.xml', '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+            '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" /></rootfiles>\n' +
+            '</container>\n');
+        var manifest = '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />\n' +
+            '<item id="style" href="style.css" media-type="text/css" />\n';
+        var spine = '';
+        chapters.forEach(function (chapter, i) {
+            manifest += '<item id="chapter' + (i + 1) + '" href="' + chapter.href + '" media-type="application/xhtml+xml"' +
+                (chapter.properties ? ' properties="' + chapter.properties + '"' : '') + ' />\n';
+            spine += '<itemref idref="chapter' + (i + 1) + '" />\n';
+        });
+        imageFiles.forEach(function (image, i) {
+            manifest += '<item id="image' + (i + 1) + '" href="' + image.href + '" media-type="' + image.mimetype + '" />\n';
+        });
+        var optionalMetadata = ['creator', 'publisher', 'date'].filter(function (key) {
+            return metadata[key];
+        }).map(function (key) {
+            return '<dc:' + key + '>' + escapeXml(metadata[key]) + '</dc:' + key + '>\n';
+        }).join('');
+        zip.add('OEBPS/content.opf', '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" xml:lang="' + escapeXml(metadata.language) + '">\n' +
+            '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+            '<dc:identifier id="bookid">' + generateIdentifier() + '</dc:identifier>\n' +
+            '<dc:title>' + escapeXml(title) + '</dc:title>\n' +
+            '<dc:language>' + escapeXml(metadata.language) + '</dc:language>\n' + optionalMetadata +
+            '<dc:source>' + escapeXml(mainArchive.name || mainArchive.file.name) + '</dc:source>\n' +
+            '<meta property="dcterms:modified">' + new Date().toISOString().replace(/\.\d+Z$/, 'Z') + '</meta>\n' +
+            '</metadata>\n<manifest>\n' + manifest + '</manifest>\n<spine>\n' + spine + '</spine>\n</package>\n');
+        zip.add('OEBPS/nav.xhtml', '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n' +
+            '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="' + escapeXml(metadata.language) + '">\n' +
+            '<head>\n<meta charset="UTF-8" />\n<title>' + escapeXml(title) + '</title>\n</head>\n<body>\n' +
+            '<nav epub:type="toc" id="toc">\n<h1>' + escapeXml(title) + '</h1>\n<ol>\n' +
+            chapters.map(function (chapter) {
+                return '<li><a href="' + chapter.href + '">' + escapeXml(chapter.title) + '</a>' +
+                    (chapter.nav ? '<ol>' + chapter.nav + '</ol>' : '') + '</li>\n';
+            }).join('') + '</ol>\n</nav>\n</body>\n</html>\n');
+        zip.add('OEBPS/style.css', BOOK_CSS);
+        chapters.forEach(function (chapter) {
+            zip.add('OEBPS/' + chapter.href, chapter.content);
+        });
+        imageFiles.forEach(function (image) {
+            zip.add('OEBPS/' + image.href, image.content);
+        });
+        return zip.generate();
+    });
+}
+
+export default {
+    build: build
+};
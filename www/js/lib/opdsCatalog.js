@@ -0,0 +1,394 @@
+/**
+ * opdsCatalog.js: A client for the OPDS 1.2 catalog of the Kiwix library (catalog/v2), used to browse the archives that
+ * can be downloaded. Filters and pagination are sent to the server as query parameters, but they are also applied to
+ * the feed that is received, so that the catalog also works with a static mirror of the feeds (e.g. for testing), which
+ * ignores query parameters.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/* global params */
+
+import cache from './cache.js';
+
+/**
+ * The relation of the links to the illustration of an entry
+ * @type {String}
+ */
+const THUMBNAIL_REL = 'http://opds-spec.org/image/thumbnail';
+
+/**
+ * The relation of the links to download an entry
+ * @type {String}
+ */
+const ACQUISITION_REL = 'http://opds-spec.org/acquisition/open-access';
+
+/**
+ * The name of the IndexedDB object store in which the whole catalog is cached (it is created by cache.js)
+ * @type {String}
+ */
+const CATALOG_STORE = 'kiwix-catalog';
+
+/**
+ * The age (ms) after which the cached catalog is fetched again
+ * @constant
+ * @type {Number}
+ */
+const CATALOG_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * The number of archives requested at a time when the whole catalog is fetched
+ * @constant
+ * @type {Number}
+ */
+const CATALOG_PAGE_SIZE = 500;
+
+/**
+ * The fetches of the whole catalog that are running, by catalog URL, so that the catalog is not fetched twice at a time
+ * @type {Object<String, Promise>}
+ */
+var catalogFetches = {};
+
+/**
+ * An archive in the catalog
+ * @typedef {Object} CatalogEntry
+ * @property {String} id The UUID of the archive
+ * @property {String} name The name of the archive, which is the same for all its versions (e.g. wikipedia_en_all)
+ * @property {String} flavour The flavour of the archive (e.g. maxi, nopic), or ''
+ * @property {String} title The title of the archive
+ * @property {String} summary The description of the archive
+ * @property {Array<String>} languages The ISO 639-3 codes of the languages of the archive
+ * @property {String} category The category of the archive (e.g. wikipedia)
+ * @property {Array<String>} tags The tags of the archive
+ * @property {String} updated The date of the archive (ISO 8601)
+ * @property {Number} articleCount The number of articles in the archive
+ * @property {Number} mediaCount The number of media in the archive
+ * @property {Number} size The size of the archive in bytes, or 0 if it is not known
+ * @property {String} url The URL from which the archive can be downloaded
+ * @property {String} illustration The URL of the illustration of the archive, or ''
+ */
+
+/**
+ * Gets the text of the first child element of a node with the given local name (ignoring namespaces)
+ *
+ * @param {Element} node The parent node
+ * @param {String} localName The local name of the child element
+ * @returns {String} The trimmed text of the element, or '' if there is no such element
+ */
+function getChildText (node, localName) {
+    var child = getChildElements(node, localName)[0];
+    return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Gets the child elements of a node with the given local name (ignoring namespaces)
+ *
+ * @param {Element} node The parent node
+ * @param {String} localName The local name of the child elements
+ * @returns {Array<Element>} The child elements
+ */
+function getChildElements (node, localName) {
+    // Element.children is not available on XML elements in IE11
+    return Array.prototype.filter.call(node.childNodes, function (child) {
+        return child.nodeType === 1 && child.localName === localName;
+    });
+}
+
+/**
+ * Parses an OPDS feed
+ *
+ * @param {String} xml The text of the feed
+ * @returns {Object} The total number of results and start index that the server reported (or null), and the list of
+ *     the entry elements of the feed
+ */
+function parseFeed (xml) {
+    var doc = new DOMParser().parseFromString(xml, 'application/xml');
+    var feed = doc.documentElement;
+    if (!feed || feed.localName !== 'feed') throw new Error('The catalog did not return an OPDS feed');
+    var total = getChildText(feed, 'totalResults');
+    var start = getChildText(feed, 'startIndex');
+    return {
+        total: total ? Number(total) : null,
+        start: start ? Number(start) : null,
+        entries: getChildElements(feed, 'entry')
+    };
+}
+
+/**
+ * Converts an entry of an OPDS feed of archives to a CatalogEntry
+ *
+ * @param {Element} entry The entry element
+ * @param {String} baseUrl The URL of the feed, against which relative links are resolved
+ * @returns {CatalogEntry} The archive
+ */
+function parseEntry (entry, baseUrl) {
+    var result = {
+        id: getChildText(entry, 'id').replace(/^urn:uuid:/, ''),
+        name: getChildText(entry, 'name'),
+        flavour: getChildText(entry, 'flavour'),
+        title: getChildText(entry, 'title'),
+        summary: getChildText(entry, 'summary'),
+        languages: getChildText(entry, 'language').split(',').filter(Boolean),
+        category: getChildText(entry, 'category'),
+        tags: getChildText(entry, 'tags').split(';').filter(Boolean),
+        updated: getChildText(entry, 'updated'),
+        articleCount: Number(getChildText(entry, 'articleCount')) || 0,
+        mediaCount: Number(getChildText(entry, 'mediaCount')) || 0,
+        size: 0,
+        url: '',
+        illustration: ''
+    };
+    getChildElements(entry, 'link').forEach(function (link) {
+        var rel = link.getAttribute('rel');
+        var href = new URL(link.getAttribute('href'), baseUrl).href;
+        if (rel === ACQUISITION_REL) {
+            // The catalog links to a Metalink file listing the mirrors: the archive itself is next to it
+            result.url = href.replace(/\.meta4$/, '');
+            result.size = Number(link.getAttribute('length')) || 0;
+        } else if (rel === THUMBNAIL_REL && !result.illustration) {
+            result.illustration = href;
+        }
+    });
+    return result;
+}
+
+/**
+ * Tests whether an archive matches the filters of a search of the catalog
+ *
+ * @param {CatalogEntry} entry The archive
+ * @param {Object} filters The language, category, text query and maximum size (bytes) to match (all are optional)
+ * @returns {Boolean} True if the archive matches all the filters
+ */
+function matches (entry, filters) {
+    if (filters.lang && entry.languages.indexOf(filters.lang) < 0) return false;
+    if (filters.category && entry.category !== filters.category) return false;
+    if (filters.maxSize && (!entry.size || entry.size > filters.maxSize)) return false;
+    if (filters.q) {
+        var text = [entry.title, entry.summary, entry.name].join('\n').toLowerCase();
+        return filters.q.toLowerCase().split(/\s+/).every(function (word) {
+            return text.indexOf(word) >= 0;
+        });
+    }
+    return true;
+}
+
+/**
+ * Fetches a feed of the catalog
+ *
+ * @param {String} path The path of the feed, relative to the catalog URL
+ * @param {Object} query The query parameters to send
+ * @param {String} catalogUrl The URL of the catalog (defaults to params.opdsCatalogUrl)
+ * @returns {Promise<Object>} A Promise for the parsed feed (see parseFeed) and its URL
+ */
+function fetchFeed (path, query, catalogUrl) {
+    var url = new URL(path, new URL(catalogUrl || params.opdsCatalogUrl, document.baseURI));
+    Object.keys(query).forEach(function (key) {
+        if (query[key] !== '' && query[key] !== undefined && query[key] !== null) url.searchParams.set(key, query[key]);
+    });
+    return fetch(url.href).then(function (response) {
+        if (!response.ok) throw new Error('HTTP error, status = ' + response.status);
+        return response.text();
+    }).then(function (xml) {
+        var feed = parseFeed(xml);
+        feed.url = url.href;
+        return feed;
+    });
+}
+
+/**
+ * Fetches a page of the archives that match some filters
+ *
+ * @param {Object} filters The language, category, text query and maximum size (bytes) to match (all are optional)
+ * @param {Number} start The index of the first archive of the page
+ * @param {Number} count The number of archives in a page
+ * @param {String} catalogUrl The URL of the catalog (defaults to params.opdsCatalogUrl)
+ * @returns {Promise<Object>} A Promise for the total number of matching archives, and the archives of the page
+ */
+function fetchEntries (filters, start, count, catalogUrl) {
+    return fetchFeed('entries', {
+        lang: filters.lang,
+        category: filters.category,
+        q: filters.q,
+        maxsize: filters.maxSize || '',
+        start: start,
+        count: count
+    }, catalogUrl).then(function (feed) {
+        var entries = feed.entries.map(function (entry) {
+            return parseEntry(entry, feed.url);
+        });
+        // A static mirror sends the whole catalog whatever the query, so we must filter and paginate it ourselves
+        var isStatic = feed.total === null || feed.start !== start || feed.entries.length > count ||
+            !entries.every(function (entry) {
+                return matches(entry, { lang: filters.lang, category: filters.category });
+            });
+        if (isStatic) {
+            entries = entries.filter(function (entry) {
+                return matches(entry, filters);
+            });
+            return { total: entries.length, entries: entries.slice(start, start + count) };
+        }
+        return { total: feed.total, entries: entries };
+    });
+}
+
+/**
+ * Fetches the languages of the archives in the catalog
+ *
+ * @param {String} catalogUrl The URL of the catalog (defaults to params.opdsCatalogUrl)
+ * @returns {Promise<Array<Object>>} A Promise for the ISO 639-3 code and the name of each language, sorted by name
+ */
+function fetchLanguages (catalogUrl) {
+    return fetchFeed('languages', {}, catalogUrl).then(function (feed) {
+        return feed.entries.map(function (entry) {
+            return { code: getChildText(entry, 'language'), title: getChildText(entry, 'title') };
+        }).filter(function (language) {
+            return language.code;
+        }).sort(function (a, b) {
+            return a.title.localeCompare(b.title);
+        });
+    });
+}
+
+/**
+ * Fetches the categories of the archives in the catalog
+ *
+ * @param {String} catalogUrl The URL of the catalog (defaults to params.opdsCatalogUrl)
+ * @returns {Promise<Array<String>>} A Promise for the sorted list of the categories
+ */
+function fetchCategories (catalogUrl) {
+    return fetchFeed('categories', {}, catalogUrl).then(function (feed) {
+        return feed.entries.map(function (entry) {
+            return getChildText(entry, 'title');
+        }).filter(Boolean).sort();
+    });
+}
+
+/**
+ * Fetches the whole catalog page by page, and caches it
+ *
+ * @param {String} catalogUrl The URL of the catalog
+ * @returns {Promise<Array<CatalogEntry>>} A Promise for all the archives of the catalog
+ */
+function fetchCatalog (catalogUrl) {
+    if (catalogFetches[catalogUrl]) return catalogFetches[catalogUrl];
+    var entries = [];
+    var fetchPage = function (start) {
+        return fetchFeed('entries', { start: start, count: CATALOG_PAGE_SIZE }, catalogUrl).then(function (feed) {
+            feed.entries.forEach(function (entry) {
+                entries.push(parseEntry(entry, feed.url));
+            });
+            // A static mirror sends the whole catalog whatever the query
+            if (feed.total === null || feed.start !== start || !feed.entries.length || entries.length >= feed.total) return;
+            return fetchPage(start + feed.entries.length);
+        });
+    };
+    var fetching = fetchPage(0).then(function () {
+        return cache.runIdxDBTransaction(CATALOG_STORE, 'readwrite', function (store) {
+            store.put({ fetched: Date.now(), entries: entries }, catalogUrl);
+        }).catch(function (err) {
+            console.warn('Unable to cache the catalog', err);
+        });
+    }).then(function () {
+        delete catalogFetches[catalogUrl];
+        return entries;
+    }, function (err) {
+        delete catalogFetches[catalogUrl];
+        throw err;
+    });
+    catalogFetches[catalogUrl] = fetching;
+    return fetching;
+}
+
+/**
+ * Gets the whole catalog. The cached catalog is used if there is one: if it was fetched more than CATALOG_MAX_AGE ago,
+ * it is fetched again in the background, for the next time that it is needed.
+ *
+ * @param {String} catalogUrl The URL of the catalog (defaults to params.opdsCatalogUrl)
+ * @returns {Promise<Array<CatalogEntry>>} A Promise for all the archives of the catalog
+ */
+function getCatalog (catalogUrl) {
+    catalogUrl = catalogUrl || params.opdsCatalogUrl;
+    return cache.runIdxDBTransaction(CATALOG_STORE, 'readonly', function (store) {
+        return store.get(catalogUrl);
+    }).catch(function (err) {
+        console.warn('Unable to read the cached catalog', err);
+        return null;
+    }).then(function (cached) {
+        if (!cached) return fetchCatalog(catalogUrl);
+        if (Date.now() - cached.fetched >= CATALOG_MAX_AGE) {
+            fetchCatalog(catalogUrl).catch(function (err) {
+                console.warn('Unable to refresh the catalog cached on ' + new Date(cached.fetched).toISOString(), err);
+            });
+        }
+        return cached.entries;
+    });
+}
+
+/**
+ * Splits the filename of an archive into its base name (Name and flavour, e.g. wikipedia_en_all_maxi) and its date,
+ * following the naming convention of the Kiwix library
+ *
+ * @param {String} filename The filename of the archive (or the URL from which it is downloaded)
+ * @returns {Object|null} The base name and the date (YYYY-MM) of the archive, or null if the filename does not follow
+ *     the convention
+ */
+function parseArchiveFilename (filename) {
+    var parts = filename.replace(/^.*\//, '').match(/^(.+)_(\d{4}-\d{2})\.zim(?:aa)?$/i);
+    return parts ? { base: parts[1], date: parts[2] } : null;
+}
+
+/**
+ * Finds a newer version of an archive in the catalog. Versions are matched by filename (which includes the flavour of
+ * the archive), or else by Name metadata.
+ *
+ * @param {Object} archive The filename of the archive, and its Name and Date metadata if it is open (else '')
+ * @param {Array<CatalogEntry>} entries The archives of the catalog
+ * @returns {CatalogEntry|null} The most recent version of the archive in the catalog, if it is newer than the archive
+ */
+function findUpdate (archive, entries) {
+    var parsed = parseArchiveFilename(archive.filename);
+    var candidates = entries.filter(function (entry) {
+        var parsedEntry = parseArchiveFilename(entry.url);
+        return parsed && parsedEntry ? parsedEntry.base === parsed.base : archive.name && entry.name === archive.name;
+    });
+    var date = archive.date || (parsed ? parsed.date : '');
+    if (!date) return null;
+    var newest = candidates.sort(function (a, b) {
+        return a.updated < b.updated ? 1 : -1;
+    })[0];
+    if (!newest) return null;
+    // The Date metadata has the format YYYY-MM-DD, while the date in filenames has the format YYYY-MM
+    var parsedNewest = parseArchiveFilename(newest.url);
+    var newestDate = !archive.date && parsedNewest ? parsedNewest.date : newest.updated.slice(0, date.length);
+    return newestDate > date ? newest : null;
+}
+
+export default {
+    parseFeed: parseFeed,
+    parseEntry: parseEntry,
+    matches: matches,
+    fetchEntries: fetchEntries,
+    fetchLanguages: fetchLanguages,
+    fetchCategories: fetchCategories,
+    getCatalog: getCatalog,
+    parseArchiveFilename: parseArchiveFilename,
+    findUpdate: findUpdate
+};
@@ -0,0 +1,183 @@
+/**
+ * readingHistory.js: A persistent log of the articles that the user has read, stored in IndexedDB next to the assets
+ * cache (see cache.runIdxDBTransaction). Unlike window.history, it survives a reload of the app, and it records the
+ * archive that each article came from and the position to which the user had scrolled.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import cache from './cache.js';
+
+/**
+ * The name of the IndexedDB object store that holds the history (it is created by cache.js, and cleared by
+ * settingsStore.reset('history'))
+ * @type {String}
+ */
+const HISTORY_STORE = 'kiwix-history';
+
+/**
+ * The maximum number of entries kept in the history: the oldest entries are discarded beyond this number
+ * @constant
+ * @type {Number}
+ */
+const MAX_ENTRIES = 1000;
+
+/**
+ * An entry of the reading history
+ * @typedef {Object} HistoryEntry
+ * @property {Number} id The key of the entry, which is the time at which the article was read (ms since the epoch)
+ * @property {String} archiveName The Name metadata of the archive (or its filename if it has no Name)
+ * @property {String} archiveFile The filename of the archive (or of the first file of a split archive), used to reopen it
+ * @property {String} path The path of the article in the archive (namespace + url)
+ * @property {String} title The title of the article
+ * @property {Number} scroll The vertical scroll offset of the article when the user last left it (px)
+ */
+
+/**
+ * The key of the last entry added in this session
+ * @type {Number}
+ */
+var lastId = 0;
+
+/**
+ * Adds an article to the history. If it is the same article as the most recent entry (e.g. on a reload), that entry is
+ * replaced rather than duplicated.
+ *
+ * @param {Object} article The article that was read (archiveName, archiveFile, path and title)
+ * @returns {Promise<HistoryEntry>} A Promise for the new entry
+ */
+function add (article) {
+    var entry = {
+        // Ensure that keys are unique and increasing, even if two articles are added in the same millisecond
+        id: Math.max(Date.now(), lastId + 1),
+        archiveName: article.archiveName,
+        archiveFile: article.archiveFile,
+        path: article.path,
+        title: article.title || article.path,
+        scroll: 0
+    };
+    lastId = entry.id;
+    return cache.runIdxDBTransaction(HISTORY_STORE, 'readwrite', function (store) {
+        var request = store.openCursor(null, 'prev');
+        request.onsuccess = function () {
+            var cursor = request.result;
+            if (cursor && cursor.value.archiveName === entry.archiveName && cursor.value.path === entry.path) cursor.delete();
+            store.put(entry, entry.id);
+            prune(store);
+        };
+    }).then(function () {
+        return entry;
+    });
+}
+
+/**
+ * Deletes the oldest entries from the store, so that it holds no more than MAX_ENTRIES
+ *
+ * @param {IDBObjectStore} store The history store, in a readwrite transaction
+ */
+function prune (store) {
+    var countRequest = store.count();
+    countRequest.onsuccess = function () {
+        var excess = countRequest.result - MAX_ENTRIES;
+        if (excess <= 0) return;
+        var request = store.openCursor();
+        request.onsuccess = function () {
+            var cursor = request.result;
+            if (!cursor || excess-- <= 0) return;
+            cursor.delete();
+            cursor.continue();
+        };
+    };
+}
+
+/**
+ * Records the scroll offset of an article in the history
+ *
+ * @param {Number} id The key of the history entry
+ * @param {Number} scroll The vertical scroll offset of the article (px)
+ * @returns {Promise} A Promise that resolves when the offset has been recorded
+ */
+function updateScroll (id, scroll) {
+    return cache.runIdxDBTransaction(HISTORY_STORE, 'readwrite', function (store) {
+        var request = store.get(id);
+        request.onsuccess = function () {
+            if (!request.result) return;
+            request.result.scroll = Math.round(scroll);
+            store.put(request.result, id);
+        };
+    });
+}
+
+/**
+ * Lists the entries of the history, most recent first
+ *
+ * @param {Function} filter An optional function that is called with each entry, and that returns true to include it
+ * @param {Number} limit An optional maximum number of entries to list
+ * @returns {Promise<Array<HistoryEntry>>} A Promise for the array of entries
+ */
+function list (filter, limit) {
+    var entries = [];
+    return cache.runIdxDBTransaction(HISTORY_STORE, 'readonly', function (store) {
+        var request = store.openCursor(null, 'prev');
+        request.onsuccess = function () {
+            var cursor = request.result;
+            if (!cursor) return;
+            if (!filter || filter(cursor.value)) entries.push(cursor.value);
+            if (!limit || entries.length < limit) cursor.continue();
+        };
+    }).then(function () {
+        return entries;
+    });
+}
+
+/**
+ * Gets the most recent entry of the history for an archive
+ *
+ * @param {String} archiveFile The filename of the archive
+ * @returns {Promise<HistoryEntry|undefined>} A Promise for the entry, or for undefined if no article of the archive was read
+ */
+function getLast (archiveFile) {
+    return list(function (entry) {
+        return entry.archiveFile === archiveFile;
+    }, 1).then(function (entries) {
+        return entries[0];
+    });
+}
+
+/**
+ * Deletes an entry of the history
+ *
+ * @param {Number} id The key of the entry
+ * @returns {Promise} A Promise that resolves when the entry has been deleted
+ */
+function remove (id) {
+    return cache.runIdxDBTransaction(HISTORY_STORE, 'readwrite', function (store) {
+        store.delete(id);
+    });
+}
+
+export default {
+    add: add,
+    updateScroll: updateScroll,
+    list: list,
+    getLast: getLast,
+    remove: remove
+};
@@ -0,0 +1,230 @@
+/**
+ * searchCoordinator.js: Fans a title (and full-text) search out to every open archive, and merges and ranks the results.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/* global params */
+
+import archiveRegistry from './archiveRegistry.js';
+
+/**
+ * Creates a search object for a single archive that mirrors the given (parent) search. The archive's search algorithm
+ * sets its own status and type on this object, but it will always see the status 'cancelled' once the parent search has
+ * been cancelled, so that stale searches in every archive stop as soon as the user types something new.
+ *
+ * @param {Object} search The parent appstate.search object
+ * @returns {Object} A search object to pass to a single archive
+ */
+function createArchiveSearch (search) {
+    var archiveStatus = search.status;
+    return {
+        prefix: search.prefix,
+        type: search.type,
+        size: search.size,
+        get status () {
+            return search.status === 'cancelled' ? 'cancelled' : archiveStatus;
+        },
+        set status (value) {
+            archiveStatus = value;
+        }
+    };
+}
+
+/**
+ * Calculates a rank for a search result: 0 for an exact title match, 1 for a title that starts with the search string
+ * (ignoring case), and 2 for anything else (typically a result from a full-text search)
+ *
+ * @param {DirEntry} dirEntry The search result to rank
+ * @param {String} prefix The normalized (lowercase) search string
+ * @returns {Number} The rank of the result (lower is better)
+ */
+function rankDirEntry (dirEntry, prefix) {
+    var title = dirEntry.getTitleOrUrl().replace(/\s+/g, ' ').toLocaleLowerCase();
+    if (title === prefix) return 0;
+    if (title.indexOf(prefix) === 0) return 1;
+    return 2;
+}
+
+/**
+ * Merges the results of several archives into a single list. Results are sorted by rank, then by full-text score (if any),
+ * then by their position in their own archive's results, then by archive, so that each archive is fairly represented
+ * among results of equal rank.
+ *
+ * @param {Array<Array<DirEntry>>} resultsByArchive An array containing the array of results of each archive
+ * @param {String} prefix The search string
+ * @param {Number} size The maximum number of results to return
+ * @returns {Array<DirEntry>} The merged and ranked results
+ */
+function mergeResults (resultsByArchive, prefix, size) {
+    var normalizedPrefix = prefix.replace(/\s+/g, ' ').toLocaleLowerCase();
+    var ranked = [];
+    resultsByArchive.forEach(function (dirEntries, archiveIndex) {
+        dirEntries.forEach(function (dirEntry, position) {
+            ranked.push({
+                dirEntry: dirEntry,
+                rank: rankDirEntry(dirEntry, normalizedPrefix),
+                position: position,
+                archiveIndex: archiveIndex
+            });
+        });
+    });
+    ranked.sort(function (a, b) {
+        return a.rank - b.rank || (b.dirEntry.score || 0) - (a.dirEntry.score || 0) ||
+            a.position - b.position || a.archiveIndex - b.archiveIndex;
+    });
+    return ranked.slice(0, size).map(function (result) {
+        return result.dirEntry;
+    });
+}
+
+/**
+ * Labels the results of an archive with the registry key of the archive (dirEntry.archiveName) and a human-readable label
+ * (dirEntry.archiveLabel)
+ *
+ * @param {Array<DirEntry>} dirEntries The results to label
+ * @param {ZIMArchive} archive The archive that the results come from
+ */
+function labelResults (dirEntries, archive) {
+    var archiveName = archiveRegistry.getKey(archive);
+    var archiveLabel = archive.title || archive.name || archiveName.replace(/\.zim\w{0,2}$/i, '');
+    dirEntries.forEach(function (dirEntry) {
+        dirEntry.archiveName = archiveName;
+        dirEntry.archiveLabel = archiveLabel;
+    });
+}
+
+/**
+ * Gets the list of results to report for a search, merging the results of each archive if there are several
+ *
+ * @param {Object} search The search object
+ * @returns {Array<DirEntry>} The results to report
+ */
+function getResults (search) {
+    var state = search.coordinator;
+    if (state.archives.length === 1) return state.resultsByArchive[0];
+    return mergeResults(state.resultsByArchive, search.prefix, search.size);
+}
+
+/**
+ * Searches every given archive for titles starting with the prefix of the search object (and with full-text search
+ * in archives that support it). Interim results are merged and reported as they arrive. When more than one archive is
+ * searched, each result is labelled with its archive (see labelResults).
+ *
+ * @param {Array<ZIMArchive>} archives The archives to search (the selected archive should be first)
+ * @param {Object} search The current appstate.search object
+ * @param {Function} callback The function to call with the merged array of DirEntries and the search object
+ * @param {Boolean} noInterim A flag to prevent callback until all results are ready (used in testing)
+ */
+function findDirEntriesWithPrefix (archives, search, callback, noInterim) {
+    archives = archives.filter(function (archive) {
+        return archive.isReady();
+    });
+    // Keep the state of the search, so that further pages of full-text results can be requested later
+    var state = search.coordinator = {
+        archives: archives,
+        archiveSearches: [],
+        resultsByArchive: []
+    };
+    // If no archive is ready, there is nothing to search, but we still report the (empty) results to end the search
+    if (!archives.length) {
+        search.status = 'complete';
+        return callback([], search);
+    }
+    // With a single archive there is nothing to merge, so we let the archive report directly
+    if (archives.length === 1) {
+        state.archiveSearches.push(search);
+        state.resultsByArchive.push([]);
+        return archives[0].findDirEntriesWithPrefix(search, function (dirEntries, reportingSearch) {
+            state.resultsByArchive[0] = dirEntries;
+            callback(dirEntries, reportingSearch);
+        }, noInterim);
+    }
+    var reportResults = function () {
+        if (search.status === 'cancelled') return;
+        var stillSearching = state.archiveSearches.some(function (archiveSearch) {
+            return archiveSearch.status !== 'complete';
+        });
+        var types = state.archiveSearches.map(function (archiveSearch) {
+            return archiveSearch.type;
+        });
+        search.type = ~types.indexOf('fulltext') ? 'fulltext' : ~types.indexOf('basic') ? 'basic' : 'full';
+        search.status = stillSearching ? 'interim' : 'complete';
+        search.fullTextHasMore = state.archiveSearches.some(function (archiveSearch) {
+            return archiveSearch.fullTextHasMore;
+        });
+        if (noInterim && stillSearching) return;
+        callback(getResults(search), search);
+    };
+    archives.forEach(function (archive, index) {
+        var archiveSearch = createArchiveSearch(search);
+        state.archiveSearches.push(archiveSearch);
+        state.resultsByArchive.push([]);
+        archive.findDirEntriesWithPrefix(archiveSearch, function (dirEntries) {
+            if (archiveSearch.status === 'cancelled') return;
+            labelResults(dirEntries, archive);
+            // Copy the array, because the archive will continue to push interim results into its own array
+            state.resultsByArchive[index] = dirEntries.slice(0);
+            reportResults();
+        }, noInterim);
+    });
+}
+
+/**
+ * Requests the next page of full-text results from every archive that has more results for the given (completed) search,
+ * and reports the augmented list of results. The size of the search is increased by one page, params.maxSearchResultsSize.
+ *
+ * @param {Object} search The search object, as previously passed to findDirEntriesWithPrefix
+ * @param {Function} callback The function to call with the augmented array of DirEntries and the search object
+ * @returns {Promise} A Promise that resolves when the results have been reported
+ */
+function findMoreFullTextResults (search, callback) {
+    var state = search.coordinator;
+    if (!state || !search.fullTextHasMore) return Promise.resolve();
+    search.status = 'interim';
+    search.size = Number(search.size) + Number(params.maxSearchResultsSize);
+    return Promise.all(state.archives.map(function (archive, index) {
+        var archiveSearch = state.archiveSearches[index];
+        if (!archiveSearch.fullTextHasMore) return Promise.resolve();
+        return archive.findDirEntriesFromFullTextSearch(archiveSearch, state.resultsByArchive[index].slice(0)).then(function (dirEntries) {
+            if (state.archives.length > 1) labelResults(dirEntries, archive);
+            state.resultsByArchive[index] = dirEntries;
+        });
+    })).then(function () {
+        if (search.status === 'cancelled') return;
+        search.status = 'complete';
+        search.fullTextHasMore = state.archiveSearches.some(function (archiveSearch) {
+            return archiveSearch.fullTextHasMore;
+        });
+        callback(getResults(search), search);
+    }).catch(function (err) {
+        console.error('Unable to get more full-text results', err);
+        search.status = 'complete';
+        search.fullTextHasMore = false;
+        callback(getResults(search), search);
+    });
+}
+
+export default {
+    findDirEntriesWithPrefix: findDirEntriesWithPrefix,
+    findMoreFullTextResults: findMoreFullTextResults,
+    mergeResults: mergeResults
+};
@@ -0,0 +1,97 @@
+/**
+ * searchQuery.js: Parses the filters that can be typed in the search box to find any kind of entry in an archive, not
+ * only articles, e.g. 'mime:application/pdf' or 'path:images/ ns:C redirects:no', and tests entries against them.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/**
+ * A filter term of a search query: a known key, a colon, and a value without spaces
+ * @type {RegExp}
+ */
+const FILTER_REGEXP = /^(mime|path|ns|redirects):(\S+)$/i;
+
+/**
+ * The filters of a search query
+ * @typedef {Object} SearchFilters
+ * @property {String} text The rest of the query, which must appear in the title or the URL of an entry (ignoring case)
+ * @property {String} mime The beginning of the MIME type of the entries, e.g. 'image/' or 'application/pdf' (or null)
+ * @property {String} path The beginning of the URL of the entries, without the namespace, e.g. 'images/' (or null)
+ * @property {String} ns The namespace of the entries, e.g. 'C' (or null for all namespaces)
+ * @property {Boolean} redirects False to exclude redirects (true by default, but redirects have no MIME type, so they
+ *     never match a mime filter)
+ */
+
+/**
+ * Parses a search query for filters
+ *
+ * @param {String} query The query typed by the user
+ * @returns {SearchFilters|null} The filters, or null if the query has no filters (it is then an ordinary title search)
+ */
+function parse (query) {
+    var filters = { text: '', mime: null, path: null, ns: null, redirects: true };
+    var words = [];
+    var hasFilters = false;
+    query.trim().split(/\s+/).forEach(function (word) {
+        var filter = word.match(FILTER_REGEXP);
+        if (!filter) {
+            if (word) words.push(word);
+            return;
+        }
+        hasFilters = true;
+        var key = filter[1].toLowerCase();
+        if (key === 'redirects') filters.redirects = !/^(?:no|false|0)$/i.test(filter[2]);
+        else if (key === 'mime') filters.mime = filter[2].toLowerCase();
+        // Namespaces are upper case (or symbols), so ns:c is the same as ns:C
+        else if (key === 'ns') filters.ns = filter[2].toUpperCase();
+        else filters[key] = filter[2];
+    });
+    if (!hasFilters) return null;
+    filters.text = words.join(' ').toLocaleLowerCase();
+    return filters;
+}
+
+/**
+ * Tests whether a directory entry matches the filters of a search query
+ *
+ * @param {DirEntry} dirEntry The directory entry
+ * @param {SearchFilters} filters The filters (see parse)
+ * @returns {Boolean} True if the entry matches all the filters
+ */
+function matches (dirEntry, filters) {
+    if (filters.ns && dirEntry.namespace !== filters.ns) return false;
+    if (filters.path && dirEntry.url.indexOf(filters.path) !== 0) return false;
+    if (dirEntry.isRedirect()) {
+        if (!filters.redirects || filters.mime) return false;
+    } else if (filters.mime && (dirEntry.getMimetype() || '').toLowerCase().indexOf(filters.mime) !== 0) {
+        return false;
+    }
+    if (filters.text) {
+        return dirEntry.getTitleOrUrl().toLocaleLowerCase().indexOf(filters.text) >= 0 ||
+            dirEntry.url.toLocaleLowerCase().indexOf(filters.text) >= 0;
+    }
+    return true;
+}
+
+export default {
+    parse: parse,
+    matches: matches
+};
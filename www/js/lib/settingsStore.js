@@ -2,6 +2,8 @@
 
 /* global params */
 
+import cache from './cache.js';
+
 var regexpCookieKeysToMigrate = new RegExp([
     'hideActiveContentWarning', 'showUIAnimations', 'appTheme', 'useCache',
     'contentInjectionMode', 'listOfArchives', 'lastSelectedArchive'
@@ -13,7 +15,8 @@ var regexpCookieKeysToMigrate = new RegExp([
  */
 var deprecatedKeys = [
     'lastContentInjectionMode',
-    'useCache'
+    'useCache',
+    'collapsedSections' // Now stored in IndexedDB (see collapsedSections.js)
 ];
 
 /**
@@ -63,11 +66,14 @@ function getBestAvailableStorageAPI () {
 }
 
 /**
- * Performs a full app reset, deleting all caches and settings
+ * Performs a full app reset, deleting all caches and settings (but keeping the user's bookmarks)
  * Or, if a parameter is supplied, deletes or disables the object
- * @param {String} object Optional name of the object to disable or delete ('cookie', 'localStorage', 'indexedDB', 'cacheAPI')
+ * @param {String} object Optional name of the object to disable or delete ('cookie', 'localStorage', 'indexedDB', 'cacheAPI',
+ *     or 'history' to clear only the reading history)
+ * @returns {Promise|undefined} If object is 'history', a Promise that resolves when the history has been cleared
  */
 function reset (object) {
+    if (object === 'history') return _clearHistory();
     // 1. Clear any cookie entries
     if (!object || object === 'cookie') {
         var regexpCookieKeys = /(?:^|;)\s*([^=]+)=([^;]*)/ig;
@@ -95,11 +101,23 @@ function reset (object) {
     // 3. Clear any IndexedDB databases
     if (!object || object === 'indexedDB') {
         if (window.indexedDB) {
+            // The app's own database holds the user's bookmarks as well as the assets cache and the reading history, so a
+            // full reset keeps the database, and only clears the assets cache and the history
+            var keepAppDB = !object;
+            if (keepAppDB) {
+                cache.idxDB('clear', function () {
+                    console.debug('The IndexedDB assets cache was cleared...');
+                });
+                _clearHistory().catch(function (err) {
+                    console.error('Error clearing the reading history', err);
+                });
+            }
             // Attempt to delete all databases (only works in Chromium-based browsers)
             if (indexedDB.databases) {
                 var result = 0;
                 indexedDB.databases().then(function (dbs) {
                     dbs.forEach(function (db) {
+                        if (keepAppDB && db.name === params.cacheIDB) return;
                         result++;
                         indexedDB.deleteDatabase(db.name);
                         console.debug('Deleting ' + db.name + '...');
@@ -111,7 +129,7 @@ function reset (object) {
                 });
             } else {
                 // For Firefox, we can only delete databases we know the names of
-                var dbNames = [params.cacheIDB, 'collDB'];
+                var dbNames = keepAppDB ? ['collDB'] : [params.cacheIDB, 'collDB'];
                 dbNames.forEach(function (dbName) {
                     var deleteRequest = indexedDB.deleteDatabase(dbName);
                     deleteRequest.onsuccess = function () {
@@ -151,6 +169,20 @@ function reset (object) {
     }
 }
 
+/**
+ * Clears the reading history, which is kept in the 'kiwix-history' object store of the app's IndexedDB database
+ * (see readingHistory.js)
+ * @returns {Promise} A Promise that resolves when the history has been cleared
+ */
+function _clearHistory () {
+    if (!window.indexedDB) return Promise.resolve();
+    return cache.runIdxDBTransaction('kiwix-history', 'readwrite', function (store) {
+        store.clear();
+    }).then(function () {
+        console.debug('The reading history was cleared...');
+    });
+}
+
 // Gets cache names from Service Worker, as we cannot rely on having them in params.cacheNames
 function getCacheNames (callback) {
     if (navigator.serviceWorker && navigator.serviceWorker.controller) {
@@ -0,0 +1,393 @@
+/**
+ * titleIndex.js: An optional index of the article titles of an archive, which is built in the background and stored in
+ * IndexedDB, so that title search does not need to binary-search the title-ordered listing of the archive (each step of
+ * which is a random read of the archive). Titles are stored in blocks of BLOCK_SIZE consecutive titles, front-coded
+ * (each title stores only what differs from the previous title). The first title of each block is kept in memory, so
+ * that a search reads a single block from IndexedDB, and then only the directory entries of the matching titles.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import cache from './cache.js';
+import util from './util.js';
+
+/**
+ * The name of the IndexedDB object store that holds the title indexes (it is created by cache.js)
+ * @type {String}
+ */
+const TITLE_INDEX_STORE = 'kiwix-title-index';
+
+/**
+ * The number of titles in a block
+ * @constant
+ * @type {Number}
+ */
+const BLOCK_SIZE = 256;
+
+/**
+ * The number of blocks that are built between two saves of the progress of the build (so that it can be resumed)
+ * @constant
+ * @type {Number}
+ */
+const BLOCKS_PER_SAVE = 64;
+
+/**
+ * The number of decoded blocks that are kept in memory
+ * @constant
+ * @type {Number}
+ */
+const MAX_CACHED_BLOCKS = 32;
+
+/**
+ * Gets the key of the index of an archive, which identifies a version of the archive
+ *
+ * @param {ZIMArchive} archive The archive
+ * @returns {String} The key
+ */
+function getKey (archive) {
+    return [archive.name || archive.file.name, archive.date, archive.file.articleCount || archive.file.entryCount].join('|');
+}
+
+/**
+ * Gets the key under which the first title of a block of an index is stored. The number of the block is padded, so
+ * that the first titles of an index sort in the order of their blocks.
+ *
+ * @param {String} key The key of the index (see getKey)
+ * @param {Number} n The number of the block
+ * @returns {String} The key of the first title
+ */
+function getFirstTitleKey (key, n) {
+    return key + '/first/' + ('0000000' + n).slice(-8);
+}
+
+/**
+ * Reads the first title of each block of an index
+ *
+ * @param {String} key The key of the index (see getKey)
+ * @param {Number} blockCount The number of blocks of the index
+ * @returns {Promise<Array<String>>} A Promise for the first titles, in the order of their blocks
+ */
+function readFirstTitles (key, blockCount) {
+    var firstTitles = [];
+    return cache.runIdxDBTransaction(TITLE_INDEX_STORE, 'readonly', function (store) {
+        var request = store.openCursor(IDBKeyRange.bound(getFirstTitleKey(key, 0), getFirstTitleKey(key, blockCount), false, true));
+        request.onsuccess = function () {
+            var cursor = request.result;
+            if (!cursor) return;
+            firstTitles.push(cursor.value);
+            cursor.continue();
+        };
+    }).then(function () {
+        if (firstTitles.length !== blockCount) throw new Error('The first titles of the title index ' + key + ' are missing');
+        return firstTitles;
+    });
+}
+
+/**
+ * Encodes a block of titles, storing for each title the length of the prefix that it shares with the previous title
+ * (as a character code) followed by the rest of the title
+ *
+ * @param {Array<String>} titles The titles of the block
+ * @returns {Array<String>} The front-coded titles
+ */
+function encodeBlock (titles) {
+    return titles.map(function (title, i) {
+        var previous = i ? titles[i - 1] : '';
+        var shared = 0;
+        var max = Math.min(title.length, previous.length, 0xFFFF);
+        while (shared < max && title.charCodeAt(shared) === previous.charCodeAt(shared)) shared++;
+        return String.fromCharCode(shared) + title.slice(shared);
+    });
+}
+
+/**
+ * Decodes a block of front-coded titles (see encodeBlock)
+ *
+ * @param {Array<String>} block The front-coded titles
+ * @returns {Array<String>} The titles
+ */
+function decodeBlock (block) {
+    var previous = '';
+    return block.map(function (entry) {
+        previous = previous.slice(0, entry.charCodeAt(0)) + entry.slice(1);
+        return previous;
+    });
+}
+
+/**
+ * Creates a title index from its stored metadata
+ *
+ * @param {String} key The key of the index (see getKey)
+ * @param {Object} meta The metadata of the index: the listing index of the first title, the number of blocks, and
+ *     whether the index is complete
+ * @param {Array<String>} firstTitles The first title of each block
+ */
+function TitleIndex (key, meta, firstTitles) {
+    this.key = key;
+    this.meta = meta;
+    this.firstTitles = firstTitles;
+    this.blocks = new Map();
+}
+
+/**
+ * Reads a block of titles, from memory or from IndexedDB
+ *
+ * @param {Number} n The number of the block
+ * @returns {Promise<Array<String>>} A Promise for the titles of the block
+ */
+TitleIndex.prototype.getBlock = function (n) {
+    var that = this;
+    if (this.blocks.has(n)) return Promise.resolve(this.blocks.get(n));
+    return cache.runIdxDBTransaction(TITLE_INDEX_STORE, 'readonly', function (store) {
+        return store.get(that.key + '/' + n);
+    }).then(function (block) {
+        if (!block) throw new Error('Block ' + n + ' of the title index is missing');
+        var titles = decodeBlock(block);
+        if (that.blocks.size >= MAX_CACHED_BLOCKS) that.blocks.delete(that.blocks.keys().next().value);
+        that.blocks.set(n, titles);
+        return titles;
+    });
+};
+
+/**
+ * Finds the position of the first title that sorts at or after a string
+ *
+ * @param {String} prefix The string
+ * @returns {Promise<Object>} A Promise for the block number and the position in the block of the title (the position
+ *     is BLOCK_SIZE or more if the title is in the next block)
+ */
+TitleIndex.prototype.findPosition = function (prefix) {
+    var firstTitles = this.firstTitles;
+    if (!firstTitles.length) return Promise.resolve({ block: 0, position: BLOCK_SIZE });
+    // Find the last block whose first title sorts before the prefix, in memory
+    var begin = 0;
+    var end = firstTitles.length;
+    while (begin < end) {
+        var mid = Math.floor((begin + end) / 2);
+        if (firstTitles[mid] < prefix) begin = mid + 1;
+        else end = mid;
+    }
+    var n = Math.max(0, begin - 1);
+    return this.getBlock(n).then(function (titles) {
+        var i = 0;
+        while (i < titles.length && titles[i] < prefix) i++;
+        return { block: n, position: i };
+    });
+};
+
+/**
+ * Finds the titles that begin with a (case-sensitive) prefix
+ *
+ * @param {String} prefix The prefix
+ * @param {Number} max The maximum number of titles to return
+ * @returns {Promise<Object>} A Promise for the positions of the matching titles in the title-ordered listing (indices),
+ *     and the position in the listing from which a search for more titles would continue (nextStart)
+ */
+TitleIndex.prototype.findIndicesWithPrefix = function (prefix, max) {
+    var that = this;
+    var indices = [];
+    var collect = function (n, i) {
+        if (n >= that.firstTitles.length || indices.length >= max) {
+            return Promise.resolve({ indices: indices, nextStart: that.meta.firstIndex + n * BLOCK_SIZE + i });
+        }
+        return that.getBlock(n).then(function (titles) {
+            var matching = true;
+            for (; i < titles.length && indices.length < max && matching; i++) {
+                matching = titles[i].indexOf(prefix) === 0;
+                if (matching) indices.push(that.meta.firstIndex + n * BLOCK_SIZE + i);
+            }
+            // Continue in the next block only if all the titles of this one matched, and it is not the last block
+            if (!matching || i < titles.length || n + 1 >= that.firstTitles.length) {
+                return { indices: indices, nextStart: that.meta.firstIndex + n * BLOCK_SIZE + (matching ? i : i - 1) };
+            }
+            return collect(n + 1, 0);
+        });
+    };
+    if (!this.firstTitles.length) return Promise.resolve({ indices: indices, nextStart: this.meta.firstIndex });
+    return this.findPosition(prefix).then(function (found) {
+        // The position may be past the end of its block
+        if (found.position >= BLOCK_SIZE) return collect(found.block + 1, found.position - BLOCK_SIZE);
+        return collect(found.block, found.position);
+    });
+};
+
+/**
+ * Finds the first title that sorts at or after a string (see ZIMArchive.findFirstTitleFrom)
+ *
+ * @param {String} prefix The string
+ * @returns {Promise<String|null>} A Promise for the title, or null if no title sorts after the string
+ */
+TitleIndex.prototype.findFirstTitleFrom = function (prefix) {
+    var that = this;
+    return this.findPosition(prefix).then(function (found) {
+        if (found.position < BLOCK_SIZE) {
+            return that.getBlock(found.block).then(function (titles) {
+                if (found.position < titles.length) return titles[found.position];
+                return null;
+            });
+        }
+        return found.block + 1 < that.firstTitles.length ? that.firstTitles[found.block + 1] : null;
+    });
+};
+
+/**
+ * Loads the index of an archive, if it has been built
+ *
+ * @param {ZIMArchive} archive The archive
+ * @returns {Promise<TitleIndex|null>} A Promise for the index, or for null if no complete index is stored
+ */
+function load (archive) {
+    var key = getKey(archive);
+    return cache.runIdxDBTransaction(TITLE_INDEX_STORE, 'readonly', function (store) {
+        return store.get(key);
+    }).then(function (meta) {
+        // Indexes built before the first titles were stored per block have no blockCount, and must be built again
+        if (!meta || !meta.complete || typeof meta.blockCount !== 'number') return null;
+        return readFirstTitles(key, meta.blockCount).then(function (firstTitles) {
+            return new TitleIndex(key, meta, firstTitles);
+        });
+    }).catch(function (err) {
+        console.warn('Unable to load the title index of ' + key, err);
+        return null;
+    });
+}
+
+/**
+ * Builds the index of an archive in the background, resuming any build that was interrupted. Titles are read in
+ * sequence from the title-ordered listing, one block at a time, and the progress is saved every BLOCKS_PER_SAVE blocks:
+ * each block is stored with its first title, so that a save does not depend on the size of the index.
+ *
+ * @param {ZIMArchive} archive The archive
+ * @param {Function} onProgress A function that is called with the fraction (0 to 1) of the titles indexed so far
+ * @param {Object} job An object whose cancelled property can be set to true to stop the build (it can be resumed)
+ * @returns {Promise<TitleIndex|null>} A Promise for the index, or for null if the build was cancelled
+ */
+function build (archive, onProgress, job) {
+    var key = getKey(archive);
+    var cns = archive.getContentNamespace();
+    var count = archive.file.articleCount || archive.file.entryCount;
+    var meta;
+    var firstTitles;
+    var readTitle = function (index) {
+        return archive.file.dirEntryByTitleIndex(index).then(function (dirEntry) {
+            return dirEntry.namespace === cns ? dirEntry.getTitleOrUrl() : null;
+        });
+    };
+    var saveMeta = function (blocks) {
+        return cache.runIdxDBTransaction(TITLE_INDEX_STORE, 'readwrite', function (store) {
+            Object.keys(blocks).forEach(function (n) {
+                store.put(blocks[n], key + '/' + n);
+                store.put(firstTitles[n], getFirstTitleKey(key, Number(n)));
+            });
+            store.put(meta, key);
+        });
+    };
+    // Reads the titles of a block, stopping at the end of the content namespace
+    var readBlock = function (start) {
+        var titles = [];
+        var next = function () {
+            if (titles.length >= BLOCK_SIZE || start + titles.length >= count) return Promise.resolve(titles);
+            return readTitle(start + titles.length).then(function (title) {
+                if (title === null) return titles;
+                titles.push(title);
+                return next();
+            });
+        };
+        return next();
+    };
+    var buildBlocks = function () {
+        var blocks = {};
+        var n = meta.blockCount;
+        var buildBlock = function () {
+            var start = meta.firstIndex + n * BLOCK_SIZE;
+            if (job.cancelled || Object.keys(blocks).length >= BLOCKS_PER_SAVE) return Promise.resolve(false);
+            return readBlock(start).then(function (titles) {
+                if (titles.length) {
+                    blocks[n] = encodeBlock(titles);
+                    firstTitles.push(titles[0]);
+                    n++;
+                    meta.blockCount = n;
+                }
+                onProgress(Math.min(1, (start + titles.length) / count));
+                // The index is complete when a block is not full
+                if (titles.length < BLOCK_SIZE) return true;
+                return buildBlock();
+            });
+        };
+        return buildBlock().then(function (complete) {
+            meta.complete = complete;
+            return saveMeta(blocks);
+        }).then(function () {
+            if (meta.complete) return new TitleIndex(key, meta, firstTitles);
+            if (job.cancelled) return null;
+            // Let the browser breathe between batches of blocks
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 0);
+            }).then(buildBlocks);
+        });
+    };
+    return cache.runIdxDBTransaction(TITLE_INDEX_STORE, 'readonly', function (store) {
+        return store.get(key);
+    }).then(function (stored) {
+        // Indexes built before the first titles were stored per block are built again
+        if (stored && typeof stored.blockCount === 'number') {
+            meta = stored;
+            return readFirstTitles(key, meta.blockCount).then(function (stored) {
+                firstTitles = stored;
+                return meta.complete ? new TitleIndex(key, meta, firstTitles) : buildBlocks();
+            });
+        }
+        // Find the first title of the content namespace (the listing of old archives includes all the namespaces)
+        return util.binarySearch(0, count, function (i) {
+            return archive.file.dirEntryByTitleIndex(i).then(function (dirEntry) {
+                return dirEntry.namespace < cns ? 1 : -1;
+            });
+        }, true).then(function (firstIndex) {
+            meta = { firstIndex: firstIndex, blockCount: 0, complete: false };
+            firstTitles = [];
+            return buildBlocks();
+        });
+    });
+}
+
+/**
+ * Deletes the index of an archive (complete or not)
+ *
+ * @param {ZIMArchive} archive The archive
+ * @returns {Promise} A Promise that resolves when the index has been deleted
+ */
+function remove (archive) {
+    var key = getKey(archive);
+    return cache.runIdxDBTransaction(TITLE_INDEX_STORE, 'readwrite', function (store) {
+        store.delete(key);
+        // The blocks have keys key + '/' + n, which sort between key + '/' and key + '0'
+        store.delete(IDBKeyRange.bound(key + '/', key + '0', false, true));
+    });
+}
+
+export default {
+    BLOCK_SIZE: BLOCK_SIZE,
+    encodeBlock: encodeBlock,
+    decodeBlock: decodeBlock,
+    load: load,
+    build: build,
+    remove: remove
+};
@@ -0,0 +1,190 @@
+/**
+ * titleScanWorker.js: A Web Worker that scans the title-ordered listing of a ZIM archive for titles that contain a
+ * search string anywhere (not only at the start), for the "contains" title search mode. Every title must be read, so
+ * the scan runs in this Worker to keep the UI responsive. It reads the archive through a small cache of pages, because
+ * titles that are neighbours in the title-ordered listing usually have neighbouring pointers and directory entries.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/* global FileReaderSync */
+
+/**
+ * The size of the pages in which the archive is read and cached (bytes)
+ * @constant
+ * @type {Number}
+ */
+var PAGE_SIZE = 64 * 1024;
+
+/**
+ * The maximum number of pages kept in the cache
+ * @constant
+ * @type {Number}
+ */
+var MAX_CACHED_PAGES = 64;
+
+/**
+ * The maximum size of a directory entry that we read (as MAX_SUPPORTED_DIRENTRY_SIZE in zimfile.js)
+ * @constant
+ * @type {Number}
+ */
+var MAX_DIRENTRY_SIZE = 5120;
+
+/**
+ * The number of titles scanned between two reports of progress (and of the matches found)
+ * @constant
+ * @type {Number}
+ */
+var CHUNK_SIZE = 2000;
+
+/**
+ * Reads a (possibly split) archive as though its parts were a single file, through a cache of pages
+ * @param {Array<File>} files The file or files of the archive, in order
+ */
+function PageReader (files) {
+    this.files = files;
+    this.size = 0;
+    for (var i = 0; i < files.length; i++) this.size += files[i].size;
+    this.pages = new Map();
+    this.reader = new FileReaderSync();
+}
+
+/**
+ * Gets a page of the archive, from the cache or from the files
+ * @param {Number} n The number of the page
+ * @returns {Uint8Array} The data of the page (shorter than PAGE_SIZE at the end of the archive)
+ */
+PageReader.prototype.getPage = function (n) {
+    var page = this.pages.get(n);
+    if (page) {
+        // Move the page to the end of the cache, so that the least recently used page is evicted first
+        this.pages.delete(n);
+        this.pages.set(n, page);
+        return page;
+    }
+    var begin = n * PAGE_SIZE;
+    var end = Math.min(begin + PAGE_SIZE, this.size);
+    page = new Uint8Array(end - begin);
+    var fileStart = 0;
+    for (var i = 0; i < this.files.length; fileStart += this.files[i].size, i++) {
+        var fileEnd = fileStart + this.files[i].size;
+        if (fileEnd <= begin || fileStart >= end) continue;
+        var readStart = Math.max(begin, fileStart);
+        var readEnd = Math.min(end, fileEnd);
+        var data = this.reader.readAsArrayBuffer(this.files[i].slice(readStart - fileStart, readEnd - fileStart));
+        page.set(new Uint8Array(data), readStart - begin);
+    }
+    if (this.pages.size >= MAX_CACHED_PAGES) this.pages.delete(this.pages.keys().next().value);
+    this.pages.set(n, page);
+    return page;
+};
+
+/**
+ * Reads a range of bytes from the archive
+ * @param {Number} offset The offset of the first byte to read
+ * @param {Number} length The number of bytes to read (fewer are returned at the end of the archive)
+ * @returns {Uint8Array} The data that were read
+ */
+PageReader.prototype.read = function (offset, length) {
+    var end = Math.min(offset + length, this.size);
+    var first = Math.floor(offset / PAGE_SIZE);
+    var last = Math.floor((end - 1) / PAGE_SIZE);
+    if (first === last) {
+        return this.getPage(first).subarray(offset - first * PAGE_SIZE, end - first * PAGE_SIZE);
+    }
+    var result = new Uint8Array(end - offset);
+    for (var n = first; n <= last; n++) {
+        var pageStart = n * PAGE_SIZE;
+        var page = this.getPage(n);
+        var from = Math.max(offset, pageStart) - pageStart;
+        var to = Math.min(end, pageStart + page.length) - pageStart;
+        result.set(page.subarray(from, to), pageStart + from - offset);
+    }
+    return result;
+};
+
+/**
+ * Reads a little-endian unsigned integer from the archive
+ * @param {Number} offset The offset of the integer
+ * @param {Number} size The size of the integer (4 or 8 bytes)
+ * @returns {Number} The integer
+ */
+PageReader.prototype.readInteger = function (offset, size) {
+    var data = this.read(offset, size);
+    var value = 0;
+    for (var i = size - 1; i >= 0; i--) value = value * 256 + data[i];
+    return value;
+};
+
+/**
+ * Folds a string for comparison: lowercase, and without diacritics if requested (as util.removeDiacritics)
+ * @param {String} string The string to fold
+ * @param {Boolean} ignoreAccents True to remove diacritics
+ * @returns {String} The folded string
+ */
+function fold (string, ignoreAccents) {
+    if (ignoreAccents && string.normalize) string = string.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return string.toLocaleLowerCase();
+}
+
+/**
+ * Scans the titles of the listing for the search string, posting the URL indices of the matching entries and the
+ * progress of the scan to the given port after each chunk of titles
+ * @param {Object} job The scan: the files of the archive, the position and length of the title pointer list, the position
+ *     of the URL pointer list, the content namespace, the search string and whether to ignore accents
+ * @param {MessagePort} port The port to which to post the matches and the progress
+ */
+function scan (job, port) {
+    var reader = new PageReader(job.files);
+    var decoder = new TextDecoder();
+    var query = fold(job.query.replace(/\s+/g, ' '), job.ignoreAccents);
+    for (var start = 0; start < job.count; start += CHUNK_SIZE) {
+        var end = Math.min(start + CHUNK_SIZE, job.count);
+        var matches = [];
+        for (var i = start; i < end; i++) {
+            var urlIndex = reader.readInteger(job.titlePtrPos + i * 4, 4);
+            var entry = reader.read(reader.readInteger(job.urlPtrPos + urlIndex * 8, 8), MAX_DIRENTRY_SIZE);
+            if (String.fromCharCode(entry[3]) !== job.namespace) continue;
+            var mimetype = entry[0] + entry[1] * 256;
+            // Linktarget (0xfffe) and deleted (0xfffd) entries are not articles, and have a header without pointers
+            if (mimetype === 0xfffe || mimetype === 0xfffd) continue;
+            // Redirects (mimetype 0xffff) have a shorter header than content entries
+            var urlStart = mimetype === 0xffff ? 12 : 16;
+            var urlEnd = entry.indexOf(0, urlStart);
+            var titleEnd = urlEnd < 0 ? -1 : entry.indexOf(0, urlEnd + 1);
+            if (titleEnd < 0) continue;
+            // An empty title means that the title is the URL (as in DirEntry.getTitleOrUrl)
+            var title = titleEnd > urlEnd + 1 ? entry.subarray(urlEnd + 1, titleEnd) : entry.subarray(urlStart, urlEnd);
+            if (fold(decoder.decode(title), job.ignoreAccents).indexOf(query) >= 0) matches.push(urlIndex);
+        }
+        port.postMessage({ matches: matches, progress: end / job.count });
+    }
+    port.postMessage({ done: true, matches: [], progress: 1 });
+}
+
+self.addEventListener('message', function (event) {
+    var port = event.ports[0];
+    try {
+        scan(event.data, port);
+    } catch (err) {
+        port.postMessage({ done: true, error: err.message || String(err) });
+    }
+});
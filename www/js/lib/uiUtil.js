@@ -173,7 +173,8 @@ function slideAway (e) {
 }
 
 /*
-  * Returns a list of headings from an article
+  * Returns a list of headings from an article, which can also be nested by level, and collapses or expands the sections
+  * that they start
     * @param {String} the page for which table of cotents needs to be listed
     * @returns {List} a list of all headings as objects
 */
@@ -192,12 +193,235 @@ function TableOfContents (articleDoc) {
             obj.index = i;
             obj.textContent = element.textContent;
             obj.tagName = element.tagName;
+            obj.level = parseInt(element.tagName.substr(1), 10);
             headings.push(obj);
         }
         return headings;
     };
+
+    /**
+     * Nests the headings by level: each heading object gets a children array of the lower-level headings of its section
+     * @param {Number} maxLevel The lowest level of heading to include (e.g. 4 to omit h5 and h6 headings)
+     * @returns {Array} The top-level heading objects
+     */
+    this.getHeadingTree = function (maxLevel) {
+        var roots = [];
+        var stack = [];
+        this.getHeadingObjects().forEach(function (heading) {
+            if (maxLevel && heading.level > maxLevel) return;
+            heading.children = [];
+            while (stack.length && stack[stack.length - 1].level >= heading.level) stack.pop();
+            (stack.length ? stack[stack.length - 1].children : roots).push(heading);
+            stack.push(heading);
+        });
+        return roots;
+    };
+
+    /**
+     * Finds the heading of the section that the user is reading, i.e. the last visible heading that has been scrolled
+     * past the top quarter of the window
+     * @returns {Number} The index of the heading, or -1 if the user has not yet scrolled to the first heading
+     */
+    this.getCurrentHeadingIndex = function () {
+        var view = this.doc.defaultView;
+        var threshold = view ? view.innerHeight / 4 : 0;
+        var current = -1;
+        for (var i = 0; i < this.headings.length; i++) {
+            // Headings inside collapsed sections have no layout box
+            if (!this.headings[i].getClientRects().length) continue;
+            if (this.headings[i].getBoundingClientRect().top > threshold) break;
+            current = i;
+        }
+        return current;
+    };
+
+    /**
+     * Collapses or expands the section of the article that starts with a heading. Sections in a <details> element (as
+     * in recent Wikipedia archives) are closed or opened; otherwise the elements of the section are hidden or shown.
+     * @param {Number} index The index of the heading
+     * @param {Boolean} collapsed True to collapse the section, false to expand it
+     */
+    this.setSectionCollapsed = function (index, collapsed) {
+        var heading = this.headings[index];
+        if (!heading) return;
+        var section = getSectionOfHeading(heading, this.doc.body);
+        if (section.details) {
+            section.details.open = !collapsed;
+            return;
+        }
+        section.elements.forEach(function (element) {
+            if (collapsed && !element.hasAttribute('data-kiwix-collapsed')) {
+                element.setAttribute('data-kiwix-collapsed', element.style.display);
+                element.style.display = 'none';
+            } else if (!collapsed && element.hasAttribute('data-kiwix-collapsed')) {
+                element.style.display = element.getAttribute('data-kiwix-collapsed');
+                element.removeAttribute('data-kiwix-collapsed');
+            }
+        });
+    };
+}
+
+/**
+ * Finds the content of the section of an article that starts with a heading
+ * @param {Element} heading The heading of the section
+ * @param {Element} body The body of the article
+ * @returns {Object} Either {details: <details> element} if the section is a <details> element whose summary contains
+ *     the heading, or {elements: Array} with the elements of the section, excluding the heading
+ */
+function getSectionOfHeading (heading, body) {
+    var level = parseInt(heading.tagName.substr(1), 10);
+    var block = heading;
+    // Climb out of any wrappers of the heading (such as a <summary> or an edit-section <div>), as far as an element
+    // that the heading opens
+    while (block.parentNode && block.parentNode !== body && block.parentNode.firstElementChild === block) {
+        var parent = block.parentNode;
+        if (/^details$/i.test(parent.tagName)) return { details: parent };
+        if (/^section$/i.test(parent.tagName)) {
+            return {
+                elements: Array.prototype.filter.call(parent.children, function (child) {
+                    return child !== block;
+                })
+            };
+        }
+        // A wrapper that contains more than the heading (e.g. the whole article) is not climbed
+        if (parent.querySelector('p, div, ul, ol, dl, table, figure, section')) break;
+        block = parent;
+    }
+    // Otherwise the section is made of the siblings that follow the heading, up to the next heading of the same level
+    var elements = [];
+    for (var sibling = block.nextElementSibling; sibling; sibling = sibling.nextElementSibling) {
+        var first = sibling;
+        while (first && !/^h[1-6]$/i.test(first.tagName)) first = first.firstElementChild;
+        if (first && parseInt(first.tagName.substr(1), 10) <= level) break;
+        elements.push(sibling);
+    }
+    return { elements: elements };
+}
+
+/**
+ * Lower-cases a string character by character, keeping the position in the string of the character from which each code
+ * unit of the result comes. Lower-casing can change the length of a string (e.g. 'İ' becomes 'i̇', two code units), so
+ * the positions of matches in the result must be mapped back to the original string with these positions.
+ *
+ * @param {String} text The string to lower-case
+ * @returns {Object} The lower-cased text, and for each of its code units the start and end of the original character
+ */
+function lowerCaseWithPositions (text) {
+    var lower = '';
+    var starts = [];
+    var ends = [];
+    for (var i = 0; i < text.length;) {
+        // Keep surrogate pairs together, because a character outside the BMP may also have a lower case
+        var length = /[\ud800-\udbff]/.test(text[i]) && /[\udc00-\udfff]/.test(text[i + 1] || '') ? 2 : 1;
+        var character = text.substr(i, length).toLowerCase();
+        for (var j = 0; j < character.length; j++) {
+            starts.push(i);
+            ends.push(i + length);
+        }
+        lower += character;
+        i += length;
+    }
+    return { text: lower, starts: starts, ends: ends };
 }
 
+/**
+ * Finds and highlights all the occurrences of a string in the text of an article (case-insensitively), and steps
+ * through them. Matches are wrapped in <mark> elements, which are removed again by clear().
+ *
+ * @param {Document} articleDoc The document of the article in which to search
+ */
+function FindInPage (articleDoc) {
+    this.doc = articleDoc;
+    this.matches = [];
+    this.current = -1;
+}
+
+/**
+ * Highlights all the occurrences of the query in the article (removing the highlights of any previous search), and
+ * selects the first one
+ *
+ * @param {String} query The text to find
+ * @returns {Number} The number of matches
+ */
+FindInPage.prototype.search = function (query) {
+    this.clear();
+    var body = this.doc.body;
+    // The query is lower-cased in the same way as the text, for which see lowerCaseWithPositions
+    var needle = query ? lowerCaseWithPositions(query).text : '';
+    if (!needle || !body) return 0;
+    if (!this.doc.getElementById('kiwixFindInPageStyle')) {
+        var style = this.doc.createElement('style');
+        style.id = 'kiwixFindInPageStyle';
+        style.textContent = 'mark.kiwix-find-match { background: #ffeb3b; color: #000; } ' +
+            'mark.kiwix-find-current { background: #ff9800; }';
+        (this.doc.head || body).appendChild(style);
+    }
+    // Collect the text nodes first, because wrapping the matches alters the tree that is being walked
+    // NB IE11 requires all four arguments of createTreeWalker
+    var walker = this.doc.createTreeWalker(body, NodeFilter.SHOW_TEXT, null, false);
+    var textNodes = [];
+    while (walker.nextNode()) {
+        var node = walker.currentNode;
+        if (/^(?:script|style|noscript|textarea)$/i.test(node.parentNode.nodeName)) continue;
+        if (~lowerCaseWithPositions(node.nodeValue).text.indexOf(needle)) textNodes.push(node);
+    }
+    var that = this;
+    textNodes.forEach(function (node) {
+        var lower = lowerCaseWithPositions(node.nodeValue);
+        var ranges = [];
+        for (var pos = lower.text.indexOf(needle); pos >= 0; pos = lower.text.indexOf(needle, pos + needle.length)) {
+            ranges.push([lower.starts[pos], lower.ends[pos + needle.length - 1]]);
+        }
+        // Wrap the matches from the last to the first, so that the positions of the others remain valid in the node
+        var marks = ranges.reverse().map(function (range) {
+            var match = node.splitText(range[0]);
+            match.splitText(range[1] - range[0]);
+            var mark = that.doc.createElement('mark');
+            mark.className = 'kiwix-find-match';
+            match.parentNode.replaceChild(mark, match);
+            mark.appendChild(match);
+            return mark;
+        });
+        [].push.apply(that.matches, marks.reverse());
+    });
+    if (this.matches.length) this.step(1);
+    return this.matches.length;
+};
+
+/**
+ * Selects the next or previous match (wrapping around at the end or start of the article), and scrolls it into view
+ *
+ * @param {Number} direction 1 for the next match, -1 for the previous match
+ * @returns {Number} The index of the selected match, or -1 if there are no matches
+ */
+FindInPage.prototype.step = function (direction) {
+    if (!this.matches.length) return -1;
+    if (this.current >= 0) this.matches[this.current].classList.remove('kiwix-find-current');
+    this.current = (this.current + direction + this.matches.length) % this.matches.length;
+    var mark = this.matches[this.current];
+    mark.classList.add('kiwix-find-current');
+    // Open any collapsed section that contains the match, so that it can be seen
+    for (var element = mark.parentNode; element && element !== this.doc.body; element = element.parentNode) {
+        if (/^details$/i.test(element.nodeName)) element.open = true;
+    }
+    mark.scrollIntoView({ block: 'center' });
+    return this.current;
+};
+
+/**
+ * Removes the highlights of the current search, restoring the original text nodes
+ */
+FindInPage.prototype.clear = function () {
+    this.matches.forEach(function (mark) {
+        var parent = mark.parentNode;
+        if (!parent) return;
+        parent.replaceChild(mark.firstChild, mark);
+        parent.normalize();
+    });
+    this.matches = [];
+    this.current = -1;
+};
+
 /**
  * Displays a Bootstrap alert or confirm dialog box depending on the options provided
  *
@@ -810,6 +1034,8 @@ function tabTransitionToSection (toSection, isAnimationRequired = false) {
     const extraWelcomeText = document.getElementById('welcomeText');
     const extraSearchingArticles = document.getElementById('searchingArticles');
     const extraKiwixAlert = document.getElementById('kiwix-alert');
+    // The panels and the find bar that are displayed over the article
+    const extraArticlePanels = document.querySelectorAll('.article-panel, #findInPageBar');
 
     // removing any classes that have been added by previous transition
     removeAnimationClasses()
@@ -822,38 +1048,39 @@ function tabTransitionToSection (toSection, isAnimationRequired = false) {
             if (from === 'library') slideToRight(home, library);
 
             showElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraKiwixAlert);
+            hideElements(...extraArticlePanels);
         } else if (toSection === 'config') {
             if (from === 'about') slideToRight(config, about);
             if (from === 'library') slideToRight(config, library);
             if (from === 'home') slideToLeft(config, home);
 
-            hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+            hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert, ...extraArticlePanels);
         } else if (toSection === 'about') {
             if (from === 'library') slideToRight(about, library);
             if (from === 'home') slideToLeft(about, home);
             if (from === 'config') slideToLeft(about, config);
 
-            hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+            hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert, ...extraArticlePanels);
         } else if (toSection === 'library') {
             // it will be always coming from config page
             slideToLeft(library, config);
-            hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+            hideElements(extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert, ...extraArticlePanels);
         }
     } else {
         if (toSection === 'home') {
-            hideElements(config, about, library);
+            hideElements(config, about, library, ...extraArticlePanels);
             showElements(home, extraNavBtns, extraArticleSearch, extraWelcomeText);
         }
         if (toSection === 'config') {
-            hideElements(about, home, library, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+            hideElements(about, home, library, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert, ...extraArticlePanels);
             showElements(config);
         }
         if (toSection === 'about') {
-            hideElements(config, home, library);
+            hideElements(config, home, library, ...extraArticlePanels);
             showElements(about);
         }
         if (toSection === 'library') {
-            hideElements(config, about, home, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert);
+            hideElements(config, about, home, extraNavBtns, extraArticleSearch, extraWelcomeText, extraSearchingArticles, extraKiwixAlert, ...extraArticlePanels);
             showElements(library);
         }
     }
@@ -883,7 +1110,6 @@ function applyAppTheme (theme) {
     var footer = document.querySelector('footer');
     var oldTheme = htmlEl.dataset.theme || '';
     var iframe = document.getElementById('articleContent');
-    const library = document.getElementById('libraryContent');
     var doc = iframe.contentDocument;
     var kiwixJSSheet = doc ? doc.getElementById('kiwixJSTheme') || null : null;
     var oldAppTheme = oldTheme.replace(/_.*$/, '');
@@ -916,7 +1142,6 @@ function applyAppTheme (theme) {
     // If there is no ContentTheme or we are applying a different ContentTheme, remove any previously applied ContentTheme
     if (oldContentTheme && oldContentTheme !== contentTheme) {
         iframe.classList.remove(oldContentTheme);
-        library.classList.remove(oldContentTheme);
         if (kiwixJSSheet) {
             kiwixJSSheet.disabled = true;
             kiwixJSSheet.parentNode.removeChild(kiwixJSSheet);
@@ -925,7 +1150,6 @@ function applyAppTheme (theme) {
     // Apply the requested ContentTheme (if not already attached)
     if (contentTheme && (!kiwixJSSheet || !~kiwixJSSheet.href.search('kiwixJS' + contentTheme + '.css'))) {
         iframe.classList.add(contentTheme);
-        library.classList.add(contentTheme);
         // Use an absolute reference because Service Worker needs this (if an article loaded in SW mode is in a ZIM
         // subdirectory, then relative links injected into the article will not work as expected)
         // Note that location.pathname returns the path plus the filename, but is useful because it removes any query string
@@ -1092,6 +1316,7 @@ export default {
     replaceCSSLinkWithInlineCSS: replaceCSSLinkWithInlineCSS,
     deriveZimUrlFromRelativeUrl: deriveZimUrlFromRelativeUrl,
     TOC: TableOfContents,
+    FindInPage: FindInPage,
     removeUrlParameters: removeUrlParameters,
     displayActiveContentWarning: displayActiveContentWarning,
     displayFileDownloadAlert: displayFileDownloadAlert,
@@ -84,6 +84,44 @@ function allCaseFirstLetters (string, caseMatchType) {
     }
 }
 
+/**
+ * A map from each base letter to the precomposed letters with diacritics that fold to it (e.g. 'e' => ['è', 'é', ...]),
+ * built on first use
+ * @type {Object}
+ */
+var diacriticVariants = null;
+
+/**
+ * Removes the diacritics (accents, cedillas, tildes, etc.) from a string, e.g. 'São Paulo' => 'Sao Paulo'
+ * NB String.prototype.normalize is not supported by IE11, in which case the string is returned unchanged
+ * @param {String} string The string to fold
+ * @returns {String} The string without diacritics
+ */
+function removeDiacritics (string) {
+    if (!String.prototype.normalize) return string;
+    return string.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Gets the letters with diacritics that fold to the given letter, e.g. 'a' => ['à', 'á', 'â', 'ã', 'ä', 'å', ...]
+ * Only the Latin letters that have a precomposed form in Unicode (U+00C0 to U+024F and U+1E00 to U+1EFF) are covered
+ * @param {String} letter The base letter (without diacritics)
+ * @returns {Array} The letters with diacritics, in code point order (an empty array if there are none)
+ */
+function getDiacriticVariants (letter) {
+    if (!diacriticVariants) {
+        diacriticVariants = {};
+        var addVariant = function (code) {
+            var variant = String.fromCharCode(code);
+            var base = removeDiacritics(variant);
+            if (base.length === 1 && base !== variant) (diacriticVariants[base] = diacriticVariants[base] || []).push(variant);
+        };
+        for (var code = 0xC0; code <= 0x24F; code++) addVariant(code);
+        for (code = 0x1E00; code <= 0x1EFF; code++) addVariant(code);
+    }
+    return diacriticVariants[letter] || [];
+}
+
 /**
  * Generates an array of Strings, where all duplicates have been removed
  * (without changing the order)
@@ -334,6 +372,8 @@ function getJSONPObject (url) {
 export default {
     allCaseFirstLetters: allCaseFirstLetters,
     removeDuplicateStringsInSmallArray: removeDuplicateStringsInSmallArray,
+    removeDiacritics: removeDiacritics,
+    getDiacriticVariants: getDiacriticVariants,
     dataURItoUint8Array: dataURItoUint8Array,
     endsWith: endsWith,
     readFloatFrom4Bytes: readFloatFrom4Bytes,
@@ -0,0 +1,831 @@
+/**
+ * xapianReader.js: A read-only, pure JavaScript reader for the Xapian "glass" full-text index embedded in ZIM archives.
+ * It is used when the libzim Web Worker cannot be used (e.g. in browsers without Atomics, or on Android). All
+ * reads go through ZIMFile._readSlice, so that the B-tree blocks of the index are held in the FileCache block cache.
+ * It supports queries of one or more terms (all of which must match) and phrase queries in double quotation marks.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+/* global DecompressionStream */
+
+import utf8 from './utf8.js';
+
+/**
+ * The magic string at the start of a glass database ('\x0f\x0dXapian Glass')
+ * @type {Array<Number>}
+ */
+const GLASS_MAGIC = [0x0f, 0x0d, 0x58, 0x61, 0x70, 0x69, 0x61, 0x6e, 0x20, 0x47, 0x6c, 0x61, 0x73, 0x73];
+
+/**
+ * The tables of a glass database, in the order in which their root information is stored in the version block
+ * @type {Array<String>}
+ */
+const TABLES = ['postlist', 'docdata', 'termlist', 'position', 'spelling', 'synonym'];
+
+// Constants describing the layout of the blocks and items of a glass B-tree
+const DIR_START = 11;
+const I_COMPRESSED_BIT = 0x80;
+const I_LAST_BIT = 0x40;
+const I_FIRST_BIT = 0x20;
+const ITEM_SIZE_MASK = 0x1fff;
+
+/**
+ * The maximum number of matching documents that are ranked for a query. Very common terms can match most of the
+ * documents in a large archive, so we stop collecting matches at this number to keep searches responsive.
+ * @type {Number}
+ */
+const MAX_CANDIDATES = 5000;
+
+/**
+ * The BM25 term frequency saturation parameter. Document lengths are not used (b = 0), because reading them would
+ * require a further B-tree lookup for every matching document.
+ * @type {Number}
+ */
+const BM25_K1 = 1.2;
+
+/**
+ * A sequential reader of the integers and strings packed into Xapian keys and tags
+ * @param {Uint8Array} data The data to read
+ * @param {Number} pos The position at which to start reading
+ */
+function BufferReader (data, pos) {
+    this.data = data;
+    this.pos = pos || 0;
+}
+
+BufferReader.prototype.atEnd = function () {
+    return this.pos >= this.data.length;
+};
+
+/**
+ * Reads an unsigned integer packed as a little-endian sequence of 7-bit groups (Xapian's pack_uint)
+ * @returns {Number} The integer
+ */
+BufferReader.prototype.uint = function () {
+    var value = 0;
+    var factor = 1;
+    var byte;
+    do {
+        if (this.atEnd()) throw new RangeError('Unexpected end of data in Xapian index');
+        byte = this.data[this.pos++];
+        value += (byte & 0x7f) * factor;
+        factor *= 128;
+    } while (byte & 0x80);
+    return value;
+};
+
+/**
+ * Reads an unsigned integer packed so as to preserve sort order (Xapian's pack_uint_preserving_sort)
+ * @returns {Number} The integer
+ */
+BufferReader.prototype.sortableUint = function () {
+    var first = this.data[this.pos++];
+    if (first < 0x80) return first * 256 + this.data[this.pos++];
+    // The number of leading one bits in the first byte is one less than the number of bytes that follow it
+    var ones = 0;
+    while (first & (0x80 >> ones)) ones++;
+    var value = first & (0xff >> ones);
+    for (var i = 0; i <= ones; i++) {
+        value = value * 256 + this.data[this.pos++];
+    }
+    return value;
+};
+
+BufferReader.prototype.bool = function () {
+    return this.data[this.pos++] === 0x31;
+};
+
+BufferReader.prototype.string = function () {
+    var length = this.uint();
+    var bytes = this.data.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return bytes;
+};
+
+/**
+ * Packs an unsigned integer so as to preserve sort order (the inverse of BufferReader.sortableUint)
+ * @param {Number} value The integer to pack
+ * @returns {Array<Number>} The packed bytes
+ */
+function packSortableUint (value) {
+    if (value < 0x8000) return [value >> 8, value & 0xff];
+    // Find the number of leading one bits that we need, given that the first byte has (7 - ones) bits left for the value
+    var ones = 1;
+    while (value >= Math.pow(2, 7 - ones + 8 * (ones + 1))) ones++;
+    var bytes = [];
+    for (var i = 0; i <= ones; i++) {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    }
+    bytes.unshift(((0xff << (8 - ones)) & 0xff) | value);
+    return bytes;
+}
+
+/**
+ * Compares two byte arrays in the same (unsigned, lexicographic) order as Xapian's B-tree keys
+ * @param {Uint8Array|Array<Number>} a The first key
+ * @param {Uint8Array|Array<Number>} b The second key
+ * @returns {Number} A negative number if a < b, a positive number if a > b, and 0 if they are equal
+ */
+function compareKeys (a, b) {
+    var length = Math.min(a.length, b.length);
+    for (var i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+}
+
+/**
+ * A reader for the bit streams in which position lists are encoded (Xapian's BitReader), least significant bit first
+ * @param {Uint8Array} data The data to read
+ * @param {Number} pos The byte position at which the bit stream starts
+ */
+function BitReader (data, pos) {
+    this.data = data;
+    this.pos = pos;
+    this.acc = 0;
+    this.nBits = 0;
+}
+
+BitReader.prototype.readBits = function (count) {
+    var result = 0;
+    var factor = 1;
+    for (var i = 0; i < count; i++) {
+        if (!this.nBits) {
+            this.acc = this.data[this.pos++] || 0;
+            this.nBits = 8;
+        }
+        if (this.acc & 1) result += factor;
+        this.acc >>= 1;
+        this.nBits--;
+        factor *= 2;
+    }
+    return result;
+};
+
+/**
+ * Decodes a value that was encoded as one out of a given number of possible values
+ * @param {Number} outof The number of possible values
+ * @returns {Number} The decoded value
+ */
+BitReader.prototype.decode = function (outof) {
+    var bits = 0;
+    while (Math.pow(2, bits) < outof) bits++;
+    var spare = Math.pow(2, bits) - outof;
+    var value;
+    if (spare) {
+        var midStart = Math.floor((outof - spare) / 2);
+        value = this.readBits(bits - 1);
+        if (value < midStart && this.readBits(1)) value += midStart + spare;
+    } else {
+        value = this.readBits(bits);
+    }
+    return value;
+};
+
+/**
+ * Decodes the positions between pos[j] and pos[k] that were encoded with interpolative coding
+ * @param {Array<Number>} pos The array of positions, of which pos[j] and pos[k] are already known
+ * @param {Number} j The index of the lower known position
+ * @param {Number} k The index of the upper known position
+ */
+BitReader.prototype.decodeInterpolative = function (pos, j, k) {
+    while (j + 1 < k) {
+        var mid = j + Math.floor((k - j) / 2);
+        var outof = pos[k] - pos[j] + j - k + 1;
+        pos[mid] = this.decode(outof) + pos[j] + mid - j;
+        this.decodeInterpolative(pos, j, mid);
+        j = mid;
+    }
+};
+
+/**
+ * Decodes a position list tag from the position table
+ * @param {Uint8Array} data The tag
+ * @returns {Array<Number>} The ascending term positions
+ */
+function decodePositions (data) {
+    var reader = new BufferReader(data);
+    var last = reader.uint();
+    if (reader.atEnd()) return [last];
+    var bits = new BitReader(data, reader.pos);
+    var first = bits.decode(last);
+    var size = bits.decode(last - first) + 2;
+    var positions = new Array(size);
+    positions[0] = first;
+    positions[size - 1] = last;
+    bits.decodeInterpolative(positions, 0, size - 1);
+    return positions;
+}
+
+/**
+ * Inflates a tag that Xapian compressed with zlib (raw deflate)
+ * @param {Uint8Array} data The compressed tag
+ * @returns {Promise<Uint8Array>} A Promise for the inflated tag
+ */
+function inflateRaw (data) {
+    if (typeof DecompressionStream === 'undefined') {
+        return Promise.reject(new Error('This browser cannot inflate compressed entries in the Xapian index'));
+    }
+    var stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).arrayBuffer().then(function (buffer) {
+        return new Uint8Array(buffer);
+    });
+}
+
+/**
+ * A block of a glass B-tree
+ * @param {Uint8Array} data The raw block
+ */
+function GlassBlock (data) {
+    this.data = data;
+    this.level = data[4];
+    this.count = (((data[9] << 8) | data[10]) - DIR_START) / 2;
+}
+
+GlassBlock.prototype.offsetOf = function (index) {
+    return (this.data[DIR_START + index * 2] << 8) | this.data[DIR_START + index * 2 + 1];
+};
+
+/**
+ * Gets the item at the given index of the block's directory. Branch items give the block number of a child, and
+ * leaf items give (a component of) a tag.
+ * @param {Number} index The index of the item
+ * @returns {Object} The parsed item
+ */
+GlassBlock.prototype.item = function (index) {
+    var data = this.data;
+    var p = this.offsetOf(index);
+    var keyLength;
+    if (this.level > 0) {
+        keyLength = data[p + 4];
+        return {
+            child: ((data[p] << 24) >>> 0) + (data[p + 1] << 16) + (data[p + 2] << 8) + data[p + 3],
+            key: data.subarray(p + 5, p + 5 + keyLength),
+            component: (data[p + 5 + keyLength] << 8) | data[p + 6 + keyLength]
+        };
+    }
+    var flags = data[p];
+    var size = (((data[p] << 8) | data[p + 1]) & ITEM_SIZE_MASK) + 3;
+    keyLength = data[p + 2];
+    var first = !!(flags & I_FIRST_BIT);
+    // Components other than the first store their component number after the key
+    var tagStart = p + 3 + keyLength + (first ? 0 : 2);
+    return {
+        key: data.subarray(p + 3, p + 3 + keyLength),
+        component: first ? 1 : (data[p + 3 + keyLength] << 8) | data[p + 4 + keyLength],
+        last: !!(flags & I_LAST_BIT),
+        compressed: !!(flags & I_COMPRESSED_BIT),
+        tag: data.subarray(tagStart, p + size)
+    };
+};
+
+/**
+ * Finds the index of the last item in the block that sorts at or before the first component of the given key.
+ * In a branch block the first item stands for all keys lower than the second, so the result is never below 0;
+ * in a leaf block the result is -1 if all the items sort after the key.
+ * @param {Uint8Array|Array<Number>} key The key to look for
+ * @returns {Number} The index of the item
+ */
+GlassBlock.prototype.find = function (key) {
+    var low = this.level > 0 ? 0 : -1;
+    var high = this.count;
+    while (high - low > 1) {
+        var mid = (low + high) >> 1;
+        var item = this.item(mid);
+        var comparison = compareKeys(item.key, key) || item.component - 1;
+        if (comparison <= 0) low = mid;
+        else high = mid;
+    }
+    return low;
+};
+
+/**
+ * A B-tree table of a glass database
+ * @param {XapianDatabase} db The database that the table belongs to
+ * @param {Object} rootInfo The root information of the table, as read from the version block
+ */
+function GlassTable (db, rootInfo) {
+    this.db = db;
+    this.root = rootInfo.root;
+    this.blockSize = rootInfo.blockSize;
+    this.isEmpty = rootInfo.rootIsFake || !rootInfo.numEntries;
+}
+
+GlassTable.prototype.readBlock = function (blockNumber) {
+    return this.db.readSlice(blockNumber * this.blockSize, this.blockSize).then(function (data) {
+        return new GlassBlock(data);
+    });
+};
+
+/**
+ * Positions a cursor on the last item that sorts at or before the given key
+ * @param {Uint8Array|Array<Number>} key The key to look for
+ * @returns {Promise<GlassCursor>} A Promise for the positioned cursor
+ */
+GlassTable.prototype.seek = function (key) {
+    var that = this;
+    var path = [];
+    var descend = function (blockNumber) {
+        return that.readBlock(blockNumber).then(function (block) {
+            var index = block.find(key);
+            path.push({ block: block, index: index });
+            if (block.level > 0) return descend(block.item(index).child);
+            return new GlassCursor(that, path);
+        });
+    };
+    return descend(this.root);
+};
+
+/**
+ * Gets the tag stored under the given key
+ * @param {Uint8Array|Array<Number>} key The key to look for
+ * @returns {Promise<Uint8Array>} A Promise for the tag, or for null if the key is not in the table
+ */
+GlassTable.prototype.get = function (key) {
+    if (this.isEmpty) return Promise.resolve(null);
+    return this.seek(key).then(function (cursor) {
+        var item = cursor.current();
+        if (!item || item.component !== 1 || compareKeys(item.key, key)) return null;
+        return cursor.readTag();
+    });
+};
+
+/**
+ * A cursor on the leaf items of a glass table
+ * @param {GlassTable} table The table
+ * @param {Array<Object>} path The block and item index at each level, from the root to the leaf
+ */
+function GlassCursor (table, path) {
+    this.table = table;
+    this.path = path;
+}
+
+GlassCursor.prototype.current = function () {
+    var leaf = this.path[this.path.length - 1];
+    if (leaf.index < 0 || leaf.index >= leaf.block.count) return null;
+    return leaf.block.item(leaf.index);
+};
+
+/**
+ * Moves the cursor to the next leaf item
+ * @returns {Promise<Boolean>} A Promise for true if there is a next item, or false if the end of the table was reached
+ */
+GlassCursor.prototype.next = function () {
+    var that = this;
+    var leaf = this.path[this.path.length - 1];
+    if (leaf.index + 1 < leaf.block.count) {
+        leaf.index++;
+        return Promise.resolve(true);
+    }
+    // Climb to the lowest branch that has a further child, then descend to the first leaf under that child
+    var level = this.path.length - 2;
+    while (level >= 0 && this.path[level].index + 1 >= this.path[level].block.count) level--;
+    if (level < 0) return Promise.resolve(false);
+    this.path[level].index++;
+    this.path.length = level + 1;
+    var descend = function (blockNumber) {
+        return that.table.readBlock(blockNumber).then(function (block) {
+            that.path.push({ block: block, index: 0 });
+            if (block.level > 0) return descend(block.item(0).child);
+            return true;
+        });
+    };
+    return descend(this.path[level].block.item(this.path[level].index).child);
+};
+
+/**
+ * Reads the whole tag that starts at the current item, joining its components and inflating it if necessary.
+ * The cursor is left on the last component of the tag.
+ * @returns {Promise<Uint8Array>} A Promise for the tag
+ */
+GlassCursor.prototype.readTag = function () {
+    var that = this;
+    var first = this.current();
+    var parts = [first.tag];
+    var collect = function (item) {
+        if (item.last) return Promise.resolve();
+        return that.next().then(function (found) {
+            if (!found) throw new RangeError('Incomplete tag in Xapian index');
+            var nextItem = that.current();
+            parts.push(nextItem.tag);
+            return collect(nextItem);
+        });
+    };
+    return collect(first).then(function () {
+        var tag = parts[0];
+        if (parts.length > 1) {
+            tag = new Uint8Array(parts.reduce(function (total, part) {
+                return total + part.length;
+            }, 0));
+            var offset = 0;
+            parts.forEach(function (part) {
+                tag.set(part, offset);
+                offset += part.length;
+            });
+        }
+        return first.compressed ? inflateRaw(tag) : tag;
+    });
+};
+
+/**
+ * The posting list of a term: the ascending list of the documents that contain the term, with the term's
+ * within-document frequency (wdf) in each. It is read chunk by chunk from the postlist table.
+ * @param {XapianDatabase} db The database
+ * @param {Array<Number>} term The term as UTF-8 bytes
+ */
+function PostingList (db, term) {
+    this.db = db;
+    this.term = term;
+    // The key prefix of the continuation chunks of the posting list
+    this.chunkPrefix = term.concat([0]);
+    this.termFreq = 0;
+    this.chunk = null;
+    this.index = 0;
+    this.did = 0;
+    this.wdf = 0;
+}
+
+/**
+ * Reads the first chunk of the posting list
+ * @returns {Promise<Boolean>} A Promise for true if the term is in the index
+ */
+PostingList.prototype.open = function () {
+    var that = this;
+    var table = this.db.tables.postlist;
+    if (table.isEmpty) return Promise.resolve(false);
+    return table.seek(this.term).then(function (cursor) {
+        var item = cursor.current();
+        if (!item || item.component !== 1 || compareKeys(item.key, that.term)) return false;
+        that.cursor = cursor;
+        return cursor.readTag().then(function (tag) {
+            var reader = new BufferReader(tag);
+            that.termFreq = reader.uint();
+            // Skip the collection frequency
+            reader.uint();
+            that.setChunk(reader, reader.uint() + 1);
+            return true;
+        });
+    });
+};
+
+PostingList.prototype.setChunk = function (reader, firstDid) {
+    var chunk = {
+        isLast: reader.bool(),
+        lastDid: firstDid + reader.uint(),
+        dids: [firstDid],
+        wdfs: [reader.uint()]
+    };
+    var did = firstDid;
+    while (!reader.atEnd()) {
+        did += reader.uint() + 1;
+        chunk.dids.push(did);
+        chunk.wdfs.push(reader.uint());
+    }
+    this.chunk = chunk;
+    this.index = 0;
+    this.did = chunk.dids[0];
+    this.wdf = chunk.wdfs[0];
+};
+
+/**
+ * Reads the continuation chunk at the current position of the cursor
+ * @returns {Promise<Boolean>} A Promise for false if the item at the cursor is not a chunk of this posting list
+ */
+PostingList.prototype.readChunkAtCursor = function () {
+    var that = this;
+    var item = this.cursor.current();
+    var prefixLength = this.chunkPrefix.length;
+    if (!item || item.component !== 1 || item.key.length <= prefixLength ||
+        compareKeys(item.key.subarray(0, prefixLength), this.chunkPrefix)) return Promise.resolve(false);
+    var firstDid = new BufferReader(item.key, prefixLength).sortableUint();
+    return this.cursor.readTag().then(function (tag) {
+        that.setChunk(new BufferReader(tag), firstDid);
+        return true;
+    });
+};
+
+/**
+ * Moves to the first document in the posting list whose id is equal to or greater than the given id
+ * @param {Number} target The document id
+ * @returns {Promise<Boolean>} A Promise for false if there are no more documents in the list
+ */
+PostingList.prototype.skipTo = function (target) {
+    var that = this;
+    var chunk = this.chunk;
+    if (target <= chunk.lastDid) {
+        while (chunk.dids[this.index] < target) this.index++;
+        this.did = chunk.dids[this.index];
+        this.wdf = chunk.wdfs[this.index];
+        return Promise.resolve(true);
+    }
+    if (chunk.isLast) return Promise.resolve(false);
+    // The next chunk is the most likely to contain the target, so we try it before seeking from the root of the table
+    return this.cursor.next().then(function (found) {
+        return found && that.readChunkAtCursor();
+    }).then(function (found) {
+        if (!found) return false;
+        if (target <= that.chunk.lastDid || that.chunk.isLast) return that.skipTo(target);
+        var key = that.chunkPrefix.concat(packSortableUint(target));
+        return that.db.tables.postlist.seek(key).then(function (cursor) {
+            that.cursor = cursor;
+            return that.readChunkAtCursor();
+        }).then(function (found) {
+            return found && that.skipTo(target);
+        });
+    });
+};
+
+/**
+ * Normalizes and splits text into terms in the same way as libzim's indexer (lowercase, without diacritics)
+ * @param {String} text The text to split
+ * @returns {Array<String>} The terms
+ */
+function tokenize (text) {
+    text = text.toLocaleLowerCase();
+    if (text.normalize) text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return text.split(/[\s!-/:-@[-^`{-~\u00a0\u2000-\u206f\u3000-\u303f]+/).filter(function (term) {
+        return term.length > 0;
+    });
+}
+
+/**
+ * Parses a query into the terms that must all match, and the phrases (in double quotation marks) whose terms must
+ * also appear at consecutive positions
+ * @param {String} text The query
+ * @returns {Object} An object with an array of unique terms, and an array of phrases (arrays of terms)
+ */
+function parseQuery (text) {
+    var phrases = [];
+    var words = text.replace(/"([^"]*)"?/g, function (match, phrase) {
+        var phraseTerms = tokenize(phrase);
+        if (phraseTerms.length > 1) phrases.push(phraseTerms);
+        return ' ' + phrase + ' ';
+    });
+    var terms = tokenize(words).filter(function (term, index, array) {
+        return array.indexOf(term) === index;
+    });
+    return { terms: terms, phrases: phrases };
+}
+
+/**
+ * A glass database embedded in a ZIM archive
+ * @param {ZIMFile} file The ZIM archive
+ * @param {Number} offset The offset of the database in the archive
+ */
+function XapianDatabase (file, offset) {
+    this.file = file;
+    this.offset = offset;
+    this.tables = {};
+    this.docCount = 0;
+    this.lastQuery = null;
+}
+
+XapianDatabase.prototype.readSlice = function (offset, size) {
+    return this.file._readSlice(this.offset + offset, size).then(function (data) {
+        return data instanceof Uint8Array ? data : new Uint8Array(data);
+    });
+};
+
+/**
+ * Reads the version block of the database, which gives the root block of each table and the database statistics
+ * @param {Number} size The size of the database
+ * @returns {Promise<XapianDatabase>} A Promise for the opened database
+ */
+XapianDatabase.prototype.open = function (size) {
+    var that = this;
+    return this.readSlice(0, Math.min(256, size || 256)).then(function (data) {
+        for (var i = 0; i < GLASS_MAGIC.length; i++) {
+            if (data[i] !== GLASS_MAGIC[i]) throw new Error('The full-text index is not a Xapian glass database');
+        }
+        // Skip the magic, the two-byte format version and the UUID, then read the revision
+        var reader = new BufferReader(data, GLASS_MAGIC.length + 2 + 16);
+        reader.uint();
+        TABLES.forEach(function (name) {
+            var root = reader.uint();
+            var flags = reader.uint();
+            var numEntries = reader.uint();
+            var blockSize = reader.uint() * 2048;
+            // Skip the compression threshold and the free list
+            reader.uint();
+            reader.string();
+            that.tables[name] = new GlassTable(that, {
+                root: root,
+                rootIsFake: !!(flags & 0x01),
+                numEntries: numEntries,
+                blockSize: blockSize
+            });
+        });
+        if (!reader.atEnd()) that.docCount = reader.uint();
+        return that.getMetadata('data');
+    }).then(function (dataType) {
+        // The document data are full paths (with namespace) unless the index says otherwise
+        that.dataType = dataType || 'fullPath';
+        return that;
+    });
+};
+
+/**
+ * Reads a metadata value that was stored in the database by the indexer
+ * @param {String} name The name of the metadata
+ * @returns {Promise<String>} A Promise for the value, or for null if it is not set
+ */
+XapianDatabase.prototype.getMetadata = function (name) {
+    return this.tables.postlist.get([0x00, 0xc0].concat(utf8.toByteArray(name))).then(function (tag) {
+        return tag ? utf8.parse(tag) : null;
+    });
+};
+
+/**
+ * Gets the path of the archive entry that was indexed as the given document
+ * @param {Number} did The document id
+ * @returns {Promise<String>} A Promise for the path, or for null if the document does not exist
+ */
+XapianDatabase.prototype.getDocumentPath = function (did) {
+    var that = this;
+    return this.tables.docdata.get(packSortableUint(did)).then(function (tag) {
+        if (!tag) return null;
+        var path = utf8.parse(tag);
+        // Like libzim, we strip the namespace from full paths in archives that use the new namespace scheme
+        if (that.dataType === 'fullPath' && that.file.minorVersion >= 1) path = path.substring(2);
+        return path;
+    });
+};
+
+/**
+ * Gets the positions of a term in a document
+ * @param {Number} did The document id
+ * @param {String} term The term
+ * @returns {Promise<Array<Number>>} A Promise for the positions, or for null if they were not indexed
+ */
+XapianDatabase.prototype.getPositions = function (did, term) {
+    return this.tables.position.get(packSortableUint(did).concat(utf8.toByteArray(term))).then(function (tag) {
+        return tag ? decodePositions(tag) : null;
+    });
+};
+
+/**
+ * Checks whether the terms of a phrase appear at consecutive positions in a document. If the index has no
+ * positional information, the phrase is considered to match (as all its terms are in the document).
+ * @param {Number} did The document id
+ * @param {Array<String>} phrase The terms of the phrase
+ * @returns {Promise<Boolean>} A Promise for true if the phrase is in the document
+ */
+XapianDatabase.prototype.matchesPhrase = function (did, phrase) {
+    var that = this;
+    if (this.tables.position.isEmpty) return Promise.resolve(true);
+    return Promise.all(phrase.map(function (term) {
+        return that.getPositions(did, term);
+    })).then(function (positionLists) {
+        if (positionLists.some(function (positions) {
+            return !positions;
+        })) return false;
+        var followingSets = positionLists.slice(1).map(function (positions) {
+            return new Set(positions);
+        });
+        return positionLists[0].some(function (position) {
+            return followingSets.every(function (positions, k) {
+                return positions.has(position + k + 1);
+            });
+        });
+    });
+};
+
+/**
+ * Finds and ranks the documents that match a query
+ * @param {String} text The query
+ * @returns {Promise<Array<Object>>} A Promise for the matches ({ did, weight }), best first
+ */
+XapianDatabase.prototype.runQuery = function (text) {
+    var that = this;
+    var query = parseQuery(text);
+    if (!query.terms.length) return Promise.resolve([]);
+    var lists = query.terms.map(function (term) {
+        return new PostingList(that, utf8.toByteArray(term));
+    });
+    return Promise.all(lists.map(function (list) {
+        return list.open();
+    })).then(function (found) {
+        // All the terms must match, so there are no results if any term is missing from the index
+        if (~found.indexOf(false)) return [];
+        // Drive the search with the rarest term, so that we skip through the longer posting lists
+        lists.sort(function (a, b) {
+            return a.termFreq - b.termFreq;
+        });
+        var idfs = lists.map(function (list) {
+            return Math.log(1 + (that.docCount - list.termFreq + 0.5) / (list.termFreq + 0.5));
+        });
+        var matches = [];
+        // Advances all the posting lists to the first document at or after target that contains every term
+        var findMatch = function (target) {
+            var i = 0;
+            var step = function () {
+                if (i === lists.length) return Promise.resolve(target);
+                return lists[i].skipTo(target).then(function (more) {
+                    if (!more) return null;
+                    if (lists[i].did > target) {
+                        target = lists[i].did;
+                        i = 0;
+                    } else {
+                        i++;
+                    }
+                    return step();
+                });
+            };
+            return step();
+        };
+        var collect = function (target) {
+            if (matches.length >= MAX_CANDIDATES) return matches;
+            return findMatch(target).then(function (did) {
+                if (did === null) return matches;
+                var weight = lists.reduce(function (total, list, k) {
+                    return total + idfs[k] * list.wdf * (BM25_K1 + 1) / (list.wdf + BM25_K1);
+                }, 0);
+                return Promise.all(query.phrases.map(function (phrase) {
+                    return that.matchesPhrase(did, phrase);
+                })).then(function (phraseMatches) {
+                    if (!~phraseMatches.indexOf(false)) matches.push({ did: did, weight: weight });
+                    return collect(did + 1);
+                });
+            });
+        };
+        return collect(1);
+    }).then(function (matches) {
+        return matches.sort(function (a, b) {
+            return b.weight - a.weight || a.did - b.did;
+        });
+    });
+};
+
+/**
+ * Searches the index, returning a page of results in the same format as the libzim Worker's 'search' action.
+ * The ranked matches of the last query are kept, so that further pages of the same query are quick to return.
+ * @param {String} text The query
+ * @param {Number} numResults The maximum number of results to return
+ * @param {Number} start The index of the first result to return
+ * @returns {Promise<Object>} A Promise for an object with the entries ({ path, score }), start, and hasMore
+ */
+XapianDatabase.prototype.search = function (text, numResults, start) {
+    var that = this;
+    start = start || 0;
+    var getMatches = this.lastQuery && this.lastQuery.text === text ? Promise.resolve(this.lastQuery.matches)
+        : this.runQuery(text).then(function (matches) {
+            that.lastQuery = { text: text, matches: matches };
+            return matches;
+        });
+    return getMatches.then(function (matches) {
+        var topWeight = matches.length ? matches[0].weight : 0;
+        var page = matches.slice(start, start + numResults);
+        return Promise.all(page.map(function (match) {
+            return that.getDocumentPath(match.did).then(function (path) {
+                return {
+                    path: path,
+                    score: topWeight ? Math.round(100 * match.weight / topWeight) : 0
+                };
+            });
+        })).then(function (entries) {
+            return {
+                entries: entries.filter(function (entry) {
+                    return entry.path;
+                }),
+                start: start,
+                hasMore: start + numResults < matches.length
+            };
+        });
+    });
+};
+
+/**
+ * Opens the Xapian glass database that is stored (uncompressed) in a ZIM archive
+ * @param {ZIMFile} file The ZIM archive
+ * @param {Number} offset The offset of the database in the archive
+ * @param {Number} size The size of the database
+ * @returns {Promise<XapianDatabase>} A Promise for the opened database
+ */
+function fromZIMFile (file, offset, size) {
+    return new XapianDatabase(file, offset).open(size);
+}
+
+export default {
+    fromZIMFile: fromZIMFile,
+    parseQuery: parseQuery
+};
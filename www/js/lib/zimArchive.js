@@ -30,6 +30,30 @@ import util from './util.js';
 import uiUtil from './uiUtil.js';
 import utf8 from './utf8.js';
 import translateUI from './translateUI.js';
+import xapianReader from './xapianReader.js';
+import searchQuery from './searchQuery.js';
+
+/**
+ * The maximum number of spellings with diacritics of a search prefix that are searched (see findDiacriticVariantsOfPrefix)
+ * @constant
+ * @type {Number}
+ */
+const MAX_DIACRITIC_VARIANTS = 10;
+
+/**
+ * The maximum number of binary searches of the title listing that are run to find the spellings with diacritics of a
+ * search prefix, so that a long prefix with many letters that have diacritics does not slow down each keystroke
+ * @constant
+ * @type {Number}
+ */
+const MAX_DIACRITIC_LOOKUPS = 20;
+
+/**
+ * The number of directory entries that are read at a time by a search with filters (see findDirEntriesWithFilters)
+ * @constant
+ * @type {Number}
+ */
+const FILTER_BATCH_SIZE = 100;
 
 /**
  * ZIM Archive
@@ -45,6 +69,13 @@ import translateUI from './translateUI.js';
  * @property {String} publisher Publisher of the content
  * @property {String} title Title of the content
  * @property {String} zimType Extended property: currently either 'open' for OpenZIM file type, or 'zimit' for the warc2zim file type used by Zimit
+ * @property {Worker} libzimWorker A Web Worker running the libzim WebAssembly (or ASM) binary for this archive, or null if libzim is not used
+ * @property {XapianDatabase} xapianIndex A JavaScript reader of the archive's Xapian full-text index, used when libzim is not used (or null)
+ * @property {TitleIndex} titleIndex A prebuilt index of the archive's titles, used by title search if it has been built (or null)
+ * @property {String} searchProvider The search provider type for this archive (reported in the API panel)
+ * @property {Worker} checksumWorker A Web Worker verifying the archive's MD5 checksum, while a verification is in progress (or null)
+ * @property {String} illustrationUrl A blob URL of the archive's illustration once it has been displayed (null if the archive
+ *     has no illustration, or once it is closed), which is revoked when the archive is closed
  */
 
 /**
@@ -57,11 +88,6 @@ import translateUI from './translateUI.js';
  * @param {String} data metadata string
  */
 
-/**
- * @param {Worker} LZ A Web Worker to run the libzim Web Assembly binary
- */
-var LZ;
-
 /**
  * Creates a ZIM archive object to access the ZIM file at the given path in the given storage.
  * This constructor can also be used with a single File parameter.
@@ -74,6 +100,10 @@ var LZ;
 function ZIMArchive (storage, path, callbackReady, callbackError) {
     var that = this;
     that.file = null;
+    that.libzimWorker = null;
+    that.xapianIndex = null;
+    that.titleIndex = null;
+    that.checksumWorker = null;
     var whenZimReady = function () {
         // Add time-critical metadata from the M/ namespace that you need early access to here
         // Note that adding metadata here delays the reporting of the ZIM archive as ready
@@ -87,8 +117,7 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
         ]).then(function () {
             console.debug('ZIMArchive ready, metadata will be added in the background');
             // Add non-time-critical metadata to archive in background so as not to delay opening of the archive
-            // DEV: Note that it does not make sense to extract illustration (icon) metadata here. Instead, if you implement use of the illustration
-            // metadata as icons for the loaded ZIM [kiwix-js #886], you should simply use the ZIMArchive.getMetadata() function when needed
+            // DEV: Note that it does not make sense to extract illustration (icon) metadata here: use ZIMArchive.getIllustration() when needed
             setTimeout(function () {
                 Promise.all([
                     that.addMetadataToZIMFile('Counter'),
@@ -115,10 +144,10 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
     var createZimfile = function (fileArray) {
         return zimfile.fromFileArray(fileArray).then(function (file) {
             that.file = file;
-            // Clear the previous libzimWoker
-            LZ = null;
+            // Each archive has its own libzim Worker (if any), so that several archives can be open at once
+            that.libzimWorker = null;
             // Set a global parameter to report the search provider type
-            params.searchProvider = 'title';
+            that.searchProvider = params.searchProvider = 'title';
             // File has been created, but we need to add any Listings which extend the archive metadata
             return that.file.setListings([
                 // Provide here any Listings for which we need to extract metadata as key:value obects to be added to the file
@@ -144,25 +173,24 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
                 }
             ]).then(function () {
                 that.libzimReady = null;
-                // There is currently an exception thrown in the libzim wasm if we attempt to load a split ZIM archive, so we work around
-                // In case of a split ZIM, It will not be loaded properly by libzim if libzim is enabled
-                var isSplitZim = /\.zima.$/i.test(that.file._files[0].name);
-                if (that.file.fullTextIndex && (params.debugLibzimASM || !isSplitZim && typeof Atomics !== 'undefined' &&
+                // Split archives (.zimaa, .zimab...) are presented to libzim as a single file (see getLibzimFiles)
+                if (that.file.fullTextIndex && (params.debugLibzimASM || typeof Atomics !== 'undefined' &&
                     // Note that Android and NWJS currently throw due to problems with Web Worker context
                     !/Android/.test(params.appType) && !(window.nw && that.file._files[0].readMode === 'electron')) || params.useLibzim) {
                     var libzimReaderType = params.libzimMode;
                     if (libzimReaderType === 'default') libzimReaderType = 'WebAssembly' in self ? 'wasm.dev' : 'asm.dev';
                     console.log('[DEBUG] Instantiating libzim ' + libzimReaderType + ' Web Worker...');
-                    LZ = new Worker('js/lib/libzim-' + libzimReaderType + '.js');
-                    that.callLibzimWorker({ action: 'init', files: that.file._files }).then(function () {
+                    that.libzimWorker = new Worker('js/lib/libzim-' + libzimReaderType + '.js');
+                    that.callLibzimWorker({ action: 'init', files: that.getLibzimFiles() }).then(function () {
                         that.libzimReady = 'ready';
                         // If user is using libzim for reading the file, we have delayed the callback till now
                         if (params.useLibzim) whenZimReady();
-                        params.searchProvider = 'fulltext: ' + libzimReaderType;
+                        that.searchProvider = params.searchProvider = 'fulltext: ' + libzimReaderType;
                         // Update the API panel
                         uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider);
                     }).catch(function (err) {
-                        uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider + ': ERROR');
+                        that.searchProvider = params.searchProvider + ': ERROR';
+                        uiUtil.reportSearchProviderToAPIStatusPanel(that.searchProvider);
                         console.error('The libzim worker could not be instantiated!', err);
                         that.libzimReady = 'error';
                     });
@@ -170,8 +198,6 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
                     // var message = 'Full text searching is not available because ';
                     if (!that.file.fullTextIndex) {
                         params.searchProvider += ': no_fulltext'; // message += 'this ZIM does not have a full-text index.';
-                    } else if (isSplitZim) {
-                        params.searchProvider += ': split_zim'; // message += 'the ZIM archive is split.';
                     } else if (typeof Atomics === 'undefined') {
                         params.searchProvider += ': no_atomics'; // message += 'this browser does not support Atomic operations.';
                     } else if (/Android/.test(params.appType)) {
@@ -181,7 +207,20 @@ function ZIMArchive (storage, path, callbackReady, callbackError) {
                     } else {
                         params.searchProvider += ': unknown';
                     }
+                    that.searchProvider = params.searchProvider;
                     uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider);
+                    // Fall back to reading the Xapian index in JavaScript, which works wherever the archive itself can be read
+                    // (the index must be stored uncompressed, in which case setListings gives its offset as a number). NB setListings
+                    // gives the size of every listing as a number of 4-byte pointers, so we multiply by 4 to get the size in bytes.
+                    if (typeof that.file.fullTextIndex === 'number' && params.useXapianReader !== false) {
+                        xapianReader.fromZIMFile(that.file, that.file.fullTextIndex, that.file.fullTextIndexSize * 4).then(function (xapianIndex) {
+                            that.xapianIndex = xapianIndex;
+                            that.searchProvider = params.searchProvider = 'fulltext: js';
+                            uiUtil.reportSearchProviderToAPIStatusPanel(params.searchProvider);
+                        }).catch(function (err) {
+                            console.error('The Xapian full-text index could not be read!', err);
+                        });
+                    }
                 }
                 // Set the archive file type ('open', 'zimit' or 'zimit2')
                 return that.addMetadataToZIMFile('Scraper').then(function () {
@@ -320,8 +359,11 @@ ZIMArchive.prototype.findDirEntriesWithPrefix = function (search, callback, noIn
     var startArray = [];
     var dirEntries = [];
     search.scanCount = 0;
+    // A query with filters (e.g. 'mime:application/pdf') lists entries of any kind, instead of searching the titles of articles
+    var filters = searchQuery.parse(search.prefix);
+    if (filters) return that.findDirEntriesWithFilters(filters, search, callback, noInterim);
     // Launch a full-text search if possible
-    if (LZ) {
+    if (that.libzimWorker || that.xapianIndex) {
         that.findDirEntriesFromFullTextSearch(search, dirEntries).then(function (fullTextDirEntries) {
             // If user initiated a new search, cancel this one
             // In particular, do not set the search status back to 'complete'
@@ -330,7 +372,34 @@ ZIMArchive.prototype.findDirEntriesWithPrefix = function (search, callback, noIn
             dirEntries = fullTextDirEntries;
             search.status = 'complete';
             callback(dirEntries, search);
+        }).catch(function (err) {
+            console.error('Full-text search failed', err);
+            if (search.status === 'cancelled') return;
+            search.status = 'complete';
+            search.fullTextHasMore = false;
+            callback(dirEntries, search);
+        });
+    }
+    // In "contains" mode, every title is scanned for the search string, instead of searching the listing for prefixes
+    if (params.titleSearchMode === 'contains' && that.canScanTitles()) {
+        search.type = 'contains';
+        search.status = 'interim';
+        search.found = 0;
+        if (!noInterim) callback(dirEntries, search);
+        that.findDirEntriesContaining(search, function (newDirEntries) {
+            if (search.status === 'cancelled') return;
+            [].push.apply(dirEntries, newDirEntries);
+            search.found = dirEntries.length;
+            if (!noInterim) callback(dirEntries, search);
+        }).catch(function (err) {
+            console.error('Title scan failed', err);
+        }).then(function () {
+            if (search.status === 'cancelled') return callback([], search);
+            if ((that.libzimWorker || that.xapianIndex) && search.status !== 'complete') search.type = 'fulltext';
+            else search.status = 'complete';
+            callback(dirEntries, search);
         });
+        return;
     }
     // Ensure a search is done on the string exactly as typed
     startArray.push(search.prefix);
@@ -357,12 +426,30 @@ ZIMArchive.prototype.findDirEntriesWithPrefix = function (search, callback, noIn
             )
         )
     );
+    var searchedVariants = prefixVariants.slice();
+    var diacriticsSearched = !params.ignoreAccentsInSearch;
     function searchNextVariant () {
         // If user has initiated a new search, cancel this one
         if (search.status === 'cancelled') return callback([], search);
+        if (prefixVariants.length === 0 && !diacriticsSearched && dirEntries.length < search.size) {
+            // Once the case variants have been searched, search the spellings of the prefix with (or without) diacritics,
+            // e.g. 'Bezier' => 'Bézier', in the as-typed and initial-uppercase variants of the prefix
+            diacriticsSearched = true;
+            return Promise.all(startArray.slice(0, 2).map(function (variant) {
+                return that.findDiacriticVariantsOfPrefix(variant, search);
+            })).then(function (results) {
+                prefixVariants = util.removeDuplicateStringsInSmallArray([].concat.apply([], results)).filter(function (variant) {
+                    return searchedVariants.indexOf(variant) < 0;
+                });
+                searchNextVariant();
+            }).catch(function (err) {
+                console.error('Search of the spellings with diacritics failed', err);
+                searchNextVariant();
+            });
+        }
         if (prefixVariants.length === 0 || dirEntries.length >= search.size) {
             // We have found all the title-search entries we are going to get, so indicate search type if we're still searching
-            if (LZ && search.status !== 'complete') search.type = 'fulltext';
+            if ((that.libzimWorker || that.xapianIndex) && search.status !== 'complete') search.type = 'fulltext';
             else search.status = 'complete';
             return callback(dirEntries, search);
         }
@@ -389,6 +476,249 @@ ZIMArchive.prototype.findDirEntriesWithPrefix = function (search, callback, noIn
     searchNextVariant();
 };
 
+/**
+ * Finds the Directory Entries of any namespace that match the filters of a search query (see searchQuery.js), by reading
+ * the URL-ordered index in batches. As the index is sorted by namespace and URL, a search restricted to a namespace only
+ * reads the range of the index that holds the namespace (or the path within it, if there is a path filter), and a search
+ * restricted to a path without a namespace only reads the range of the path in each namespace. Matching entries are
+ * marked with isFilterResult, and the fraction of the ranges read so far is set in search.progress.
+ *
+ * @param {SearchFilters} filters The filters of the query
+ * @param {Object} search The appstate.search object
+ * @param {callbackDirEntryList} callback The function to call with the result
+ * @param {Boolean} noInterim A flag to prevent callback until all results are ready (used in testing)
+ */
+ZIMArchive.prototype.findDirEntriesWithFilters = function (filters, search, callback, noInterim) {
+    var that = this;
+    var dirEntries = [];
+    search.type = 'filter';
+    search.status = 'interim';
+    search.progress = 0;
+    // Finds the position in the URL-ordered index of the first entry whose path sorts at or after the given path
+    var findIndex = function (path) {
+        return util.binarySearch(0, that.file.entryCount, function (i) {
+            return that.file.dirEntryByUrlIndex(i).then(function (dirEntry) {
+                return path <= dirEntry.namespace + '/' + dirEntry.url ? -1 : 1;
+            });
+        }, true);
+    };
+    // Finds the range of the index that holds a path in a namespace
+    var findRange = function (ns, path) {
+        var start = ns + '/' + path;
+        return Promise.all([findIndex(start), findIndex(start + '\uffff')]);
+    };
+    // Finds the range of the path in each namespace, jumping from the first entry of a namespace to that of the next one
+    var findNamespaceRanges = function (index, ranges) {
+        if (search.status === 'cancelled' || index >= that.file.entryCount) return Promise.resolve(ranges);
+        return that.file.dirEntryByUrlIndex(index).then(function (dirEntry) {
+            var nextNamespace = String.fromCharCode(dirEntry.namespace.charCodeAt(0) + 1);
+            return Promise.all([findRange(dirEntry.namespace, filters.path), findIndex(nextNamespace)]);
+        }).then(function (bounds) {
+            if (bounds[0][1] > bounds[0][0]) ranges.push(bounds[0]);
+            return findNamespaceRanges(bounds[1], ranges);
+        });
+    };
+    var findRanges;
+    if (filters.ns) {
+        findRanges = findRange(filters.ns, filters.path || '').then(function (bounds) {
+            return [bounds];
+        });
+    } else if (filters.path) {
+        findRanges = findNamespaceRanges(0, []);
+    } else {
+        findRanges = Promise.resolve([[0, that.file.entryCount]]);
+    }
+    findRanges.then(function (ranges) {
+        var total = ranges.reduce(function (sum, range) {
+            return sum + range[1] - range[0];
+        }, 0);
+        var read = 0;
+        // Reads the index from the given position (or from the start of the range if it is null)
+        var readBatch = function (rangeIndex, index, batchCount) {
+            if (search.status === 'cancelled' || rangeIndex >= ranges.length || dirEntries.length >= search.size) return;
+            if (index === null) index = ranges[rangeIndex][0];
+            var end = ranges[rangeIndex][1];
+            if (index >= end) return readBatch(rangeIndex + 1, null, batchCount);
+            var batchEnd = Math.min(index + FILTER_BATCH_SIZE, end);
+            var batch = [];
+            for (var i = index; i < batchEnd; i++) batch.push(that.file.dirEntryByUrlIndex(i));
+            return Promise.all(batch).then(function (batchDirEntries) {
+                search.scanCount += batchDirEntries.length;
+                read += batchDirEntries.length;
+                search.progress = read / total;
+                var found = batchDirEntries.filter(function (dirEntry) {
+                    return searchQuery.matches(dirEntry, filters);
+                }).slice(0, search.size - dirEntries.length);
+                found.forEach(function (dirEntry) {
+                    dirEntry.isFilterResult = true;
+                });
+                [].push.apply(dirEntries, found);
+                search.found = dirEntries.length;
+                // Report new results, and the progress from time to time
+                if (!noInterim && search.status !== 'cancelled' && (found.length || batchCount % 20 === 0)) callback(dirEntries, search);
+                return readBatch(rangeIndex, batchEnd, batchCount + 1);
+            });
+        };
+        return readBatch(0, null, 1);
+    }).catch(function (err) {
+        console.error('Search with filters failed', err);
+    }).then(function () {
+        if (search.status === 'cancelled') return callback([], search);
+        search.status = 'complete';
+        callback(dirEntries, search);
+    });
+};
+
+/**
+ * Tests whether the titles of the archive can be scanned for the "contains" title search mode (see findDirEntriesContaining)
+ * @returns {Boolean} True if the titles can be scanned
+ */
+ZIMArchive.prototype.canScanTitles = function () {
+    return typeof Worker !== 'undefined' && typeof TextDecoder !== 'undefined' && !!this.file &&
+        !!(this.file.articlePtrPos || this.file.titlePtrPos);
+};
+
+/**
+ * Finds the Directory Entries with titles that contain the search string anywhere (ignoring case, and ignoring diacritics
+ * if params.ignoreAccentsInSearch is set). Unlike the prefix search, this cannot use a binary search, so the whole
+ * title-ordered listing is scanned, in chunks, in a Web Worker. After each chunk, the fraction of the listing scanned
+ * so far is set in search.progress, and the matches are reported. The scan stops when search.size results have been
+ * found (the caller keeps search.found up to date), or as soon as the search is cancelled.
+ *
+ * @param {Object} search The appstate.search object
+ * @param {Function} onResults A function that is called with the array of new matching DirEntries after each chunk
+ * @returns {Promise} A Promise that resolves when the scan is over
+ */
+ZIMArchive.prototype.findDirEntriesContaining = function (search, onResults) {
+    var that = this;
+    var worker = new Worker('js/lib/titleScanWorker.js');
+    return new Promise(function (resolve, reject) {
+        var finished = false;
+        var finish = function (err) {
+            if (finished) return;
+            finished = true;
+            worker.terminate();
+            if (err) reject(err);
+            else resolve();
+        };
+        // The Worker does not wait for us, so we chain the reading of the matches to report them in order
+        var reported = Promise.resolve();
+        var messageChannel = new MessageChannel();
+        messageChannel.port1.onmessage = function (event) {
+            var data = event.data;
+            reported = reported.then(function () {
+                if (finished) return;
+                if (data.error) throw new Error(data.error);
+                if (search.status === 'cancelled') return finish();
+                var needed = search.size - (search.found || 0);
+                return Promise.all(data.matches.slice(0, needed).map(function (urlIndex) {
+                    return that.file.dirEntryByUrlIndex(urlIndex);
+                })).then(function (newDirEntries) {
+                    search.scanCount = Math.round(data.progress * (that.file.articleCount || that.file.entryCount));
+                    search.progress = data.progress;
+                    onResults(newDirEntries);
+                    if (data.done || newDirEntries.length >= needed) finish();
+                });
+            }).catch(finish);
+        };
+        worker.onerror = function (event) {
+            finish(new Error(event.message));
+        };
+        worker.postMessage({
+            files: that.file._files,
+            titlePtrPos: that.file.articlePtrPos || that.file.titlePtrPos,
+            count: that.file.articleCount || that.file.entryCount,
+            urlPtrPos: that.file.urlPtrPos,
+            namespace: that.getContentNamespace(),
+            query: search.prefix,
+            ignoreAccents: params.ignoreAccentsInSearch
+        }, [messageChannel.port2]);
+    });
+};
+
+/**
+ * Finds the spellings with diacritics of a search prefix that begin titles in the archive, e.g. 'Sao P' => ['São P'].
+ * The prefix is folded (its diacritics are removed), and then rebuilt letter by letter: at each letter that has variants
+ * with diacritics, only the variants that begin a title in the title-ordered listing are kept. Each binary search jumps
+ * to the next variant that follows the title found, so that the number of searches depends on the number of variants
+ * that actually occur in the archive rather than on the number of possible variants. No more than MAX_DIACRITIC_LOOKUPS
+ * binary searches are run: beyond them, the spellings found so far are extended without diacritics.
+ *
+ * @param {String} prefix The case-sensitive prefix
+ * @param {Object} search The appstate.search object (so that we can cancel the search)
+ * @returns {Promise<Array<String>>} A Promise for the spellings of the prefix found in the archive (including the folded
+ *     prefix, if it is found)
+ */
+ZIMArchive.prototype.findDiacriticVariantsOfPrefix = function (prefix, search) {
+    var that = this;
+    var folded = util.removeDiacritics(prefix);
+    var lookups = 0;
+    // Finds the variants of the letter that follow the stem in titles, starting from the k-th (sorted) variant
+    var findVariantsAfterStem = function (stem, variants, k) {
+        if (k >= variants.length || search.status === 'cancelled') return Promise.resolve([]);
+        // Once the lookups are used up, the letter is kept as it was typed (without diacritics)
+        if (++lookups > MAX_DIACRITIC_LOOKUPS) return Promise.resolve(k ? [] : [stem + variants[0]]);
+        return that.findFirstTitleFrom(stem + variants[k], search).then(function (title) {
+            if (title === null || title.indexOf(stem) !== 0) return [];
+            var letter = title.charAt(stem.length);
+            var found = variants.indexOf(letter);
+            if (found >= 0) {
+                return findVariantsAfterStem(stem, variants, found + 1).then(function (stems) {
+                    return [stem + letter].concat(stems);
+                });
+            }
+            // Skip to the first variant that sorts after the letter found
+            for (var next = k; next < variants.length && variants[next] <= letter; next++);
+            return findVariantsAfterStem(stem, variants, next);
+        });
+    };
+    var extendStems = function (stems, i) {
+        if (i >= folded.length || !stems.length || search.status === 'cancelled') return Promise.resolve(stems);
+        var letter = folded.charAt(i);
+        var variants = util.getDiacriticVariants(letter);
+        if (!variants.length) {
+            return extendStems(stems.map(function (stem) {
+                return stem + letter;
+            }), i + 1);
+        }
+        // The letter itself sorts before all its variants with diacritics
+        variants = [letter].concat(variants);
+        return Promise.all(stems.map(function (stem) {
+            return findVariantsAfterStem(stem, variants, 0);
+        })).then(function (results) {
+            return extendStems([].concat.apply([], results).slice(0, MAX_DIACRITIC_VARIANTS), i + 1);
+        });
+    };
+    return extendStems([''], 0);
+};
+
+/**
+ * Finds the first title in the title-ordered listing of the content namespace that sorts at or after the given string
+ *
+ * @param {String} prefix The string to search for
+ * @param {Object} search The appstate.search object (so that we can cancel the search)
+ * @returns {Promise<String|null>} A Promise for the title, or null if no title sorts after the string
+ */
+ZIMArchive.prototype.findFirstTitleFrom = function (prefix, search) {
+    var that = this;
+    if (this.titleIndex) return this.titleIndex.findFirstTitleFrom(prefix);
+    var cns = this.getContentNamespace();
+    var articleCount = this.file.articleCount || this.file.entryCount;
+    return util.binarySearch(0, articleCount, function (i) {
+        return that.file.dirEntryByTitleIndex(i).then(function (dirEntry) {
+            if (search.status === 'cancelled') return 0;
+            if (dirEntry.namespace < cns) return 1;
+            if (dirEntry.namespace > cns) return -1;
+            return prefix <= dirEntry.getTitleOrUrl() ? -1 : 1;
+        });
+    }, true).then(function (index) {
+        if (index >= articleCount) return null;
+        return that.file.dirEntryByTitleIndex(index).then(function (dirEntry) {
+            return dirEntry.namespace === cns ? dirEntry.getTitleOrUrl() : null;
+        });
+    });
+};
+
 /**
  * A method to return the namespace in the ZIM file that contains the primary user content. In old-format ZIM files (minor
  * version 0) there are a number of content namespaces, but the primary one in which to search for titles is 'A'. In new-format
@@ -420,6 +750,25 @@ ZIMArchive.prototype.getContentNamespace = function () {
 ZIMArchive.prototype.findDirEntriesWithPrefixCaseSensitive = function (prefix, search, callback) {
     var that = this;
     var cns = this.getContentNamespace();
+    // Use the prebuilt title index if there is one, which avoids the random reads of the binary search
+    if (this.titleIndex) {
+        var nextStart;
+        this.titleIndex.findIndicesWithPrefix(prefix, search.size - search.found).then(function (found) {
+            nextStart = found.nextStart;
+            return Promise.all(found.indices.map(function (index) {
+                return that.file.dirEntryByTitleIndex(index);
+            }));
+        }).then(function (dirEntries) {
+            search.scanCount += dirEntries.length;
+            if (dirEntries.length && search.status !== 'cancelled') callback(dirEntries, false, true);
+            callback({ dirEntries: dirEntries, nextStart: nextStart });
+        }).catch(function (err) {
+            console.warn('The title index could not be used: searching the title listing instead', err);
+            that.titleIndex = null;
+            that.findDirEntriesWithPrefixCaseSensitive(prefix, search, callback);
+        });
+        return;
+    }
     // Search v1 article listing if available, otherwise fallback to v0
     var articleCount = this.file.articleCount || this.file.entryCount;
     util.binarySearch(0, articleCount, function (i) {
@@ -465,7 +814,12 @@ ZIMArchive.prototype.findDirEntriesWithPrefixCaseSensitive = function (prefix, s
 };
 
 /**
- * Find Directory Entries corresponding to the requested search using Full Text search provided by libzim
+ * Find Directory Entries corresponding to the requested search using Full Text search provided by libzim (or, failing that,
+ * by the JavaScript reader of the Xapian index). Each full-text result is marked with isFullTextResult, and with the score
+ * supplied by the search provider, if it supplies one (libzim does not). Snippets are not read here, because that means
+ * decoding each article: see getSearchResultSnippet. The search is paged: each call
+ * requests the next page of results, starting at search.fullTextStart, and sets search.fullTextHasMore to indicate whether
+ * further results can be requested by calling this function again with the same search object.
  *
  * @param {Object} search The appstate.search object
  * @param {Array} dirEntries The array of already found Directory Entries
@@ -477,10 +831,26 @@ ZIMArchive.prototype.findDirEntriesFromFullTextSearch = function (search, dirEnt
     // We give ourselves an overhead in caclulating the results needed, because full-text search will return some results already found
     // var resultsNeeded = Math.floor(params.maxSearchResultsSize - dirEntries.length / 2);
     var resultsNeeded = params.maxSearchResultsSize;
-    return this.callLibzimWorker({ action: 'search', text: search.prefix, numResults: resultsNeeded }).then(function (results) {
+    var start = search.fullTextStart || 0;
+    var fullTextSearch;
+    if (this.libzimWorker) {
+        // The libzim Worker always returns the first results, so we ask for all the results up to the end of the requested page,
+        // plus one so that we can tell whether there are more results to fetch
+        fullTextSearch = this.callLibzimWorker({ action: 'search', text: search.prefix, numResults: start + resultsNeeded + 1 }).then(function (results) {
+            return results ? {
+                entries: results.entries.slice(start, start + resultsNeeded),
+                hasMore: results.entries.length > start + resultsNeeded
+            } : null;
+        });
+    } else {
+        fullTextSearch = this.xapianIndex.search(search.prefix, resultsNeeded, start);
+    }
+    return fullTextSearch.then(function (results) {
         if (results) {
+            search.fullTextStart = start + results.entries.length;
+            search.fullTextHasMore = !!results.hasMore;
             var dirEntryPaths = [];
-            var fullTextPaths = [];
+            var fullTextResults = [];
             // Collect all the found paths for the dirEntries
             for (var i = 0; i < dirEntries.length; i++) {
                 dirEntryPaths.push(dirEntries[i].namespace + '/' + dirEntries[i].url);
@@ -493,24 +863,91 @@ ZIMArchive.prototype.findDirEntriesFromFullTextSearch = function (search, dirEnt
                 // Full-text search result paths are missing the namespace in Type 1 ZIMs, so we add it back
                 path = cns === 'C' ? cns + '/' + path : path;
                 if (~dirEntryPaths.indexOf(path)) continue;
-                fullTextPaths.push(path);
+                fullTextResults.push({ path: path, score: results.entries[j].score });
             }
             var promisesForDirEntries = [];
-            for (var k = 0; k < fullTextPaths.length; k++) {
-                promisesForDirEntries.push(that.getDirEntryByPath(fullTextPaths[k]));
+            for (var k = 0; k < fullTextResults.length; k++) {
+                promisesForDirEntries.push(that.getDirEntryByPath(fullTextResults[k].path));
             }
             return Promise.all(promisesForDirEntries).then(function (fullTextDirEntries) {
                 for (var l = 0; l < fullTextDirEntries.length; l++) {
-                    dirEntries.push(fullTextDirEntries[l]);
+                    var dirEntry = fullTextDirEntries[l];
+                    if (!dirEntry) continue;
+                    dirEntry.isFullTextResult = true;
+                    if (typeof fullTextResults[l].score === 'number') dirEntry.score = fullTextResults[l].score;
+                    dirEntries.push(dirEntry);
                 }
                 return dirEntries;
             });
         } else {
+            search.fullTextHasMore = false;
             return dirEntries;
         }
     });
 };
 
+/**
+ * Extracts a snippet of the text of an HTML article around the first term of a search that it contains, with the terms
+ * of the search in <b> tags, and counts the words of the article
+ *
+ * @param {String} html The HTML of the article
+ * @param {String} text The search string
+ * @returns {Object} An object with the snippet (escaped HTML) and the wordCount of the article
+ */
+function extractSnippet (html, text) {
+    var body = html.replace(/^[\s\S]*?<body[^>]*>/i, '').replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&quot;/g, '"').replace(/&#0?39;/g, "'")
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+    var terms = text.toLowerCase().split(/\s+/).filter(function (term) {
+        return term.length > 1;
+    });
+    var lowerBody = body.toLowerCase();
+    var matchPos = -1;
+    for (var i = 0; i < terms.length && matchPos < 0; i++) {
+        matchPos = lowerBody.indexOf(terms[i]);
+    }
+    var snippetStart = matchPos > 60 ? body.lastIndexOf(' ', matchPos - 60) + 1 : 0;
+    var snippet = body.substring(snippetStart, snippetStart + 200).replace(/\s\S*$/, '');
+    snippet = (snippetStart ? '…' : '') + snippet.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;') +
+        (snippetStart + snippet.length < body.length ? '…' : '');
+    if (terms.length) {
+        var regexpTerms = new RegExp('(' + terms.map(function (term) {
+            return term.replace(/[-[\]{}()*+?.,\\^$|#]/g, '\\$&');
+        }).join('|') + ')', 'gi');
+        snippet = snippet.replace(regexpTerms, '<b>$1</b>');
+    }
+    return { snippet: snippet, wordCount: body ? body.split(' ').length : 0 };
+}
+
+/**
+ * Gets a snippet of a full-text search result around the terms of the search, and its word count (see extractSnippet).
+ * This reads and decodes the whole article, so it should only be called for results that are displayed.
+ *
+ * @param {DirEntry} dirEntry The Directory Entry of the search result
+ * @param {String} text The search string
+ * @returns {Promise<Object>} A Promise for an object with the snippet and the wordCount of the article
+ */
+ZIMArchive.prototype.getSearchResultSnippet = function (dirEntry, text) {
+    var that = this;
+    return dirEntry.readData().then(function (data) {
+        return extractSnippet(that.getUtf8FromData(data), text);
+    });
+};
+
+/**
+ * Gets the files of the archive to post to the init action of the libzim Worker. libzim cannot open the parts of a split
+ * archive (.zimaa, .zimab...), so they are joined into a single File named after the archive: a Blob made of Files is
+ * not copied into memory, and its slices are read from the parts.
+ *
+ * @returns {Array<File>} The files for libzim
+ */
+ZIMArchive.prototype.getLibzimFiles = function () {
+    var files = this.file._files;
+    // Electron reads the parts from their paths on disk, so they cannot be joined
+    if (files.length < 2 || files[0].readMode === 'electron') return files;
+    return [new File([new Blob(files)], files[0].name.replace(/\.zim..$/, '.zim'))];
+};
+
 /**
  * Calls the libzim Web Worker with the given parameters, and returns a Promise with its response
  *
@@ -518,7 +955,9 @@ ZIMArchive.prototype.findDirEntriesFromFullTextSearch = function (search, dirEnt
  * @returns {Promise}
  */
 ZIMArchive.prototype.callLibzimWorker = function (parameters) {
+    var worker = this.libzimWorker;
     return new Promise(function (resolve, reject) {
+        if (!worker) return reject(new Error('No libzim Worker has been instantiated for this archive!'));
         console.debug('Calling libzim WebWorker with parameters', parameters);
         var tmpMessageChannel = new MessageChannel();
         // var t0 = performance.now();
@@ -534,10 +973,68 @@ ZIMArchive.prototype.callLibzimWorker = function (parameters) {
             // console.error("Error sent by the WebWorker in " + readTime + " ms", event.data);
             reject(event.data);
         };
-        LZ.postMessage(parameters, [tmpMessageChannel.port2]);
+        worker.postMessage(parameters, [tmpMessageChannel.port2]);
+    });
+};
+
+/**
+ * Verifies the integrity of the archive by calculating the MD5 checksum of the whole archive (all parts of a split archive
+ * included) in a Web Worker, and comparing it with the checksum stored at the end of the archive
+ * @param {Function} onProgress An optional function that is called with the fraction (0 to 1) of the archive hashed so far.
+ *     If it returns false, the verification is abandoned.
+ * @returns {Promise<Object>} A Promise for an object with the properties hasChecksum (false if the archive has no checksum),
+ *     valid, checksum (the calculated checksum) and expected (the stored checksum), or with the property cancelled
+ */
+ZIMArchive.prototype.verifyChecksum = function (onProgress) {
+    var that = this;
+    if (this.checksumWorker) this.checksumWorker.terminate();
+    var worker = this.checksumWorker = new Worker('js/lib/checksumWorker.js');
+    var stopWorker = function () {
+        worker.terminate();
+        if (that.checksumWorker === worker) that.checksumWorker = null;
+    };
+    return new Promise(function (resolve, reject) {
+        var messageChannel = new MessageChannel();
+        messageChannel.port1.onmessage = function (event) {
+            if (!event.data.done) {
+                if (onProgress && onProgress(event.data.progress) === false) {
+                    stopWorker();
+                    resolve({ cancelled: true });
+                }
+                return;
+            }
+            stopWorker();
+            if (event.data.error) reject(new Error(event.data.error));
+            else resolve(event.data);
+        };
+        worker.onerror = function (err) {
+            stopWorker();
+            reject(err);
+        };
+        worker.postMessage({ files: that.file._files, checksumPos: that.file.checksumPos }, [messageChannel.port2]);
     });
 };
 
+/**
+ * Releases the resources held by the archive, in particular its libzim Worker and the blob URL of its illustration. The
+ * archive should not be used after this.
+ */
+ZIMArchive.prototype.close = function () {
+    if (this.illustrationUrl) URL.revokeObjectURL(this.illustrationUrl);
+    // An illustration that is still being read will not be given a URL (see getArchiveIllustrationUrl in app.js)
+    this.illustrationUrl = null;
+    if (this.libzimWorker) {
+        this.libzimWorker.terminate();
+        this.libzimWorker = null;
+    }
+    if (this.checksumWorker) {
+        this.checksumWorker.terminate();
+        this.checksumWorker = null;
+    }
+    this.xapianIndex = null;
+    this.libzimReady = null;
+};
+
 /**
  * @callback callbackDirEntry
  * @param {DirEntry} dirEntry The DirEntry found
@@ -686,6 +1183,100 @@ ZIMArchive.prototype.addMetadataToZIMFile = function (key) {
     });
 };
 
+/**
+ * Lists the keys of all the metadata in the archive, i.e. the entries in the M/ namespace (in URL order)
+ * @returns {Promise<Array<String>>} A Promise for the array of metadata keys
+ */
+ZIMArchive.prototype.listMetadataKeys = function () {
+    var that = this;
+    // Find the first entry in (or after) the M/ namespace
+    return util.binarySearch(0, this.file.entryCount, function (i) {
+        return that.file.dirEntryByUrlIndex(i).then(function (dirEntry) {
+            return dirEntry.namespace < 'M' ? 1 : -1;
+        });
+    }, true).then(function (firstIndex) {
+        var keys = [];
+        var addKeys = function (index) {
+            if (index >= that.file.entryCount) return keys;
+            return that.file.dirEntryByUrlIndex(index).then(function (dirEntry) {
+                if (dirEntry.namespace !== 'M') return keys;
+                keys.push(dirEntry.url);
+                return addKeys(index + 1);
+            });
+        };
+        return addKeys(firstIndex);
+    });
+};
+
+/**
+ * Reads all the metadata in the archive. Illustrations are binary data, so their value is not read (see getIllustration).
+ * @returns {Promise<Array<Object>>} A Promise for an array of objects with the key and the value of each metadata
+ */
+ZIMArchive.prototype.getAllMetadata = function () {
+    var that = this;
+    return this.listMetadataKeys().then(function (keys) {
+        return Promise.all(keys.map(function (key) {
+            if (/^Illustration_/.test(key)) return { key: key, value: null };
+            return new Promise(function (resolve) {
+                that.getMetadata(key, function (value) {
+                    resolve({ key: key, value: value || '' });
+                });
+            });
+        }));
+    });
+};
+
+/**
+ * Reads the illustration (icon) of the archive, falling back to the favicon of older archives that have no illustration
+ * @param {Integer} size The width and height of the illustration in pixels (defaults to 48, the size that every archive should have)
+ * @returns {Promise<Object>} A Promise for an object with the data and the mimetype of the image, or for null if there is none
+ */
+ZIMArchive.prototype.getIllustration = function (size) {
+    var that = this;
+    size = size || 48;
+    return this.getDirEntryByPath('M/Illustration_' + size + 'x' + size + '@1').then(function (dirEntry) {
+        return dirEntry || that.getDirEntryByPath('-/favicon');
+    }).then(function (dirEntry) {
+        return dirEntry && dirEntry.isRedirect() ? that.file.dirEntryByUrlIndex(dirEntry.redirectTarget) : dirEntry;
+    }).then(function (dirEntry) {
+        if (!dirEntry) return null;
+        return dirEntry.readData().then(function (data) {
+            return { data: data, mimetype: dirEntry.getMimetype() };
+        });
+    }).catch(function (err) {
+        console.warn('Unable to read the illustration of the archive', err);
+        return null;
+    });
+};
+
+/**
+ * Gets the number of articles and of media entries in the archive from its Counter metadata, which lists the number of
+ * entries of each mimetype (e.g. "text/html=1234;image/png=56")
+ * @param {String} counter The Counter metadata to parse (defaults to the Counter metadata loaded in the background)
+ * @returns {Object} An object with the number of articles, of media (images, audio and video) and of entries by mimetype,
+ *     or null if the Counter metadata have not been loaded (or are empty)
+ */
+ZIMArchive.prototype.getCounts = function (counter) {
+    counter = counter || this.counter;
+    if (!counter) return null;
+    var counts = { articles: 0, media: 0, mimetypes: {} };
+    // Mimetypes may have parameters separated by a semicolon (e.g. "text/html;raw=true=12"), so we join any parts without a count
+    var pending = '';
+    counter.split(';').forEach(function (part) {
+        var match = (pending + part).match(/^(.+)=(\d+)$/);
+        if (!match) {
+            pending += part + ';';
+            return;
+        }
+        pending = '';
+        var count = parseInt(match[2], 10);
+        counts.mimetypes[match[1]] = count;
+        if (/^text\/html\b/.test(match[1])) counts.articles += count;
+        else if (/^(image|audio|video)\//.test(match[1])) counts.media += count;
+    });
+    return counts;
+};
+
 /**
  * Sets the Zimit metadata for the archive
  */
@@ -63,6 +63,16 @@ DirEntry.prototype.readData = function () {
     return this._zimfile.blob(this.cluster, this.blob);
 };
 
+/**
+ * Reads a range of bytes of the entry's data (see ZIMFile.blobRange)
+ * @param {Integer} begin The offset of the first byte to read
+ * @param {Integer} end The offset of the byte after the last byte to read (reads to the end of the data if undefined)
+ * @returns {Promise<Object>} A Promise for an object with the range's data, its actual begin and end offsets, and the size of the data
+ */
+DirEntry.prototype.readDataRange = function (begin, end) {
+    return this._zimfile.blobRange(this.cluster, this.blob, begin, end);
+};
+
 /**
  *
  * @param {File} zimfile
@@ -30,6 +30,7 @@ import util from './util.js';
 import utf8 from './utf8.js';
 import zimDirEntry from './zimDirEntry.js';
 import FileCache from './filecache.js';
+import ClusterCache from './clustercache.js';
 
 /**
  * This code makes an assumption that no Directory Entry will be larger that MAX_SUPPORTED_DIRENTRY_SIZE bytes.
@@ -105,6 +106,7 @@ var readInt = function (data, offset, size) {
  * @property {Integer} mimeListPos Position of the MIME type list (also header size)
  * @property {Integer} mainPage Main page or 0xffffffff if no main page
  * @property {Integer} layoutPage Layout page or 0xffffffffff if no layout page
+ * @property {Integer} checksumPos Position of the MD5 checksum of the archive (the checksum is of all the data before it)
  * @property {Map} mimeTypes Extended property: the ZIM file's MIME type table rendered as a Map (calculated entry)
  */
 
@@ -248,7 +250,7 @@ ZIMFile.prototype.dirEntryByTitleIndex = function (index) {
  * @param {Integer} blob The blob number within the cluster
  * @param {Boolean} meta If true, and if the cluster is uncompressed, the function will return only the blob's metadata
  *        (its archive offset and its size), otherwise return null
- * @returns {Promise<Uint8Array>} A Promise for the BLOB's data
+ * @returns {Promise<Uint8Array>} A Promise for the BLOB's data, which rejects if the cluster's compression type is not supported
  */
 ZIMFile.prototype.blob = function (cluster, blob, meta) {
     var that = this;
@@ -257,7 +259,11 @@ ZIMFile.prototype.blob = function (cluster, blob, meta) {
         var nextCluster = readInt(clusterOffsets, 8, 8);
         // DEV: The method below of calculating cluster size is not safe: see https://github.com/openzim/libzim/issues/84#issuecomment-612962250
         // var thisClusterLength = nextCluster - clusterOffset - 1;
-        return that._readSlice(clusterOffset, 1).then(function (compressionType) {
+        return that._readSlice(clusterOffset, 1).then(function (clusterInfo) {
+            // The lower four bits of the cluster info byte give the compression type, and bit 4 is set for an extended
+            // cluster, which uses 8-byte (instead of 4-byte) blob offsets
+            var compressionType = clusterInfo[0] & 0x0f;
+            var offsetSize = clusterInfo[0] & 0x10 ? 8 : 4;
             var decompressor;
             var plainBlobReader = function (offset, size, dataPass) {
                 // Check that we are not reading beyond the end of the cluster
@@ -283,26 +289,82 @@ ZIMFile.prototype.blob = function (cluster, blob, meta) {
             // If only metadata were requested and the cluster is compressed, return null (this is probably a ZIM format error)
             // DEV: This is because metadata are only requested for finding absolute offsets into uncompressed clusters,
             // principally for finding the start and size of a title pointer listing
-            if (meta && compressionType[0] > 1) return null;
-            if (compressionType[0] === 0 || compressionType[0] === 1) {
+            if (meta && compressionType > 1) return null;
+            if (compressionType === 0 || compressionType === 1) {
                 // uncompressed
                 decompressor = { readSliceSingleThread: plainBlobReader };
-            } else if (compressionType[0] === 4) {
+            } else if (compressionType === 4) {
                 decompressor = new xz.Decompressor(plainBlobReader);
-            } else if (compressionType[0] === 5) {
+            } else if (compressionType === 5) {
                 decompressor = new zstd.Decompressor(plainBlobReader);
             } else {
-                return new Uint8Array(); // unsupported compression type
+                throw new Error('Unsupported compression type ' + compressionType + ' in cluster ' + cluster);
             }
-            return decompressor.readSliceSingleThread(blob * 4, 8, false).then(function (data) {
-                var blobOffset = readInt(data, 0, 4);
-                var nextBlobOffset = readInt(data, 4, 4);
-                return decompressor.readSliceSingleThread(blobOffset, nextBlobOffset - blobOffset, true);
+            var readBlob = function () {
+                return decompressor.readSliceSingleThread(blob * offsetSize, offsetSize * 2, false).then(function (data) {
+                    var blobOffset = readInt(data, 0, offsetSize);
+                    var nextBlobOffset = readInt(data, offsetSize, offsetSize);
+                    return decompressor.readSliceSingleThread(blobOffset, nextBlobOffset - blobOffset, true);
+                });
+            };
+            if (compressionType < 4) return readBlob();
+            // Each decompression has to start from the beginning of the cluster, so we decompress a compressed cluster
+            // in full and cache it, since an article's images and other assets are often stored in the same cluster
+            return ClusterCache.fetch(that, cluster, function () {
+                // The first offset in the blob list is the size of the list, and the last offset is the size of the cluster
+                return decompressor.readSliceSingleThread(0, offsetSize, false).then(function (data) {
+                    return decompressor.readSliceSingleThread(readInt(data, 0, offsetSize) - offsetSize, offsetSize, false);
+                }).then(function (data) {
+                    var clusterSize = readInt(data, 0, offsetSize);
+                    // Clusters larger than the whole cache are not cached, and only the requested blob is decompressed
+                    if (!ClusterCache.fits(clusterSize)) return null;
+                    return decompressor.readSliceSingleThread(0, clusterSize, true);
+                });
+            }).then(function (clusterData) {
+                if (!clusterData) return readBlob();
+                var blobOffset = readInt(clusterData, blob * offsetSize, offsetSize);
+                var nextBlobOffset = readInt(clusterData, (blob + 1) * offsetSize, offsetSize);
+                // Return a copy, so that the caller cannot alter (or transfer the buffer of) the cached cluster
+                return new clusterData.constructor(clusterData.subarray(blobOffset, nextBlobOffset));
             });
         });
     });
 };
 
+/**
+ * Read a range of bytes of a BLOB. If the BLOB's cluster is uncompressed (as is usual for media, which are already compressed),
+ * only the requested bytes are read, directly from their offset in the archive. Otherwise the whole BLOB has to be decompressed,
+ * and the range is sliced from it.
+ * @param {Integer} cluster The cluster number where the blob is to be found
+ * @param {Integer} blob The blob number within the cluster
+ * @param {Integer} begin The offset in the BLOB of the first byte to read
+ * @param {Integer} end The offset in the BLOB of the byte after the last byte to read (reads to the end of the BLOB if undefined)
+ * @returns {Promise<Object>} A Promise for an object with the range's data, its actual begin and end offsets, and the size of the BLOB
+ */
+ZIMFile.prototype.blobRange = function (cluster, blob, begin, end) {
+    var that = this;
+    var getRange = function (size) {
+        end = end === undefined ? size : Math.min(end, size);
+        begin = Math.min(begin, end);
+        return { begin: begin, end: end, size: size };
+    };
+    return this.blob(cluster, blob, true).then(function (metadata) {
+        if (metadata && metadata.ptr !== undefined) {
+            var range = getRange(metadata.size);
+            return that._readSlice(metadata.ptr + range.begin, range.end - range.begin).then(function (data) {
+                range.data = data instanceof Uint8Array ? data : new Uint8Array(data);
+                return range;
+            });
+        }
+        return that.blob(cluster, blob).then(function (data) {
+            data = data instanceof Uint8Array ? data : new Uint8Array(data);
+            var range = getRange(data.length);
+            range.data = data.subarray(range.begin, range.end);
+            return range;
+        });
+    });
+};
+
 /**
  * A Directory Listing object
  * @typedef {Object} DirListing A list of pointers to directory entries (via the URL pointerlist)
@@ -489,6 +551,7 @@ export default {
                 zf.mimeListPos = mimeListPos;
                 zf.mainPage = readInt(header, 64, 4);
                 zf.layoutPage = readInt(header, 68, 4);
+                zf.checksumPos = readInt(header, 72, 8);
                 zf.mimeTypes = mapData;
                 return zf;
             });
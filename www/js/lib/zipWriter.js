@@ -0,0 +1,145 @@
+/**
+ * zipWriter.js: A minimal writer of ZIP files, used to package EPUB books in the browser. Files are stored without
+ * compression, which keeps the writer small and is what the EPUB specification requires for the first file of a book
+ * (the mimetype). Images, which make up most of a book, are already compressed.
+ *
+ * Copyright 2024 Mossroy, Jaifroid and contributors
+ * Licence GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public Licence as published by
+ * the Free Software Foundation, either version 3 of the Licence, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public Licence for more details.
+ *
+ * You should have received a copy of the GNU General Public Licence
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+
+'use strict';
+
+import utf8 from './utf8.js';
+
+/**
+ * The table of the CRC-32 checksums of all byte values, calculated on first use
+ * @type {Int32Array}
+ */
+var crcTable = null;
+
+/**
+ * Calculates the CRC-32 checksum of some data, as stored in ZIP files
+ * @param {Uint8Array} data The data
+ * @returns {Number} The checksum, as an unsigned 32-bit integer
+ */
+function crc32 (data) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (var n = 0; n < 256; n++) {
+            var c = n;
+            for (var k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c;
+        }
+    }
+    var crc = -1;
+    for (var i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Encodes a string as UTF-8
+ * @param {String} str The string to encode
+ * @returns {Uint8Array} The UTF-8 bytes
+ */
+function encodeUtf8 (str) {
+    // TextEncoder is not supported by IE11
+    return typeof TextEncoder === 'function' ? new TextEncoder().encode(str) : new Uint8Array(utf8.toByteArray(str));
+}
+
+/**
+ * Creates a new, empty ZIP file
+ */
+function ZipWriter () {
+    this.entries = [];
+}
+
+/**
+ * Adds a file to the ZIP file. Files are stored in the order in which they are added.
+ * @param {String} name The path of the file in the ZIP file (with forward slashes)
+ * @param {String|Uint8Array} data The content of the file (strings are encoded as UTF-8)
+ */
+ZipWriter.prototype.add = function (name, data) {
+    var content = typeof data === 'string' ? encodeUtf8(data) : data;
+    this.entries.push({ name: encodeUtf8(name), data: content, crc: crc32(content) });
+};
+
+/**
+ * Generates the ZIP file
+ * @param {Date} date The modification date of the files (defaults to now)
+ * @returns {Uint8Array} The ZIP file
+ */
+ZipWriter.prototype.generate = function (date) {
+    date = date || new Date();
+    // Dates are stored in MS-DOS format, with a resolution of two seconds
+    var dosTime = date.getHours() << 11 | date.getMinutes() << 5 | date.getSeconds() >> 1;
+    var dosDate = Math.max(0, date.getFullYear() - 1980) << 9 | (date.getMonth() + 1) << 5 | date.getDate();
+    var size = 22;
+    this.entries.forEach(function (entry) {
+        size += 30 + 46 + entry.name.length * 2 + entry.data.length;
+    });
+    var zip = new Uint8Array(size);
+    var view = new DataView(zip.buffer);
+    var pos = 0;
+    // Writes the fields that are common to the local file header and the central directory header
+    var writeCommonFields = function (entry) {
+        view.setUint16(pos, 20, true); // Version needed to extract (2.0)
+        view.setUint16(pos + 2, 0x0800, true); // Flags: the name is encoded in UTF-8
+        view.setUint16(pos + 4, 0, true); // Compression method: stored
+        view.setUint16(pos + 6, dosTime, true);
+        view.setUint16(pos + 8, dosDate, true);
+        view.setUint32(pos + 10, entry.crc, true);
+        view.setUint32(pos + 14, entry.data.length, true); // Compressed size
+        view.setUint32(pos + 18, entry.data.length, true); // Uncompressed size
+        view.setUint16(pos + 22, entry.name.length, true);
+        view.setUint16(pos + 24, 0, true); // Extra field length
+        pos += 26;
+    };
+    this.entries.forEach(function (entry) {
+        entry.offset = pos;
+        view.setUint32(pos, 0x04034b50, true); // Local file header signature
+        pos += 4;
+        writeCommonFields(entry);
+        zip.set(entry.name, pos);
+        pos += entry.name.length;
+        zip.set(entry.data, pos);
+        pos += entry.data.length;
+    });
+    var directoryOffset = pos;
+    this.entries.forEach(function (entry) {
+        view.setUint32(pos, 0x02014b50, true); // Central directory header signature
+        view.setUint16(pos + 4, 20, true); // Version made by
+        pos += 6;
+        writeCommonFields(entry);
+        // File comment length, disk number, internal and external attributes are all zero
+        view.setUint32(pos + 10, entry.offset, true);
+        pos += 14;
+        zip.set(entry.name, pos);
+        pos += entry.name.length;
+    });
+    view.setUint32(pos, 0x06054b50, true); // End of central directory signature
+    view.setUint16(pos + 8, this.entries.length, true); // Entries on this disk
+    view.setUint16(pos + 10, this.entries.length, true); // Total entries
+    view.setUint32(pos + 12, pos - directoryOffset, true); // Size of the central directory
+    view.setUint32(pos + 16, directoryOffset, true);
+    return zip;
+};
+
+export default {
+    ZipWriter: ZipWriter,
+    crc32: crc32
+};